@@ -0,0 +1,489 @@
+/**
+ * Import Worker Test Harness
+ * Runs the import worker's message handling in Node against the Upload1.xlsx / Upload2.xlsx fixtures
+ *
+ * Usage: npm run test:worker
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import * as XLSX from 'xlsx';
+import { handleImportMessage } from '../src/workers/importProcessing.js';
+
+const fixture = (name) => new Uint8Array(readFileSync(fileURLToPath(new URL(`../${name}`, import.meta.url))));
+
+// Mapping Step 2 auto-detects for the HR export
+const EMPLOYEE_MAPPING = {
+  employeeId: 'Person Number',
+  name: 'Name',
+  department: 'Department Name',
+  role: 'Job Name',
+  birthdate: 'Person Date of Birth',
+  costCenter: 'Cost Center',
+  payScale: 'Grade Name',
+};
+
+// Send one message and collect everything the worker posts back
+const send = async (type, data) => {
+  const messages = [];
+  await handleImportMessage({ type, data }, (message) => messages.push(message));
+  return messages;
+};
+
+const lastOf = (messages, type) => messages.filter(m => m.type === type).pop();
+
+// Rows the worker kept from the last parse, asked for with GET_ROWS like Step 3 does
+const storedRows = async (count) => {
+  const rowNumbers = Array.from({ length: count }, (_, index) => index + 2);
+  const { rows } = lastOf(await send('GET_ROWS', { rowNumbers }), 'ROWS');
+  return rowNumbers.map(rowNumber => rows[rowNumber]);
+};
+
+const parseFixture = async (name) => {
+  const messages = await send('PARSE_FILE', { fileData: fixture(name), fileName: name, fileType: 'excel' });
+  const parsed = lastOf(messages, 'PARSE_COMPLETE');
+  return { ...parsed, allData: await storedRows(parsed.totalRows) };
+};
+
+const largeCsv = (rowCount) => {
+  const lines = ['Person Number,Name,Department Name'];
+  for (let i = 0; i < rowCount; i++) {
+    lines.push(`P${String(i).padStart(8, '0')},Employee ${i},Department ${i % 40}`);
+  }
+  return lines.join('\n');
+};
+
+test('PARSE_FILE reads the first sheet of Upload1.xlsx', async () => {
+  const messages = await send('PARSE_FILE', { fileData: fixture('Upload1.xlsx'), fileName: 'Upload1.xlsx', fileType: 'excel' });
+  const parsed = lastOf(messages, 'PARSE_COMPLETE');
+  const rows = await storedRows(parsed.totalRows);
+
+  assert.ok(messages.some(m => m.type === 'PROGRESS' && m.phase === 'reading'));
+  assert.equal(messages.at(-1), parsed);
+  assert.equal(parsed.totalRows, 3);
+  assert.equal(rows.length, 3);
+  assert.deepEqual(parsed.sampleData, rows);
+  assert.ok(parsed.headers.includes('Person Number'));
+  assert.equal(rows[0]['Person Number'], '94M217022203821');
+});
+
+test('PARSE_FILE reads CSV with the same headers and rows', async () => {
+  const workbook = XLSX.read(fixture('Upload1.xlsx'), { type: 'array' });
+  const csv = XLSX.utils.sheet_to_csv(workbook.Sheets[workbook.SheetNames[0]]);
+  const excel = await parseFixture('Upload1.xlsx');
+
+  const messages = await send('PARSE_FILE', { fileData: csv, fileName: 'Upload1.csv', fileType: 'csv' });
+  const parsed = lastOf(messages, 'PARSE_COMPLETE');
+
+  assert.deepEqual(parsed.headers, excel.headers);
+  assert.equal(parsed.totalRows, excel.totalRows);
+  assert.equal((await storedRows(2))[1]['Person Number'], excel.allData[1]['Person Number']);
+});
+
+test('PARSE_FILE keeps the rows of large files in the worker', async () => {
+  const messages = await send('PARSE_FILE', { fileData: largeCsv(45000), fileName: 'large.csv', fileType: 'csv' });
+  const parsed = lastOf(messages, 'PARSE_COMPLETE');
+
+  assert.equal(parsed.totalRows, 45000);
+  assert.equal(parsed.sampleData.length, 200);
+  assert.ok(messages.every(m => !m.rows));
+
+  const { rows } = lastOf(await send('GET_ROWS', { rowNumbers: [2, 45001, 45002] }), 'ROWS');
+  assert.deepEqual(Object.keys(rows), ['2', '45001']);
+  assert.equal(rows[45001]['Person Number'], 'P00044999');
+
+  const { values } = lastOf(await send('GET_COLUMN_VALUES', {
+    column: 'Department Name', exclude: ['department 0'], limit: 50,
+  }), 'COLUMN_VALUES');
+  assert.equal(values.length, 39);
+  assert.equal(values[0], 'Department 1');
+
+  // Validation and import read the stored rows when no rows are sent along
+  const validation = await send('VALIDATE_DATA', { columnMapping: { employeeId: 'Person Number', name: 'Name' } });
+  assert.equal(lastOf(validation, 'VALIDATION_COMPLETE').results.totalRows, 45000);
+});
+
+// Typed cells, escaped text and a blank row, as Excel and SheetJS write them
+const typedCellWorkbook = () => {
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ['Person Number', 'Name', 'Salary', 'Start Date', 'Active', 'Note'],
+    ['P1', 'Anna & Ben <Co>', 52000.5, 43831, true, ''],
+    [],
+    ['P3', 'Cem', 0.1 + 0.2, 45000, false, 'line\nbreak'],
+  ]);
+  sheet.C2.z = '#,##0.00';
+  sheet.D2.z = 'dd/mm/yyyy';
+  sheet.D4.z = 'm/d/yy';
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Employees');
+  return workbook;
+};
+
+test('PARSE_FILE reads .xlsx sheets as SheetJS does, and other formats through SheetJS', async () => {
+  for (const options of [{ bookType: 'xlsx' }, { bookType: 'xlsx', bookSST: true }, { bookType: 'biff8' }]) {
+    const fileData = new Uint8Array(XLSX.write(typedCellWorkbook(), { type: 'array', ...options }));
+    const written = XLSX.read(fileData, { type: 'array' }).Sheets.Employees;
+    const [headers, ...expected] = XLSX.utils.sheet_to_json(written, { header: 1, defval: '', raw: false });
+
+    const parsed = lastOf(await send('PARSE_FILE', { fileData, fileName: 'typed.xlsx', fileType: 'excel' }), 'PARSE_COMPLETE');
+    const label = JSON.stringify(options);
+    assert.deepEqual(parsed.headers, headers, label);
+    assert.deepEqual(
+      await storedRows(parsed.totalRows),
+      expected.map(row => Object.fromEntries(headers.map((header, index) => [header, row[index] || '']))),
+      label
+    );
+  }
+
+  const [first] = await storedRows(1);
+  assert.equal(first.Salary, '52,000.50');
+  assert.equal(first['Start Date'], '01/01/2020');
+});
+
+test('CANCEL aborts a running parse', async () => {
+  const messages = [];
+  const post = (message) => messages.push(message);
+
+  const parsing = handleImportMessage(
+    { type: 'PARSE_FILE', data: { fileData: largeCsv(200000), fileName: 'large.csv', fileType: 'csv' } },
+    post
+  );
+  await handleImportMessage({ type: 'CANCEL' }, post);
+  await parsing;
+
+  const cancelled = lastOf(messages, 'PARSE_CANCELLED');
+  assert.ok(cancelled);
+  assert.ok(cancelled.processedCount < 200000);
+  assert.equal(lastOf(messages, 'PARSE_COMPLETE'), undefined);
+});
+
+// Workbook with master data and org assignment on separate sheets, as in SAP extracts
+const twoSheetWorkbook = () => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+    ['Person Number', 'Name', 'Status'],
+    ['P1', 'Anna', 'active'],
+    ['P2', 'Ben', 'active'],
+    ['P3', 'Cem', 'inactive'],
+  ]), 'Master Data');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+    ['Personnel No', 'Department Name', 'Status'],
+    ['P2', 'Finance', 'assigned'],
+    ['P1', 'Sales', 'assigned'],
+    ['P1', 'Legal', 'assigned'],
+  ]), 'Org Assignment');
+  return new Uint8Array(XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }));
+};
+
+test('LIST_SHEETS returns every sheet with row count and preview', async () => {
+  const messages = await send('LIST_SHEETS', { fileData: twoSheetWorkbook(), fileName: 'sap.xlsx' });
+  const { sheets } = lastOf(messages, 'SHEETS_LISTED');
+
+  assert.deepEqual(sheets.map(sheet => [sheet.name, sheet.rowCount]), [['Master Data', 3], ['Org Assignment', 3]]);
+  assert.deepEqual(sheets[1].headers, ['Personnel No', 'Department Name', 'Status']);
+  assert.equal(sheets[0].preview[2].Name, 'Cem');
+});
+
+test('PARSE_FILE reads the chosen sheet', async () => {
+  const messages = await send('PARSE_FILE', {
+    fileData: twoSheetWorkbook(), fileName: 'sap.xlsx', fileType: 'excel', sheetName: 'Org Assignment',
+  });
+  const parsed = lastOf(messages, 'PARSE_COMPLETE');
+
+  assert.equal(parsed.sheetName, 'Org Assignment');
+  assert.deepEqual((await storedRows(3)).map(row => row['Department Name']), ['Finance', 'Sales', 'Legal']);
+});
+
+test('PARSE_FILE left-joins a second sheet on a key column', async () => {
+  const messages = await send('PARSE_FILE', {
+    fileData: twoSheetWorkbook(),
+    fileName: 'sap.xlsx',
+    fileType: 'excel',
+    join: { primarySheet: 'Master Data', primaryKey: 'Person Number', secondarySheet: 'Org Assignment', secondaryKey: 'Personnel No' },
+  });
+  const parsed = lastOf(messages, 'PARSE_COMPLETE');
+  const rows = await storedRows(parsed.totalRows);
+
+  assert.deepEqual(parsed.headers, ['Person Number', 'Name', 'Status', 'Department Name', 'Status (Org Assignment)']);
+  assert.deepEqual(parsed.joinStats, { matched: 2, unmatched: 1, duplicateKeys: 1 });
+  assert.deepEqual(rows.map(row => row['Department Name']), ['Sales', 'Finance', '']);
+  assert.equal(rows[0].Status, 'active');
+  assert.equal(rows[0]['Status (Org Assignment)'], 'assigned');
+});
+
+test('VALIDATE_DATA accepts both uploads', async () => {
+  for (const [name, rows] of [['Upload1.xlsx', 3], ['Upload2.xlsx', 4]]) {
+    const parsed = await parseFixture(name);
+    const messages = await send('VALIDATE_DATA', {
+      rows: parsed.allData,
+      columnMapping: EMPLOYEE_MAPPING,
+    });
+    const { results } = lastOf(messages, 'VALIDATION_COMPLETE');
+
+    assert.equal(results.totalRows, rows, name);
+    assert.equal(results.validRows, rows, name);
+    assert.equal(results.rowsWithErrors, 0, name);
+    assert.deepEqual(results.duplicateIds, [], name);
+  }
+});
+
+test('VALIDATE_DATA reports duplicate employee IDs', async () => {
+  const parsed = await parseFixture('Upload1.xlsx');
+  const messages = await send('VALIDATE_DATA', {
+    rows: [...parsed.allData, parsed.allData[0]],
+    columnMapping: EMPLOYEE_MAPPING,
+  });
+  const { results } = lastOf(messages, 'VALIDATION_COMPLETE');
+
+  assert.deepEqual(results.duplicateIds, ['94M217022203821']);
+  assert.equal(results.errors[0].type, 'duplicate_id');
+  assert.equal(results.errors[0].row, 5);
+});
+
+test('Validation rules report by rule and severity, ignored rules are not run', async () => {
+  const rows = [
+    { 'ID': 'E1', 'Mail': 'a@example.com', 'Start': '2020-01-01', 'End': '2019-12-31', 'Manager': '', 'Level': 'L1' },
+    { 'ID': 'E2', 'Mail': 'A@example.com', 'Start': '2020-01-01', 'End': '', 'Manager': 'E1', 'Level': 'L9' },
+    { 'ID': 'E3', 'Mail': 'not-an-email', 'Start': '', 'End': '', 'Manager': 'E7', 'Level': '' },
+    { 'ID': '', 'Mail': '', 'Start': '', 'End': '', 'Manager': '', 'Level': 'L2' },
+  ];
+  const data = {
+    rows,
+    columnMapping: {
+      employeeId: 'ID',
+      email: 'Mail',
+      startDate: 'Start',
+      endDate: 'End',
+      reportingManager: 'Manager',
+      managementLevel: 'Level',
+    },
+    validationRules: [
+      { key: 'employeeId-required', name: 'Employee ID is required', type: 'required', field: 'employeeId', severity: 'error' },
+      { key: 'email-format', name: 'Email format', type: 'regex', field: 'email', severity: 'ignore', pattern: '^[^\\s@]+@[^\\s@]+$' },
+      { key: 'email-unique', name: 'Email is unique', type: 'unique', field: 'email', severity: 'warning' },
+      { key: 'dates', name: 'End after start', type: 'compare', field: 'endDate', severity: 'error', operator: '>=', otherField: 'startDate' },
+      { key: 'manager', name: 'Manager exists', type: 'reference', field: 'reportingManager', severity: 'error', referenceField: 'employeeId' },
+      { key: 'level', name: 'Known level', type: 'enum', field: 'managementLevel', severity: 'warning', values: ['l1', 'L2'] },
+    ],
+  };
+
+  const { results } = lastOf(await send('VALIDATE_DATA', data), 'VALIDATION_COMPLETE');
+  assert.deepEqual(results.errors.map(e => [e.row, e.rule, e.type]), [
+    [2, 'dates', 'invalid_comparison'],
+    [4, 'manager', 'unknown_reference'],
+    [5, 'employeeId-required', 'missing_required'],
+  ]);
+  assert.deepEqual(results.warnings.map(w => [w.row, w.rule]), [[3, 'email-unique'], [3, 'level']]);
+  assert.equal(results.validRows, 1);
+
+  const { employees } = lastOf(await send('PROCESS_IMPORT', { ...data, skipInvalidRows: true }), 'IMPORT_COMPLETE').results;
+  assert.deepEqual(employees.map(e => e.employeeId), ['E2']);
+});
+
+test('Corrections of Step 3 are re-validated per row and carried into the import', async () => {
+  const rows = [
+    { 'ID': 'E1', 'Dept': 'Sales', 'Start': '2020-01-01' },
+    { 'ID': 'E2', 'Dept': '', 'Start': 'soon' },
+    { 'ID': 'E1', 'Dept': '', 'Start': '' },
+  ];
+  const data = {
+    rows,
+    columnMapping: { employeeId: 'ID', department: 'Dept', startDate: 'Start' },
+    validationRules: [
+      { key: 'dept', name: 'Department required', type: 'required', field: 'department', severity: 'error' },
+    ],
+  };
+
+  const { results } = lastOf(await send('VALIDATE_DATA', data), 'VALIDATION_COMPLETE');
+  assert.deepEqual(results.errors.map(e => [e.row, e.type]), [
+    [3, 'missing_required'],
+    [3, 'invalid_date'],
+    [4, 'missing_required'],
+    [4, 'duplicate_id'],
+  ]);
+
+  // Bulk fix of the missing department plus a date typed in the file's format
+  const corrections = { 3: { department: 'Unknown', startDate: '2021-03-01' }, 4: { department: 'Unknown' } };
+  const revalidated = lastOf(await send('REVALIDATE_ROWS', { ...data, rowNumbers: [3, 4], corrections }), 'REVALIDATION_COMPLETE');
+  assert.deepEqual(revalidated.rows.map(r => [r.row, r.errors.map(e => e.type)]), [
+    [3, []],
+    [4, ['duplicate_id']],
+  ]);
+
+  const { employees } = lastOf(await send('PROCESS_IMPORT', { ...data, corrections, skipInvalidRows: true }), 'IMPORT_COMPLETE').results;
+  assert.deepEqual(employees.map(e => [e.employeeId, e.department, e.startDate]), [
+    ['E1', 'Sales', '2020-01-01'],
+    ['E2', 'Unknown', '2021-03-01'],
+  ]);
+});
+
+test('An invalid validation rule pattern is reported as ERROR', async () => {
+  const messages = await send('VALIDATE_DATA', {
+    rows: [{ 'ID': 'E1' }],
+    columnMapping: { employeeId: 'ID' },
+    validationRules: [{ key: 'id', name: 'ID format', type: 'regex', field: 'employeeId', severity: 'error', pattern: '([' }],
+  });
+  assert.match(lastOf(messages, 'ERROR').error, /Invalid pattern in validation rule "ID format"/);
+});
+
+test('PROCESS_IMPORT builds employee records', async () => {
+  const parsed = await parseFixture('Upload1.xlsx');
+  const messages = await send('PROCESS_IMPORT', {
+    rows: parsed.allData,
+    columnMapping: EMPLOYEE_MAPPING,
+    skipInvalidRows: true,
+  });
+  const { results } = lastOf(messages, 'IMPORT_COMPLETE');
+
+  assert.equal(results.successfulRows, 3);
+  assert.equal(results.skippedRows, 0);
+  assert.deepEqual(results.employees.map(e => e.employeeId), ['94M217022203821', '21P001112209374', '11P001107895685']);
+
+  const [first] = results.employees;
+  assert.equal(first.department, 'TE/SDF-FD');
+  assert.equal(first.role, 'Werkst.-Teammstr. NFZ');
+  assert.equal(first.organizationalData.costCenter, '2173-1016');
+  assert.equal(first.birthdate, '1967-05-05'); // "5/5/67" in the workbook
+  assert.equal(first.importMetadata.sourceRow, 2);
+});
+
+test('PROCESS_IMPORT reads dates and numbers in the import locale', async () => {
+  const rows = [
+    { 'Person Number': 'DE001', 'Date of Birth': '03.04.1980', 'Base Salary': '1.234,56', 'FTE': '80,5' },
+    { 'Person Number': 'DE002', 'Date of Birth': '31.12.1975', 'Base Salary': '52.000', 'FTE': '100' },
+  ];
+  const columnMapping = { employeeId: 'Person Number', birthdate: 'Date of Birth', baseSalary: 'Base Salary', fte: 'FTE' };
+  const german = { dateFormat: 'DMY', decimalSeparator: ',', thousandsSeparator: '.' };
+
+  const messages = await send('PROCESS_IMPORT', { rows, columnMapping, locale: german, skipInvalidRows: true });
+  const { employees } = lastOf(messages, 'IMPORT_COMPLETE').results;
+
+  assert.deepEqual(employees.map(e => e.birthdate), ['1980-04-03', '1975-12-31']);
+  assert.deepEqual(employees.map(e => e.baseSalary), [1234.56, 52000]);
+  assert.deepEqual(employees.map(e => e.fte), [80.5, 100]);
+
+  // The same file read as month/day/year: 31.12. is not a date, "1.234,56" not a number
+  const us = { dateFormat: 'MDY', decimalSeparator: '.', thousandsSeparator: ',' };
+  const validation = await send('VALIDATE_DATA', { rows, columnMapping, locale: us });
+  const { results } = lastOf(validation, 'VALIDATION_COMPLETE');
+
+  assert.equal(results.validRows, 0);
+  assert.deepEqual(
+    results.errors.map(e => `${e.row}:${e.type}:${e.field}`),
+    ['2:invalid_number:fte', '2:invalid_number:baseSalary', '3:invalid_date:birthdate']
+  );
+});
+
+test('PROCESS_IMPORT applies the field rules of the mapping step', async () => {
+  const rows = [
+    { 'Person Number': 'PN-1001 (DE)', 'Vorname': 'Anna', 'Nachname': 'Berg', 'Personengruppe': 'Angestellter', 'Std/Woche': '20', 'Monatsgehalt': '4.000,00' },
+    { 'Person Number': 'PN-1002 (DE)', 'Vorname': 'Jonas', 'Nachname': '', 'Personengruppe': 'Rentner', 'Std/Woche': '', 'Monatsgehalt': '' },
+  ];
+  const messages = await send('PROCESS_IMPORT', {
+    rows,
+    columnMapping: { employeeId: 'Person Number', status: 'Personengruppe', fte: 'Std/Woche', baseSalary: 'Monatsgehalt' },
+    fieldRules: {
+      employeeId: { source: 'column', extract: 'PN-(\\d+)' },
+      name: { source: 'concat', columns: ['Vorname', 'Nachname'], separator: ' ' },
+      company: { source: 'constant', constant: 'Werk Nord' },
+      status: { source: 'column', lookup: [{ from: 'angestellter', to: 'active' }, { from: 'Rentner', to: 'inactive' }] },
+      fte: { source: 'column', defaultValue: '40', convert: 'hoursToFte', convertParam: 40 },
+      baseSalary: { source: 'column', convert: 'monthlyToAnnual', convertParam: 13 },
+    },
+    locale: { dateFormat: 'DMY', decimalSeparator: ',', thousandsSeparator: '.' },
+    skipInvalidRows: true,
+  });
+  const { employees } = lastOf(messages, 'IMPORT_COMPLETE').results;
+
+  assert.deepEqual(employees.map(e => e.employeeId), ['1001', '1002']);
+  assert.deepEqual(employees.map(e => e.name), ['Anna Berg', 'Jonas']);
+  assert.deepEqual(employees.map(e => e.organizationalData.company), ['Werk Nord', 'Werk Nord']);
+  assert.deepEqual(employees.map(e => e.status), ['active', 'inactive']);
+  assert.deepEqual(employees.map(e => e.fte), [50, 100]);
+  assert.deepEqual(employees.map(e => e.baseSalary), [52000, 0]);
+});
+
+test('An invalid extract pattern is reported as ERROR', async () => {
+  const messages = await send('VALIDATE_DATA', {
+    rows: [{ 'Person Number': 'P1' }],
+    columnMapping: { employeeId: 'Person Number' },
+    fieldRules: { employeeId: { source: 'column', extract: '(' } },
+  });
+
+  assert.equal(messages.at(-1).type, 'ERROR');
+  assert.match(messages.at(-1).error, /Invalid extract pattern for employeeId/);
+});
+
+test('Custom attributes are typed, checked against allowed values and stored per employee', async () => {
+  const customAttributes = [
+    { key: 'region', label: 'Region', type: 'select', allowedValues: ['North', 'South'] },
+    { key: 'weeklyHours', label: 'Weekly Hours', type: 'number', allowedValues: [] },
+    { key: 'badge', label: 'Badge', type: 'text', allowedValues: [] },
+  ];
+  const rows = [
+    { 'ID': 'E1', 'Region': 'north', 'Hours': '38,5' },
+    { 'ID': 'E2', 'Region': 'West', 'Hours': '40' },
+    { 'ID': 'E3', 'Region': '', 'Hours': 'full' },
+  ];
+  const data = {
+    rows,
+    columnMapping: { employeeId: 'ID', 'custom.region': 'Region', 'custom.weeklyHours': 'Hours' },
+    locale: { dateFormat: 'DMY', decimalSeparator: ',', thousandsSeparator: '.' },
+    customAttributes,
+  };
+
+  const validation = lastOf(await send('VALIDATE_DATA', data), 'VALIDATION_COMPLETE').results;
+  assert.deepEqual(validation.errors.map(e => [e.row, e.type, e.field]), [
+    [3, 'invalid_value', 'custom.region'],
+    [4, 'invalid_number', 'custom.weeklyHours'],
+  ]);
+
+  const { employees, mappedFields } = lastOf(await send('PROCESS_IMPORT', { ...data, skipInvalidRows: true }), 'IMPORT_COMPLETE').results;
+  // Unmapped attributes are left out so a merge import keeps their stored values
+  assert.deepEqual(employees.map(e => e.customAttributes), [{ region: 'North', weeklyHours: 38.5 }]);
+  // Neither are the defaults of unmapped fields such as startDate and baseSalary
+  assert.deepEqual(mappedFields, ['employeeId', 'custom.region', 'custom.weeklyHours']);
+});
+
+test('Upload2.xlsx adds one employee to Upload1.xlsx', async () => {
+  const importFixture = async (name) => {
+    const parsed = await parseFixture(name);
+    const messages = await send('PROCESS_IMPORT', {
+      rows: parsed.allData,
+      columnMapping: EMPLOYEE_MAPPING,
+      skipInvalidRows: true,
+    });
+    return new Set(lastOf(messages, 'IMPORT_COMPLETE').results.employees.map(e => e.employeeId));
+  };
+
+  const before = await importFixture('Upload1.xlsx');
+  const after = await importFixture('Upload2.xlsx');
+
+  assert.deepEqual([...after].filter(id => !before.has(id)), ['11P001107895689']);
+  assert.deepEqual([...before].filter(id => !after.has(id)), []);
+});
+
+test('PROCESS_IMPORT of reduction programs skips unknown employees', async () => {
+  const messages = await send('PROCESS_IMPORT', {
+    rows: [
+      { 'Person Number': '94M217022203821', 'Reduction %': '20', 'Start Date': '01.01.2026' },
+      { 'Person Number': 'UNKNOWN', 'Reduction %': '50%', 'Start Date': '2026-03-01' },
+    ],
+    columnMapping: { employeeId: 'Person Number', reductionPercentage: 'Reduction %', startDate: 'Start Date' },
+    target: 'reductionPrograms',
+    knownEmployeeIds: ['94M217022203821', '21P001112209374', '11P001107895685'],
+  });
+  const { results } = lastOf(messages, 'IMPORT_COMPLETE');
+
+  assert.equal(results.programs.length, 1);
+  assert.equal(results.programs[0].startDate, '2026-01-01');
+  assert.equal(results.skippedRows, 1);
+  assert.equal(results.errors[0].type, 'unknown_employee');
+});
+
+test('Unknown message types are reported as ERROR', async () => {
+  const messages = await send('SOMETHING_ELSE', {});
+  assert.deepEqual(messages, [{ type: 'ERROR', error: 'Unknown message type: SOMETHING_ELSE' }]);
+});
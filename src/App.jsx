@@ -8,6 +8,7 @@ import MainLayout from './layouts/MainLayout';
 // Eagerly loaded components (critical path)
 import Dashboard from './components/Dashboard';
 import Login from './components/Login';
+import ChangePassword from './components/ChangePassword';
 
 // Lazy loaded components (code-split)
 const EmployeeList = lazy(() => import('./components/EmployeeList'));
@@ -23,6 +24,8 @@ const ScenarioSimulation = lazy(() => import('./components/ScenarioSimulation'))
 const CapacityPlanning = lazy(() => import('./components/CapacityPlanning'));
 const BudgetForecast = lazy(() => import('./components/BudgetForecast'));
 const DataComparison = lazy(() => import('./components/DataComparison'));
+const ReductionPrograms = lazy(() => import('./components/ReductionPrograms'));
+const AuditLog = lazy(() => import('./components/AuditLog'));
 
 /**
  * Loading Spinner for Suspense fallback
@@ -37,10 +40,10 @@ function LoadingSpinner() {
 
 /**
  * Private Route Wrapper
- * Redirects unauthenticated users to login
+ * Redirects unauthenticated users to login; a password that has to be changed blocks the app until it is
  */
 function PrivateRoute({ children }) {
-  const { isAuthenticated, loading } = useAuth();
+  const { user, isAuthenticated, loading } = useAuth();
 
   if (loading) {
     return (
@@ -50,15 +53,19 @@ function PrivateRoute({ children }) {
     );
   }
 
-  return isAuthenticated ? children : <Navigate to="/login" replace />;
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
+  return user.mustChangePassword ? <ChangePassword /> : children;
 }
 
 /**
- * Admin Route Wrapper
- * Restricts access to admin users only
+ * Capability Route Wrapper
+ * Restricts a page to roles with every required capability (see utils/permissions)
  */
-function AdminRoute({ children }) {
-  const { user, isAdmin, loading } = useAuth();
+function CapabilityRoute({ requires, children }) {
+  const { user, can, loading } = useAuth();
 
   if (loading) {
     return (
@@ -72,7 +79,41 @@ function AdminRoute({ children }) {
     return <Navigate to="/login" replace />;
   }
 
-  return isAdmin() ? children : <Navigate to="/" replace />;
+  return [].concat(requires).every(can) ? children : <Navigate to="/" replace />;
+}
+
+// Where roles without headcount.view land instead of the Dashboard, in navigation order
+const LANDING_PAGES = [
+  { path: '/employees', requires: 'employees.view' },
+  { path: '/comparison', requires: 'salaries.view' },
+  { path: '/users', requires: 'users.manage' },
+  { path: '/uploads', requires: 'uploads.manage' },
+  { path: '/settings', requires: 'settings.manage' },
+  { path: '/audit', requires: 'audit.view' },
+];
+
+/**
+ * Home Route
+ * The Dashboard, or the first page the role may open; never redirects back to itself,
+ * so CapabilityRoute can keep sending users here
+ */
+function HomeRoute() {
+  const { can } = useAuth();
+
+  if (can('headcount.view')) {
+    return <Dashboard />;
+  }
+
+  const landing = LANDING_PAGES.find(page => can(page.requires));
+  if (landing) {
+    return <Navigate to={landing.path} replace />;
+  }
+
+  return (
+    <div className="p-6 text-sm text-gray-500 dark:text-gray-400">
+      Your role has no pages to open. Ask an administrator for access.
+    </div>
+  );
 }
 
 /**
@@ -129,41 +170,127 @@ function AppRoutes() {
             </PrivateRoute>
           }
         >
-          <Route path="/" element={<Dashboard />} />
-          <Route path="/employees" element={<EmployeeList />} />
-          <Route path="/projects" element={<Projects />} />
-          <Route path="/reports" element={<Reports />} />
-          <Route path="/comparison" element={<WorkforceComparison />} />
-          <Route path="/analytics" element={<DepartmentAnalytics />} />
-          <Route path="/simulation" element={<ScenarioSimulation />} />
-          <Route path="/capacity" element={<CapacityPlanning />} />
-          <Route path="/budget" element={<BudgetForecast />} />
-          <Route path="/data-comparison" element={<DataComparison />} />
-          <Route path="/chat" element={<ChatAgent />} />
-
-          {/* Admin-only routes */}
+          <Route path="/" element={<HomeRoute />} />
+          <Route
+            path="/employees"
+            element={
+              <CapabilityRoute requires="employees.view">
+                <EmployeeList />
+              </CapabilityRoute>
+            }
+          />
+          <Route
+            path="/projects"
+            element={
+              <CapabilityRoute requires="employees.view">
+                <Projects />
+              </CapabilityRoute>
+            }
+          />
+          <Route
+            path="/programs"
+            element={
+              <CapabilityRoute requires="employees.view">
+                <ReductionPrograms />
+              </CapabilityRoute>
+            }
+          />
+          <Route
+            path="/reports"
+            element={
+              <CapabilityRoute requires="employees.view">
+                <Reports />
+              </CapabilityRoute>
+            }
+          />
+          <Route
+            path="/comparison"
+            element={
+              <CapabilityRoute requires="salaries.view">
+                <WorkforceComparison />
+              </CapabilityRoute>
+            }
+          />
+          <Route
+            path="/analytics"
+            element={
+              <CapabilityRoute requires="headcount.view">
+                <DepartmentAnalytics />
+              </CapabilityRoute>
+            }
+          />
+          <Route
+            path="/simulation"
+            element={
+              <CapabilityRoute requires="employees.view">
+                <ScenarioSimulation />
+              </CapabilityRoute>
+            }
+          />
+          <Route
+            path="/capacity"
+            element={
+              <CapabilityRoute requires="headcount.view">
+                <CapacityPlanning />
+              </CapabilityRoute>
+            }
+          />
+          <Route
+            path="/budget"
+            element={
+              <CapabilityRoute requires={['employees.view', 'salaries.view']}>
+                <BudgetForecast />
+              </CapabilityRoute>
+            }
+          />
+          <Route
+            path="/data-comparison"
+            element={
+              <CapabilityRoute requires="employees.view">
+                <DataComparison />
+              </CapabilityRoute>
+            }
+          />
+          <Route
+            path="/chat"
+            element={
+              <CapabilityRoute requires="headcount.view">
+                <ChatAgent />
+              </CapabilityRoute>
+            }
+          />
+
+          {/* Administration routes */}
           <Route
             path="/users"
             element={
-              <AdminRoute>
+              <CapabilityRoute requires="users.manage">
                 <UserManagement />
-              </AdminRoute>
+              </CapabilityRoute>
             }
           />
           <Route
             path="/uploads"
             element={
-              <AdminRoute>
+              <CapabilityRoute requires="uploads.manage">
                 <UploadManagement />
-              </AdminRoute>
+              </CapabilityRoute>
             }
           />
           <Route
             path="/settings"
             element={
-              <AdminRoute>
+              <CapabilityRoute requires="settings.manage">
                 <AdminSettings />
-              </AdminRoute>
+              </CapabilityRoute>
+            }
+          />
+          <Route
+            path="/audit"
+            element={
+              <CapabilityRoute requires="audit.view">
+                <AuditLog />
+              </CapabilityRoute>
             }
           />
         </Route>
@@ -15,6 +15,9 @@ import {
 } from 'lucide-react';
 import { systemDB, employeeDB, assignmentDB, getBackendInfo, fixUserProfile } from '../services/unifiedDB';
 import { useApp } from '../contexts/AppContext';
+import CustomAttributeSettings from './CustomAttributeSettings';
+import ValidationRuleSettings from './ValidationRuleSettings';
+import FolderWatchSettings from './FolderWatchSettings';
 import toast from 'react-hot-toast';
 
 const AdminSettings = () => {
@@ -223,6 +226,15 @@ const AdminSettings = () => {
                 </div>
             </div>
 
+            {/* Custom Employee Attributes */}
+            <CustomAttributeSettings />
+
+            {/* Import Validation Rules */}
+            <ValidationRuleSettings />
+
+            {/* Folder Watch Import */}
+            <FolderWatchSettings />
+
             {/* Danger Zone */}
             <div className="bg-white dark:bg-gray-900 rounded-lg border border-warning/30 overflow-hidden">
                 <div className="bg-warning/5 px-5 py-3 border-b border-warning/20 flex items-center gap-3">
@@ -0,0 +1,432 @@
+/**
+ * Audit Log Component (Admin Only)
+ * Who imported, changed, deleted, restored or exported data, newest first.
+ * Entries are append-only; fields the reader may not see are left out of before/after
+ * P3 Enterprise Design System
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  ScrollText,
+  RefreshCw,
+  Download,
+  Search,
+  AlertCircle,
+  ChevronDown,
+  ChevronUp,
+} from 'lucide-react';
+import * as XLSX from 'xlsx';
+import toast from 'react-hot-toast';
+import { auditLogDB } from '../services/unifiedDB';
+import { toISODate } from '../utils/helpers';
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Changed',
+  delete: 'Deleted',
+  bulk_create: 'Bulk created',
+  bulk_delete: 'Bulk deleted',
+  import: 'Imported',
+  restore: 'Restored',
+  clear: 'Cleared',
+  export: 'Exported',
+};
+
+const ACTION_STYLES = {
+  create: 'bg-success/10 text-success',
+  bulk_create: 'bg-success/10 text-success',
+  import: 'bg-p3-electric/10 text-p3-electric',
+  update: 'bg-blue-50 text-blue-700 dark:bg-blue-900/20 dark:text-blue-300',
+  restore: 'bg-blue-50 text-blue-700 dark:bg-blue-900/20 dark:text-blue-300',
+  delete: 'bg-warning/10 text-warning',
+  bulk_delete: 'bg-warning/10 text-warning',
+  clear: 'bg-warning/10 text-warning',
+  export: 'bg-gray-100 text-gray-600 dark:bg-gray-800 dark:text-gray-400',
+};
+
+const ENTITY_LABELS = {
+  employee: 'Employee',
+  project: 'Project',
+  assignment: 'Assignment',
+  reductionProgram: 'Reduction program',
+  upload: 'Upload',
+  system: 'All data',
+  report: 'Report',
+};
+
+// Rows shown at once; the filters narrow them down and the export contains all matches
+const PAGE_SIZE = 200;
+
+const formatDate = (dateStr) => {
+  if (!dateStr) return '—';
+  return new Date(dateStr).toLocaleString();
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Fields of an update whose value differs from before
+const changedFields = (entry) => {
+  if (!entry.after || Array.isArray(entry.after)) return [];
+  return Object.keys(entry.after).filter(
+    field => formatValue(entry.before?.[field]) !== formatValue(entry.after[field])
+  );
+};
+
+// One line describing the entry, for the table and the export
+const summarize = (entry) => {
+  const details = entry.details || {};
+  const record = entry.after || entry.before;
+  switch (entry.action) {
+    case 'update': {
+      const fields = changedFields(entry);
+      return fields.length > 0 ? fields.join(', ') : '';
+    }
+    case 'export':
+      return [details.report, details.format?.toUpperCase(), details.rows !== undefined && `${details.rows} rows`]
+        .filter(Boolean).join(' · ');
+    case 'import': {
+      const records = details.recordsSuccessful ?? details.successfulRows;
+      return [details.fileName, records !== undefined && `${records} records`, details.recordsFailed > 0 && `${details.recordsFailed} failed`]
+        .filter(Boolean).join(' · ');
+    }
+    case 'bulk_create':
+    case 'bulk_delete':
+    case 'clear':
+      return details.count !== undefined ? `${details.count} records` : '';
+    default:
+      if (Array.isArray(record)) return `${record.length} records`;
+      return record?.name || record?.fileName || details.employeeId || '';
+  }
+};
+
+const matchesSearch = (entry, term) => {
+  if (!term) return true;
+  return [entry.entityId, entry.actorName, summarize(entry), JSON.stringify(entry.details || {})]
+    .some(value => String(value || '').toLowerCase().includes(term));
+};
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedEntry, setExpandedEntry] = useState(null);
+  const [actionFilter, setActionFilter] = useState('all');
+  const [entityFilter, setEntityFilter] = useState('all');
+  const [actorFilter, setActorFilter] = useState('all');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+  const [search, setSearch] = useState('');
+
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setEntries(await auditLogDB.getAll() || []);
+    } catch (err) {
+      console.error('Error fetching audit log:', err);
+      setError('Failed to load the audit log. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const actors = useMemo(
+    () => [...new Set(entries.map(entry => entry.actorName).filter(Boolean))].sort(),
+    [entries]
+  );
+
+  const filteredEntries = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return entries.filter(entry => {
+      const day = entry.timestamp ? toISODate(new Date(entry.timestamp)) : '';
+      return (actionFilter === 'all' || entry.action === actionFilter)
+        && (entityFilter === 'all' || entry.entityType === entityFilter)
+        && (actorFilter === 'all' || entry.actorName === actorFilter)
+        && (!dateFrom || day >= dateFrom)
+        && (!dateTo || day <= dateTo)
+        && matchesSearch(entry, term);
+    });
+  }, [entries, actionFilter, entityFilter, actorFilter, dateFrom, dateTo, search]);
+
+  const handleExport = () => {
+    const rows = filteredEntries.map(entry => ({
+      'Time': entry.timestamp,
+      'User': entry.actorName || '',
+      'Action': ACTION_LABELS[entry.action] || entry.action,
+      'Type': ENTITY_LABELS[entry.entityType] || entry.entityType,
+      'Id': entry.entityId || '',
+      'Summary': summarize(entry),
+      'Before': entry.before ? JSON.stringify(entry.before) : '',
+      'After': entry.after ? JSON.stringify(entry.after) : '',
+      'Details': entry.details ? JSON.stringify(entry.details) : '',
+    }));
+
+    // The csv book type quotes fields with commas, quotes and line breaks
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), 'Audit Log');
+    const fileName = `audit-log-${toISODate(new Date())}.csv`;
+    XLSX.writeFile(wb, fileName, { bookType: 'csv' });
+    auditLogDB.recordExport(fileName, { report: 'Audit log', format: 'csv', rows: rows.length });
+    toast.success('Export completed');
+  };
+
+  const resetFilters = () => {
+    setActionFilter('all');
+    setEntityFilter('all');
+    setActorFilter('all');
+    setDateFrom('');
+    setDateTo('');
+    setSearch('');
+  };
+
+  const hasFilters = actionFilter !== 'all' || entityFilter !== 'all' || actorFilter !== 'all'
+    || dateFrom || dateTo || search;
+
+  const selectClass = 'px-3 py-2 text-sm border border-gray-200 dark:border-gray-700 rounded-md bg-white dark:bg-gray-800 text-p3-midnight dark:text-white';
+
+  return (
+    <div className="space-y-5 animate-fade-in">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <div className="flex items-center gap-3">
+            <h1 className="text-lg font-semibold text-p3-midnight dark:text-white">
+              Audit Log
+            </h1>
+            <span className="px-2 py-0.5 text-xs font-medium bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-400 rounded-full">
+              {filteredEntries.length}
+            </span>
+          </div>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-0.5">
+            Who imported, changed, deleted or exported data
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={handleExport}
+            disabled={loading || filteredEntries.length === 0}
+            className="btn btn-secondary btn-sm"
+          >
+            <Download className="w-4 h-4" />
+            Export CSV
+          </button>
+          <button
+            onClick={fetchEntries}
+            disabled={loading}
+            className="btn btn-secondary btn-sm"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 p-4 flex flex-wrap items-end gap-3">
+        <div className="relative flex-1 min-w-[200px]">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search id, user, file or fields..."
+            className={`${selectClass} w-full pl-9`}
+          />
+        </div>
+        <select value={actionFilter} onChange={(e) => setActionFilter(e.target.value)} className={selectClass}>
+          <option value="all">All actions</option>
+          {Object.entries(ACTION_LABELS).map(([action, label]) => (
+            <option key={action} value={action}>{label}</option>
+          ))}
+        </select>
+        <select value={entityFilter} onChange={(e) => setEntityFilter(e.target.value)} className={selectClass}>
+          <option value="all">All types</option>
+          {Object.entries(ENTITY_LABELS).map(([type, label]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+        <select value={actorFilter} onChange={(e) => setActorFilter(e.target.value)} className={selectClass}>
+          <option value="all">All users</option>
+          {actors.map(actor => (
+            <option key={actor} value={actor}>{actor}</option>
+          ))}
+        </select>
+        <label className="flex flex-col gap-1 text-xs text-gray-500 dark:text-gray-400">
+          From
+          <input type="date" value={dateFrom} onChange={(e) => setDateFrom(e.target.value)} className={selectClass} />
+        </label>
+        <label className="flex flex-col gap-1 text-xs text-gray-500 dark:text-gray-400">
+          To
+          <input type="date" value={dateTo} onChange={(e) => setDateTo(e.target.value)} className={selectClass} />
+        </label>
+        {hasFilters && (
+          <button onClick={resetFilters} className="btn btn-ghost btn-sm">
+            Reset
+          </button>
+        )}
+      </div>
+
+      {/* Error State */}
+      {error && (
+        <div className="p-4 bg-warning/5 border border-warning/20 rounded-lg flex items-start gap-3">
+          <AlertCircle className="w-5 h-5 text-warning flex-shrink-0 mt-0.5" />
+          <div className="flex-1">
+            <p className="text-sm text-warning">{error}</p>
+            <button
+              onClick={fetchEntries}
+              className="text-xs text-warning underline mt-1"
+            >
+              Try again
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Loading State */}
+      {loading && (
+        <div className="flex items-center justify-center h-64">
+          <div className="spinner w-8 h-8 border-p3-electric" />
+        </div>
+      )}
+
+      {/* Empty State */}
+      {!loading && !error && filteredEntries.length === 0 && (
+        <div className="empty-state">
+          <ScrollText className="empty-state-icon" />
+          <p className="empty-state-title">{entries.length === 0 ? 'No entries yet' : 'No matching entries'}</p>
+          <p className="empty-state-description">
+            {entries.length === 0
+              ? 'Imports, changes, deletions and exports will show up here.'
+              : 'Change or reset the filters to see more entries.'}
+          </p>
+        </div>
+      )}
+
+      {/* Entries */}
+      {!loading && filteredEntries.length > 0 && (
+        <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-800">
+                  <th className="text-left py-3 px-4 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">Time</th>
+                  <th className="text-left py-3 px-4 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">User</th>
+                  <th className="text-left py-3 px-4 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">Action</th>
+                  <th className="text-left py-3 px-4 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">Type</th>
+                  <th className="text-left py-3 px-4 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">Id</th>
+                  <th className="text-left py-3 px-4 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">Summary</th>
+                  <th className="w-10" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+                {filteredEntries.slice(0, PAGE_SIZE).map(entry => {
+                  const isExpanded = expandedEntry === entry.id;
+                  const hasValues = entry.before || entry.after || entry.details;
+                  return (
+                    <React.Fragment key={entry.id}>
+                      <tr className="hover:bg-gray-50 dark:hover:bg-gray-800/50">
+                        <td className="py-2 px-4 text-sm text-gray-500 dark:text-gray-400 whitespace-nowrap">{formatDate(entry.timestamp)}</td>
+                        <td className="py-2 px-4 text-sm text-p3-midnight dark:text-white">{entry.actorName || '—'}</td>
+                        <td className="py-2 px-4">
+                          <span className={`px-2 py-0.5 rounded text-xs font-medium ${ACTION_STYLES[entry.action] || ''}`}>
+                            {ACTION_LABELS[entry.action] || entry.action}
+                          </span>
+                        </td>
+                        <td className="py-2 px-4 text-sm text-gray-500 dark:text-gray-400">{ENTITY_LABELS[entry.entityType] || entry.entityType}</td>
+                        <td className="py-2 px-4 text-sm text-gray-500 dark:text-gray-400 max-w-[160px] truncate" title={entry.entityId || ''}>
+                          {entry.entityId || '—'}
+                        </td>
+                        <td className="py-2 px-4 text-sm text-p3-midnight dark:text-white max-w-[320px] truncate" title={summarize(entry)}>
+                          {summarize(entry) || '—'}
+                        </td>
+                        <td className="py-2 px-2">
+                          {hasValues && (
+                            <button
+                              onClick={() => setExpandedEntry(isExpanded ? null : entry.id)}
+                              className="btn btn-ghost btn-icon btn-sm"
+                            >
+                              {isExpanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                      {isExpanded && (
+                        <tr className="bg-gray-50 dark:bg-gray-800/30">
+                          <td colSpan={7} className="px-4 py-3">
+                            <AuditEntryValues entry={entry} />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          {filteredEntries.length > PAGE_SIZE && (
+            <p className="px-4 py-3 text-xs text-gray-500 dark:text-gray-400 border-t border-gray-200 dark:border-gray-800">
+              {PAGE_SIZE} of {filteredEntries.length.toLocaleString()} entries shown. The export contains all of them.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Before and after of a single record side by side, anything else as it was stored
+const AuditEntryValues = ({ entry }) => {
+  const isRecord = (value) => value && typeof value === 'object' && !Array.isArray(value);
+  const fields = entry.action === 'update'
+    ? changedFields(entry)
+    : [...new Set([...Object.keys(isRecord(entry.before) ? entry.before : {}), ...Object.keys(isRecord(entry.after) ? entry.after : {})])];
+  const showTable = (isRecord(entry.before) || isRecord(entry.after)) && fields.length > 0;
+
+  return (
+    <div className="space-y-3">
+      {showTable && (
+        <table className="w-full text-xs">
+          <thead>
+            <tr>
+              <th className="text-left py-1 pr-4 font-semibold text-gray-500 dark:text-gray-400 uppercase">Field</th>
+              <th className="text-left py-1 pr-4 font-semibold text-gray-500 dark:text-gray-400 uppercase">Before</th>
+              <th className="text-left py-1 font-semibold text-gray-500 dark:text-gray-400 uppercase">After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fields.map(field => (
+              <tr key={field} className="align-top">
+                <td className="py-1 pr-4 font-medium text-p3-midnight dark:text-white">{field}</td>
+                <td className="py-1 pr-4 text-gray-500 dark:text-gray-400 break-all">{formatValue(entry.before?.[field])}</td>
+                <td className="py-1 text-p3-midnight dark:text-white break-all">{formatValue(entry.after?.[field])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {!showTable && (entry.before || entry.after) && (
+        <pre className="text-xs text-gray-600 dark:text-gray-300 whitespace-pre-wrap break-all max-h-64 overflow-y-auto">
+          {JSON.stringify(entry.before || entry.after, null, 2)}
+        </pre>
+      )}
+      {entry.details && (
+        <div className="flex flex-wrap gap-x-6 gap-y-1 text-xs">
+          {Object.entries(entry.details).map(([key, value]) => (
+            <span key={key} className="text-gray-500 dark:text-gray-400">
+              {key}: <span className="text-p3-midnight dark:text-white">{formatValue(value)}</span>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
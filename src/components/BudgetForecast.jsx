@@ -1,6 +1,7 @@
 /**
  * Budget Forecast Component
  * Budget projections based on workforce trends and reduction programs
+ * A saved scenario from Scenario Simulation can be overlaid as a time-phased projection
  * GDPR-compliant: Uses only aggregated cost data
  */
 
@@ -16,6 +17,10 @@ import {
   ResponsiveContainer, Area, AreaChart, ComposedChart, Bar, ReferenceLine
 } from 'recharts';
 import * as XLSX from 'xlsx';
+import { scenarioDB, employeeDB, auditLogDB } from '../services/unifiedDB';
+import { buildEmployeeProfiles, getScenarioLevers, projectScenario } from '../utils/scenarioModel';
+import { toISODate } from '../utils/helpers';
+import ReferenceDatePicker from './ReferenceDatePicker';
 
 // Custom Tooltip
 const CustomTooltip = ({ active, payload, label }) => {
@@ -81,13 +86,20 @@ const BudgetForecast = () => {
   const [assumedGrowthRate, setAssumedGrowthRate] = useState(2); // Annual % growth
   const [assumedReductionRate, setAssumedReductionRate] = useState(0); // Monthly reduction %
   const [showSettings, setShowSettings] = useState(false);
+  const [asOfDate, setAsOfDate] = useState(() => new Date()); // Stichtag, forecast starts in this month
+
+  // Scenario overlay
+  const [savedScenarios, setSavedScenarios] = useState([]);
+  const [overlayScenarioId, setOverlayScenarioId] = useState('');
+  const [employees, setEmployees] = useState(null);
+  const [loadingOverlay, setLoadingOverlay] = useState(false);
 
   // Load metrics
   useEffect(() => {
     const loadMetrics = async () => {
       try {
         setLoading(true);
-        const data = await getDashboardMetrics();
+        const data = await getDashboardMetrics(asOfDate);
         setMetrics(data);
       } catch (error) {
         console.error('Error loading metrics:', error);
@@ -97,7 +109,51 @@ const BudgetForecast = () => {
     };
 
     loadMetrics();
-  }, [getDashboardMetrics]);
+  }, [getDashboardMetrics, asOfDate]);
+
+  // Load saved scenarios for the overlay selection
+  useEffect(() => {
+    scenarioDB.getAll()
+      .then(all => setSavedScenarios((all || []).filter(s => !s.archived)))
+      .catch(error => console.error('Error loading scenarios:', error));
+  }, []);
+
+  // Employee records are only needed once a scenario overlay is selected
+  useEffect(() => {
+    if (!overlayScenarioId || employees) return;
+
+    const loadEmployees = async () => {
+      try {
+        setLoadingOverlay(true);
+        setEmployees(await employeeDB.getAll());
+      } catch (error) {
+        console.error('Error loading employees:', error);
+        setOverlayScenarioId('');
+      } finally {
+        setLoadingOverlay(false);
+      }
+    };
+
+    loadEmployees();
+  }, [overlayScenarioId, employees]);
+
+  const overlayScenario = useMemo(() => {
+    return savedScenarios.find(s => String(s.id) === overlayScenarioId) || null;
+  }, [savedScenarios, overlayScenarioId]);
+
+  // Time-phased projection of the selected scenario, aligned with the forecast months
+  const scenarioProjection = useMemo(() => {
+    if (!overlayScenario || !employees || !metrics) return null;
+
+    const profiles = buildEmployeeProfiles(employees, {
+      referenceDate: asOfDate,
+      defaultSalary: metrics.totalEmployees > 0 ? metrics.totalSalary / metrics.totalEmployees : 0,
+    });
+    return projectScenario(profiles, getScenarioLevers(overlayScenario), {
+      startDate: asOfDate,
+      months: forecastMonths + 1,
+    });
+  }, [overlayScenario, employees, metrics, forecastMonths, asOfDate]);
 
   // Current monthly cost calculation
   const currentMonthlyCost = useMemo(() => {
@@ -111,7 +167,6 @@ const BudgetForecast = () => {
     if (!currentMonthlyCost) return [];
 
     const data = [];
-    const today = new Date();
     const monthlyGrowthRate = (1 + assumedGrowthRate / 100) ** (1/12) - 1;
     const monthlyReduction = assumedReductionRate / 100;
 
@@ -120,7 +175,7 @@ const BudgetForecast = () => {
     let cumulativeSavings = 0;
 
     for (let i = 0; i <= forecastMonths; i++) {
-      const date = new Date(today.getFullYear(), today.getMonth() + i, 1);
+      const date = new Date(asOfDate.getFullYear(), asOfDate.getMonth() + i, 1);
       const monthLabel = date.toLocaleDateString('de-DE', { month: 'short', year: '2-digit' });
 
       // Base projection (with only natural growth)
@@ -133,18 +188,28 @@ const BudgetForecast = () => {
       const monthlySavings = baseProjection - withReductionCost;
       cumulativeSavings += monthlySavings;
 
-      data.push({
+      const row = {
         month: monthLabel,
         monthIndex: i,
         'Basis-Projektion': Math.round(baseProjection),
         'Mit Reduktion': Math.round(withReductionCost),
         'Einsparung': Math.round(monthlySavings),
         cumulativeSavings: Math.round(cumulativeSavings)
-      });
+      };
+
+      // Scenario savings grow with the cost base, one-off costs are paid once
+      const scenarioMonth = scenarioProjection?.months[i];
+      if (scenarioMonth) {
+        const growthFactor = (1 + monthlyGrowthRate) ** i;
+        row['Szenario'] = Math.round(baseProjection - scenarioMonth.savings * growthFactor + scenarioMonth.oneOffCost);
+        row['Szenario-Einmalkosten'] = Math.round(scenarioMonth.oneOffCost);
+      }
+
+      data.push(row);
     }
 
     return data;
-  }, [currentMonthlyCost, forecastMonths, assumedGrowthRate, assumedReductionRate]);
+  }, [currentMonthlyCost, forecastMonths, assumedGrowthRate, assumedReductionRate, scenarioProjection, asOfDate]);
 
   // Summary statistics
   const summaryStats = useMemo(() => {
@@ -192,7 +257,11 @@ const BudgetForecast = () => {
       'Basis-Projektion': `€${d['Basis-Projektion'].toLocaleString('de-DE')}`,
       'Mit Reduktion': `€${d['Mit Reduktion'].toLocaleString('de-DE')}`,
       'Monatl. Einsparung': `€${d['Einsparung'].toLocaleString('de-DE')}`,
-      'Kumul. Einsparung': `€${d.cumulativeSavings.toLocaleString('de-DE')}`
+      'Kumul. Einsparung': `€${d.cumulativeSavings.toLocaleString('de-DE')}`,
+      ...(d['Szenario'] !== undefined && {
+        [`Szenario: ${overlayScenario.name}`]: `€${d['Szenario'].toLocaleString('de-DE')}`,
+        'Szenario-Einmalkosten': `€${d['Szenario-Einmalkosten'].toLocaleString('de-DE')}`
+      })
     }));
 
     const wb = XLSX.utils.book_new();
@@ -218,7 +287,9 @@ const BudgetForecast = () => {
       XLSX.utils.book_append_sheet(wb, wsDept, 'Abteilungskosten');
     }
 
-    XLSX.writeFile(wb, `Budget_Prognose_${new Date().toISOString().split('T')[0]}.xlsx`);
+    const fileName = `Budget_Prognose_${toISODate(asOfDate)}.xlsx`;
+    XLSX.writeFile(wb, fileName);
+    auditLogDB.recordExport(fileName, { report: 'Budget-Prognose', format: 'xlsx', rows: departmentCosts.length });
   };
 
   if (loading) {
@@ -256,6 +327,12 @@ const BudgetForecast = () => {
           </p>
         </div>
         <div className="flex items-center gap-2">
+          <ReferenceDatePicker
+            value={asOfDate}
+            onChange={setAsOfDate}
+            label="Stichtag"
+            resetLabel="Heute"
+          />
           <button
             onClick={() => setShowSettings(!showSettings)}
             className={`flex items-center gap-2 px-4 py-2 rounded-md text-sm font-medium transition-colors ${
@@ -371,12 +448,24 @@ const BudgetForecast = () => {
           <h3 className="text-sm font-medium text-p3-midnight dark:text-white">
             Kostenentwicklung ({forecastMonths} Monate)
           </h3>
-          {assumedReductionRate > 0 && (
-            <span className="text-xs text-green-600 dark:text-green-400 flex items-center gap-1">
-              <CheckCircle2 className="w-3 h-3" />
-              Reduktionsprogramm aktiv: {assumedReductionRate}%/Monat
-            </span>
-          )}
+          <div className="flex items-center gap-3">
+            {assumedReductionRate > 0 && (
+              <span className="text-xs text-green-600 dark:text-green-400 flex items-center gap-1">
+                <CheckCircle2 className="w-3 h-3" />
+                Reduktionsprogramm aktiv: {assumedReductionRate}%/Monat
+              </span>
+            )}
+            <select
+              value={overlayScenarioId}
+              onChange={(e) => setOverlayScenarioId(e.target.value)}
+              className="px-3 py-1.5 text-xs border border-gray-200 dark:border-gray-700 rounded-md bg-white dark:bg-gray-800 text-p3-midnight dark:text-white"
+            >
+              <option value="">Kein Szenario-Overlay</option>
+              {savedScenarios.map(s => (
+                <option key={s.id} value={String(s.id)}>Szenario: {s.name}</option>
+              ))}
+            </select>
+          </div>
         </div>
         <ResponsiveContainer width="100%" height={350}>
           <AreaChart data={forecastData} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
@@ -426,8 +515,49 @@ const BudgetForecast = () => {
                 fill="url(#reductionGradient)"
               />
             )}
+            {scenarioProjection && (
+              <Area
+                type="stepAfter"
+                dataKey="Szenario"
+                name={`Szenario: ${overlayScenario.name}`}
+                stroke="#8b5cf6"
+                strokeWidth={2}
+                strokeDasharray="5 3"
+                fill="none"
+              />
+            )}
           </AreaChart>
         </ResponsiveContainer>
+        {loadingOverlay && (
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-3 flex items-center gap-1">
+            <Clock className="w-3 h-3" />
+            Szenario wird berechnet...
+          </p>
+        )}
+        {scenarioProjection && (
+          <div className="mt-4 grid grid-cols-1 sm:grid-cols-3 gap-3 text-sm">
+            <div className="p-3 bg-purple-50 dark:bg-purple-900/20 rounded-lg">
+              <p className="text-xs text-purple-700 dark:text-purple-300">Einsparung p.a. (voll wirksam)</p>
+              <p className="font-semibold text-purple-800 dark:text-purple-200">
+                {formatCurrency(Math.round(scenarioProjection.runRateSavings))}
+              </p>
+            </div>
+            <div className="p-3 bg-purple-50 dark:bg-purple-900/20 rounded-lg">
+              <p className="text-xs text-purple-700 dark:text-purple-300">Einmalkosten (Abfindungen)</p>
+              <p className="font-semibold text-purple-800 dark:text-purple-200">
+                {formatCurrency(Math.round(scenarioProjection.totalOneOffCost))}
+              </p>
+            </div>
+            <div className="p-3 bg-purple-50 dark:bg-purple-900/20 rounded-lg">
+              <p className="text-xs text-purple-700 dark:text-purple-300">Break-even</p>
+              <p className="font-semibold text-purple-800 dark:text-purple-200">
+                {scenarioProjection.breakEvenIndex !== null
+                  ? forecastData[scenarioProjection.breakEvenIndex]?.month
+                  : `Nicht innerhalb von ${forecastMonths} Monaten`}
+              </p>
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Two Column Layout */}
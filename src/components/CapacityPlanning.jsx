@@ -17,6 +17,10 @@ import {
   Pie
 } from 'recharts';
 import * as XLSX from 'xlsx';
+import ReferenceDatePicker from './ReferenceDatePicker';
+import { toISODate } from '../utils/helpers';
+import { MASKED_VALUE } from '../utils/permissions';
+import { auditLogDB } from '../services/unifiedDB';
 
 // Custom Tooltip for charts
 const CustomTooltip = ({ active, payload, label }) => {
@@ -68,13 +72,14 @@ const CapacityPlanning = () => {
   const [editingDept, setEditingDept] = useState(null);
   const [editValue, setEditValue] = useState('');
   const [expandedDept, setExpandedDept] = useState(null);
+  const [asOfDate, setAsOfDate] = useState(() => new Date());
 
   // Load metrics
   useEffect(() => {
     const loadMetrics = async () => {
       try {
         setLoading(true);
-        const data = await getDashboardMetrics();
+        const data = await getDashboardMetrics(asOfDate);
         setMetrics(data);
 
         // Initialize demand targets from localStorage or with current values
@@ -97,7 +102,7 @@ const CapacityPlanning = () => {
     };
 
     loadMetrics();
-  }, [getDashboardMetrics]);
+  }, [getDashboardMetrics, asOfDate]);
 
   // Save targets to localStorage
   const saveTargets = useCallback((newTargets) => {
@@ -198,7 +203,8 @@ const CapacityPlanning = () => {
                 dept.status === 'understaffed' ? 'Unterbesetzt' :
                 dept.status === 'critical' ? 'Kritisch' : 'Ausgeglichen',
       'Durchschn. FTE': dept.avgFTE.toFixed(1),
-      'Gesamtgehalt': `€${dept.totalSalary.toLocaleString('de-DE')}`
+      // Left out for users without access to salaries
+      ...(!metrics.salariesHidden && { 'Gesamtgehalt': `€${dept.totalSalary.toLocaleString('de-DE')}` })
     }));
 
     const wb = XLSX.utils.book_new();
@@ -211,7 +217,9 @@ const CapacityPlanning = () => {
     ];
 
     XLSX.utils.book_append_sheet(wb, ws, 'Kapazitätsplanung');
-    XLSX.writeFile(wb, `Kapazitaetsplanung_${new Date().toISOString().split('T')[0]}.xlsx`);
+    const fileName = `Kapazitaetsplanung_${toISODate(asOfDate)}.xlsx`;
+    XLSX.writeFile(wb, fileName);
+    auditLogDB.recordExport(fileName, { report: 'Kapazitätsplanung', format: 'xlsx', rows: exportData.length });
   };
 
   // Chart data for gap visualization
@@ -270,7 +278,13 @@ const CapacityPlanning = () => {
             FTE-Bedarf vs. Ist-Besetzung nach Abteilungen
           </p>
         </div>
-        <div className="flex items-center gap-2">
+        <div className="flex items-center gap-4">
+          <ReferenceDatePicker
+            value={asOfDate}
+            onChange={setAsOfDate}
+            label="Stichtag"
+            resetLabel="Heute"
+          />
           <button
             onClick={exportToExcel}
             className="flex items-center gap-2 px-4 py-2 bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700 text-p3-midnight dark:text-white rounded-md text-sm font-medium transition-colors"
@@ -539,13 +553,13 @@ const CapacityPlanning = () => {
                             <div>
                               <p className="text-xs text-gray-500 dark:text-gray-400">Gesamtgehalt</p>
                               <p className="text-sm font-medium text-p3-midnight dark:text-white">
-                                €{dept.totalSalary.toLocaleString('de-DE')}
+                                {metrics.salariesHidden ? MASKED_VALUE : `€${dept.totalSalary.toLocaleString('de-DE')}`}
                               </p>
                             </div>
                             <div>
                               <p className="text-xs text-gray-500 dark:text-gray-400">Ø Gehalt</p>
                               <p className="text-sm font-medium text-p3-midnight dark:text-white">
-                                €{dept.avgSalary.toLocaleString('de-DE', { maximumFractionDigits: 0 })}
+                                {metrics.salariesHidden ? MASKED_VALUE : `€${dept.avgSalary.toLocaleString('de-DE', { maximumFractionDigits: 0 })}`}
                               </p>
                             </div>
                             <div>
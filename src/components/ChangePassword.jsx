@@ -0,0 +1,161 @@
+/**
+ * Change Password Component
+ * Shown instead of the app while the signed-in local account has to replace its password,
+ * e.g. the default admin after the first login
+ * P3 Enterprise Design System
+ */
+
+import React, { useState } from 'react';
+import { KeyRound, Lock, AlertCircle, LogOut } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { useApp } from '../contexts/AppContext';
+import { PASSWORD_POLICY, validatePassword } from '../services/authService';
+
+const ChangePassword = () => {
+  const { user, changePassword, logout } = useAuth();
+  const { darkMode } = useApp();
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const problems = newPassword ? validatePassword(newPassword, { username: user?.username }) : [];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (problems.length > 0) {
+      setError(problems.join(', '));
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setError('The new passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await changePassword(currentPassword, newPassword);
+      toast.success('Password changed');
+    } catch (err) {
+      setError(err.message || 'The password could not be changed');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-950 flex items-center justify-center p-4">
+      <div className="w-full max-w-sm">
+        {/* Logo and Title */}
+        <div className="text-center mb-8">
+          <img
+            src={darkMode ? "/P3_electricblue.png" : "/P3_Logo_midnightblue.png"}
+            alt="P3"
+            className="w-14 h-14 object-contain mx-auto mb-4"
+          />
+          <h1 className="text-xl font-semibold text-p3-midnight dark:text-white mb-1">
+            Change your password
+          </h1>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {user?.username} has to choose a new password before continuing
+          </p>
+        </div>
+
+        <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 shadow-enterprise-md p-6">
+          <form onSubmit={handleSubmit} className="space-y-5">
+            {error && (
+              <div className="p-3 bg-warning/5 border border-warning/20 rounded-md flex items-start gap-3">
+                <AlertCircle className="w-4 h-4 text-warning flex-shrink-0 mt-0.5" />
+                <p className="text-sm text-warning">{error}</p>
+              </div>
+            )}
+
+            <div>
+              <label className="label">Current password</label>
+              <div className="relative">
+                <Lock className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                <input
+                  type="password"
+                  value={currentPassword}
+                  onChange={(e) => setCurrentPassword(e.target.value)}
+                  className="input pl-10"
+                  required
+                  autoFocus
+                  autoComplete="current-password"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="label">New password</label>
+              <div className="relative">
+                <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                <input
+                  type="password"
+                  value={newPassword}
+                  onChange={(e) => setNewPassword(e.target.value)}
+                  className="input pl-10"
+                  required
+                  minLength={PASSWORD_POLICY.minLength}
+                  autoComplete="new-password"
+                />
+              </div>
+              <p className={`text-xs mt-1 ${problems.length > 0 ? 'text-warning' : 'text-gray-500 dark:text-gray-400'}`}>
+                {problems.length > 0 ? problems.join(', ') : PASSWORD_POLICY.hint}
+              </p>
+            </div>
+
+            <div>
+              <label className="label">Confirm new password</label>
+              <div className="relative">
+                <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                <input
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  className="input pl-10"
+                  required
+                  autoComplete="new-password"
+                />
+              </div>
+            </div>
+
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn btn-primary w-full justify-center py-2.5"
+            >
+              {saving ? (
+                <>
+                  <div className="spinner" />
+                  Saving...
+                </>
+              ) : (
+                <>
+                  <KeyRound className="w-4 h-4" />
+                  Change Password
+                </>
+              )}
+            </button>
+          </form>
+
+          <div className="mt-6 pt-5 border-t border-gray-200 dark:border-gray-800 text-center">
+            <button
+              type="button"
+              onClick={logout}
+              className="text-sm text-gray-500 dark:text-gray-400 hover:text-p3-electric inline-flex items-center gap-1.5 transition-colors"
+            >
+              <LogOut className="w-4 h-4" />
+              Sign out
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePassword;
@@ -25,6 +25,8 @@ const ChatAgent = () => {
   const loadWorkforceData = async () => {
     setDataLoading(true);
     try {
+      // Limited to the user's departments and without salaries unless the user may see them,
+      // so the agent only knows what the user does
       const stats = await employeeDB.getStats();
       setDataContext(stats);
 
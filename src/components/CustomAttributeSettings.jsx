@@ -0,0 +1,224 @@
+/**
+ * Custom Attribute Settings
+ * Admin definitions of employee attributes beyond the fixed import fields
+ * P3 Enterprise Design System
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Tags, Plus, Edit2, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { customAttributeDB } from '../services/unifiedDB';
+import {
+  ATTRIBUTE_TYPES,
+  getAttributeDefinitionError,
+  toAttributeKey,
+} from '../utils/customAttributes';
+
+const EMPTY_DRAFT = { label: '', type: 'text', allowedValues: '' };
+
+// Allowed values are entered one per line or comma separated
+const parseAllowedValues = (text) => [...new Set(
+  text.split(/[\n,]/).map(value => value.trim()).filter(Boolean)
+)];
+
+const CustomAttributeSettings = () => {
+  const [attributes, setAttributes] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadAttributes = async () => {
+    try {
+      setAttributes((await customAttributeDB.getAll()) || []);
+    } catch (error) {
+      console.error('Failed to load custom attributes:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadAttributes();
+  }, []);
+
+  const startEdit = (attribute) => {
+    setEditingId(attribute.id);
+    setDraft({
+      label: attribute.label,
+      type: attribute.type,
+      allowedValues: (attribute.allowedValues || []).join('\n'),
+    });
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setDraft(null);
+  };
+
+  // The key is fixed once created - stored employee values are filed under it
+  const existing = attributes.find(a => a.id === editingId);
+  const definition = draft && {
+    id: editingId,
+    key: existing ? existing.key : toAttributeKey(draft.label),
+    label: draft.label.trim(),
+    type: draft.type,
+    allowedValues: draft.type === 'select' ? parseAllowedValues(draft.allowedValues) : [],
+  };
+  const error = definition && getAttributeDefinitionError(definition, attributes);
+
+  const handleSave = async () => {
+    if (!definition || error) return;
+    setSaving(true);
+    try {
+      const { id, ...fields } = definition;
+      if (id) {
+        await customAttributeDB.update(id, fields);
+        toast.success(`Attribute "${fields.label}" updated`);
+      } else {
+        await customAttributeDB.add(fields);
+        toast.success(`Attribute "${fields.label}" added`);
+      }
+      cancelEdit();
+      await loadAttributes();
+    } catch (err) {
+      console.error('Failed to save custom attribute:', err);
+      toast.error('Could not save the attribute');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (attribute) => {
+    if (!confirm(`Delete attribute "${attribute.label}"? Values already stored on employees are kept but no longer shown.`)) return;
+    try {
+      await customAttributeDB.delete(attribute.id);
+      await loadAttributes();
+    } catch (err) {
+      console.error('Failed to delete custom attribute:', err);
+      toast.error('Could not delete the attribute');
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 p-5">
+      <div className="flex items-start gap-4">
+        <div className="p-2.5 bg-primary-50 dark:bg-primary-900/20 rounded-lg">
+          <Tags className="w-5 h-5 text-p3-electric" />
+        </div>
+        <div className="flex-1 min-w-0">
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              <h3 className="text-sm font-semibold text-p3-midnight dark:text-white">
+                Custom Employee Attributes
+              </h3>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                Extra fields for the import mapping, the employee filter and analytics grouping
+              </p>
+            </div>
+            {!draft && (
+              <button onClick={() => setDraft(EMPTY_DRAFT)} className="btn btn-secondary btn-sm">
+                <Plus className="w-4 h-4" />
+                Add Attribute
+              </button>
+            )}
+          </div>
+
+          {attributes.length > 0 && (
+            <div className="mt-4 divide-y divide-gray-100 dark:divide-gray-800 border border-gray-200 dark:border-gray-800 rounded-lg">
+              {attributes.map(attribute => (
+                <div key={attribute.id} className="flex items-center gap-3 px-3 py-2">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-p3-midnight dark:text-white truncate">
+                      {attribute.label}
+                      <span className="ml-2 text-xs font-mono text-gray-400">{attribute.key}</span>
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                      {ATTRIBUTE_TYPES.find(t => t.key === attribute.type)?.label || attribute.type}
+                      {attribute.type === 'select' && `: ${(attribute.allowedValues || []).join(', ')}`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => startEdit(attribute)}
+                    className="text-gray-400 hover:text-p3-electric transition-colors"
+                    title="Edit attribute"
+                  >
+                    <Edit2 className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(attribute)}
+                    className="text-gray-400 hover:text-red-600 dark:hover:text-red-400 transition-colors"
+                    title="Delete attribute"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {attributes.length === 0 && !draft && (
+            <p className="mt-4 text-xs text-gray-400">No custom attributes defined.</p>
+          )}
+
+          {draft && (
+            <div className="mt-4 p-4 bg-gray-50 dark:bg-gray-800/50 rounded-lg border border-gray-200 dark:border-gray-700 space-y-3">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <div>
+                  <label className="label">Name</label>
+                  <input
+                    autoFocus
+                    className="input"
+                    value={draft.label}
+                    onChange={(e) => setDraft(prev => ({ ...prev, label: e.target.value }))}
+                    placeholder="e.g. Works Council Region"
+                  />
+                  {definition.key && (
+                    <p className="text-xs text-gray-400 mt-1 font-mono">{definition.key}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="label">Type</label>
+                  <select
+                    className="select"
+                    value={draft.type}
+                    onChange={(e) => setDraft(prev => ({ ...prev, type: e.target.value }))}
+                  >
+                    {ATTRIBUTE_TYPES.map(type => (
+                      <option key={type.key} value={type.key}>{type.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {draft.type === 'select' && (
+                <div>
+                  <label className="label">
+                    Allowed values <span className="label-optional">(one per line or comma separated)</span>
+                  </label>
+                  <textarea
+                    className="input min-h-[80px]"
+                    value={draft.allowedValues}
+                    onChange={(e) => setDraft(prev => ({ ...prev, allowedValues: e.target.value }))}
+                  />
+                </div>
+              )}
+
+              {error && draft.label.trim() && (
+                <p className="text-xs text-red-600 dark:text-red-400">{error}</p>
+              )}
+
+              <div className="flex justify-end gap-2">
+                <button onClick={cancelEdit} disabled={saving} className="btn btn-secondary btn-sm">
+                  Cancel
+                </button>
+                <button onClick={handleSave} disabled={saving || !!error} className="btn btn-primary btn-sm">
+                  {editingId ? 'Save' : 'Add'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CustomAttributeSettings;
@@ -26,7 +26,10 @@ import {
   Target
 } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
+import { useAuth } from '../contexts/AuthContext';
 import { DepartmentPieChart, StatusBarChart } from './charts/DepartmentChart';
+import ReferenceDatePicker from './ReferenceDatePicker';
+import { MASKED_VALUE } from '../utils/permissions';
 
 // Enterprise KPI Card Component
 const KPICard = ({
@@ -258,16 +261,19 @@ const GoalProgress = ({ title, current, target, unit = '', variant = 'default' }
 
 const Dashboard = () => {
   const { getDashboardMetrics } = useApp();
-  const { setShowImportWizard } = useOutletContext();
+  const { openImportWizard } = useOutletContext();
+  const { can } = useAuth();
+  const canImport = can('imports.run');
   const navigate = useNavigate();
   const [metrics, setMetrics] = useState(null);
   const [loading, setLoading] = useState(true);
   const [dismissedAlerts, setDismissedAlerts] = useState(new Set());
+  const [asOfDate, setAsOfDate] = useState(() => new Date());
 
   useEffect(() => {
     const fetchMetrics = async () => {
       try {
-        const data = await getDashboardMetrics();
+        const data = await getDashboardMetrics(asOfDate);
         setMetrics(data);
       } catch (error) {
         console.error('Failed to load dashboard metrics:', error);
@@ -277,7 +283,7 @@ const Dashboard = () => {
     };
 
     fetchMetrics();
-  }, [getDashboardMetrics]);
+  }, [getDashboardMetrics, asOfDate]);
 
   // Generate alerts based on metrics
   const alerts = useMemo(() => {
@@ -309,8 +315,7 @@ const Dashboard = () => {
           type: 'info',
           title: 'Daten aktualisieren',
           message: `Der letzte Import ist ${daysSinceImport} Tage her. Aktualisierte Daten verbessern die Prognosequalität.`,
-          action: () => setShowImportWizard(true),
-          actionLabel: 'Daten importieren'
+          ...(canImport && { action: openImportWizard, actionLabel: 'Daten importieren' }),
         });
       }
     }
@@ -335,7 +340,7 @@ const Dashboard = () => {
     }
 
     return alertList.filter(a => !dismissedAlerts.has(a.id));
-  }, [metrics, dismissedAlerts, navigate, setShowImportWizard]);
+  }, [metrics, dismissedAlerts, navigate, canImport, openImportWizard]);
 
   const dismissAlert = (id) => {
     setDismissedAlerts(prev => new Set([...prev, id]));
@@ -363,13 +368,15 @@ const Dashboard = () => {
           Import your HR data to get started with workforce cost analysis.
           The system handles 110,000+ records efficiently.
         </p>
-        <button
-          onClick={() => setShowImportWizard(true)}
-          className="inline-flex items-center gap-2 px-5 py-2.5 bg-p3-electric hover:bg-primary-600 text-white rounded-md font-medium text-sm transition-colors"
-        >
-          <Upload className="w-4 h-4" />
-          Import HR Data
-        </button>
+        {canImport && (
+          <button
+            onClick={openImportWizard}
+            className="inline-flex items-center gap-2 px-5 py-2.5 bg-p3-electric hover:bg-primary-600 text-white rounded-md font-medium text-sm transition-colors"
+          >
+            <Upload className="w-4 h-4" />
+            Import HR Data
+          </button>
+        )}
       </div>
     );
   }
@@ -434,6 +441,11 @@ const Dashboard = () => {
         </div>
       )}
 
+      {/* Reference Date */}
+      <div className="flex justify-end">
+        <ReferenceDatePicker value={asOfDate} onChange={setAsOfDate} />
+      </div>
+
       {/* KPI Cards Grid */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
         <KPICard
@@ -446,14 +458,14 @@ const Dashboard = () => {
         />
         <KPICard
           title="Total Workforce Cost"
-          value={metrics.totalSalary > 0 ? formatCurrency(metrics.totalSalary) : '—'}
-          subtitle="Annual cost basis"
+          value={metrics.salariesHidden ? MASKED_VALUE : metrics.totalSalary > 0 ? formatCurrency(metrics.totalSalary) : '—'}
+          subtitle={metrics.salariesHidden ? 'Requires salary access' : 'Annual cost basis'}
           icon={DollarSign}
           onClick={() => navigate('/budget')}
         />
         <KPICard
           title="Cost Reduction"
-          value={metrics.potentialReduction > 0 ? formatCurrency(metrics.potentialReduction) : '—'}
+          value={metrics.salariesHidden ? MASKED_VALUE : metrics.potentialReduction > 0 ? formatCurrency(metrics.potentialReduction) : '—'}
           subtitle={metrics.employeesWithReduction > 0 ? `${metrics.employeesWithReduction} employees affected` : 'No active reductions'}
           icon={TrendingDown}
           trend={metrics.reductionImpact > 0 ? -metrics.reductionImpact : undefined}
@@ -528,12 +540,14 @@ const Dashboard = () => {
               Quick Actions
             </h3>
             <div className="space-y-3">
-              <QuickAction
-                icon={Upload}
-                title="Import Data"
-                description="Upload HR data file"
-                onClick={() => setShowImportWizard(true)}
-              />
+              {canImport && (
+                <QuickAction
+                  icon={Upload}
+                  title="Import Data"
+                  description="Upload HR data file"
+                  onClick={openImportWizard}
+                />
+              )}
               <QuickAction
                 icon={Calculator}
                 title="Simulation"
@@ -1,7 +1,8 @@
 /**
  * Data Comparison Component
  * Compare workforce metrics between different import snapshots
- * GDPR-compliant: Uses only aggregated snapshot data
+ * Overview uses aggregated snapshot data, the Movements tab lists
+ * per-employee changes recorded at import time
  */
 
 import React, { useState, useEffect, useMemo } from 'react';
@@ -9,15 +10,47 @@ import { useNavigate } from 'react-router-dom';
 import {
   GitCompare, Calendar, TrendingUp, TrendingDown, Minus,
   Users, DollarSign, Building2, MapPin, ChevronDown, ChevronUp,
-  Download, RefreshCw, AlertCircle, ArrowRight, Info
+  Download, RefreshCw, AlertCircle, ArrowRight, Info, BarChart3, ArrowLeftRight
 } from 'lucide-react';
-import { importHistoryDB } from '../services/db';
+import { importHistoryDB, changeLogDB } from '../services/db';
+import { scopeImportHistory, inAccessScope, auditLogDB } from '../services/unifiedDB';
+import { useAuth } from '../contexts/AuthContext';
+import { MASKED_VALUE } from '../utils/permissions';
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
   ResponsiveContainer, Cell
 } from 'recharts';
 import * as XLSX from 'xlsx';
 
+// Labels for per-employee change types
+const CHANGE_TYPE_LABELS = {
+  joiner: 'Eintritt',
+  leaver: 'Austritt',
+  transfer: 'Versetzung',
+  fte: 'FTE-Änderung',
+  salary: 'Gehaltsänderung',
+  costCenter: 'Kostenstellenwechsel',
+};
+
+const CHANGE_TYPE_STYLES = {
+  joiner: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400',
+  leaver: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400',
+  transfer: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400',
+  fte: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400',
+  salary: 'bg-purple-100 text-purple-700 dark:bg-purple-900/30 dark:text-purple-400',
+  costCenter: 'bg-gray-100 text-gray-700 dark:bg-gray-800 dark:text-gray-300',
+};
+
+// Max rows rendered in the movements table
+const MOVEMENTS_PAGE_SIZE = 500;
+
+const formatChangeValue = (change, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (change.changeType === 'salary') return `€${Number(value).toLocaleString('de-DE')}`;
+  if (change.changeType === 'fte') return `${value}%`;
+  return value;
+};
+
 // Change indicator component
 const ChangeIndicator = ({ current, previous, format = 'number', inverted = false }) => {
   if (previous === undefined || previous === null) {
@@ -103,7 +136,7 @@ const ComparisonCard = ({ title, icon: Icon, currentValue, previousValue, format
 };
 
 // Department comparison row
-const DepartmentComparisonRow = ({ name, current, previous, isExpanded, onToggle }) => {
+const DepartmentComparisonRow = ({ name, current, previous, isExpanded, onToggle, salariesHidden }) => {
   const diff = (current?.count || 0) - (previous?.count || 0);
   const salaryDiff = (current?.totalSalary || 0) - (previous?.totalSalary || 0);
 
@@ -160,7 +193,7 @@ const DepartmentComparisonRow = ({ name, current, previous, isExpanded, onToggle
                 <span className={`ml-2 font-medium ${
                   salaryDiff > 0 ? 'text-red-600' : salaryDiff < 0 ? 'text-green-600' : 'text-gray-400'
                 }`}>
-                  {salaryDiff !== 0 ? (
+                  {salariesHidden ? MASKED_VALUE : salaryDiff !== 0 ? (
                     `${salaryDiff > 0 ? '+' : ''}€${(salaryDiff / 1000).toFixed(0)}K`
                   ) : '—'}
                 </span>
@@ -175,18 +208,24 @@ const DepartmentComparisonRow = ({ name, current, previous, isExpanded, onToggle
 
 const DataComparison = () => {
   const navigate = useNavigate();
+  const { can } = useAuth();
+  const showSalaries = can('salaries.view');
   const [imports, setImports] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedCurrent, setSelectedCurrent] = useState(null);
   const [selectedPrevious, setSelectedPrevious] = useState(null);
   const [expandedDepts, setExpandedDepts] = useState(new Set());
+  const [activeTab, setActiveTab] = useState('overview');
+  const [movements, setMovements] = useState([]);
+  const [movementsLoading, setMovementsLoading] = useState(false);
+  const [movementTypeFilter, setMovementTypeFilter] = useState('all');
 
   // Load import history
   useEffect(() => {
     const loadImports = async () => {
       try {
         setLoading(true);
-        const history = await importHistoryDB.getRecent(20);
+        const history = (await importHistoryDB.getRecent(20)).map(scopeImportHistory);
         setImports(history);
 
         // Auto-select most recent and second most recent with snapshots
@@ -207,6 +246,73 @@ const DataComparison = () => {
     loadImports();
   }, []);
 
+  // Load per-employee movements recorded with the selected import
+  useEffect(() => {
+    if (!selectedCurrent?.id) {
+      setMovements([]);
+      return;
+    }
+
+    let cancelled = false;
+    const loadMovements = async () => {
+      try {
+        setMovementsLoading(true);
+        const changes = await changeLogDB.getByImport(selectedCurrent.id);
+        // Transfers show up in the department left as well as in the one joined;
+        // salary changes only for users with access to salaries
+        const inScope = changes.filter(change =>
+          (inAccessScope(change.department) || (change.changeType === 'transfer' && inAccessScope(change.oldValue)))
+          && (showSalaries || change.changeType !== 'salary')
+        );
+        if (!cancelled) setMovements(inScope);
+      } catch (error) {
+        console.error('Error loading movements:', error);
+        if (!cancelled) setMovements([]);
+      } finally {
+        if (!cancelled) setMovementsLoading(false);
+      }
+    };
+
+    loadMovements();
+    return () => { cancelled = true; };
+  }, [selectedCurrent, showSalaries]);
+
+  const movementCounts = useMemo(() => {
+    return movements.reduce((acc, change) => {
+      acc[change.changeType] = (acc[change.changeType] || 0) + 1;
+      return acc;
+    }, {});
+  }, [movements]);
+
+  const filteredMovements = useMemo(() => {
+    if (movementTypeFilter === 'all') return movements;
+    return movements.filter(change => change.changeType === movementTypeFilter);
+  }, [movements, movementTypeFilter]);
+
+  // Export movements to Excel
+  const exportMovementsToExcel = () => {
+    if (filteredMovements.length === 0) return;
+
+    const rows = filteredMovements.map(change => ({
+      Personalnummer: change.employeeId,
+      Name: change.name,
+      Abteilung: change.department,
+      Art: CHANGE_TYPE_LABELS[change.changeType] || change.changeType,
+      Feld: change.field || '',
+      Vorher: change.oldValue ?? '',
+      Nachher: change.newValue ?? '',
+    }));
+
+    const wb = XLSX.utils.book_new();
+    const ws = XLSX.utils.json_to_sheet(rows);
+    ws['!cols'] = [{ wch: 15 }, { wch: 25 }, { wch: 25 }, { wch: 20 }, { wch: 12 }, { wch: 20 }, { wch: 20 }];
+    XLSX.utils.book_append_sheet(wb, ws, 'Bewegungen');
+
+    const fileName = `Bewegungen_${new Date().toISOString().split('T')[0]}.xlsx`;
+    XLSX.writeFile(wb, fileName);
+    auditLogDB.recordExport(fileName, { report: 'Bewegungen', format: 'xlsx', rows: rows.length });
+  };
+
   // Calculate comparison data
   const comparison = useMemo(() => {
     if (!selectedCurrent?.snapshot) return null;
@@ -257,8 +363,8 @@ const DataComparison = () => {
     const summaryData = [
       { Metrik: 'Mitarbeiter', Vorher: comparison.previous.totalEmployees || '—', Aktuell: comparison.current.totalEmployees, Differenz: (comparison.current.totalEmployees || 0) - (comparison.previous.totalEmployees || 0) },
       { Metrik: 'Gesamt-FTE', Vorher: comparison.previous.totalFTE || '—', Aktuell: comparison.current.totalFTE, Differenz: ((comparison.current.totalFTE || 0) - (comparison.previous.totalFTE || 0)).toFixed(1) },
-      { Metrik: 'Gesamtgehalt', Vorher: comparison.previous.totalSalary ? `€${comparison.previous.totalSalary.toLocaleString()}` : '—', Aktuell: `€${comparison.current.totalSalary?.toLocaleString() || 0}`, Differenz: `€${((comparison.current.totalSalary || 0) - (comparison.previous.totalSalary || 0)).toLocaleString()}` }
-    ];
+      showSalaries && { Metrik: 'Gesamtgehalt', Vorher: comparison.previous.totalSalary ? `€${comparison.previous.totalSalary.toLocaleString()}` : '—', Aktuell: `€${comparison.current.totalSalary?.toLocaleString() || 0}`, Differenz: `€${((comparison.current.totalSalary || 0) - (comparison.previous.totalSalary || 0)).toLocaleString()}` }
+    ].filter(Boolean);
 
     const deptData = comparison.departmentComparison.map(dept => ({
       Abteilung: dept.name,
@@ -279,7 +385,9 @@ const DataComparison = () => {
     wsDept['!cols'] = [{ wch: 25 }, { wch: 12 }, { wch: 12 }, { wch: 12 }, { wch: 12 }, { wch: 12 }];
     XLSX.utils.book_append_sheet(wb, wsDept, 'Abteilungen');
 
-    XLSX.writeFile(wb, `Datenvergleich_${new Date().toISOString().split('T')[0]}.xlsx`);
+    const fileName = `Datenvergleich_${new Date().toISOString().split('T')[0]}.xlsx`;
+    XLSX.writeFile(wb, fileName);
+    auditLogDB.recordExport(fileName, { report: 'Datenvergleich', format: 'xlsx', rows: deptData.length });
   };
 
   const formatDate = (timestamp) => {
@@ -350,8 +458,8 @@ const DataComparison = () => {
         </div>
         <div className="flex items-center gap-2">
           <button
-            onClick={exportToExcel}
-            disabled={!comparison}
+            onClick={activeTab === 'movements' ? exportMovementsToExcel : exportToExcel}
+            disabled={activeTab === 'movements' ? filteredMovements.length === 0 : !comparison}
             className="flex items-center gap-2 px-4 py-2 bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700 text-p3-midnight dark:text-white rounded-md text-sm font-medium transition-colors disabled:opacity-50"
           >
             <Download className="w-4 h-4" />
@@ -405,7 +513,109 @@ const DataComparison = () => {
         </div>
       </div>
 
-      {comparison && (
+      {/* Tabs */}
+      <div className="border-b border-gray-200 dark:border-gray-800">
+        <nav className="flex gap-4">
+          {[
+            { id: 'overview', label: 'Übersicht', icon: BarChart3 },
+            { id: 'movements', label: 'Bewegungen', icon: ArrowLeftRight }
+          ].map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`
+                flex items-center gap-2 px-4 py-3 text-sm font-medium border-b-2 transition-colors
+                ${activeTab === tab.id
+                  ? 'border-p3-electric text-p3-electric'
+                  : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-p3-midnight dark:hover:text-white'
+                }
+              `}
+            >
+              <tab.icon className="w-4 h-4" />
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'movements' && (
+        <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 overflow-hidden">
+          <div className="px-5 py-4 border-b border-gray-200 dark:border-gray-800 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <div>
+              <h3 className="text-sm font-semibold text-p3-midnight dark:text-white">
+                Personalbewegungen
+              </h3>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                Änderungen des aktuellen Stands gegenüber dem jeweils vorherigen Import
+              </p>
+            </div>
+            <select
+              value={movementTypeFilter}
+              onChange={(e) => setMovementTypeFilter(e.target.value)}
+              className="px-3 py-2 text-sm border border-gray-200 dark:border-gray-700 rounded-md bg-white dark:bg-gray-800 text-p3-midnight dark:text-white"
+            >
+              <option value="all">Alle Arten ({movements.length})</option>
+              {Object.entries(CHANGE_TYPE_LABELS).filter(([type]) => showSalaries || type !== 'salary').map(([type, label]) => (
+                <option key={type} value={type}>
+                  {label} ({movementCounts[type] || 0})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {movementsLoading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="w-6 h-6 border-4 border-p3-electric border-t-transparent rounded-full animate-spin" />
+            </div>
+          ) : filteredMovements.length === 0 ? (
+            <div className="p-8 text-center text-sm text-gray-500 dark:text-gray-400">
+              Für diesen Import wurden keine Bewegungen erfasst.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b border-gray-200 dark:border-gray-800">
+                    <th className="text-left py-3 px-4 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">Personalnummer</th>
+                    <th className="text-left py-3 px-4 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">Name</th>
+                    <th className="text-left py-3 px-4 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">Abteilung</th>
+                    <th className="text-left py-3 px-4 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">Art</th>
+                    <th className="text-right py-3 px-4 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">Vorher</th>
+                    <th className="text-right py-3 px-4 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">Nachher</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+                  {filteredMovements.slice(0, MOVEMENTS_PAGE_SIZE).map(change => (
+                    <tr key={change.id} className="hover:bg-gray-50 dark:hover:bg-gray-800/50">
+                      <td className="py-2 px-4 text-sm text-p3-midnight dark:text-white">{change.employeeId}</td>
+                      <td className="py-2 px-4 text-sm text-p3-midnight dark:text-white">{change.name || '—'}</td>
+                      <td className="py-2 px-4 text-sm text-gray-500 dark:text-gray-400">{change.department || '—'}</td>
+                      <td className="py-2 px-4">
+                        <span className={`px-2 py-0.5 rounded text-xs font-medium ${CHANGE_TYPE_STYLES[change.changeType] || ''}`}>
+                          {CHANGE_TYPE_LABELS[change.changeType] || change.changeType}
+                        </span>
+                      </td>
+                      <td className="py-2 px-4 text-right text-sm text-gray-500 dark:text-gray-400">
+                        {formatChangeValue(change, change.oldValue)}
+                      </td>
+                      <td className="py-2 px-4 text-right text-sm text-p3-midnight dark:text-white">
+                        {formatChangeValue(change, change.newValue)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {filteredMovements.length > MOVEMENTS_PAGE_SIZE && (
+                <p className="px-4 py-3 text-xs text-gray-500 dark:text-gray-400 border-t border-gray-200 dark:border-gray-800">
+                  {MOVEMENTS_PAGE_SIZE} von {filteredMovements.length.toLocaleString('de-DE')} Bewegungen angezeigt. Der Export enthält alle Einträge.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {activeTab === 'overview' && comparison && (
         <>
           {/* Info Banner */}
           {!comparison.hasPrevious && (
@@ -435,14 +645,16 @@ const DataComparison = () => {
               currentValue={comparison.current.totalFTE || 0}
               previousValue={comparison.previous.totalFTE}
             />
-            <ComparisonCard
-              title="Personalkosten"
-              icon={DollarSign}
-              currentValue={comparison.current.totalSalary || 0}
-              previousValue={comparison.previous.totalSalary}
-              format="currency"
-              inverted={true}
-            />
+            {showSalaries && (
+              <ComparisonCard
+                title="Personalkosten"
+                icon={DollarSign}
+                currentValue={comparison.current.totalSalary || 0}
+                previousValue={comparison.previous.totalSalary}
+                format="currency"
+                inverted={true}
+              />
+            )}
             <ComparisonCard
               title="In Reduktion"
               icon={TrendingDown}
@@ -512,6 +724,7 @@ const DataComparison = () => {
                       previous={dept.previous}
                       isExpanded={expandedDepts.has(dept.name)}
                       onToggle={() => toggleDept(dept.name)}
+                      salariesHidden={!showSalaries}
                     />
                   ))}
                 </tbody>
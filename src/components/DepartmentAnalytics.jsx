@@ -17,7 +17,8 @@ import {
   ArrowUpRight,
   ArrowDownRight,
   Filter,
-  Download
+  Download,
+  FileText
 } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
 import { employeeDB } from '../services/unifiedDB';
@@ -25,7 +26,49 @@ import toast from 'react-hot-toast';
 import * as XLSX from 'xlsx';
 import { DepartmentBarChart, DepartmentPieChart, StatusBarChart } from './charts/DepartmentChart';
 import { HeadcountTrendChart, CostTrendChart } from './charts/TrendChart';
-import { importHistoryDB } from '../services/unifiedDB';
+import { importHistoryDB, customAttributeDB, auditLogDB } from '../services/unifiedDB';
+import { toCustomFieldKey } from '../utils/customAttributes';
+import ExportTemplatesModal from './ExportTemplates';
+import { MASKED_VALUE } from '../utils/permissions';
+
+// Singular and plural labels of the fixed grouping tabs; custom attributes use their own label
+const DIMENSION_LABELS = {
+  departments: { singular: 'Department', plural: 'Departments' },
+  costcenters: { singular: 'Cost Center', plural: 'Cost Centers' },
+  locations: { singular: 'Location', plural: 'Locations' },
+};
+
+// Rows of one grouping from { value: { count, totalFTE, totalSalary, reductionCount } }
+const toGroupList = (details, minHeadcount, sortBy) => Object.entries(details || {})
+  .map(([name, data]) => ({
+    name,
+    count: data.count || 0,
+    totalFTE: data.totalFTE || 0,
+    totalSalary: data.totalSalary || 0,
+    reductionCount: data.reductionCount || 0,
+  }))
+  .filter(d => d.count >= minHeadcount)
+  .sort((a, b) => {
+    switch (sortBy) {
+      case 'name': return a.name.localeCompare(b.name);
+      case 'cost': return b.totalSalary - a.totalSalary;
+      case 'reduction': return b.reductionCount - a.reductionCount;
+      default: return b.count - a.count;
+    }
+  });
+
+// Row shape of the export templates; without access to salaries the cost fields are left out
+const toExportRows = (list, salariesHidden) => list.map(d => ({
+  department: d.name,
+  headcount: d.count,
+  fte: Number(d.totalFTE.toFixed(1)),
+  ...(!salariesHidden && {
+    avgSalary: d.count > 0 ? Math.round(d.totalSalary / d.count) : 0,
+    totalSalary: d.totalSalary,
+  }),
+  reductionCount: d.reductionCount,
+  reductionPercent: d.count > 0 ? Number(((d.reductionCount / d.count) * 100).toFixed(1)) : 0,
+}));
 
 // Summary Card Component
 const SummaryCard = ({ title, value, subtitle, icon: Icon, trend, variant = 'default' }) => {
@@ -60,12 +103,13 @@ const SummaryCard = ({ title, value, subtitle, icon: Icon, trend, variant = 'def
 };
 
 // Department Row Component
-const DepartmentRow = ({ dept, isExpanded, onToggle, totalEmployees }) => {
+const DepartmentRow = ({ dept, isExpanded, onToggle, totalEmployees, salariesHidden }) => {
   const percentage = totalEmployees > 0 ? ((dept.count / totalEmployees) * 100).toFixed(1) : 0;
   const avgFTE = dept.count > 0 ? (dept.totalFTE / dept.count).toFixed(1) : 0;
   const reductionPercent = dept.count > 0 ? ((dept.reductionCount / dept.count) * 100).toFixed(0) : 0;
 
   const formatCurrency = (value) => {
+    if (salariesHidden) return MASKED_VALUE;
     if (!value || value === 0) return '—';
     if (value >= 1000000) return `€${(value / 1000000).toFixed(1)}M`;
     if (value >= 1000) return `€${(value / 1000).toFixed(0)}K`;
@@ -168,18 +212,22 @@ const DepartmentAnalytics = () => {
   const [expandedDepts, setExpandedDepts] = useState(new Set());
   const [sortBy, setSortBy] = useState('headcount'); // headcount, cost, name, reduction
   const [filterMinHeadcount, setFilterMinHeadcount] = useState(0);
-  const [activeTab, setActiveTab] = useState('departments'); // departments, costcenters, locations, trends
+  const [activeTab, setActiveTab] = useState('departments'); // departments, costcenters, locations, custom.<key>, trends
   const [importHistory, setImportHistory] = useState([]);
+  const [customAttributes, setCustomAttributes] = useState([]);
+  const [showExportTemplates, setShowExportTemplates] = useState(false);
 
   useEffect(() => {
     const loadData = async () => {
       try {
         setLoading(true);
-        const [data, history] = await Promise.all([
+        const [data, history, attributes] = await Promise.all([
           getDashboardMetrics(),
-          importHistoryDB.getAll().catch(() => [])
+          importHistoryDB.getAll().catch(() => []),
+          customAttributeDB.getAll().catch(() => [])
         ]);
         setMetrics(data);
+        setCustomAttributes(attributes || []);
         // Sort history by timestamp descending
         const sortedHistory = (history || []).sort((a, b) => {
           const dateA = new Date(a.timestamp || a.created_at);
@@ -201,26 +249,22 @@ const DepartmentAnalytics = () => {
   // Process department data
   const departmentList = useMemo(() => {
     if (!metrics?.departmentDetails) return [];
-
-    return Object.entries(metrics.departmentDetails)
-      .map(([name, data]) => ({
-        name,
-        count: data.count || 0,
-        totalFTE: data.totalFTE || 0,
-        totalSalary: data.totalSalary || 0,
-        reductionCount: data.reductionCount || 0,
-      }))
-      .filter(d => d.count >= filterMinHeadcount)
-      .sort((a, b) => {
-        switch (sortBy) {
-          case 'name': return a.name.localeCompare(b.name);
-          case 'cost': return b.totalSalary - a.totalSalary;
-          case 'reduction': return b.reductionCount - a.reductionCount;
-          default: return b.count - a.count;
-        }
-      });
+    return toGroupList(metrics.departmentDetails, filterMinHeadcount, sortBy);
   }, [metrics, sortBy, filterMinHeadcount]);
 
+  // Custom attribute groupings, keyed by their tab id
+  const customAttributeLists = useMemo(() => {
+    const lists = {};
+    customAttributes.forEach(attribute => {
+      lists[toCustomFieldKey(attribute.key)] = toGroupList(
+        metrics?.customAttributeDetails?.[attribute.key],
+        filterMinHeadcount,
+        sortBy
+      );
+    });
+    return lists;
+  }, [metrics, customAttributes, sortBy, filterMinHeadcount]);
+
   // Process cost center data
   const costCenterList = useMemo(() => {
     if (!metrics?.costCenterCounts) return [];
@@ -268,9 +312,28 @@ const DepartmentAnalytics = () => {
     switch (activeTab) {
       case 'costcenters': return costCenterList;
       case 'locations': return locationList;
-      default: return departmentList;
+      default: return customAttributeLists[activeTab] || departmentList;
     }
-  }, [activeTab, departmentList, costCenterList, locationList]);
+  }, [activeTab, departmentList, costCenterList, locationList, customAttributeLists]);
+
+  const activeAttribute = customAttributes.find(a => toCustomFieldKey(a.key) === activeTab);
+  const dimension = activeAttribute
+    ? { singular: activeAttribute.label, plural: activeAttribute.label }
+    : DIMENSION_LABELS[activeTab] || DIMENSION_LABELS.departments;
+
+  // Export template data per grouping; departments come first
+  const exportGroupings = [
+    { id: 'department', label: 'Abteilung' },
+    ...customAttributes.map(attribute => ({ id: toCustomFieldKey(attribute.key), label: attribute.label })),
+  ];
+  const salariesHidden = !!metrics?.salariesHidden;
+  const exportData = useMemo(() => {
+    const data = { department: toExportRows(departmentList, salariesHidden) };
+    Object.entries(customAttributeLists).forEach(([id, list]) => {
+      data[id] = toExportRows(list, salariesHidden);
+    });
+    return data;
+  }, [departmentList, customAttributeLists, salariesHidden]);
 
   // Process trend data from import history
   const trendData = useMemo(() => {
@@ -310,8 +373,10 @@ const DepartmentAnalytics = () => {
       'Headcount': d.count,
       'Total FTE': d.totalFTE.toFixed(1),
       'Average FTE': d.count > 0 ? (d.totalFTE / d.count).toFixed(1) : 0,
-      'Total Cost': d.totalSalary,
-      'Average Cost': d.count > 0 ? Math.round(d.totalSalary / d.count) : 0,
+      ...(!salariesHidden && {
+        'Total Cost': d.totalSalary,
+        'Average Cost': d.count > 0 ? Math.round(d.totalSalary / d.count) : 0,
+      }),
       'In Reduction': d.reductionCount,
       'Reduction %': d.count > 0 ? ((d.reductionCount / d.count) * 100).toFixed(1) : 0,
     }));
@@ -319,7 +384,9 @@ const DepartmentAnalytics = () => {
     const ws = XLSX.utils.json_to_sheet(data);
     const wb = XLSX.utils.book_new();
     XLSX.utils.book_append_sheet(wb, ws, 'Department Analysis');
-    XLSX.writeFile(wb, `department-analysis-${new Date().toISOString().split('T')[0]}.xlsx`);
+    const fileName = `department-analysis-${new Date().toISOString().split('T')[0]}.xlsx`;
+    XLSX.writeFile(wb, fileName);
+    auditLogDB.recordExport(fileName, { report: 'Department analysis', format: 'xlsx', rows: data.length });
     toast.success('Export completed');
   };
 
@@ -350,6 +417,11 @@ const DepartmentAnalytics = () => {
     { id: 'departments', label: 'Departments', count: Object.keys(metrics?.departmentDetails || {}).length },
     { id: 'costcenters', label: 'Cost Centers', count: Object.keys(metrics?.costCenterCounts || {}).length },
     { id: 'locations', label: 'Locations', count: Object.keys(metrics?.locationCounts || {}).length },
+    ...customAttributes.map(attribute => ({
+      id: toCustomFieldKey(attribute.key),
+      label: attribute.label,
+      count: Object.keys(metrics?.customAttributeDetails?.[attribute.key] || {}).length,
+    })),
     { id: 'trends', label: 'Trends', count: importHistory.length },
   ];
 
@@ -363,17 +435,33 @@ const DepartmentAnalytics = () => {
             Aggregated workforce analysis - GDPR compliant (no personal data)
           </p>
         </div>
-        <button
-          onClick={exportToExcel}
-          className="inline-flex items-center gap-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg text-sm font-medium text-p3-midnight dark:text-white hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
-        >
-          <Download className="w-4 h-4" />
-          Export Excel
-        </button>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setShowExportTemplates(true)}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg text-sm font-medium text-p3-midnight dark:text-white hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+          >
+            <FileText className="w-4 h-4" />
+            Export Templates
+          </button>
+          <button
+            onClick={exportToExcel}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg text-sm font-medium text-p3-midnight dark:text-white hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+          >
+            <Download className="w-4 h-4" />
+            Export Excel
+          </button>
+        </div>
       </div>
 
+      <ExportTemplatesModal
+        isOpen={showExportTemplates}
+        onClose={() => setShowExportTemplates(false)}
+        data={exportData}
+        groupings={exportGroupings}
+      />
+
       {/* Tabs */}
-      <div className="flex gap-1 p-1 bg-gray-100 dark:bg-gray-800 rounded-lg w-fit">
+      <div className="flex flex-wrap gap-1 p-1 bg-gray-100 dark:bg-gray-800 rounded-lg w-fit">
         {tabs.map(tab => (
           <button
             key={tab.id}
@@ -414,7 +502,7 @@ const DepartmentAnalytics = () => {
         />
         <SummaryCard
           title="Total Workforce Cost"
-          value={totalCost > 0 ? (totalCost >= 1000000 ? `€${(totalCost/1000000).toFixed(1)}M` : `€${(totalCost/1000).toFixed(0)}K`) : '—'}
+          value={salariesHidden ? MASKED_VALUE : totalCost > 0 ? (totalCost >= 1000000 ? `€${(totalCost/1000000).toFixed(1)}M` : `€${(totalCost/1000).toFixed(0)}K`) : '—'}
           icon={BarChart3}
         />
         <SummaryCard
@@ -492,7 +580,7 @@ const DepartmentAnalytics = () => {
                             {records.toLocaleString()}
                           </td>
                           <td className="py-2 px-3 text-right text-p3-midnight dark:text-white">
-                            {cost > 0 ? (cost >= 1000000 ? `€${(cost/1000000).toFixed(1)}M` : `€${(cost/1000).toFixed(0)}K`) : '—'}
+                            {salariesHidden ? MASKED_VALUE : cost > 0 ? (cost >= 1000000 ? `€${(cost/1000000).toFixed(1)}M` : `€${(cost/1000).toFixed(0)}K`) : '—'}
                           </td>
                           <td className="py-2 px-3 text-right text-gray-600 dark:text-gray-400">
                             {depts}
@@ -518,7 +606,7 @@ const DepartmentAnalytics = () => {
           {/* Bar Chart */}
           <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 p-5">
             <h3 className="text-sm font-semibold text-p3-midnight dark:text-white mb-4">
-              Headcount by {activeTab === 'departments' ? 'Department' : activeTab === 'costcenters' ? 'Cost Center' : 'Location'} (Top 10)
+              Headcount by {dimension.singular} (Top 10)
             </h3>
             <DepartmentBarChart data={activeList} height={280} />
           </div>
@@ -526,7 +614,7 @@ const DepartmentAnalytics = () => {
           {/* Pie Chart */}
           <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 p-5">
             <h3 className="text-sm font-semibold text-p3-midnight dark:text-white mb-4">
-              {activeTab === 'departments' ? 'Department' : activeTab === 'costcenters' ? 'Cost Center' : 'Location'} Distribution
+              {dimension.singular} Distribution
             </h3>
             <DepartmentPieChart data={activeList} height={280} />
           </div>
@@ -576,7 +664,7 @@ const DepartmentAnalytics = () => {
               className="px-3 py-1.5 text-sm border border-gray-200 dark:border-gray-700 rounded-md bg-white dark:bg-gray-800 text-p3-midnight dark:text-white"
             >
               <option value="headcount">Headcount</option>
-              <option value="cost">Total Cost</option>
+              {!salariesHidden && <option value="cost">Total Cost</option>}
               <option value="reduction">Reduction Count</option>
               <option value="name">Name</option>
             </select>
@@ -600,7 +688,7 @@ const DepartmentAnalytics = () => {
           <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-800">
             <div className="flex items-center justify-between">
               <h3 className="text-sm font-semibold text-p3-midnight dark:text-white">
-                {activeTab === 'departments' ? 'Departments' : activeTab === 'costcenters' ? 'Cost Centers' : 'Locations'} ({activeList.length})
+                {dimension.plural} ({activeList.length})
               </h3>
               <button
                 onClick={() => setExpandedDepts(new Set(activeList.map(d => d.name)))}
@@ -615,7 +703,7 @@ const DepartmentAnalytics = () => {
             {activeList.length === 0 ? (
               <div className="py-8 text-center">
                 <p className="text-sm text-gray-500 dark:text-gray-400">
-                  No {activeTab === 'departments' ? 'departments' : activeTab === 'costcenters' ? 'cost centers' : 'locations'} match the current filter.
+                  No {activeAttribute ? `${activeAttribute.label} values` : dimension.plural.toLowerCase()} match the current filter.
                 </p>
               </div>
             ) : (
@@ -626,6 +714,7 @@ const DepartmentAnalytics = () => {
                   isExpanded={expandedDepts.has(dept.name)}
                   onToggle={() => toggleExpand(dept.name)}
                   totalEmployees={metrics.totalEmployees}
+                  salariesHidden={salariesHidden}
                 />
               ))
             )}
@@ -11,9 +11,12 @@ import {
   Building2,
   ChevronUp,
   ChevronDown,
-  MoreHorizontal
+  MoreHorizontal,
+  History
 } from 'lucide-react';
-import { employeeDB } from '../services/unifiedDB';
+import { employeeDB, customAttributeDB } from '../services/unifiedDB';
+import { matchesCustomAttributes } from '../utils/customAttributes';
+import ReductionProgramTimeline from './ReductionProgramTimeline';
 import toast from 'react-hot-toast';
 
 const EmployeeList = () => {
@@ -21,11 +24,15 @@ const EmployeeList = () => {
   const [loading, setLoading] = useState(true);
   const [totalCount, setTotalCount] = useState(0);
   const [departments, setDepartments] = useState([]);
+  const [timelineEmployee, setTimelineEmployee] = useState(null);
 
   // Search & Filter state
   const [searchQuery, setSearchQuery] = useState('');
   const [filterDepartment, setFilterDepartment] = useState('all');
   const [filterStatus, setFilterStatus] = useState('all');
+  const [customAttributes, setCustomAttributes] = useState([]);
+  const [filterAttribute, setFilterAttribute] = useState('');
+  const [filterAttributeValue, setFilterAttributeValue] = useState('');
 
   // Pagination
   const [currentPage, setCurrentPage] = useState(1);
@@ -34,13 +41,14 @@ const EmployeeList = () => {
   // Initial Data Load
   useEffect(() => {
     loadDepartments();
+    loadCustomAttributes();
     loadEmployees();
   }, []);
 
   // Reload when page or filters change
   useEffect(() => {
     loadEmployees();
-  }, [currentPage, filterDepartment, filterStatus, searchQuery]);
+  }, [currentPage, filterDepartment, filterStatus, filterAttribute, filterAttributeValue, searchQuery]);
 
   const loadDepartments = async () => {
     try {
@@ -51,6 +59,14 @@ const EmployeeList = () => {
     }
   };
 
+  const loadCustomAttributes = async () => {
+    try {
+      setCustomAttributes((await customAttributeDB.getAll()) || []);
+    } catch (error) {
+      console.error('Failed to load custom attributes', error);
+    }
+  };
+
   const loadEmployees = useCallback(async () => {
     setLoading(true);
     console.log('[EmployeeList] loadEmployees called, page:', currentPage);
@@ -58,7 +74,10 @@ const EmployeeList = () => {
       let data = [];
       let count = 0;
 
-      const isFiltering = searchQuery || filterDepartment !== 'all' || filterStatus !== 'all';
+      const attributeFilter = filterAttribute && filterAttributeValue.trim()
+        ? { [filterAttribute]: filterAttributeValue.trim() }
+        : null;
+      const isFiltering = searchQuery || filterDepartment !== 'all' || filterStatus !== 'all' || attributeFilter;
 
       if (isFiltering) {
         let allMatches = [];
@@ -71,10 +90,14 @@ const EmployeeList = () => {
           if (filterStatus !== 'all') {
             allMatches = allMatches.filter(e => e.status === filterStatus);
           }
+          if (attributeFilter) {
+            allMatches = allMatches.filter(e => matchesCustomAttributes(e, attributeFilter));
+          }
         } else {
           const criteria = {};
           if (filterDepartment !== 'all') criteria.department = filterDepartment;
           if (filterStatus !== 'all') criteria.status = filterStatus;
+          if (attributeFilter) criteria.customAttributes = attributeFilter;
           allMatches = await employeeDB.filter(criteria);
         }
 
@@ -100,9 +123,10 @@ const EmployeeList = () => {
     } finally {
       setLoading(false);
     }
-  }, [currentPage, searchQuery, filterDepartment, filterStatus, itemsPerPage]);
+  }, [currentPage, searchQuery, filterDepartment, filterStatus, filterAttribute, filterAttributeValue, itemsPerPage]);
 
   const totalPages = Math.ceil(totalCount / itemsPerPage);
+  const selectedAttribute = customAttributes.find(a => a.key === filterAttribute);
 
   const handleSearch = (e) => {
     setSearchQuery(e.target.value);
@@ -222,6 +246,52 @@ const EmployeeList = () => {
               <option value="terminated">Terminated</option>
             </select>
           </div>
+
+          {/* Custom Attribute Filter */}
+          {customAttributes.length > 0 && (
+            <div className="flex gap-2 sm:w-80">
+              <select
+                value={filterAttribute}
+                onChange={(e) => {
+                  setFilterAttribute(e.target.value);
+                  setFilterAttributeValue('');
+                  setCurrentPage(1);
+                }}
+                className="select"
+              >
+                <option value="">All Attributes</option>
+                {customAttributes.map(attribute => (
+                  <option key={attribute.key} value={attribute.key}>{attribute.label}</option>
+                ))}
+              </select>
+              {selectedAttribute?.type === 'select' ? (
+                <select
+                  value={filterAttributeValue}
+                  onChange={(e) => {
+                    setFilterAttributeValue(e.target.value);
+                    setCurrentPage(1);
+                  }}
+                  className="select"
+                >
+                  <option value="">Any value</option>
+                  {selectedAttribute.allowedValues.map(value => (
+                    <option key={value} value={value}>{value}</option>
+                  ))}
+                </select>
+              ) : selectedAttribute && (
+                <input
+                  type={selectedAttribute.type === 'date' ? 'date' : 'text'}
+                  value={filterAttributeValue}
+                  onChange={(e) => {
+                    setFilterAttributeValue(e.target.value);
+                    setCurrentPage(1);
+                  }}
+                  placeholder="Value"
+                  className="input"
+                />
+              )}
+            </div>
+          )}
         </div>
       </div>
 
@@ -267,7 +337,7 @@ const EmployeeList = () => {
                       <UserCircle className="empty-state-icon" />
                       <p className="empty-state-title">No employees found</p>
                       <p className="empty-state-description">
-                        {searchQuery || filterDepartment !== 'all' || filterStatus !== 'all'
+                        {searchQuery || filterDepartment !== 'all' || filterStatus !== 'all' || filterAttributeValue
                           ? 'Try adjusting your filters to find what you are looking for.'
                           : 'Import HR data to populate your employee directory.'}
                       </p>
@@ -313,14 +383,20 @@ const EmployeeList = () => {
                       </span>
                     </td>
                     <td className="text-right">
-                      {employee.reductionProgram?.status === 'active' ? (
-                        <span className="inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium bg-warning/10 text-warning rounded">
-                          <Clock className="w-3 h-3" />
-                          {employee.reductionProgram.reductionPercentage}%
-                        </span>
-                      ) : (
-                        <span className="text-gray-300 dark:text-gray-700">—</span>
-                      )}
+                      <button
+                        onClick={() => setTimelineEmployee(employee)}
+                        className="inline-flex items-center gap-1"
+                        title="Show program history"
+                      >
+                        {employee.reductionProgram?.status === 'active' ? (
+                          <span className="inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium bg-warning/10 text-warning rounded">
+                            <Clock className="w-3 h-3" />
+                            {employee.reductionProgram.reductionPercentage}%
+                          </span>
+                        ) : (
+                          <History className="w-3.5 h-3.5 text-gray-300 dark:text-gray-700 hover:text-p3-electric" />
+                        )}
+                      </button>
                     </td>
                   </tr>
                 ))
@@ -449,6 +525,14 @@ const EmployeeList = () => {
           </div>
         </div>
       </div>
+
+      {timelineEmployee && (
+        <ReductionProgramTimeline
+          employeeId={timelineEmployee.employeeId}
+          employeeName={timelineEmployee.name}
+          onClose={() => setTimelineEmployee(null)}
+        />
+      )}
     </div>
   );
 };
@@ -9,17 +9,19 @@ import {
   Plus, Check, X, Edit2, Copy, ChevronDown
 } from 'lucide-react';
 import * as XLSX from 'xlsx';
+import { useAuth } from '../contexts/AuthContext';
+import { auditLogDB } from '../services/unifiedDB';
 
 // Local storage key for templates
 const TEMPLATES_KEY = 'workforce_tracker_export_templates';
 
-// Default export fields
-const availableFields = [
+// Default export fields; fields with a capability are only offered and exported to users who have it
+const exportFields = [
   { id: 'department', label: 'Abteilung', category: 'Basis' },
   { id: 'headcount', label: 'Mitarbeiteranzahl', category: 'Basis' },
   { id: 'fte', label: 'FTE', category: 'Basis' },
-  { id: 'avgSalary', label: 'Durchschnittsgehalt', category: 'Kosten' },
-  { id: 'totalSalary', label: 'Gesamtgehalt', category: 'Kosten' },
+  { id: 'avgSalary', label: 'Durchschnittsgehalt', category: 'Kosten', capability: 'salaries.view' },
+  { id: 'totalSalary', label: 'Gesamtgehalt', category: 'Kosten', capability: 'salaries.view' },
   { id: 'reductionCount', label: 'In Reduktion', category: 'Reduktion' },
   { id: 'reductionPercent', label: 'Reduktionsquote %', category: 'Reduktion' },
   { id: 'costCenter', label: 'Kostenstelle', category: 'Organisation' },
@@ -56,7 +58,9 @@ const defaultTemplates = [
 
 // Hook to manage export templates
 export const useExportTemplates = () => {
+  const { can } = useAuth();
   const [templates, setTemplates] = useState([]);
+  const availableFields = exportFields.filter(field => !field.capability || can(field.capability));
 
   // Load templates from localStorage
   useEffect(() => {
@@ -95,15 +99,24 @@ export const useExportTemplates = () => {
   };
 
   // Export data using template
-  const exportWithTemplate = (template, data) => {
+  // data is a list of department rows or rows per grouping ({ department: [...], 'custom.region': [...] });
+  // with another grouping the first column holds its values under the grouping's label
+  const exportWithTemplate = (template, data, groupings = []) => {
     if (!data || !template) return;
 
-    const exportData = data.map(item => {
+    const groupBy = !Array.isArray(data) && data[template.groupBy] ? template.groupBy : 'department';
+    const rows = Array.isArray(data) ? data : data[groupBy];
+    const grouping = groupBy !== 'department' ? groupings.find(g => g.id === groupBy) : null;
+    if (!rows) return;
+
+    const fields = template.fields.filter(fieldId => availableFields.some(f => f.id === fieldId));
+    const exportData = rows.map(item => {
       const row = {};
-      template.fields.forEach(fieldId => {
+      fields.forEach(fieldId => {
         const field = availableFields.find(f => f.id === fieldId);
         if (field) {
-          row[field.label] = item[fieldId] ?? '—';
+          const label = fieldId === 'department' && grouping ? grouping.label : field.label;
+          row[label] = item[fieldId] ?? '—';
         }
       });
       return row;
@@ -113,12 +126,13 @@ export const useExportTemplates = () => {
     const ws = XLSX.utils.json_to_sheet(exportData);
 
     // Set column widths
-    ws['!cols'] = template.fields.map(() => ({ wch: 18 }));
+    ws['!cols'] = fields.map(() => ({ wch: 18 }));
 
     XLSX.utils.book_append_sheet(wb, ws, 'Export');
 
     const filename = `${template.name.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.xlsx`;
     XLSX.writeFile(wb, filename);
+    auditLogDB.recordExport(filename, { report: template.name, format: 'xlsx', rows: exportData.length });
   };
 
   return {
@@ -131,10 +145,12 @@ export const useExportTemplates = () => {
 };
 
 // Export Templates Modal Component
-const ExportTemplatesModal = ({ isOpen, onClose, data, onExport }) => {
+// groupings: [{ id, label }] the data is available in, e.g. departments and custom attributes
+const ExportTemplatesModal = ({ isOpen, onClose, data, groupings = [], onExport }) => {
   const { templates, saveTemplate, deleteTemplate, exportWithTemplate, availableFields } = useExportTemplates();
   const [activeTab, setActiveTab] = useState('templates');
   const [selectedFields, setSelectedFields] = useState(['department', 'headcount', 'fte']);
+  const [groupBy, setGroupBy] = useState('department');
   const [templateName, setTemplateName] = useState('');
   const [templateDesc, setTemplateDesc] = useState('');
   const [showSaveForm, setShowSaveForm] = useState(false);
@@ -152,10 +168,11 @@ const ExportTemplatesModal = ({ isOpen, onClose, data, onExport }) => {
   const handleQuickExport = () => {
     const template = {
       fields: selectedFields,
+      groupBy,
       name: 'Custom_Export',
       format: 'xlsx'
     };
-    exportWithTemplate(template, data);
+    exportWithTemplate(template, data, groupings);
     onExport?.();
   };
 
@@ -166,6 +183,7 @@ const ExportTemplatesModal = ({ isOpen, onClose, data, onExport }) => {
       name: templateName,
       description: templateDesc,
       fields: selectedFields,
+      groupBy,
       format: 'xlsx'
     });
 
@@ -175,7 +193,7 @@ const ExportTemplatesModal = ({ isOpen, onClose, data, onExport }) => {
   };
 
   const handleUseTemplate = (template) => {
-    exportWithTemplate(template, data);
+    exportWithTemplate(template, data, groupings);
     onExport?.();
     onClose();
   };
@@ -264,6 +282,8 @@ const ExportTemplatesModal = ({ isOpen, onClose, data, onExport }) => {
                       </p>
                       <p className="text-[10px] text-gray-400 mt-1">
                         {template.fields.length} Felder
+                        {template.groupBy && template.groupBy !== 'department' &&
+                          ` · nach ${groupings.find(g => g.id === template.groupBy)?.label || 'Abteilung'}`}
                       </p>
                     </div>
                   </div>
@@ -291,6 +311,24 @@ const ExportTemplatesModal = ({ isOpen, onClose, data, onExport }) => {
 
           {activeTab === 'custom' && (
             <div className="space-y-6">
+              {/* Grouping */}
+              {groupings.length > 1 && (
+                <div>
+                  <h3 className="text-sm font-medium text-p3-midnight dark:text-white mb-3">
+                    Gruppieren nach
+                  </h3>
+                  <select
+                    value={groupBy}
+                    onChange={(e) => setGroupBy(e.target.value)}
+                    className="select w-64"
+                  >
+                    {groupings.map(grouping => (
+                      <option key={grouping.id} value={grouping.id}>{grouping.label}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               {/* Field Selection */}
               <div>
                 <h3 className="text-sm font-medium text-p3-midnight dark:text-white mb-3">
@@ -0,0 +1,234 @@
+/**
+ * Folder Watch Settings
+ * Admin setup of the folder the HRIS drops its exports into; the newest export is imported when the app is opened
+ * P3 Enterprise Design System
+ */
+
+import React, { useEffect, useState } from 'react';
+import { FolderClock, FolderOpen, RefreshCw, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { ImportProvider, useImport } from '../contexts/ImportContext';
+import { useFolderWatch } from './import/FolderWatchRunner';
+import { folderWatchDB } from '../services/db';
+import { importMappingDB } from '../services/unifiedDB';
+import { supportsDirectoryPicker, readDrop } from '../utils/folderWatch';
+
+// Outcome of "Check Now" when nothing was imported
+const CHECK_MESSAGES = {
+  unconfigured: 'Choose a folder and a mapping template first',
+  permission: 'Access to the folder was not granted',
+  empty: 'No CSV or Excel file in the folder',
+  unchanged: 'No file newer than the last one imported',
+};
+
+const FolderWatchPanel = () => {
+  const { supportsDeltaMerge } = useImport();
+  const { checkFolder, importFile, isRunning } = useFolderWatch();
+  const [config, setConfig] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [dragOver, setDragOver] = useState(false);
+  const canPickFolder = supportsDirectoryPicker();
+
+  useEffect(() => {
+    folderWatchDB.get().then(setConfig).catch(error => console.error('Failed to load folder watch:', error));
+    importMappingDB.getAll()
+      .then(all => setTemplates((all || []).filter(t => (t.target || 'employees') === 'employees')))
+      .catch(error => console.error('Failed to load mapping templates:', error));
+  }, []);
+
+  const update = async (updates) => {
+    try {
+      setConfig(await folderWatchDB.save(updates));
+    } catch (error) {
+      console.error('Failed to save folder watch:', error);
+      toast.error('Could not save the folder watch');
+    }
+  };
+
+  // A new folder starts over: its newest file counts as new
+  const watchFolder = (directoryHandle) => update({
+    directoryHandle,
+    directoryName: directoryHandle.name,
+    enabled: config?.enabled ?? true,
+    lastFileName: null,
+    lastFileModified: null,
+    lastStatus: null,
+    lastError: null,
+  });
+
+  const chooseFolder = async () => {
+    try {
+      await watchFolder(await window.showDirectoryPicker({ mode: 'read' }));
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Failed to choose folder:', error);
+        toast.error('Could not open the folder');
+      }
+    }
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    const { directoryHandle, file } = await readDrop(e.dataTransfer);
+
+    if (directoryHandle) {
+      await watchFolder(directoryHandle);
+      toast.success(`Watching ${directoryHandle.name}`);
+    } else if (file) {
+      // Without a handle to keep, the dropped export is imported right away
+      if (!config?.mappingId) {
+        toast.error('Choose a mapping template first');
+        return;
+      }
+      const result = await importFile(file, config);
+      setConfig(result.config);
+    } else {
+      toast.error('Drop a folder or a CSV / Excel file');
+    }
+  };
+
+  const checkNow = async () => {
+    try {
+      const result = await checkFolder({ interactive: true });
+      if (result.config) setConfig(result.config);
+      else if (CHECK_MESSAGES[result.status]) toast(CHECK_MESSAGES[result.status]);
+    } catch (error) {
+      console.error('Folder watch failed:', error);
+      toast.error(`Could not read the folder: ${error.message}`);
+    }
+  };
+
+  const removeWatch = async () => {
+    if (!confirm('Stop watching the import folder?')) return;
+    await folderWatchDB.clear();
+    setConfig(null);
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 p-5">
+      <div className="flex items-start gap-4">
+        <div className="p-2.5 bg-primary-50 dark:bg-primary-900/20 rounded-lg">
+          <FolderClock className="w-5 h-5 text-p3-electric" />
+        </div>
+        <div className="flex-1 min-w-0">
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              <h3 className="text-sm font-semibold text-p3-midnight dark:text-white">
+                Folder Watch Import
+              </h3>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                Imports the newest export of a folder with a saved mapping when the app is opened in this browser
+              </p>
+            </div>
+            {config && (
+              <button onClick={removeWatch} className="text-gray-400 hover:text-warning transition-colors" title="Stop watching">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+
+          <div
+            onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+            onDragLeave={() => setDragOver(false)}
+            onDrop={handleDrop}
+            className={`mt-4 p-4 border-2 border-dashed rounded-lg flex items-center gap-3 transition-colors ${
+              dragOver ? 'border-p3-electric bg-primary-50 dark:bg-primary-900/20' : 'border-gray-200 dark:border-gray-700'
+            }`}
+          >
+            <FolderOpen className="w-5 h-5 text-gray-400 flex-shrink-0" />
+            <div className="flex-1 min-w-0 text-xs text-gray-500 dark:text-gray-400">
+              {config?.directoryName ? (
+                <p className="text-sm font-medium text-p3-midnight dark:text-white truncate">{config.directoryName}</p>
+              ) : (
+                <p className="text-sm text-gray-600 dark:text-gray-300">No folder chosen</p>
+              )}
+              <p>
+                {canPickFolder
+                  ? 'Choose the folder or drop it here.'
+                  : 'This browser cannot keep access to a folder: drop the folder or the export file here after each export to import it.'}
+              </p>
+            </div>
+            {canPickFolder && (
+              <button onClick={chooseFolder} className="btn btn-secondary btn-sm">
+                Choose Folder
+              </button>
+            )}
+          </div>
+
+          <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className="label">Mapping template</label>
+              <select
+                className="select"
+                value={config?.mappingId ?? ''}
+                onChange={(e) => {
+                  const template = templates.find(t => String(t.id) === e.target.value);
+                  update({ mappingId: template?.id ?? null, mappingName: template?.name ?? null });
+                }}
+              >
+                <option value="">-- Select template --</option>
+                {templates.map(template => (
+                  <option key={template.id} value={template.id}>{template.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Import mode</label>
+              <select
+                className="select"
+                value={config?.importMode || 'snapshot'}
+                onChange={(e) => update({ importMode: e.target.value })}
+              >
+                <option value="snapshot">Full snapshot (replace all employees)</option>
+                {supportsDeltaMerge && <option value="merge">Delta merge by Employee ID</option>}
+              </select>
+            </div>
+          </div>
+          {templates.length === 0 && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+              Save a mapping template in step 2 of an employee import to use it here.
+            </p>
+          )}
+
+          <div className="mt-4 flex items-center justify-between gap-3">
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={config?.enabled ?? false}
+                onChange={(e) => update({ enabled: e.target.checked })}
+                disabled={!config?.directoryHandle}
+                className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+              />
+              Import newer files when the app is opened
+            </label>
+            <button
+              onClick={checkNow}
+              disabled={!config?.directoryHandle || !config?.mappingId || isRunning}
+              className="btn btn-primary btn-sm"
+            >
+              <RefreshCw className={`w-4 h-4 ${isRunning ? 'animate-spin' : ''}`} />
+              {isRunning ? 'Importing...' : 'Check Now'}
+            </button>
+          </div>
+
+          {config?.lastRunAt && (
+            <p className={`text-xs mt-3 ${config.lastStatus === 'failed' ? 'text-warning' : 'text-gray-500 dark:text-gray-400'}`}>
+              Last run {new Date(config.lastRunAt).toLocaleString()}: {config.lastFileName}{' '}
+              {config.lastStatus === 'failed' ? `failed - ${config.lastError}` : 'imported'}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Runs imports through an ImportProvider of its own, apart from the wizard
+const FolderWatchSettings = () => (
+  <ImportProvider>
+    <FolderWatchPanel />
+  </ImportProvider>
+);
+
+export default FolderWatchSettings;
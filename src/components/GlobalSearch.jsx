@@ -9,7 +9,7 @@ import { useNavigate } from 'react-router-dom';
 import {
   Search, X, Users, Building2, MapPin, BarChart3, Calculator,
   Gauge, Wallet, FileText, TrendingDown, MessageSquare, Settings,
-  Upload, LayoutDashboard, ArrowRight, Command, GitCompare
+  Upload, LayoutDashboard, ArrowRight, Command, GitCompare, UserMinus
 } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
 
@@ -17,6 +17,7 @@ import { useApp } from '../contexts/AppContext';
 const navigationItems = [
   { id: 'dashboard', label: 'Dashboard', path: '/', icon: LayoutDashboard, keywords: ['home', 'übersicht', 'start'] },
   { id: 'employees', label: 'Mitarbeiter', path: '/employees', icon: Users, keywords: ['personal', 'staff', 'liste'] },
+  { id: 'programs', label: 'Reduktionsprogramme', path: '/programs', icon: UserMinus, keywords: ['reduction', 'teilzeit', 'programm'] },
   { id: 'analytics', label: 'Analytics', path: '/analytics', icon: BarChart3, keywords: ['analyse', 'statistik', 'auswertung', 'abteilung'] },
   { id: 'simulation', label: 'Simulation', path: '/simulation', icon: Calculator, keywords: ['szenario', 'what-if', 'planung'] },
   { id: 'capacity', label: 'Kapazitätsplanung', path: '/capacity', icon: Gauge, keywords: ['fte', 'bedarf', 'auslastung'] },
@@ -24,6 +24,7 @@ const shortcuts = [
   // Navigation
   { key: 'g d', label: 'Dashboard', action: 'navigate', path: '/', category: 'Navigation' },
   { key: 'g e', label: 'Mitarbeiter', action: 'navigate', path: '/employees', category: 'Navigation' },
+  { key: 'g p', label: 'Reduktionsprogramme', action: 'navigate', path: '/programs', category: 'Navigation' },
   { key: 'g a', label: 'Analytics', action: 'navigate', path: '/analytics', category: 'Navigation' },
   { key: 'g s', label: 'Simulation', action: 'navigate', path: '/simulation', category: 'Navigation' },
   { key: 'g c', label: 'Kapazität', action: 'navigate', path: '/capacity', category: 'Navigation' },
@@ -1,19 +1,19 @@
 /**
  * Login Component
- * User authentication form using Supabase Auth
+ * User authentication form using Supabase Auth, or username and password of a local account
  * P3 Enterprise Design System
  */
 
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { LogIn, Lock, AlertCircle, Mail, UserPlus, CheckCircle } from 'lucide-react';
+import { LogIn, Lock, AlertCircle, Mail, User, UserPlus, CheckCircle } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useApp } from '../contexts/AppContext';
 import { supabase } from '../lib/supabase';
 
 const Login = () => {
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const { login, isLocalAuth } = useAuth();
   const { darkMode } = useApp();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
@@ -106,20 +106,22 @@ const Login = () => {
               </div>
             )}
 
-            {/* Email Field */}
+            {/* Email Field (username for local accounts) */}
             <div>
-              <label className="label">Email</label>
+              <label className="label">{isLocalAuth ? 'Username' : 'Email'}</label>
               <div className="relative">
-                <Mail className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                {isLocalAuth
+                  ? <User className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                  : <Mail className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />}
                 <input
-                  type="email"
+                  type={isLocalAuth ? 'text' : 'email'}
                   value={email}
                   onChange={(e) => setEmail(e.target.value)}
                   className="input pl-10"
-                  placeholder="Enter your email"
+                  placeholder={isLocalAuth ? 'Enter your username' : 'Enter your email'}
                   required
                   autoFocus
-                  autoComplete="email"
+                  autoComplete={isLocalAuth ? 'username' : 'email'}
                 />
               </div>
             </div>
@@ -162,23 +164,25 @@ const Login = () => {
             </button>
           </form>
 
-          {/* Toggle Sign Up / Sign In */}
-          <div className="mt-6 pt-5 border-t border-gray-200 dark:border-gray-800 text-center">
-            <p className="text-sm text-gray-500 dark:text-gray-400">
-              {isSignUp ? 'Already have an account?' : "Don't have an account?"}
-              <button
-                type="button"
-                onClick={() => {
-                  setIsSignUp(!isSignUp);
-                  setError('');
-                  setSuccess('');
-                }}
-                className="ml-1.5 text-p3-electric hover:text-primary-600 font-medium transition-colors"
-              >
-                {isSignUp ? 'Sign In' : 'Sign Up'}
-              </button>
-            </p>
-          </div>
+          {/* Toggle Sign Up / Sign In; local accounts are created in User Management */}
+          {!isLocalAuth && (
+            <div className="mt-6 pt-5 border-t border-gray-200 dark:border-gray-800 text-center">
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {isSignUp ? 'Already have an account?' : "Don't have an account?"}
+                <button
+                  type="button"
+                  onClick={() => {
+                    setIsSignUp(!isSignUp);
+                    setError('');
+                    setSuccess('');
+                  }}
+                  className="ml-1.5 text-p3-electric hover:text-primary-600 font-medium transition-colors"
+                >
+                  {isSignUp ? 'Sign In' : 'Sign Up'}
+                </button>
+              </p>
+            </div>
+          )}
         </div>
 
         {/* Footer */}
@@ -12,11 +12,24 @@ import {
     Calendar,
     Users,
     MoreVertical,
-    X
+    X,
+    Download
 } from 'lucide-react';
+import * as XLSX from 'xlsx';
 import { useApp } from '../contexts/AppContext';
+import { assignmentDB, auditLogDB } from '../services/unifiedDB';
+import { toISODate } from '../utils/helpers';
 import toast from 'react-hot-toast';
 
+// Sheet headers match the auto-mapping of the project and assignment import, so exports can be re-imported
+const writeSheet = (rows, sheetName, fileName) => {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), sheetName);
+    const file = `${fileName}_${toISODate(new Date())}.xlsx`;
+    XLSX.writeFile(wb, file);
+    auditLogDB.recordExport(file, { report: sheetName, format: 'xlsx', rows: rows.length });
+};
+
 const Projects = () => {
     const { projects, addProject, updateProject, deleteProject } = useApp();
     const [isModalOpen, setIsModalOpen] = useState(false);
@@ -61,6 +74,39 @@ const Projects = () => {
         }
     };
 
+    const handleExportProjects = () => {
+        writeSheet(projects.map(project => ({
+            'Project Name': project.name,
+            'Client': project.client || '',
+            'Department': project.department || '',
+            'Status': project.status || '',
+            'Start Date': toISODate(project.startDate) || '',
+            'End Date': toISODate(project.endDate) || '',
+            'Budget': project.budget ?? '',
+            'Description': project.description || '',
+        })), 'Projects', 'Projects');
+    };
+
+    const handleExportAssignments = async () => {
+        try {
+            const assignments = await assignmentDB.getAll();
+            const projectNames = new Map(projects.map(p => [p.id, p.name]));
+
+            writeSheet((assignments || []).map(assignment => ({
+                'Employee ID': assignment.employeeId,
+                'Employee Name': assignment.employeeName || '',
+                'Project': projectNames.get(assignment.projectId) || assignment.projectName || assignment.projectId,
+                'Allocation %': assignment.allocationPercentage,
+                'Start Date': toISODate(assignment.startDate) || '',
+                'End Date': toISODate(assignment.endDate) || '',
+                'Notes': assignment.notes || '',
+            })), 'Assignments', 'Assignments');
+        } catch (error) {
+            console.error('Error exporting assignments:', error);
+            toast.error('Failed to export assignments');
+        }
+    };
+
     const getStatusBadge = (status) => {
         switch (status) {
             case 'active':
@@ -91,13 +137,30 @@ const Projects = () => {
                         Manage projects and resource allocations
                     </p>
                 </div>
-                <button
-                    onClick={() => setIsModalOpen(true)}
-                    className="btn btn-primary"
-                >
-                    <Plus className="w-4 h-4" />
-                    New Project
-                </button>
+                <div className="flex items-center gap-2">
+                    <button
+                        onClick={handleExportProjects}
+                        disabled={projects.length === 0}
+                        className="btn btn-secondary"
+                    >
+                        <Download className="w-4 h-4" />
+                        Export Projects
+                    </button>
+                    <button
+                        onClick={handleExportAssignments}
+                        className="btn btn-secondary"
+                    >
+                        <Download className="w-4 h-4" />
+                        Export Assignments
+                    </button>
+                    <button
+                        onClick={() => setIsModalOpen(true)}
+                        className="btn btn-primary"
+                    >
+                        <Plus className="w-4 h-4" />
+                        New Project
+                    </button>
+                </div>
             </div>
 
             {/* Filters */}
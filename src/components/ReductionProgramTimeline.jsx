@@ -0,0 +1,122 @@
+/**
+ * Reduction Program Timeline
+ * Every reduction program an employee has been part of, oldest first
+ * Programs are matched on the business employee ID, so history survives re-imports
+ */
+
+import React, { useState, useEffect } from 'react';
+import { X, History, Upload } from 'lucide-react';
+import { reductionProgramDB, employeeDB } from '../services/unifiedDB';
+import { formatDate, getProgramPhase, toISODate } from '../utils/helpers';
+
+const PHASE_STYLES = {
+  scheduled: { dot: 'bg-analysis', badge: 'badge badge-analysis', label: 'Scheduled' },
+  active: { dot: 'bg-success', badge: 'badge badge-active', label: 'Active' },
+  completed: { dot: 'bg-gray-400', badge: 'badge badge-inactive', label: 'Completed' },
+  cancelled: { dot: 'bg-warning', badge: 'badge badge-warning', label: 'Cancelled' },
+};
+
+export const ProgramPhaseBadge = ({ program }) => {
+  const style = PHASE_STYLES[getProgramPhase(program)] || PHASE_STYLES.completed;
+  return <span className={style.badge}>{style.label}</span>;
+};
+
+const ReductionProgramTimeline = ({ employeeId, employeeName, onClose }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      try {
+        setLoading(true);
+        const [programs, employee] = await Promise.all([
+          reductionProgramDB.getByEmployeeId(employeeId),
+          employeeDB.getByEmployeeId(employeeId).catch(() => null),
+        ]);
+
+        const history = (programs || []).map(program => ({ ...program, source: 'program' }));
+
+        // The program column of the HR import is part of the history as well
+        const imported = employee?.reductionProgram;
+        if (imported?.reductionPercentage) {
+          history.push({ ...imported, id: 'import', programName: imported.programName || 'HR import', source: 'import' });
+        }
+
+        history.sort((a, b) => (toISODate(a.startDate) || '').localeCompare(toISODate(b.startDate) || ''));
+        setEntries(history);
+      } catch (error) {
+        console.error('Error loading reduction program history:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadHistory();
+  }, [employeeId]);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal max-w-xl" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div>
+            <h2 className="modal-title">Program History</h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {employeeName || employeeId} <span className="font-mono">({employeeId})</span>
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-gray-100 dark:hover:bg-gray-800 rounded transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {loading ? (
+            <div className="space-y-3">
+              {[...Array(3)].map((_, i) => <div key={i} className="skeleton h-14 w-full" />)}
+            </div>
+          ) : entries.length === 0 ? (
+            <div className="empty-state py-8">
+              <History className="empty-state-icon" />
+              <p className="empty-state-title">No reduction programs</p>
+              <p className="empty-state-description">
+                This employee has not been part of a reduction program yet.
+              </p>
+            </div>
+          ) : (
+            <ol className="relative border-l border-gray-200 dark:border-gray-700 ml-2 space-y-5">
+              {entries.map(entry => {
+                const style = PHASE_STYLES[getProgramPhase(entry)] || PHASE_STYLES.completed;
+                return (
+                  <li key={`${entry.source}-${entry.id}`} className="ml-5">
+                    <span className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border-2 border-white dark:border-gray-900 ${style.dot}`} />
+                    <div className="flex items-center justify-between gap-3">
+                      <p className="text-sm font-medium text-p3-midnight dark:text-white flex items-center gap-1.5">
+                        {entry.source === 'import' && <Upload className="w-3.5 h-3.5 text-gray-400" />}
+                        {entry.programName || 'Reduction program'}
+                      </p>
+                      <span className={style.badge}>{style.label}</span>
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                      {formatDate(toISODate(entry.startDate))} – {entry.endDate ? formatDate(toISODate(entry.endDate)) : 'open-ended'}
+                      {' · '}
+                      <span className="font-mono">{entry.reductionPercentage}%</span>
+                      {entry.department ? ` · ${entry.department}` : ''}
+                    </p>
+                    {entry.notes && (
+                      <p className="text-xs text-gray-600 dark:text-gray-400 mt-1">{entry.notes}</p>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReductionProgramTimeline;
@@ -0,0 +1,736 @@
+/**
+ * Reduction Programs
+ * Lists all reduction programs, enrolls employees in bulk and edits or ends programs
+ */
+
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  Search,
+  RefreshCw,
+  UserPlus,
+  UserMinus,
+  Pencil,
+  Flag,
+  Ban,
+  Trash2,
+  History,
+  ChevronLeft,
+  ChevronRight,
+  X
+} from 'lucide-react';
+import { useApp } from '../contexts/AppContext';
+import { reductionProgramDB, employeeDB } from '../services/unifiedDB';
+import { formatDate, getProgramPhase, programOverlapsRange, toISODate } from '../utils/helpers';
+import ConfirmDialog, { useConfirmDialog } from './ConfirmDialog';
+import ReductionProgramTimeline, { ProgramPhaseBadge } from './ReductionProgramTimeline';
+import toast from 'react-hot-toast';
+
+const ITEMS_PER_PAGE = 50;
+
+const EMPTY_ENROLLMENT = {
+  department: '',
+  role: '',
+  employeeStatus: 'active',
+  programName: '',
+  reductionPercentage: 20,
+  startDate: toISODate(new Date()),
+  endDate: '',
+  notes: '',
+};
+
+// Returns an error message or null
+const validateProgram = ({ reductionPercentage, startDate, endDate }) => {
+  const pct = Number(reductionPercentage);
+  if (!pct || pct <= 0 || pct > 100) return 'Reduction must be between 1 and 100%';
+  if (!startDate) return 'Start date is required';
+  if (endDate && endDate < startDate) return 'End date must not be before the start date';
+  return null;
+};
+
+/**
+ * Edit a single program
+ */
+const ProgramEditModal = ({ program, onSave, onClose }) => {
+  const [formData, setFormData] = useState({
+    programName: program.programName || '',
+    reductionPercentage: program.reductionPercentage,
+    startDate: toISODate(program.startDate) || '',
+    endDate: toISODate(program.endDate) || '',
+    status: program.status,
+    notes: program.notes || '',
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const error = validateProgram(formData);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    onSave({
+      ...formData,
+      reductionPercentage: Number(formData.reductionPercentage),
+      endDate: formData.endDate || null,
+    });
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal max-w-md" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div>
+            <h2 className="modal-title">Edit Program</h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {program.employeeName} <span className="font-mono">({program.employeeId})</span>
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-gray-100 dark:hover:bg-gray-800 rounded transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body space-y-4">
+            <div>
+              <label className="label">Program Name <span className="label-optional">(Optional)</span></label>
+              <input
+                type="text"
+                className="input"
+                value={formData.programName}
+                onChange={e => setFormData({ ...formData, programName: e.target.value })}
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="label">Reduction %</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  className="input"
+                  value={formData.reductionPercentage}
+                  onChange={e => setFormData({ ...formData, reductionPercentage: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="label">Status</label>
+                <select
+                  className="select"
+                  value={formData.status}
+                  onChange={e => setFormData({ ...formData, status: e.target.value })}
+                >
+                  <option value="active">Active</option>
+                  <option value="completed">Completed</option>
+                  <option value="cancelled">Cancelled</option>
+                </select>
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="label">Start Date</label>
+                <input
+                  type="date"
+                  required
+                  className="input"
+                  value={formData.startDate}
+                  onChange={e => setFormData({ ...formData, startDate: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="label">End Date <span className="label-optional">(Optional)</span></label>
+                <input
+                  type="date"
+                  className="input"
+                  value={formData.endDate}
+                  onChange={e => setFormData({ ...formData, endDate: e.target.value })}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="label">Notes <span className="label-optional">(Optional)</span></label>
+              <textarea
+                rows="2"
+                className="input"
+                value={formData.notes}
+                onChange={e => setFormData({ ...formData, notes: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <div className="modal-footer">
+            <button type="button" onClick={onClose} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary">
+              Save Changes
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Bulk enrollment of all employees matching a filter
+ */
+const EnrollmentPanel = ({ departments, roles, programs, onEnroll, onClose }) => {
+  const [form, setForm] = useState(EMPTY_ENROLLMENT);
+  const [matches, setMatches] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [enrolling, setEnrolling] = useState(false);
+
+  const update = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    setMatches(null);
+  };
+
+  // Employees already in a program overlapping the new period are skipped
+  const findMatches = async () => {
+    const error = validateProgram(form);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    try {
+      setSearching(true);
+      const criteria = {};
+      if (form.department) criteria.department = form.department;
+      if (form.role) criteria.role = form.role;
+      if (form.employeeStatus) criteria.status = form.employeeStatus;
+
+      const employees = (await employeeDB.filter(criteria)).filter(emp => emp.status !== 'terminated');
+      const endDate = form.endDate || null;
+      const enrolledIds = new Set(
+        programs
+          .filter(p => p.status !== 'cancelled' && getProgramPhase(p) !== 'completed')
+          .filter(p => programOverlapsRange(p, form.startDate, endDate))
+          .map(p => String(p.employeeId))
+      );
+
+      setMatches({
+        eligible: employees.filter(emp => !enrolledIds.has(String(emp.employeeId))),
+        skipped: employees.filter(emp => enrolledIds.has(String(emp.employeeId))).length,
+      });
+    } catch (err) {
+      console.error('Error filtering employees:', err);
+      toast.error('Failed to load matching employees');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleEnroll = async () => {
+    if (!matches?.eligible.length) return;
+
+    const createdAt = new Date().toISOString();
+    const newPrograms = matches.eligible.map(emp => ({
+      employeeId: emp.employeeId,
+      employeeRecordId: emp.id,
+      employeeName: emp.name,
+      department: emp.department,
+      programName: form.programName,
+      reductionPercentage: Number(form.reductionPercentage),
+      startDate: form.startDate,
+      endDate: form.endDate || null,
+      status: 'active',
+      notes: form.notes,
+      createdAt,
+    }));
+
+    setEnrolling(true);
+    const success = await onEnroll(newPrograms);
+    setEnrolling(false);
+    if (success) {
+      setForm(EMPTY_ENROLLMENT);
+      setMatches(null);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-semibold text-p3-midnight dark:text-white flex items-center gap-2">
+          <UserPlus className="w-4 h-4 text-p3-electric" />
+          Enroll Employees Matching Filter
+        </h2>
+        <button onClick={onClose} className="btn btn-ghost btn-icon" title="Close">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Who */}
+        <div className="space-y-3">
+          <p className="text-xs font-medium uppercase tracking-wide text-gray-500 dark:text-gray-400">Employees</p>
+          <div>
+            <label className="label">Department</label>
+            <select className="select" value={form.department} onChange={e => update('department', e.target.value)}>
+              <option value="">All Departments</option>
+              {departments.map(dept => <option key={dept} value={dept}>{dept}</option>)}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="label">Role</label>
+              <select className="select" value={form.role} onChange={e => update('role', e.target.value)}>
+                <option value="">All Roles</option>
+                {roles.map(role => <option key={role} value={role}>{role}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="label">Employee Status</label>
+              <select className="select" value={form.employeeStatus} onChange={e => update('employeeStatus', e.target.value)}>
+                <option value="">All Status</option>
+                <option value="active">Active</option>
+                <option value="inactive">Inactive</option>
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {/* Program */}
+        <div className="space-y-3">
+          <p className="text-xs font-medium uppercase tracking-wide text-gray-500 dark:text-gray-400">Program</p>
+          <div className="grid grid-cols-3 gap-3">
+            <div className="col-span-2">
+              <label className="label">Program Name <span className="label-optional">(Optional)</span></label>
+              <input
+                type="text"
+                className="input"
+                value={form.programName}
+                onChange={e => update('programName', e.target.value)}
+                placeholder="e.g. Part-time 2026"
+              />
+            </div>
+            <div>
+              <label className="label">Reduction %</label>
+              <input
+                type="number"
+                min="1"
+                max="100"
+                className="input"
+                value={form.reductionPercentage}
+                onChange={e => update('reductionPercentage', e.target.value)}
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="label">Start Date</label>
+              <input type="date" className="input" value={form.startDate} onChange={e => update('startDate', e.target.value)} />
+            </div>
+            <div>
+              <label className="label">End Date <span className="label-optional">(Optional)</span></label>
+              <input type="date" className="input" value={form.endDate} onChange={e => update('endDate', e.target.value)} />
+            </div>
+          </div>
+          <div>
+            <label className="label">Notes <span className="label-optional">(Optional)</span></label>
+            <input type="text" className="input" value={form.notes} onChange={e => update('notes', e.target.value)} />
+          </div>
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 pt-3 border-t border-gray-200 dark:border-gray-800">
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          {matches === null ? (
+            'Preview the matching employees before enrolling them.'
+          ) : (
+            <>
+              <span className="font-medium text-p3-midnight dark:text-white">{matches.eligible.length}</span> employees match
+              {matches.skipped > 0 && `, ${matches.skipped} skipped (already in an overlapping program)`}
+            </>
+          )}
+        </p>
+        <div className="flex items-center gap-2">
+          <button onClick={findMatches} disabled={searching} className="btn btn-secondary btn-sm">
+            <Search className="w-4 h-4" />
+            {searching ? 'Searching...' : 'Preview'}
+          </button>
+          <button
+            onClick={handleEnroll}
+            disabled={!matches?.eligible.length || enrolling}
+            className="btn btn-primary btn-sm"
+          >
+            <UserPlus className="w-4 h-4" />
+            {enrolling ? 'Enrolling...' : `Enroll ${matches?.eligible.length || 0}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ReductionPrograms = () => {
+  const { getDashboardMetrics, updateReductionProgram, bulkAddReductionPrograms, deleteReductionProgram } = useApp();
+  const [programs, setPrograms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [departments, setDepartments] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [showEnrollment, setShowEnrollment] = useState(false);
+  const [editingProgram, setEditingProgram] = useState(null);
+  const [timelineEmployee, setTimelineEmployee] = useState(null);
+  const confirmDialog = useConfirmDialog();
+
+  // Filters
+  const [searchQuery, setSearchQuery] = useState('');
+  const [filterStatus, setFilterStatus] = useState('all');
+  const [filterDepartment, setFilterDepartment] = useState('all');
+  const [filterFrom, setFilterFrom] = useState('');
+  const [filterTo, setFilterTo] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+
+  const loadPrograms = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await reductionProgramDB.getAll();
+      setPrograms(data || []);
+    } catch (error) {
+      console.error('Error loading reduction programs:', error);
+      toast.error('Failed to load reduction programs');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPrograms();
+  }, [loadPrograms]);
+
+  // Department and role options for the enrollment filter
+  useEffect(() => {
+    getDashboardMetrics()
+      .then(metrics => {
+        setDepartments(Object.keys(metrics.departmentCounts || {}).sort());
+        setRoles(Object.keys(metrics.roleCounts || {}).sort());
+      })
+      .catch(error => console.error('Error loading filter options:', error));
+  }, [getDashboardMetrics]);
+
+  // Departments of existing programs may no longer exist in the current snapshot
+  const programDepartments = useMemo(() => {
+    return [...new Set([...departments, ...programs.map(p => p.department).filter(Boolean)])].sort();
+  }, [departments, programs]);
+
+  const filteredPrograms = useMemo(() => {
+    const query = searchQuery.toLowerCase();
+    return programs
+      .filter(p => filterStatus === 'all' || getProgramPhase(p) === filterStatus)
+      .filter(p => filterDepartment === 'all' || p.department === filterDepartment)
+      .filter(p => programOverlapsRange(p, filterFrom || null, filterTo || null))
+      .filter(p => !query ||
+        p.employeeName?.toLowerCase().includes(query) ||
+        String(p.employeeId || '').toLowerCase().includes(query) ||
+        p.programName?.toLowerCase().includes(query))
+      .sort((a, b) => (toISODate(b.startDate) || '').localeCompare(toISODate(a.startDate) || ''));
+  }, [programs, searchQuery, filterStatus, filterDepartment, filterFrom, filterTo]);
+
+  useEffect(() => {
+    setCurrentPage(1);
+  }, [searchQuery, filterStatus, filterDepartment, filterFrom, filterTo]);
+
+  const totalPages = Math.max(1, Math.ceil(filteredPrograms.length / ITEMS_PER_PAGE));
+  const pagePrograms = filteredPrograms.slice((currentPage - 1) * ITEMS_PER_PAGE, currentPage * ITEMS_PER_PAGE);
+
+  const phaseCounts = useMemo(() => {
+    const counts = { scheduled: 0, active: 0, completed: 0, cancelled: 0 };
+    programs.forEach(p => { counts[getProgramPhase(p)]++; });
+    return counts;
+  }, [programs]);
+
+  const handleEnroll = async (newPrograms) => {
+    const success = await bulkAddReductionPrograms(newPrograms);
+    if (success) {
+      setShowEnrollment(false);
+      loadPrograms();
+    }
+    return success;
+  };
+
+  const handleSave = async (updates) => {
+    const success = await updateReductionProgram(editingProgram.id, updates);
+    if (success) {
+      setEditingProgram(null);
+      loadPrograms();
+    }
+  };
+
+  // Ending keeps the program in the history with today as its last day
+  const handleEnd = async (program) => {
+    const today = toISODate(new Date());
+    const endDate = program.endDate && toISODate(program.endDate) < today ? program.endDate : today;
+    if (await updateReductionProgram(program.id, { status: 'completed', endDate })) {
+      loadPrograms();
+    }
+  };
+
+  const handleCancel = async (program) => {
+    if (await updateReductionProgram(program.id, { status: 'cancelled' })) {
+      loadPrograms();
+    }
+  };
+
+  const handleDelete = async (program) => {
+    const confirmed = await confirmDialog.confirm({
+      title: 'Delete Program',
+      message: `Delete the program of ${program.employeeName || program.employeeId}? It will also disappear from the employee's history. End or cancel the program to keep it.`,
+      confirmText: 'Delete',
+    });
+    if (confirmed && await deleteReductionProgram(program.id)) {
+      loadPrograms();
+    }
+  };
+
+  const hasFilters = searchQuery || filterStatus !== 'all' || filterDepartment !== 'all' || filterFrom || filterTo;
+
+  return (
+    <div className="space-y-5 animate-fade-in">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <div className="flex items-center gap-3">
+            <h1 className="text-lg font-semibold text-p3-midnight dark:text-white">
+              Reduction Programs
+            </h1>
+            <span className="px-2 py-0.5 text-xs font-medium bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-400 rounded-full">
+              {programs.length.toLocaleString()}
+            </span>
+          </div>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-0.5">
+            {phaseCounts.active} active · {phaseCounts.scheduled} scheduled · {phaseCounts.completed} completed · {phaseCounts.cancelled} cancelled
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button onClick={loadPrograms} className="btn btn-ghost btn-icon" title="Refresh">
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          <button onClick={() => setShowEnrollment(!showEnrollment)} className="btn btn-primary btn-sm">
+            <UserPlus className="w-4 h-4" />
+            Enroll Employees
+          </button>
+        </div>
+      </div>
+
+      {showEnrollment && (
+        <EnrollmentPanel
+          departments={departments}
+          roles={roles}
+          programs={programs}
+          onEnroll={handleEnroll}
+          onClose={() => setShowEnrollment(false)}
+        />
+      )}
+
+      {/* Filters */}
+      <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 p-4">
+        <div className="flex flex-col lg:flex-row gap-3">
+          <div className="flex-1 relative">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search by employee, ID or program..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              className="input pl-9"
+            />
+          </div>
+          <div className="lg:w-36">
+            <select value={filterStatus} onChange={(e) => setFilterStatus(e.target.value)} className="select">
+              <option value="all">All Status</option>
+              <option value="scheduled">Scheduled</option>
+              <option value="active">Active</option>
+              <option value="completed">Completed</option>
+              <option value="cancelled">Cancelled</option>
+            </select>
+          </div>
+          <div className="lg:w-48">
+            <select value={filterDepartment} onChange={(e) => setFilterDepartment(e.target.value)} className="select">
+              <option value="all">All Departments</option>
+              {programDepartments.map(dept => <option key={dept} value={dept}>{dept}</option>)}
+            </select>
+          </div>
+          <div className="flex items-center gap-2">
+            <input
+              type="date"
+              value={filterFrom}
+              onChange={(e) => setFilterFrom(e.target.value)}
+              className="input lg:w-40"
+              title="Running on or after"
+            />
+            <span className="text-gray-400">–</span>
+            <input
+              type="date"
+              value={filterTo}
+              onChange={(e) => setFilterTo(e.target.value)}
+              className="input lg:w-40"
+              title="Running on or before"
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Programs Table */}
+      <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 overflow-hidden">
+        <div className="table-container">
+          <table className="table table-sticky">
+            <thead>
+              <tr>
+                <th className="w-[240px]">Employee</th>
+                <th>Department</th>
+                <th>Program</th>
+                <th className="w-[90px] text-right">Reduction</th>
+                <th>Period</th>
+                <th className="w-[110px]">Status</th>
+                <th className="w-[150px] text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                [...Array(6)].map((_, i) => (
+                  <tr key={i}>
+                    <td><div className="skeleton h-4 w-32" /></td>
+                    <td><div className="skeleton h-4 w-24" /></td>
+                    <td><div className="skeleton h-4 w-24" /></td>
+                    <td><div className="skeleton h-4 w-10 ml-auto" /></td>
+                    <td><div className="skeleton h-4 w-36" /></td>
+                    <td><div className="skeleton h-5 w-16 rounded-full" /></td>
+                    <td><div className="skeleton h-4 w-20 ml-auto" /></td>
+                  </tr>
+                ))
+              ) : pagePrograms.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="py-12">
+                    <div className="empty-state">
+                      <UserMinus className="empty-state-icon" />
+                      <p className="empty-state-title">No reduction programs found</p>
+                      <p className="empty-state-description">
+                        {hasFilters
+                          ? 'Try adjusting your filters to find what you are looking for.'
+                          : 'Enroll employees to start tracking reduction programs.'}
+                      </p>
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                pagePrograms.map(program => {
+                  const phase = getProgramPhase(program);
+                  const isOpen = phase === 'active' || phase === 'scheduled';
+                  return (
+                    <tr key={program.id}>
+                      <td>
+                        <button
+                          onClick={() => setTimelineEmployee({ employeeId: program.employeeId, employeeName: program.employeeName })}
+                          className="text-left group"
+                          title="Show program history"
+                        >
+                          <p className="text-sm font-medium text-p3-midnight dark:text-white group-hover:text-p3-electric truncate flex items-center gap-1.5">
+                            {program.employeeName || '—'}
+                            <History className="w-3.5 h-3.5 text-gray-300 group-hover:text-p3-electric" />
+                          </p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400 font-mono">{program.employeeId}</p>
+                        </button>
+                      </td>
+                      <td>
+                        <span className="text-sm text-gray-600 dark:text-gray-400">{program.department || '—'}</span>
+                      </td>
+                      <td>
+                        <span className="text-sm text-gray-700 dark:text-gray-300">{program.programName || '—'}</span>
+                      </td>
+                      <td className="text-right">
+                        <span className="text-sm font-mono text-gray-700 dark:text-gray-300">{program.reductionPercentage}%</span>
+                      </td>
+                      <td>
+                        <span className="text-sm text-gray-600 dark:text-gray-400">
+                          {formatDate(toISODate(program.startDate))} – {program.endDate ? formatDate(toISODate(program.endDate)) : 'open-ended'}
+                        </span>
+                      </td>
+                      <td>
+                        <ProgramPhaseBadge program={program} />
+                      </td>
+                      <td>
+                        <div className="flex items-center justify-end gap-1">
+                          <button onClick={() => setEditingProgram(program)} className="btn btn-ghost btn-icon" title="Edit">
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                          {isOpen && (
+                            <>
+                              <button onClick={() => handleEnd(program)} className="btn btn-ghost btn-icon" title="End program today">
+                                <Flag className="w-4 h-4" />
+                              </button>
+                              <button onClick={() => handleCancel(program)} className="btn btn-ghost btn-icon" title="Cancel program">
+                                <Ban className="w-4 h-4" />
+                              </button>
+                            </>
+                          )}
+                          <button onClick={() => handleDelete(program)} className="btn btn-ghost btn-icon text-warning" title="Delete">
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Pagination */}
+        <div className="px-4 py-3 border-t border-gray-200 dark:border-gray-800 flex items-center justify-between gap-3 bg-gray-50 dark:bg-gray-900/50">
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {filteredPrograms.length > 0
+              ? `Showing ${(currentPage - 1) * ITEMS_PER_PAGE + 1} to ${Math.min(currentPage * ITEMS_PER_PAGE, filteredPrograms.length)} of ${filteredPrograms.length.toLocaleString()} programs`
+              : 'No results'}
+          </p>
+          <div className="flex items-center gap-1">
+            <button
+              onClick={() => setCurrentPage(prev => Math.max(1, prev - 1))}
+              disabled={currentPage === 1}
+              className="btn btn-ghost btn-sm btn-icon disabled:opacity-40"
+            >
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <span className="text-xs text-gray-500 dark:text-gray-400 px-2">{currentPage} / {totalPages}</span>
+            <button
+              onClick={() => setCurrentPage(prev => Math.min(totalPages, prev + 1))}
+              disabled={currentPage === totalPages}
+              className="btn btn-ghost btn-sm btn-icon disabled:opacity-40"
+            >
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {editingProgram && (
+        <ProgramEditModal
+          program={editingProgram}
+          onSave={handleSave}
+          onClose={() => setEditingProgram(null)}
+        />
+      )}
+
+      {timelineEmployee && (
+        <ReductionProgramTimeline
+          employeeId={timelineEmployee.employeeId}
+          employeeName={timelineEmployee.employeeName}
+          onClose={() => setTimelineEmployee(null)}
+        />
+      )}
+
+      <ConfirmDialog
+        isOpen={confirmDialog.isOpen}
+        onClose={confirmDialog.onClose}
+        onConfirm={confirmDialog.onConfirm}
+        {...confirmDialog.config}
+      />
+    </div>
+  );
+};
+
+export default ReductionPrograms;
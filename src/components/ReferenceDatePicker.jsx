@@ -0,0 +1,42 @@
+/**
+ * Reference Date Picker
+ * Selects the "as of" date (Stichtag) that metrics are evaluated against
+ */
+
+import React from 'react';
+import { CalendarDays } from 'lucide-react';
+import { toISODate } from '../utils/helpers';
+
+const ReferenceDatePicker = ({ value, onChange, label = 'As of', resetLabel = 'Today' }) => {
+  const selected = toISODate(value);
+  const today = toISODate(new Date());
+
+  const handleChange = (e) => {
+    if (!e.target.value) return;
+    const [year, month, day] = e.target.value.split('-').map(Number);
+    onChange(new Date(year, month - 1, day));
+  };
+
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <CalendarDays className="w-4 h-4 text-gray-400" />
+      <label className="text-gray-500 dark:text-gray-400">{label}</label>
+      <input
+        type="date"
+        value={selected || ''}
+        onChange={handleChange}
+        className="px-3 py-1.5 text-sm border border-gray-200 dark:border-gray-700 rounded-md bg-white dark:bg-gray-800 text-p3-midnight dark:text-white"
+      />
+      {selected !== today && (
+        <button
+          onClick={() => onChange(new Date())}
+          className="text-xs text-p3-electric hover:underline"
+        >
+          {resetLabel}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ReferenceDatePicker;
@@ -10,7 +10,8 @@ import {
   FileSpreadsheet
 } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
-import { employeeDB } from '../services/unifiedDB';
+import { useAuth } from '../contexts/AuthContext';
+import { employeeDB, auditLogDB } from '../services/unifiedDB';
 import jsPDF from 'jspdf';
 import 'jspdf-autotable';
 import * as XLSX from 'xlsx';
@@ -18,6 +19,10 @@ import toast from 'react-hot-toast';
 
 const Reports = () => {
   const { getDashboardMetrics } = useApp();
+  const { can } = useAuth();
+  // Salaries and birth dates only go into the reports of users allowed to see them
+  const showSalaries = can('salaries.view');
+  const showPersonal = can('personal.view');
   const [metrics, setMetrics] = useState(null);
   const [loading, setLoading] = useState(true);
   const [generating, setGenerating] = useState(false);
@@ -91,6 +96,7 @@ const Reports = () => {
         ['Utilization Rate', metrics.utilizationRate + '%'],
         ['Active Reduction Programs', metrics.activeReductions.toString()],
         ['Avg. Reduction Impact', (metrics.reductionImpact || 0) + '%'],
+        ...(showSalaries ? [['Total Workforce Cost', '€' + (metrics.totalSalary || 0).toLocaleString()]] : []),
       ];
 
       doc.autoTable({
@@ -146,7 +152,9 @@ const Reports = () => {
         );
       }
 
-      doc.save('workforce-management-summary-' + new Date().toISOString().split('T')[0] + '.pdf');
+      const fileName = 'workforce-management-summary-' + new Date().toISOString().split('T')[0] + '.pdf';
+      doc.save(fileName);
+      auditLogDB.recordExport(fileName, { report: 'Management summary', format: 'pdf', rows: deptData.length });
       toast.success('Report generated successfully');
     } catch (error) {
       console.error('Error generating PDF:', error);
@@ -215,7 +223,9 @@ const Reports = () => {
         );
       }
 
-      doc.save('employee-list-' + new Date().toISOString().split('T')[0] + '.pdf');
+      const fileName = 'employee-list-' + new Date().toISOString().split('T')[0] + '.pdf';
+      doc.save(fileName);
+      auditLogDB.recordExport(fileName, { report: 'Employee list', format: 'pdf', rows: rows.length });
       toast.success('Employee list exported successfully');
     } catch (error) {
       console.error('Error generating PDF:', error);
@@ -241,6 +251,7 @@ const Reports = () => {
         ['Active Projects', metrics.activeProjects],
         ['Utilization Rate', metrics.utilizationRate + '%'],
         ['Active Reduction Programs', metrics.activeReductions],
+        ...(showSalaries ? [['Total Workforce Cost', metrics.totalSalary || 0]] : []),
       ];
 
       const summarySheet = XLSX.utils.aoa_to_sheet(summaryData);
@@ -250,7 +261,11 @@ const Reports = () => {
       const allEmployees = await employeeDB.getAll();
 
       const employeeData = [
-        ['Employee ID', 'Name', 'Email', 'Department', 'Role', 'Status', 'FTE', 'Reduction Program'],
+        [
+          'Employee ID', 'Name', 'Email', 'Department', 'Role', 'Status', 'FTE', 'Reduction Program',
+          ...(showSalaries ? ['Base Salary'] : []),
+          ...(showPersonal ? ['Birth Date'] : []),
+        ],
         ...allEmployees.map(emp => [
           emp.employeeId || '',
           emp.name || '',
@@ -260,13 +275,17 @@ const Reports = () => {
           emp.status || '',
           (emp.fte || 100) + '%',
           emp.reductionProgram?.status === 'active' ? 'Yes' : 'No',
+          ...(showSalaries ? [emp.baseSalary ?? emp.salary ?? ''] : []),
+          ...(showPersonal ? [emp.birthdate ?? emp.dateOfBirth ?? ''] : []),
         ]),
       ];
 
       const employeeSheet = XLSX.utils.aoa_to_sheet(employeeData);
       XLSX.utils.book_append_sheet(workbook, employeeSheet, 'Employees');
 
-      XLSX.writeFile(workbook, 'workforce-report-' + new Date().toISOString().split('T')[0] + '.xlsx');
+      const fileName = 'workforce-report-' + new Date().toISOString().split('T')[0] + '.xlsx';
+      XLSX.writeFile(workbook, fileName);
+      auditLogDB.recordExport(fileName, { report: 'Workforce report', format: 'xlsx', rows: allEmployees.length });
       toast.success('Excel export completed');
     } catch (error) {
       console.error('Error generating Excel:', error);
@@ -0,0 +1,123 @@
+/**
+ * Role Permissions
+ * Permission matrix of User Management: which capabilities each role has.
+ * Admins always have all of them; routes, the data layer and Supabase RLS check the rest
+ */
+
+import React, { useEffect, useState } from 'react';
+import { KeyRound, Save } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { rolePermissionDB } from '../services/unifiedDB';
+import { CAPABILITIES, ROLES } from '../utils/permissions';
+
+const RolePermissions = () => {
+  const { permissionMatrix, refreshPermissions } = useAuth();
+  const [draft, setDraft] = useState(permissionMatrix);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(permissionMatrix);
+  }, [permissionMatrix]);
+
+  const changedRoles = ROLES
+    .filter(role => role.key !== 'admin')
+    .filter(role => {
+      const saved = permissionMatrix[role.key] || [];
+      const edited = draft[role.key] || [];
+      return saved.length !== edited.length || edited.some(c => !saved.includes(c));
+    });
+
+  const toggle = (role, capability) => {
+    setDraft(prev => {
+      const current = prev[role] || [];
+      return {
+        ...prev,
+        [role]: current.includes(capability)
+          ? current.filter(c => c !== capability)
+          : [...current, capability],
+      };
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      for (const role of changedRoles) {
+        await rolePermissionDB.save(role.key, draft[role.key] || []);
+      }
+      await refreshPermissions();
+      toast.success('Permissions saved');
+    } catch (error) {
+      console.error('Failed to save permissions:', error);
+      toast.error(error.message || 'Failed to save permissions');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 overflow-hidden">
+      <div className="flex items-center justify-between gap-4 px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <div className="flex items-center gap-3">
+          <KeyRound className="w-5 h-5 text-blue-600" />
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Role Permissions</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              What each role may see and do, within the user's departments
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={saving || changedRoles.length === 0}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white rounded-lg font-medium transition-colors"
+        >
+          <Save className="w-4 h-4" />
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="bg-gray-50 dark:bg-gray-700">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                Capability
+              </th>
+              {ROLES.map(role => (
+                <th key={role.key} className="px-4 py-3 text-center text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                  {role.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {CAPABILITIES.map(capability => (
+              <tr key={capability.key} className="hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                <td className="px-6 py-3">
+                  <div className="text-sm font-medium text-gray-900 dark:text-white">{capability.label}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">{capability.description}</div>
+                </td>
+                {ROLES.map(role => (
+                  <td key={role.key} className="px-4 py-3 text-center">
+                    <input
+                      type="checkbox"
+                      checked={role.key === 'admin' || (draft[role.key] || []).includes(capability.key)}
+                      onChange={() => toggle(role.key, capability.key)}
+                      disabled={role.key === 'admin'}
+                      className="w-4 h-4 text-blue-600 rounded focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                      aria-label={`${role.label}: ${capability.label}`}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default RolePermissions;
@@ -1,6 +1,10 @@
 /**
  * Scenario Simulation
  * What-if analysis for workforce reduction programs
+ * Scenarios are saved per backend (IndexedDB or Supabase) together with
+ * their author and the import snapshot they were built against
+ * Levers are evaluated against individual employee records (see utils/scenarioModel)
+ * and projected month by month from their effective dates, including one-off costs
  * GDPR compliant - uses only aggregated data
  * P3 Enterprise Design System
  */
@@ -20,18 +24,71 @@ import {
   AlertTriangle,
   ChevronDown,
   ChevronUp,
-  Download
+  Download,
+  Copy,
+  Pencil,
+  Archive,
+  ArchiveRestore,
+  GitCompare
 } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
+import { useAuth } from '../contexts/AuthContext';
+import { scenarioDB, importHistoryDB, employeeDB, auditLogDB } from '../services/unifiedDB';
+import { generateId } from '../utils/helpers';
+import { MASKED_VALUE } from '../utils/permissions';
+import {
+  SCENARIO_DIMENSIONS,
+  LEVER_TYPES,
+  ONE_OFF_COST_TYPES,
+  getDefaultOneOffCost,
+  toMonthKey,
+  buildEmployeeProfiles,
+  getDimensionValues,
+  getScenarioLevers,
+  simulateScenario,
+  projectScenario,
+} from '../utils/scenarioModel';
 import toast from 'react-hot-toast';
 import * as XLSX from 'xlsx';
+import {
+  ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
+  ResponsiveContainer, ReferenceLine
+} from 'recharts';
 import { DepartmentBarChart } from './charts/DepartmentChart';
 
 // Scenario Card Component
-const ScenarioCard = ({ scenario, isActive, onSelect, onDelete, canDelete }) => {
+const ScenarioCard = ({
+  scenario,
+  isActive,
+  isDirty,
+  isStale,
+  isCompared,
+  onSelect,
+  onDelete,
+  onRename,
+  onDuplicate,
+  onArchive,
+  onToggleCompare,
+  canDelete,
+  costsHidden
+}) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftName, setDraftName] = useState(scenario.name);
   const savings = scenario.totalSavings || 0;
   const headcountReduction = scenario.totalHeadcountReduction || 0;
 
+  const commitRename = () => {
+    setIsEditing(false);
+    const name = draftName.trim();
+    if (name && name !== scenario.name) {
+      onRename(name);
+    } else {
+      setDraftName(scenario.name);
+    }
+  };
+
+  const actionButton = 'p-1 text-gray-400 hover:text-p3-electric transition-colors';
+
   return (
     <div
       onClick={onSelect}
@@ -41,27 +98,79 @@ const ScenarioCard = ({ scenario, isActive, onSelect, onDelete, canDelete }) =>
           ? 'border-p3-electric bg-primary-50 dark:bg-primary-900/20'
           : 'border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 hover:border-gray-300 dark:hover:border-gray-600'
         }
+        ${scenario.archived ? 'opacity-60' : ''}
       `}
     >
-      <div className="flex items-start justify-between mb-2">
-        <h4 className="font-medium text-p3-midnight dark:text-white">{scenario.name}</h4>
-        {canDelete && (
-          <button
-            onClick={(e) => {
-              e.stopPropagation();
-              onDelete();
-            }}
-            className="p-1 text-gray-400 hover:text-red-500 transition-colors"
-          >
-            <Trash2 className="w-4 h-4" />
-          </button>
+      <div className="flex items-start justify-between gap-2 mb-2">
+        <div className="flex items-start gap-2 min-w-0">
+          <input
+            type="checkbox"
+            checked={isCompared}
+            disabled={scenario.isBaseline}
+            onClick={(e) => e.stopPropagation()}
+            onChange={onToggleCompare}
+            title="Include in comparison"
+            className="mt-1 rounded border-gray-300 text-p3-electric focus:ring-p3-electric"
+          />
+          <div className="min-w-0">
+            {isEditing ? (
+              <input
+                type="text"
+                value={draftName}
+                autoFocus
+                onClick={(e) => e.stopPropagation()}
+                onChange={(e) => setDraftName(e.target.value)}
+                onBlur={commitRename}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') commitRename();
+                  if (e.key === 'Escape') {
+                    setDraftName(scenario.name);
+                    setIsEditing(false);
+                  }
+                }}
+                className="w-full px-2 py-0.5 text-sm border border-gray-200 dark:border-gray-700 rounded bg-white dark:bg-gray-800 text-p3-midnight dark:text-white"
+              />
+            ) : (
+              <h4 className="font-medium text-p3-midnight dark:text-white truncate">
+                {scenario.name}
+                {isDirty && <span className="ml-1 text-warning" title="Unsaved changes">•</span>}
+              </h4>
+            )}
+            {!scenario.isBaseline && (
+              <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                {scenario.author || 'Unknown'}
+                {scenario.updatedAt && ` · ${new Date(scenario.updatedAt).toLocaleDateString()}`}
+                {scenario.archived && ' · Archived'}
+              </p>
+            )}
+          </div>
+        </div>
+        {!scenario.isBaseline && (
+          <div className="flex items-center flex-shrink-0" onClick={(e) => e.stopPropagation()}>
+            <button onClick={() => setIsEditing(true)} className={actionButton} title="Rename">
+              <Pencil className="w-3.5 h-3.5" />
+            </button>
+            <button onClick={onDuplicate} className={actionButton} title="Duplicate">
+              <Copy className="w-3.5 h-3.5" />
+            </button>
+            <button onClick={onArchive} className={actionButton} title={scenario.archived ? 'Restore' : 'Archive'}>
+              {scenario.archived
+                ? <ArchiveRestore className="w-3.5 h-3.5" />
+                : <Archive className="w-3.5 h-3.5" />}
+            </button>
+            {canDelete && (
+              <button onClick={onDelete} className="p-1 text-gray-400 hover:text-red-500 transition-colors" title="Delete">
+                <Trash2 className="w-3.5 h-3.5" />
+              </button>
+            )}
+          </div>
         )}
       </div>
       <div className="space-y-1 text-sm">
         <div className="flex justify-between">
           <span className="text-gray-500 dark:text-gray-400">Savings</span>
-          <span className={`font-medium ${savings > 0 ? 'text-success' : 'text-gray-600 dark:text-gray-400'}`}>
-            {savings > 0 ? `€${(savings / 1000).toFixed(0)}K` : '—'}
+          <span className={`font-medium ${costsHidden ? 'text-gray-600 dark:text-gray-400' : savings > 0 ? 'text-success' : savings < 0 ? 'text-red-500' : 'text-gray-600 dark:text-gray-400'}`}>
+            {costsHidden ? MASKED_VALUE : Math.abs(savings) >= 500 ? `€${(savings / 1000).toFixed(0)}K` : '—'}
           </span>
         </div>
         <div className="flex justify-between">
@@ -71,12 +180,18 @@ const ScenarioCard = ({ scenario, isActive, onSelect, onDelete, canDelete }) =>
           </span>
         </div>
       </div>
+      {isStale && (
+        <p className="mt-2 flex items-center gap-1 text-xs text-warning">
+          <AlertTriangle className="w-3 h-3" />
+          Built against {scenario.basedOn?.fileName || 'an older import'}
+        </p>
+      )}
     </div>
   );
 };
 
 // Department Slider Row
-const DepartmentSlider = ({ dept, reduction, avgSalary, onChange }) => {
+const DepartmentSlider = ({ dept, reduction, avgSalary, costsHidden, onChange }) => {
   const estimatedSavings = (dept.count * (reduction / 100) * avgSalary);
   const affectedCount = Math.round(dept.count * (reduction / 100));
 
@@ -97,7 +212,8 @@ const DepartmentSlider = ({ dept, reduction, avgSalary, onChange }) => {
           </p>
           {reduction > 0 && (
             <p className="text-xs text-warning">
-              -{affectedCount} ({estimatedSavings > 0 ? `€${(estimatedSavings / 1000).toFixed(0)}K` : ''})
+              -{affectedCount}
+              {!costsHidden && estimatedSavings > 0 && ` (€${(estimatedSavings / 1000).toFixed(0)}K)`}
             </p>
           )}
         </div>
@@ -115,27 +231,499 @@ const DepartmentSlider = ({ dept, reduction, avgSalary, onChange }) => {
   );
 };
 
+// Short description of who a lever applies to
+const formatLeverScope = (lever) => {
+  const dimension = SCENARIO_DIMENSIONS.find(d => d.key === lever.dimension);
+  let scope = dimension ? `${dimension.label}: ${lever.value}` : 'All employees';
+  if (lever.type === 'earlyRetirement') {
+    scope += ` · Age ${lever.minAge || 0}–${lever.maxAge || '∞'}`;
+  }
+  return scope;
+};
+
+// Cost deltas are negative for savings; show them as signed thousands
+const formatCostChange = (value) => {
+  if (Math.abs(value) < 500) return '—';
+  return `${value < 0 ? '-' : '+'}€${(Math.abs(value) / 1000).toFixed(0)}K`;
+};
+
+const formatThousands = (value) => {
+  if (Math.abs(value) < 500) return '—';
+  return `${value < 0 ? '-' : ''}€${(Math.abs(value) / 1000).toFixed(0)}K`;
+};
+
+const formatOneOffCost = (model) => {
+  if (!model || model.type === 'none' || !Number(model.months)) return '—';
+  return model.type === 'perYear'
+    ? `${model.months} mo. / year of service`
+    : `${model.months} mo. salary`;
+};
+
+// Month label for a 'YYYY-MM' key
+const formatMonth = (monthKey) => {
+  if (!monthKey) return '—';
+  const [year, month] = monthKey.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+};
+
+const controlClass = 'px-3 py-1.5 text-xs border border-gray-200 dark:border-gray-700 rounded-md bg-white dark:bg-gray-800 text-p3-midnight dark:text-white';
+
+// Effective month plus one-off cost model, shared by levers and department reductions
+const PhasingInputs = ({ effectiveDate, oneOffCost, onChange }) => (
+  <>
+    <label className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+      Effective
+      <input
+        type="month"
+        value={effectiveDate || ''}
+        onChange={(e) => onChange({ effectiveDate: e.target.value, oneOffCost })}
+        className={controlClass}
+      />
+    </label>
+    <select
+      value={oneOffCost.type}
+      onChange={(e) => onChange({ effectiveDate, oneOffCost: { ...oneOffCost, type: e.target.value } })}
+      className={controlClass}
+    >
+      {ONE_OFF_COST_TYPES.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+    </select>
+    {oneOffCost.type !== 'none' && (
+      <input
+        type="number"
+        min="0"
+        step="0.5"
+        value={oneOffCost.months}
+        onChange={(e) => onChange({ effectiveDate, oneOffCost: { ...oneOffCost, months: e.target.value } })}
+        title="Months of salary"
+        className={`${controlClass} w-16`}
+      />
+    )}
+  </>
+);
+
+const EMPTY_LEVER = {
+  type: 'hiringFreeze',
+  dimension: 'all',
+  value: '',
+  amount: 5,
+  minAge: 60,
+  maxAge: '',
+  oneOffCost: getDefaultOneOffCost('hiringFreeze'),
+};
+
+// Additional levers on top of the department sliders
+const LeverPanel = ({ levers, leverImpacts, dimensionValues, costsHidden, agesHidden, onAdd, onRemove }) => {
+  const [draft, setDraft] = useState(() => ({ ...EMPTY_LEVER, effectiveDate: toMonthKey(new Date()) }));
+  const values = draft.dimension === 'all' ? [] : dimensionValues[draft.dimension] || [];
+  const typeInfo = LEVER_TYPES.find(t => t.key === draft.type);
+  const canAdd = Number(draft.amount) > 0 && (draft.dimension === 'all' || draft.value !== '')
+    && !(agesHidden && draft.type === 'earlyRetirement');
+  const hasAgeLevers = levers.some(l => l.type === 'earlyRetirement');
+
+  const handleAdd = () => {
+    const lever = {
+      type: draft.type,
+      dimension: draft.dimension,
+      value: draft.dimension === 'all' ? null : draft.value,
+      amount: Number(draft.amount),
+      effectiveDate: draft.effectiveDate,
+      oneOffCost: { type: draft.oneOffCost.type, months: Number(draft.oneOffCost.months) || 0 },
+    };
+    if (draft.type === 'earlyRetirement') {
+      lever.minAge = draft.minAge === '' ? '' : Number(draft.minAge);
+      lever.maxAge = draft.maxAge === '' ? '' : Number(draft.maxAge);
+    }
+    onAdd(lever);
+    setDraft(prev => ({ ...prev, value: '' }));
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 p-5">
+      <div className="mb-4">
+        <h3 className="text-sm font-semibold text-p3-midnight dark:text-white">Additional Levers</h3>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Levers are applied in order after the department reductions, to each employee in scope
+        </p>
+        {agesHidden && (
+          <p className="mt-2 flex items-center gap-1 text-xs text-warning">
+            <AlertTriangle className="w-3 h-3" />
+            Early retirement needs birth dates, which your role can't see
+            {hasAgeLevers && ' – the early retirement levers of this scenario are left out of the results'}
+          </p>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-end gap-2 mb-4">
+        <select
+          value={draft.type}
+          onChange={(e) => setDraft(prev => ({
+            ...prev,
+            type: e.target.value,
+            oneOffCost: getDefaultOneOffCost(e.target.value),
+          }))}
+          className={controlClass}
+        >
+          {LEVER_TYPES.map(t => (
+            <option key={t.key} value={t.key} disabled={agesHidden && t.key === 'earlyRetirement'}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={draft.dimension}
+          onChange={(e) => setDraft(prev => ({ ...prev, dimension: e.target.value, value: '' }))}
+          className={controlClass}
+        >
+          <option value="all">All employees</option>
+          {SCENARIO_DIMENSIONS.map(d => <option key={d.key} value={d.key}>{d.label}</option>)}
+        </select>
+        {draft.dimension !== 'all' && (
+          <select
+            value={draft.value}
+            onChange={(e) => setDraft(prev => ({ ...prev, value: e.target.value }))}
+            className={`${controlClass} max-w-[12rem]`}
+          >
+            <option value="" disabled>Select...</option>
+            {values.map(v => (
+              <option key={v.value} value={v.value}>{v.value} ({v.count})</option>
+            ))}
+          </select>
+        )}
+        {draft.type === 'earlyRetirement' && (
+          <>
+            <input
+              type="number"
+              min="0"
+              value={draft.minAge}
+              onChange={(e) => setDraft(prev => ({ ...prev, minAge: e.target.value }))}
+              placeholder="Min age"
+              className={`${controlClass} w-20`}
+            />
+            <input
+              type="number"
+              min="0"
+              value={draft.maxAge}
+              onChange={(e) => setDraft(prev => ({ ...prev, maxAge: e.target.value }))}
+              placeholder="Max age"
+              className={`${controlClass} w-20`}
+            />
+          </>
+        )}
+        <label className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+          {typeInfo?.amountLabel}
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="1"
+            value={draft.amount}
+            onChange={(e) => setDraft(prev => ({ ...prev, amount: e.target.value }))}
+            className={`${controlClass} w-16`}
+          />
+        </label>
+        <PhasingInputs
+          effectiveDate={draft.effectiveDate}
+          oneOffCost={draft.oneOffCost}
+          onChange={(phasing) => setDraft(prev => ({ ...prev, ...phasing }))}
+        />
+        <button
+          onClick={handleAdd}
+          disabled={!canAdd}
+          className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-p3-electric border border-p3-electric rounded-md hover:bg-primary-50 dark:hover:bg-primary-900/20 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Plus className="w-3.5 h-3.5" />
+          Add Lever
+        </button>
+      </div>
+
+      {levers.length === 0 ? (
+        <p className="text-xs text-gray-400 dark:text-gray-500">No additional levers configured</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 dark:border-gray-700">
+                <th className="text-left py-2 px-3 font-medium text-gray-500 dark:text-gray-400">Lever</th>
+                <th className="text-left py-2 px-3 font-medium text-gray-500 dark:text-gray-400">Scope</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-500 dark:text-gray-400">Amount</th>
+                <th className="text-left py-2 px-3 font-medium text-gray-500 dark:text-gray-400">Effective</th>
+                <th className="text-left py-2 px-3 font-medium text-gray-500 dark:text-gray-400">One-off Cost</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-500 dark:text-gray-400">In Scope</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-500 dark:text-gray-400">Headcount</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-500 dark:text-gray-400">FTE</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-500 dark:text-gray-400">Cost</th>
+                <th className="py-2 px-3" />
+              </tr>
+            </thead>
+            <tbody>
+              {levers.map(lever => {
+                const impact = leverImpacts.find(i => i.lever.id === lever.id);
+                return (
+                  <tr key={lever.id} className="border-b border-gray-100 dark:border-gray-800 last:border-0">
+                    <td className="py-2 px-3 text-p3-midnight dark:text-white">
+                      {LEVER_TYPES.find(t => t.key === lever.type)?.label || lever.type}
+                    </td>
+                    <td className="py-2 px-3 text-gray-600 dark:text-gray-400">{formatLeverScope(lever)}</td>
+                    <td className="py-2 px-3 text-right text-gray-600 dark:text-gray-400">{lever.amount}%</td>
+                    <td className="py-2 px-3 text-gray-600 dark:text-gray-400">{formatMonth(lever.effectiveDate)}</td>
+                    <td className="py-2 px-3 text-gray-600 dark:text-gray-400">{formatOneOffCost(lever.oneOffCost)}</td>
+                    <td className="py-2 px-3 text-right text-gray-600 dark:text-gray-400">
+                      {(impact?.affected || 0).toLocaleString()}
+                    </td>
+                    <td className="py-2 px-3 text-right text-warning">
+                      {impact && impact.headcountDelta <= -0.5 ? Math.round(impact.headcountDelta) : '—'}
+                    </td>
+                    <td className="py-2 px-3 text-right text-warning">
+                      {impact && impact.fteDelta <= -0.05 ? impact.fteDelta.toFixed(1) : '—'}
+                    </td>
+                    <td className={`py-2 px-3 text-right ${costsHidden ? 'text-gray-600 dark:text-gray-400' : impact?.costDelta > 0 ? 'text-red-500' : 'text-success'}`}>
+                      {costsHidden ? MASKED_VALUE : formatCostChange(impact?.costDelta || 0)}
+                    </td>
+                    <td className="py-2 px-3 text-right">
+                      <button
+                        onClick={() => onRemove(lever.id)}
+                        className="p-1 text-gray-400 hover:text-red-500 transition-colors"
+                        title="Remove lever"
+                      >
+                        <Trash2 className="w-3.5 h-3.5" />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const DIMENSION_ROW_LIMIT = 25;
+
+// Headcount, FTE and cost impact of a scenario along one dimension
+const DimensionImpactPanel = ({ simulation, costsHidden }) => {
+  const [dimension, setDimension] = useState('department');
+
+  const rows = useMemo(() => {
+    return Object.entries(simulation.byDimension[dimension])
+      .map(([value, d]) => ({
+        value,
+        baseHeadcount: d.baseHeadcount,
+        headcountDelta: d.headcount - d.baseHeadcount,
+        baseFte: d.baseFte,
+        fteDelta: d.fte - d.baseFte,
+        costDelta: d.cost - d.baseCost,
+      }))
+      .filter(r => Math.abs(r.headcountDelta) >= 0.05 || Math.abs(r.fteDelta) >= 0.05 || Math.abs(r.costDelta) >= 1)
+      .sort((a, b) => Math.abs(b.costDelta) - Math.abs(a.costDelta));
+  }, [simulation, dimension]);
+
+  return (
+    <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 p-5">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <h3 className="text-sm font-semibold text-p3-midnight dark:text-white">Impact by Dimension</h3>
+        <nav className="flex gap-4 border-b border-gray-200 dark:border-gray-700">
+          {SCENARIO_DIMENSIONS.map(d => (
+            <button
+              key={d.key}
+              onClick={() => setDimension(d.key)}
+              className={`pb-2 text-xs font-medium border-b-2 transition-colors ${
+                dimension === d.key
+                  ? 'border-p3-electric text-p3-electric'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300'
+              }`}
+            >
+              {d.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-xs text-gray-400 dark:text-gray-500">This scenario has no impact yet</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 dark:border-gray-700">
+                <th className="text-left py-2 px-3 font-medium text-gray-500 dark:text-gray-400">
+                  {SCENARIO_DIMENSIONS.find(d => d.key === dimension)?.label}
+                </th>
+                <th className="text-right py-2 px-3 font-medium text-gray-500 dark:text-gray-400">Headcount</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-500 dark:text-gray-400">Change</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-500 dark:text-gray-400">FTE</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-500 dark:text-gray-400">Change</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-500 dark:text-gray-400">Cost Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.slice(0, DIMENSION_ROW_LIMIT).map(r => (
+                <tr key={r.value} className="border-b border-gray-100 dark:border-gray-800 last:border-0">
+                  <td className="py-2 px-3 text-p3-midnight dark:text-white">{r.value}</td>
+                  <td className="py-2 px-3 text-right text-gray-600 dark:text-gray-400">{r.baseHeadcount.toLocaleString()}</td>
+                  <td className="py-2 px-3 text-right text-warning">
+                    {r.headcountDelta <= -0.5 ? Math.round(r.headcountDelta) : '—'}
+                  </td>
+                  <td className="py-2 px-3 text-right text-gray-600 dark:text-gray-400">{r.baseFte.toFixed(1)}</td>
+                  <td className="py-2 px-3 text-right text-warning">
+                    {Math.abs(r.fteDelta) >= 0.05 ? r.fteDelta.toFixed(1) : '—'}
+                  </td>
+                  <td className={`py-2 px-3 text-right ${costsHidden ? 'text-gray-600 dark:text-gray-400' : r.costDelta > 0 ? 'text-red-500' : 'text-success'}`}>
+                    {costsHidden ? MASKED_VALUE : formatCostChange(r.costDelta)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {rows.length > DIMENSION_ROW_LIMIT && (
+            <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+              Showing the {DIMENSION_ROW_LIMIT} largest of {rows.length} changes – export to Excel for the full list
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const PROJECTION_HORIZONS = [12, 24, 36, 60];
+
+const ProjectionTooltip = ({ active, payload, label }) => {
+  if (!active || !payload || !payload.length) return null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg p-3">
+      <p className="text-sm font-medium text-p3-midnight dark:text-white mb-2">{label}</p>
+      {payload.map((entry, index) => (
+        <p key={index} className="text-xs text-gray-600 dark:text-gray-400">
+          {entry.name}: <span className="font-medium" style={{ color: entry.color }}>
+            €{Math.round(entry.value).toLocaleString()}
+          </span>
+        </p>
+      ))}
+    </div>
+  );
+};
+
+// Monthly savings, one-off costs and cumulative net savings of the active scenario
+const ProjectionPanel = ({ projection, horizon, onHorizonChange }) => {
+  const chartData = useMemo(() => projection.months.map(m => ({
+    month: formatMonth(m.month),
+    'Savings': Math.round(m.savings),
+    'One-off Costs': -Math.round(m.oneOffCost),
+    'Cumulative Net': Math.round(m.cumulativeNetSavings),
+  })), [projection]);
+
+  const lastMonth = projection.months[projection.months.length - 1];
+  const kpis = [
+    { label: 'Run-rate Savings p.a.', value: formatThousands(projection.runRateSavings) },
+    { label: 'One-off Costs', value: formatThousands(projection.totalOneOffCost) },
+    { label: 'Break-even', value: projection.breakEvenMonth ? formatMonth(projection.breakEvenMonth) : 'Not reached' },
+    { label: `Net Savings after ${horizon} Months`, value: formatThousands(lastMonth?.cumulativeNetSavings || 0) },
+  ];
+
+  return (
+    <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 p-5">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-sm font-semibold text-p3-midnight dark:text-white">Time-Phased Projection</h3>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Savings start at each lever's effective month; one-off costs are booked in that month
+          </p>
+        </div>
+        <select
+          value={horizon}
+          onChange={(e) => onHorizonChange(parseInt(e.target.value))}
+          className={controlClass}
+        >
+          {PROJECTION_HORIZONS.map(h => <option key={h} value={h}>{h} months</option>)}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+        {kpis.map(kpi => (
+          <div key={kpi.label} className="p-3 rounded-lg bg-gray-50 dark:bg-gray-800">
+            <p className="text-xs text-gray-500 dark:text-gray-400">{kpi.label}</p>
+            <p className="text-lg font-semibold text-p3-midnight dark:text-white">{kpi.value}</p>
+          </div>
+        ))}
+      </div>
+
+      <ResponsiveContainer width="100%" height={280}>
+        <ComposedChart data={chartData} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+          <XAxis dataKey="month" tick={{ fontSize: 10, fill: '#6b7280' }} tickLine={false} />
+          <YAxis
+            tick={{ fontSize: 10, fill: '#6b7280' }}
+            tickLine={false}
+            axisLine={false}
+            tickFormatter={(v) => `€${(v / 1000).toFixed(0)}K`}
+          />
+          <Tooltip content={<ProjectionTooltip />} />
+          <Legend wrapperStyle={{ fontSize: '12px' }} />
+          <ReferenceLine y={0} stroke="#6b7280" />
+          <Bar dataKey="Savings" fill="#10b981" maxBarSize={16} />
+          <Bar dataKey="One-off Costs" fill="#ef4444" maxBarSize={16} />
+          <Line type="monotone" dataKey="Cumulative Net" stroke="#8b5cf6" strokeWidth={2} dot={false} />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+// The baseline is derived from live data and never stored
+const BASELINE_SCENARIO = { id: 'baseline', name: 'Baseline (Current)', reductions: {}, isBaseline: true };
+
 const ScenarioSimulation = () => {
   const { getDashboardMetrics } = useApp();
+  const { user, can } = useAuth();
   const [metrics, setMetrics] = useState(null);
+  const [employees, setEmployees] = useState([]);
+  const [latestImport, setLatestImport] = useState(null);
   const [loading, setLoading] = useState(true);
 
   // Scenarios state
-  const [scenarios, setScenarios] = useState([
-    { id: 1, name: 'Baseline (Current)', reductions: {}, isBaseline: true }
-  ]);
-  const [activeScenarioId, setActiveScenarioId] = useState(1);
+  const [scenarios, setScenarios] = useState([BASELINE_SCENARIO]);
+  const [activeScenarioId, setActiveScenarioId] = useState(BASELINE_SCENARIO.id);
+  const [dirtyIds, setDirtyIds] = useState(() => new Set());
+  const [compareIds, setCompareIds] = useState(() => new Set());
+  const [showArchived, setShowArchived] = useState(false);
   const [showComparison, setShowComparison] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [projectionHorizon, setProjectionHorizon] = useState(36);
 
   // Default average salary if not available from data
   const DEFAULT_AVG_SALARY = 55000;
 
+  // Without salaries every employee is valued at the default, so cost figures are shown as hidden;
+  // without birth dates the age band of an early retirement lever matches nobody
+  const costsHidden = !can('salaries.view') || Boolean(metrics?.salariesHidden);
+  const agesHidden = !can('personal.view');
+
+  const leversOf = useCallback((scenario) => {
+    const levers = getScenarioLevers(scenario);
+    return agesHidden ? levers.filter(l => l.type !== 'earlyRetirement') : levers;
+  }, [agesHidden]);
+
   useEffect(() => {
     const loadData = async () => {
       try {
         setLoading(true);
-        const data = await getDashboardMetrics();
+        const [data, allEmployees, savedScenarios, recentImports] = await Promise.all([
+          getDashboardMetrics(),
+          employeeDB.getAll(),
+          scenarioDB.getAll().catch((error) => {
+            console.error('Failed to load saved scenarios:', error);
+            toast.error('Failed to load saved scenarios');
+            return [];
+          }),
+          importHistoryDB.getRecent(1).catch(() => []),
+        ]);
         setMetrics(data);
+        setEmployees(allEmployees || []);
+        setLatestImport(recentImports?.[0] || null);
+        setScenarios([BASELINE_SCENARIO, ...(savedScenarios || [])]);
       } catch (error) {
         console.error('Failed to load metrics:', error);
         toast.error('Failed to load workforce data');
@@ -147,21 +735,19 @@ const ScenarioSimulation = () => {
     loadData();
   }, [getDashboardMetrics]);
 
-  // Get department list with details
-  const departments = useMemo(() => {
-    if (!metrics?.departmentDetails) return [];
+  // Reference to the data a scenario is built against
+  const currentSnapshot = useMemo(() => ({
+    importId: latestImport?.id ?? null,
+    fileName: latestImport?.fileName || null,
+    importedAt: latestImport?.timestamp || null,
+    totalEmployees: metrics?.totalEmployees || 0,
+    totalSalary: metrics?.totalSalary || 0,
+  }), [latestImport, metrics]);
 
-    return Object.entries(metrics.departmentDetails)
-      .map(([name, data]) => ({
-        name,
-        count: data.count || 0,
-        totalSalary: data.totalSalary || 0,
-        avgSalary: data.count > 0 && data.totalSalary > 0
-          ? data.totalSalary / data.count
-          : DEFAULT_AVG_SALARY,
-      }))
-      .sort((a, b) => b.count - a.count);
-  }, [metrics]);
+  const isStale = useCallback((scenario) => {
+    if (scenario.isBaseline || !scenario.basedOn) return false;
+    return scenario.basedOn.importId !== currentSnapshot.importId;
+  }, [currentSnapshot]);
 
   // Calculate overall average salary
   const avgSalary = useMemo(() => {
@@ -172,53 +758,112 @@ const ScenarioSimulation = () => {
     return DEFAULT_AVG_SALARY;
   }, [metrics]);
 
+  // Employees without a salary are valued at the overall average
+  const profiles = useMemo(() => {
+    return buildEmployeeProfiles(employees, { defaultSalary: avgSalary });
+  }, [employees, avgSalary]);
+
+  const dimensionValues = useMemo(() => getDimensionValues(profiles), [profiles]);
+
+  const baselineSimulation = useMemo(() => simulateScenario(profiles, []), [profiles]);
+
+  // Get department list with details
+  const departments = useMemo(() => {
+    return Object.entries(baselineSimulation.byDimension.department)
+      .map(([name, data]) => ({
+        name,
+        count: data.baseHeadcount,
+        totalSalary: data.baseCost,
+        avgSalary: data.baseHeadcount > 0 ? data.baseCost / data.baseHeadcount : avgSalary,
+      }))
+      .sort((a, b) => b.count - a.count);
+  }, [baselineSimulation, avgSalary]);
+
+  // Archived scenarios stay hidden unless requested
+  const visibleScenarios = useMemo(() => {
+    return scenarios.filter(s => showArchived || !s.archived);
+  }, [scenarios, showArchived]);
+
   // Get active scenario
   const activeScenario = useMemo(() => {
     return scenarios.find(s => s.id === activeScenarioId) || scenarios[0];
   }, [scenarios, activeScenarioId]);
 
+  // Simulations are cached per scenario object, so moving one slider only
+  // re-evaluates the scenario that changed
+  const simulationCache = useMemo(() => new WeakMap(), [profiles]);
+
   // Calculate scenario results
   const scenarioResults = useMemo(() => {
-    return scenarios.map(scenario => {
-      let totalHeadcountReduction = 0;
-      let totalSavings = 0;
+    return visibleScenarios.map(scenario => {
+      let simulation = simulationCache.get(scenario);
+      if (!simulation) {
+        simulation = simulateScenario(profiles, leversOf(scenario));
+        simulationCache.set(scenario, simulation);
+      }
+      const { totals } = simulation;
+      const totalSavings = totals.baseCost - totals.cost;
 
       const departmentImpacts = departments.map(dept => {
-        const reductionPct = scenario.reductions[dept.name] || 0;
-        const headcountReduction = Math.round(dept.count * (reductionPct / 100));
-        const savings = headcountReduction * dept.avgSalary;
-
-        totalHeadcountReduction += headcountReduction;
-        totalSavings += savings;
+        const impact = simulation.byDimension.department[dept.name];
+        const headcountReduction = Math.round(impact.baseHeadcount - impact.headcount);
 
         return {
           name: dept.name,
           originalCount: dept.count,
-          reductionPct,
+          reductionPct: scenario.reductions[dept.name] || 0,
           headcountReduction,
           newCount: dept.count - headcountReduction,
-          savings,
+          savings: impact.baseCost - impact.cost,
         };
       });
 
       return {
         ...scenario,
-        totalHeadcountReduction,
+        simulation,
+        totalHeadcountReduction: Math.round(totals.baseHeadcount - totals.headcount),
+        totalFteReduction: totals.baseFte - totals.fte,
         totalSavings,
         departmentImpacts,
-        newTotalHeadcount: metrics?.totalEmployees - totalHeadcountReduction || 0,
-        savingsPercent: metrics?.totalSalary > 0
-          ? (totalSavings / metrics.totalSalary * 100).toFixed(1)
+        newTotalHeadcount: Math.round(totals.headcount),
+        savingsPercent: totals.baseCost > 0
+          ? (totalSavings / totals.baseCost * 100).toFixed(1)
           : 0,
       };
     });
-  }, [scenarios, departments, metrics]);
+  }, [visibleScenarios, departments, profiles, simulationCache, leversOf]);
 
   // Get active scenario results
   const activeResults = useMemo(() => {
     return scenarioResults.find(r => r.id === activeScenarioId) || scenarioResults[0];
   }, [scenarioResults, activeScenarioId]);
 
+  // Month-by-month projection of the active scenario
+  const projection = useMemo(() => {
+    if (activeScenario.isBaseline || costsHidden) return null;
+    return projectScenario(profiles, leversOf(activeScenario), { months: projectionHorizon });
+  }, [profiles, activeScenario, projectionHorizon, costsHidden, leversOf]);
+
+  // Scenarios shown in the comparison table: the checked ones plus baseline, or all visible
+  const comparedResults = useMemo(() => {
+    if (compareIds.size === 0) return scenarioResults;
+    return scenarioResults.filter(s => s.isBaseline || compareIds.has(s.id));
+  }, [scenarioResults, compareIds]);
+
+  const markDirty = useCallback((id, dirty = true) => {
+    setDirtyIds(prev => {
+      const next = new Set(prev);
+      if (dirty) next.add(id);
+      else next.delete(id);
+      return next;
+    });
+  }, []);
+
+  // Replace a scenario in local state with the record returned by the backend
+  const replaceScenario = useCallback((saved) => {
+    setScenarios(prev => prev.map(s => (s.id === saved.id ? saved : s)));
+  }, []);
+
   // Update reduction for a department in active scenario
   const updateReduction = useCallback((deptName, value) => {
     setScenarios(prev => prev.map(s => {
@@ -230,30 +875,160 @@ const ScenarioSimulation = () => {
       }
       return s;
     }));
-  }, [activeScenarioId]);
+    markDirty(activeScenarioId);
+  }, [activeScenarioId, markDirty]);
+
+  // Update the additional levers of the active scenario
+  const updateLevers = useCallback((update) => {
+    setScenarios(prev => prev.map(s => {
+      if (s.id === activeScenarioId && !s.isBaseline) {
+        return { ...s, levers: update(s.levers || []) };
+      }
+      return s;
+    }));
+    markDirty(activeScenarioId);
+  }, [activeScenarioId, markDirty]);
+
+  const addLever = (lever) => {
+    updateLevers(levers => [...levers, { ...lever, id: generateId('lever') }]);
+  };
+
+  const removeLever = (leverId) => {
+    updateLevers(levers => levers.filter(l => l.id !== leverId));
+  };
+
+  // Effective month and one-off cost of the department slider reductions
+  const updateReductionPhasing = (reductionPhasing) => {
+    setScenarios(prev => prev.map(s => (
+      s.id === activeScenarioId && !s.isBaseline ? { ...s, reductionPhasing } : s
+    )));
+    markDirty(activeScenarioId);
+  };
+
+  // Create and persist a scenario
+  const createScenario = async (name, { reductions = {}, levers = [], reductionPhasing = null } = {}) => {
+    try {
+      const saved = await scenarioDB.add({
+        name,
+        author: user?.username || user?.email || 'Unknown',
+        reductions,
+        levers,
+        reductionPhasing,
+        basedOn: currentSnapshot,
+        archived: false,
+      });
+      setScenarios(prev => [...prev, saved]);
+      setActiveScenarioId(saved.id);
+      return saved;
+    } catch (error) {
+      console.error('Failed to save scenario:', error);
+      toast.error('Failed to save scenario');
+      return null;
+    }
+  };
 
   // Add new scenario
-  const addScenario = () => {
-    const newId = Math.max(...scenarios.map(s => s.id)) + 1;
-    const newScenario = {
-      id: newId,
-      name: `Scenario ${newId}`,
-      reductions: {},
-      isBaseline: false,
-    };
-    setScenarios(prev => [...prev, newScenario]);
-    setActiveScenarioId(newId);
-    toast.success('New scenario created');
+  const addScenario = async () => {
+    const saved = await createScenario(`Scenario ${scenarios.length}`);
+    if (saved) toast.success('New scenario created');
+  };
+
+  // Duplicate scenario, including unsaved slider changes
+  const duplicateScenario = async (scenario) => {
+    const saved = await createScenario(`${scenario.name} (Copy)`, {
+      reductions: { ...scenario.reductions },
+      levers: (scenario.levers || []).map(lever => ({ ...lever })),
+      reductionPhasing: scenario.reductionPhasing || null,
+    });
+    if (saved) toast.success('Scenario duplicated');
+  };
+
+  // Persist the current reductions and levers of a scenario against the current data
+  const saveScenario = async (scenario) => {
+    try {
+      setSaving(true);
+      const saved = await scenarioDB.update(scenario.id, {
+        reductions: scenario.reductions,
+        levers: scenario.levers || [],
+        reductionPhasing: scenario.reductionPhasing || null,
+        basedOn: currentSnapshot,
+      });
+      replaceScenario(saved);
+      markDirty(scenario.id, false);
+      toast.success('Scenario saved');
+    } catch (error) {
+      console.error('Failed to save scenario:', error);
+      toast.error('Failed to save scenario');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renameScenario = async (scenario, name) => {
+    try {
+      const saved = await scenarioDB.update(scenario.id, { name });
+      // Keep unsaved slider changes while renaming
+      replaceScenario({
+        ...saved,
+        reductions: scenario.reductions,
+        levers: scenario.levers,
+        reductionPhasing: scenario.reductionPhasing,
+      });
+    } catch (error) {
+      console.error('Failed to rename scenario:', error);
+      toast.error('Failed to rename scenario');
+    }
+  };
+
+  const toggleArchive = async (scenario) => {
+    try {
+      const saved = await scenarioDB.update(scenario.id, { archived: !scenario.archived });
+      replaceScenario({
+        ...saved,
+        reductions: scenario.reductions,
+        levers: scenario.levers,
+        reductionPhasing: scenario.reductionPhasing,
+      });
+      if (saved.archived && !showArchived && activeScenarioId === scenario.id) {
+        setActiveScenarioId(BASELINE_SCENARIO.id);
+      }
+      toast.success(saved.archived ? 'Scenario archived' : 'Scenario restored');
+    } catch (error) {
+      console.error('Failed to archive scenario:', error);
+      toast.error('Failed to archive scenario');
+    }
   };
 
   // Delete scenario
-  const deleteScenario = (id) => {
-    if (scenarios.length <= 1) return;
-    setScenarios(prev => prev.filter(s => s.id !== id));
-    if (activeScenarioId === id) {
-      setActiveScenarioId(scenarios[0].id);
+  const deleteScenario = async (id) => {
+    if (!confirm('Delete this scenario permanently?')) return;
+    try {
+      await scenarioDB.delete(id);
+      setScenarios(prev => prev.filter(s => s.id !== id));
+      markDirty(id, false);
+      setCompareIds(prev => {
+        const next = new Set(prev);
+        next.delete(id);
+        return next;
+      });
+      if (activeScenarioId === id) {
+        setActiveScenarioId(BASELINE_SCENARIO.id);
+      }
+      toast.success('Scenario deleted');
+    } catch (error) {
+      console.error('Failed to delete scenario:', error);
+      toast.error('Failed to delete scenario');
     }
-    toast.success('Scenario deleted');
+  };
+
+  const toggleCompare = (id) => {
+    setCompareIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+    setShowComparison(true);
   };
 
   // Apply preset reduction
@@ -287,16 +1062,22 @@ const ScenarioSimulation = () => {
       }
       return s;
     }));
+    markDirty(activeScenarioId);
   };
 
   // Export to Excel
   const exportToExcel = () => {
-    const summaryData = scenarioResults.map(s => ({
+    const summaryData = comparedResults.map(s => ({
       'Scenario': s.name,
+      'Author': s.author || '',
+      'Based On': s.basedOn?.fileName || '',
       'Total Headcount Reduction': s.totalHeadcountReduction,
       'New Headcount': s.newTotalHeadcount,
-      'Total Savings (€)': Math.round(s.totalSavings),
-      'Savings %': s.savingsPercent + '%',
+      'FTE Reduction': Number(s.totalFteReduction.toFixed(1)),
+      ...(!costsHidden && {
+        'Total Savings (€)': Math.round(s.totalSavings),
+        'Savings %': s.savingsPercent + '%',
+      }),
     }));
 
     const detailData = activeResults.departmentImpacts.map(d => ({
@@ -305,7 +1086,34 @@ const ScenarioSimulation = () => {
       'Reduction %': d.reductionPct + '%',
       'Headcount Reduction': d.headcountReduction,
       'New Count': d.newCount,
-      'Savings (€)': Math.round(d.savings),
+      ...(!costsHidden && { 'Savings (€)': Math.round(d.savings) }),
+    }));
+
+    const dimensionData = SCENARIO_DIMENSIONS.flatMap(({ key, label }) =>
+      Object.entries(activeResults.simulation.byDimension[key]).map(([value, d]) => ({
+        'Dimension': label,
+        'Value': value,
+        'Headcount': d.baseHeadcount,
+        'Headcount Change': Number((d.headcount - d.baseHeadcount).toFixed(1)),
+        'FTE': Number(d.baseFte.toFixed(1)),
+        'FTE Change': Number((d.fte - d.baseFte).toFixed(1)),
+        ...(!costsHidden && {
+          'Cost (€)': Math.round(d.baseCost),
+          'Cost Change (€)': Math.round(d.cost - d.baseCost),
+        }),
+      }))
+    );
+
+    const leverData = activeResults.simulation.byLever.map(({ lever, affected, headcountDelta, fteDelta, costDelta }) => ({
+      'Lever': LEVER_TYPES.find(t => t.key === lever.type)?.label || lever.type,
+      'Scope': formatLeverScope(lever),
+      'Amount %': lever.amount,
+      'Effective': lever.effectiveDate || '',
+      'One-off Cost': formatOneOffCost(lever.oneOffCost),
+      'Employees in Scope': affected,
+      'Headcount Change': Number(headcountDelta.toFixed(1)),
+      'FTE Change': Number(fteDelta.toFixed(1)),
+      ...(!costsHidden && { 'Cost Change (€)': Math.round(costDelta) }),
     }));
 
     const wb = XLSX.utils.book_new();
@@ -314,8 +1122,26 @@ const ScenarioSimulation = () => {
 
     XLSX.utils.book_append_sheet(wb, summarySheet, 'Scenario Summary');
     XLSX.utils.book_append_sheet(wb, detailSheet, 'Department Details');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(dimensionData), 'Impact by Dimension');
+    if (projection) {
+      const projectionData = projection.months.map(m => ({
+        'Month': m.month,
+        'Baseline Cost (€)': Math.round(m.baselineCost),
+        'Scenario Cost (€)': Math.round(m.scenarioCost),
+        'Savings (€)': Math.round(m.savings),
+        'One-off Costs (€)': Math.round(m.oneOffCost),
+        'Net Savings (€)': Math.round(m.netSavings),
+        'Cumulative Net Savings (€)': Math.round(m.cumulativeNetSavings),
+      }));
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(projectionData), 'Projection');
+    }
+    if (leverData.length > 0) {
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(leverData), 'Levers');
+    }
 
-    XLSX.writeFile(wb, `scenario-simulation-${new Date().toISOString().split('T')[0]}.xlsx`);
+    const fileName = `scenario-simulation-${new Date().toISOString().split('T')[0]}.xlsx`;
+    XLSX.writeFile(wb, fileName);
+    auditLogDB.recordExport(fileName, { report: 'Scenario simulation', format: 'xlsx', rows: dimensionData.length });
     toast.success('Export completed');
   };
 
@@ -367,7 +1193,10 @@ const ScenarioSimulation = () => {
             <span className="text-xs text-gray-500 dark:text-gray-400">Current Headcount</span>
           </div>
           <p className="text-2xl font-semibold text-p3-midnight dark:text-white">
-            {metrics.totalEmployees.toLocaleString()}
+            {baselineSimulation.totals.baseHeadcount.toLocaleString()}
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {baselineSimulation.totals.baseFte.toFixed(1)} FTE
           </p>
         </div>
 
@@ -383,6 +1212,7 @@ const ScenarioSimulation = () => {
           </p>
           <p className="text-xs text-gray-500 dark:text-gray-400">
             New: {activeResults.newTotalHeadcount.toLocaleString()}
+            {activeResults.totalFteReduction >= 0.05 && ` · -${activeResults.totalFteReduction.toFixed(1)} FTE`}
           </p>
         </div>
 
@@ -393,14 +1223,16 @@ const ScenarioSimulation = () => {
             </div>
             <span className="text-xs text-gray-500 dark:text-gray-400">Estimated Savings</span>
           </div>
-          <p className="text-2xl font-semibold text-success">
-            {activeResults.totalSavings > 0
-              ? `€${(activeResults.totalSavings / 1000000).toFixed(2)}M`
-              : '—'
+          <p className={`text-2xl font-semibold ${costsHidden ? 'text-p3-midnight dark:text-white' : activeResults.totalSavings < 0 ? 'text-red-500' : 'text-success'}`}>
+            {costsHidden
+              ? MASKED_VALUE
+              : Math.abs(activeResults.totalSavings) >= 500
+                ? `€${(activeResults.totalSavings / 1000000).toFixed(2)}M`
+                : '—'
             }
           </p>
           <p className="text-xs text-gray-500 dark:text-gray-400">
-            {activeResults.savingsPercent}% of total cost
+            {costsHidden ? 'Requires salary access' : `${activeResults.savingsPercent}% of total cost`}
           </p>
         </div>
 
@@ -416,6 +1248,7 @@ const ScenarioSimulation = () => {
           </p>
           <p className="text-xs text-gray-500 dark:text-gray-400">
             {Object.keys(activeScenario.reductions).filter(k => activeScenario.reductions[k] > 0).length} with reductions
+            {(activeScenario.levers || []).length > 0 && ` · ${activeScenario.levers.length} levers`}
           </p>
         </div>
       </div>
@@ -426,12 +1259,24 @@ const ScenarioSimulation = () => {
         <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 p-5">
           <div className="flex items-center justify-between mb-4">
             <h3 className="text-sm font-semibold text-p3-midnight dark:text-white">Scenarios</h3>
-            <button
-              onClick={addScenario}
-              className="p-1.5 text-p3-electric hover:bg-primary-50 dark:hover:bg-primary-900/20 rounded-md transition-colors"
-            >
-              <Plus className="w-4 h-4" />
-            </button>
+            <div className="flex items-center gap-2">
+              <label className="flex items-center gap-1.5 text-xs text-gray-500 dark:text-gray-400 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={showArchived}
+                  onChange={(e) => setShowArchived(e.target.checked)}
+                  className="rounded border-gray-300 text-p3-electric focus:ring-p3-electric"
+                />
+                Show archived
+              </label>
+              <button
+                onClick={addScenario}
+                className="p-1.5 text-p3-electric hover:bg-primary-50 dark:hover:bg-primary-900/20 rounded-md transition-colors"
+                title="New scenario"
+              >
+                <Plus className="w-4 h-4" />
+              </button>
+            </div>
           </div>
           <div className="space-y-3">
             {scenarioResults.map(scenario => (
@@ -439,9 +1284,17 @@ const ScenarioSimulation = () => {
                 key={scenario.id}
                 scenario={scenario}
                 isActive={scenario.id === activeScenarioId}
+                isDirty={dirtyIds.has(scenario.id)}
+                isStale={isStale(scenario)}
+                isCompared={scenario.isBaseline || compareIds.has(scenario.id)}
                 onSelect={() => setActiveScenarioId(scenario.id)}
                 onDelete={() => deleteScenario(scenario.id)}
-                canDelete={!scenario.isBaseline && scenarios.length > 1}
+                onRename={(name) => renameScenario(scenario, name)}
+                onDuplicate={() => duplicateScenario(scenario)}
+                onArchive={() => toggleArchive(scenario)}
+                onToggleCompare={() => toggleCompare(scenario.id)}
+                canDelete={!scenario.isBaseline}
+                costsHidden={costsHidden}
               />
             ))}
           </div>
@@ -463,6 +1316,14 @@ const ScenarioSimulation = () => {
             </div>
             {!activeScenario.isBaseline && (
               <div className="flex gap-2">
+                <button
+                  onClick={() => saveScenario(activeScenario)}
+                  disabled={saving || !dirtyIds.has(activeScenario.id)}
+                  className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-white bg-p3-electric rounded-md hover:bg-primary-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  <Save className="w-3.5 h-3.5" />
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
                 <select
                   onChange={(e) => applyPreset(e.target.value)}
                   className="px-3 py-1.5 text-xs border border-gray-200 dark:border-gray-700 rounded-md bg-white dark:bg-gray-800 text-p3-midnight dark:text-white"
@@ -478,6 +1339,16 @@ const ScenarioSimulation = () => {
             )}
           </div>
 
+          {!activeScenario.isBaseline && (
+            <div className="flex flex-wrap items-center gap-2 mb-3 pb-3 border-b border-gray-100 dark:border-gray-800">
+              <PhasingInputs
+                effectiveDate={activeScenario.reductionPhasing?.effectiveDate || ''}
+                oneOffCost={activeScenario.reductionPhasing?.oneOffCost || getDefaultOneOffCost('reduction')}
+                onChange={updateReductionPhasing}
+              />
+            </div>
+          )}
+
           {activeScenario.isBaseline ? (
             <div className="text-center py-12 text-gray-400 dark:text-gray-500">
               <AlertTriangle className="w-8 h-8 mx-auto mb-2" />
@@ -491,6 +1362,7 @@ const ScenarioSimulation = () => {
                   dept={dept}
                   reduction={activeScenario.reductions[dept.name] || 0}
                   avgSalary={dept.avgSalary}
+                  costsHidden={costsHidden}
                   onChange={(value) => updateReduction(dept.name, value)}
                 />
               ))}
@@ -499,6 +1371,33 @@ const ScenarioSimulation = () => {
         </div>
       </div>
 
+      {/* Additional Levers */}
+      {!activeScenario.isBaseline && (
+        <LeverPanel
+          levers={activeScenario.levers || []}
+          leverImpacts={activeResults.simulation.byLever}
+          dimensionValues={dimensionValues}
+          costsHidden={costsHidden}
+          agesHidden={agesHidden}
+          onAdd={addLever}
+          onRemove={removeLever}
+        />
+      )}
+
+      {/* Time-phased projection */}
+      {projection && (
+        <ProjectionPanel
+          projection={projection}
+          horizon={projectionHorizon}
+          onHorizonChange={setProjectionHorizon}
+        />
+      )}
+
+      {/* Impact along each dimension */}
+      {!activeScenario.isBaseline && (
+        <DimensionImpactPanel simulation={activeResults.simulation} costsHidden={costsHidden} />
+      )}
+
       {/* Impact Chart */}
       {activeResults.totalHeadcountReduction > 0 && (
         <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 p-5">
@@ -519,15 +1418,23 @@ const ScenarioSimulation = () => {
       )}
 
       {/* Comparison Table */}
-      {scenarios.length > 1 && (
+      {scenarioResults.length > 1 && (
         <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 p-5">
           <button
             onClick={() => setShowComparison(!showComparison)}
             className="flex items-center justify-between w-full text-left"
           >
-            <h3 className="text-sm font-semibold text-p3-midnight dark:text-white">
-              Scenario Comparison
-            </h3>
+            <div className="flex items-center gap-2">
+              <GitCompare className="w-4 h-4 text-gray-400" />
+              <h3 className="text-sm font-semibold text-p3-midnight dark:text-white">
+                Scenario Comparison
+              </h3>
+              <span className="text-xs text-gray-500 dark:text-gray-400">
+                {compareIds.size > 0
+                  ? `${comparedResults.length} selected`
+                  : 'All scenarios – tick scenarios to narrow down'}
+              </span>
+            </div>
             {showComparison ? (
               <ChevronUp className="w-4 h-4 text-gray-400" />
             ) : (
@@ -548,7 +1455,7 @@ const ScenarioSimulation = () => {
                   </tr>
                 </thead>
                 <tbody>
-                  {scenarioResults.map(s => (
+                  {comparedResults.map(s => (
                     <tr
                       key={s.id}
                       className={`border-b border-gray-100 dark:border-gray-800 last:border-0 ${
@@ -564,16 +1471,48 @@ const ScenarioSimulation = () => {
                       <td className="py-2 px-3 text-right text-p3-midnight dark:text-white">
                         {s.newTotalHeadcount.toLocaleString()}
                       </td>
-                      <td className="py-2 px-3 text-right text-success">
-                        {s.totalSavings > 0 ? `€${(s.totalSavings / 1000).toFixed(0)}K` : '—'}
+                      <td className={`py-2 px-3 text-right ${costsHidden ? 'text-gray-600 dark:text-gray-400' : s.totalSavings < 0 ? 'text-red-500' : 'text-success'}`}>
+                        {costsHidden ? MASKED_VALUE : Math.abs(s.totalSavings) >= 500 ? `€${(s.totalSavings / 1000).toFixed(0)}K` : '—'}
                       </td>
                       <td className="py-2 px-3 text-right text-gray-600 dark:text-gray-400">
-                        {s.savingsPercent}%
+                        {costsHidden ? MASKED_VALUE : `${s.savingsPercent}%`}
                       </td>
                     </tr>
                   ))}
                 </tbody>
               </table>
+
+              {compareIds.size > 0 && (
+                <table className="w-full text-sm mt-6">
+                  <thead>
+                    <tr className="border-b border-gray-200 dark:border-gray-700">
+                      <th className="text-left py-2 px-3 font-medium text-gray-500 dark:text-gray-400">Department</th>
+                      {comparedResults.map(s => (
+                        <th key={s.id} className="text-right py-2 px-3 font-medium text-gray-500 dark:text-gray-400">
+                          {s.name}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {departments.map((dept, index) => (
+                      <tr key={dept.name} className="border-b border-gray-100 dark:border-gray-800 last:border-0">
+                        <td className="py-2 px-3 text-p3-midnight dark:text-white">{dept.name}</td>
+                        {comparedResults.map(s => {
+                          const impact = s.departmentImpacts[index];
+                          return (
+                            <td key={s.id} className="py-2 px-3 text-right text-gray-600 dark:text-gray-400">
+                              {impact.reductionPct > 0
+                                ? `${impact.reductionPct}% (-${impact.headcountReduction})`
+                                : '—'}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
             </div>
           )}
         </div>
@@ -18,19 +18,30 @@ import {
   AlertCircle,
   ChevronDown,
   ChevronUp,
+  RotateCcw,
+  History,
 } from 'lucide-react';
-import { importHistoryDB } from '../services/unifiedDB';
+import { importHistoryDB, employeeSnapshotDB } from '../services/unifiedDB';
 import { useAuth } from '../contexts/AuthContext';
+import { useApp } from '../contexts/AppContext';
 import toast from 'react-hot-toast';
 
+// Choices of how many rollback snapshots to keep
+const RETENTION_OPTIONS = [0, 1, 3, 5, 10, 20];
+
 const UploadManagement = () => {
-  const { user, isAdmin } = useAuth();
+  const { user, can } = useAuth();
+  const { loadAllData } = useApp();
   const [uploads, setUploads] = useState([]);
   const [loading, setLoading] = useState(true);
   const [deleting, setDeleting] = useState(null);
   const [confirmDelete, setConfirmDelete] = useState(null);
   const [expandedUpload, setExpandedUpload] = useState(null);
   const [error, setError] = useState(null);
+  const [snapshotIds, setSnapshotIds] = useState(new Set());
+  const [restoring, setRestoring] = useState(null);
+  const [confirmRestore, setConfirmRestore] = useState(null);
+  const [retention, setRetention] = useState(() => employeeSnapshotDB.getRetention());
 
   const fetchUploads = useCallback(async () => {
     // Check local admin status or if user has permission
@@ -39,19 +50,23 @@ const UploadManagement = () => {
     setError(null);
 
     try {
-      const data = await importHistoryDB.getAll();
+      const [data, importIds] = await Promise.all([
+        importHistoryDB.getAll(),
+        employeeSnapshotDB.getImportIds().catch(() => []),
+      ]);
       setUploads(data || []);
+      setSnapshotIds(new Set(importIds));
     } catch (err) {
       console.error('Error fetching uploads:', err);
       // Only show error if we're supposed to have access or if it's a real effective error
-      if (isAdmin()) {
+      if (can('uploads.manage')) {
         setError('Failed to load uploads. Please try again.');
         toast.error('Failed to load uploads');
       }
     } finally {
       setLoading(false);
     }
-  }, [isAdmin]);
+  }, [can]);
 
   useEffect(() => {
     fetchUploads();
@@ -82,6 +97,38 @@ const UploadManagement = () => {
     }
   };
 
+  // Replace the current employees with the set the upload replaced
+  const handleRestore = async (uploadId) => {
+    const upload = uploads.find((u) => u.id === uploadId);
+    setConfirmRestore(null);
+    setRestoring(uploadId);
+
+    try {
+      const result = await employeeSnapshotDB.restore(uploadId);
+      toast.success(`Restored ${result.employeeCount.toLocaleString()} employees from before ${upload?.fileName || 'this upload'}`);
+      await Promise.all([fetchUploads(), loadAllData()]);
+    } catch (err) {
+      console.error('Error restoring snapshot:', err);
+      toast.error(`Failed to restore snapshot: ${err.message}`);
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  const handleRetentionChange = async (value) => {
+    setRetention(value);
+    try {
+      const deleted = await employeeSnapshotDB.setRetention(value);
+      if (deleted > 0) {
+        toast.success(`Deleted ${deleted} older snapshot${deleted === 1 ? '' : 's'}`);
+        await fetchUploads();
+      }
+    } catch (err) {
+      console.error('Error pruning snapshots:', err);
+      toast.error('Failed to delete older snapshots');
+    }
+  };
+
   const formatFileSize = (bytes) => {
     if (!bytes) return '—';
     if (bytes < 1024) return `${bytes} B`;
@@ -113,7 +160,7 @@ const UploadManagement = () => {
     }
   };
 
-  if (!isAdmin()) {
+  if (!can('uploads.manage')) {
     return (
       <div className="empty-state">
         <AlertCircle className="empty-state-icon" />
@@ -142,14 +189,32 @@ const UploadManagement = () => {
             Manage imported workforce data
           </p>
         </div>
-        <button
-          onClick={fetchUploads}
-          disabled={loading}
-          className="btn btn-secondary btn-sm"
-        >
-          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
-          Refresh
-        </button>
+        <div className="flex items-center gap-3">
+          <label className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+            <History className="w-4 h-4" />
+            Keep rollback snapshots
+            <select
+              value={retention}
+              onChange={(e) => handleRetentionChange(Number(e.target.value))}
+              className="select py-1 text-xs w-auto"
+              title="How many of the newest imports keep the employee set they replaced"
+            >
+              {RETENTION_OPTIONS.map((option) => (
+                <option key={option} value={option}>
+                  {option === 0 ? 'None' : option}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={fetchUploads}
+            disabled={loading}
+            className="btn btn-secondary btn-sm"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
       </div>
 
       {/* Error State */}
@@ -195,6 +260,9 @@ const UploadManagement = () => {
             const isExpanded = expandedUpload === upload.id;
             const isDeleting = deleting === upload.id;
             const isConfirming = confirmDelete === upload.id;
+            const hasSnapshot = snapshotIds.has(upload.id);
+            const isRestoring = restoring === upload.id;
+            const isConfirmingRestore = confirmRestore === upload.id;
 
             return (
               <div
@@ -219,6 +287,12 @@ const UploadManagement = () => {
                         <StatusIcon className="w-3 h-3" />
                         {status.label}
                       </span>
+                      {hasSnapshot && (
+                        <span className="badge badge-inactive" title="The employee set this upload replaced is kept">
+                          <History className="w-3 h-3" />
+                          Snapshot
+                        </span>
+                      )}
                     </div>
                     <div className="flex items-center gap-4 text-xs text-gray-500 dark:text-gray-400">
                       <span className="flex items-center gap-1">
@@ -246,6 +320,34 @@ const UploadManagement = () => {
                       )}
                     </button>
 
+                    {hasSnapshot && (isConfirmingRestore ? (
+                      <div className="flex items-center gap-2">
+                        <span className="text-xs text-p3-electric">Restore employees from before this upload?</span>
+                        <button
+                          onClick={() => handleRestore(upload.id)}
+                          disabled={isRestoring}
+                          className="btn btn-primary btn-sm"
+                        >
+                          Yes
+                        </button>
+                        <button
+                          onClick={() => setConfirmRestore(null)}
+                          className="btn btn-secondary btn-sm"
+                        >
+                          No
+                        </button>
+                      </div>
+                    ) : (
+                      <button
+                        onClick={() => setConfirmRestore(upload.id)}
+                        disabled={restoring !== null || isDeleting}
+                        className="btn btn-ghost btn-sm"
+                        title="Restore this snapshot as current"
+                      >
+                        <RotateCcw className={`w-4 h-4 ${isRestoring ? 'animate-spin' : ''}`} />
+                      </button>
+                    ))}
+
                     {isConfirming ? (
                       <div className="flex items-center gap-2">
                         <span className="text-xs text-warning">Delete?</span>
@@ -353,7 +455,8 @@ const UploadManagement = () => {
       <div className="p-4 bg-warning/5 border border-warning/20 rounded-lg flex items-start gap-3">
         <AlertTriangle className="w-5 h-5 text-warning flex-shrink-0 mt-0.5" />
         <p className="text-xs text-gray-600 dark:text-gray-400">
-          <strong className="text-warning">Warning:</strong> Deleting an upload will permanently remove all associated employee records. This action cannot be undone.
+          <strong className="text-warning">Warning:</strong> Deleting an upload will permanently remove all associated employee records and its snapshot. This action cannot be undone.
+          {' '}Restoring a snapshot replaces the current employees with the set the upload replaced; the restore is listed as an upload of its own and can be rolled back the same way.
         </p>
       </div>
     </div>
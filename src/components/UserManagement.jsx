@@ -10,11 +10,13 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { UserPlus, Edit2, Trash2, Save, X, Shield, Users as UsersIcon, Building2, AlertCircle } from 'lucide-react';
-import { authService, DEPARTMENTS } from '../services/authService';
+import { UserPlus, Edit2, Trash2, Save, X, Shield, Users as UsersIcon, Building2, AlertCircle, Unlock } from 'lucide-react';
+import { authService, DEPARTMENTS, PASSWORD_POLICY } from '../services/authService';
 import { supabaseAuthService, DEPARTMENTS as SUPABASE_DEPARTMENTS } from '../services/supabaseAuth';
 import { supabase } from '../lib/supabase';
 import { useAuth } from '../contexts/AuthContext';
+import RolePermissions from './RolePermissions';
+import { CAPABILITIES, ROLES, getRoleLabel } from '../utils/permissions';
 import toast from 'react-hot-toast';
 
 // Check if Supabase is configured
@@ -25,7 +27,7 @@ const useSupabase = () => {
 const DepartmentsList = useSupabase() ? SUPABASE_DEPARTMENTS : DEPARTMENTS;
 
 const UserManagement = () => {
-  const { user: currentUser } = useAuth();
+  const { user: currentUser, permissionMatrix } = useAuth();
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAddModal, setShowAddModal] = useState(false);
@@ -148,6 +150,17 @@ const UserManagement = () => {
     }
   };
 
+  const handleUnlock = async (userId) => {
+    try {
+      await authService.unlockUser(userId);
+      toast.success('User unlocked');
+      loadUsers();
+    } catch (error) {
+      toast.error('Failed to unlock user');
+      console.error(error);
+    }
+  };
+
   const handleEdit = (user) => {
     setEditingUser(user);
     setFormData({
@@ -281,7 +294,7 @@ const UserManagement = () => {
                         <>
                           <UsersIcon className="w-4 h-4 text-gray-600" />
                           <span className="text-sm text-gray-600 dark:text-gray-400">
-                            User
+                            {getRoleLabel(user.role)}
                           </span>
                         </>
                       )}
@@ -322,9 +335,23 @@ const UserManagement = () => {
                     }>
                       {user.isActive ? 'Active' : 'Inactive'}
                     </span>
+                    {user.isLocked && (
+                      <span className="ml-2 inline-flex px-2 py-1 text-xs font-medium rounded bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-400">
+                        Locked
+                      </span>
+                    )}
                   </td>
                   <td className="px-6 py-4 text-right">
                     <div className="flex items-center justify-end gap-2">
+                      {user.isLocked && (
+                        <button
+                          onClick={() => handleUnlock(user.id)}
+                          className="p-2 text-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+                          title="Unlock user"
+                        >
+                          <Unlock className="w-4 h-4" />
+                        </button>
+                      )}
                       <button
                         onClick={() => handleEdit(user)}
                         className="p-2 text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/30 rounded-lg transition-colors"
@@ -356,6 +383,8 @@ const UserManagement = () => {
         </div>
       </div>
 
+      <RolePermissions />
+
       {/* Add/Edit User Modal */}
       {showAddModal && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
@@ -421,11 +450,14 @@ const UserManagement = () => {
                     onChange={(e) => setFormData({ ...formData, password: e.target.value })}
                     className="w-full px-4 py-2 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 text-gray-900 dark:text-white"
                     required={!editingUser}
-                    minLength={6}
+                    minLength={useSupabase() ? 6 : PASSWORD_POLICY.minLength}
                   />
                   {useSupabase() && !editingUser && (
                     <p className="text-xs text-gray-500 mt-1">Minimum 6 characters</p>
                   )}
+                  {!useSupabase() && (
+                    <p className="text-xs text-gray-500 mt-1">{PASSWORD_POLICY.hint}</p>
+                  )}
                 </div>
               )}
 
@@ -440,13 +472,19 @@ const UserManagement = () => {
                   className="w-full px-4 py-2 bg-gray-50 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 text-gray-900 dark:text-white"
                   required
                 >
-                  <option value="user">User (Read-only)</option>
-                  <option value="admin">Admin (Full Access)</option>
+                  {ROLES.map(role => (
+                    <option key={role.key} value={role.key}>{role.label}</option>
+                  ))}
                 </select>
                 <p className="text-xs text-gray-500 mt-1">
                   {formData.role === 'admin'
                     ? 'Admins have full access to all features and all departments'
-                    : 'Users have read-only access to their assigned departments'
+                    : `Within the assigned departments: ${
+                      CAPABILITIES
+                        .filter(c => (permissionMatrix[formData.role] || []).includes(c.key))
+                        .map(c => c.label.toLowerCase())
+                        .join(', ') || 'aggregated figures only'
+                    }`
                   }
                 </p>
               </div>
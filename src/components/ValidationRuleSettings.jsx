@@ -0,0 +1,389 @@
+/**
+ * Validation Rule Settings
+ * Admin rules checked on every employee import row, each with its severity
+ * Built-in rules can be adjusted and reset, own rules added and deleted
+ * P3 Enterprise Design System
+ */
+
+import React, { useEffect, useState } from 'react';
+import { ShieldCheck, Plus, Edit2, Trash2, RotateCcw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { customAttributeDB, validationRuleDB } from '../services/unifiedDB';
+import {
+  COMPARE_OPERATORS,
+  RULE_TYPES,
+  SEVERITIES,
+  getEffectiveValidationRules,
+  getValidationRuleError,
+  isDefaultValidationRule,
+} from '../utils/validationRules';
+import { getCustomAttributeFields, toAttributeKey } from '../utils/customAttributes';
+import { TARGET_FIELDS } from './import/Step2ColumnMapping';
+
+const EMPTY_DRAFT = {
+  name: '',
+  type: 'required',
+  field: 'employeeId',
+  severity: 'error',
+  pattern: '',
+  min: '',
+  max: '',
+  values: '',
+  operator: '>=',
+  otherField: '',
+  referenceField: 'employeeId',
+  message: '',
+};
+
+const SEVERITY_STYLES = {
+  error: 'text-red-600 dark:text-red-400',
+  warning: 'text-orange-600 dark:text-orange-400',
+  ignore: 'text-gray-400',
+};
+
+// Range bounds are numbers, or text such as 'YYYY-MM-DD' dates
+const toBound = (text) => {
+  const trimmed = String(text ?? '').trim();
+  if (trimmed === '') return null;
+  return Number.isNaN(Number(trimmed)) ? trimmed : Number(trimmed);
+};
+
+const parseValues = (text) => [...new Set(
+  text.split(/[\n,]/).map(value => value.trim()).filter(Boolean)
+)];
+
+// Short summary of a rule's settings for the list
+const describeRule = (rule, fieldLabel) => {
+  const field = fieldLabel(rule.field);
+  switch (rule.type) {
+    case 'regex':
+      return `${field} matches /${rule.pattern}/`;
+    case 'range':
+      return `${field} between ${rule.min ?? '...'} and ${rule.max ?? '...'}`;
+    case 'enum':
+      return `${field} is one of ${(rule.values || []).join(', ')}`;
+    case 'compare':
+      return `${field} ${rule.operator} ${fieldLabel(rule.otherField)}`;
+    case 'unique':
+      return `${field} unique in file`;
+    case 'reference':
+      return `${field} exists in ${fieldLabel(rule.referenceField)}`;
+    default:
+      return `${field} required`;
+  }
+};
+
+const ValidationRuleSettings = () => {
+  const [savedRules, setSavedRules] = useState([]);
+  const [fields, setFields] = useState(TARGET_FIELDS);
+  const [draft, setDraft] = useState(null);
+  const [editingKey, setEditingKey] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadRules = async () => {
+    try {
+      setSavedRules((await validationRuleDB.getAll()) || []);
+    } catch (error) {
+      console.error('Failed to load validation rules:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadRules();
+    customAttributeDB.getAll()
+      .then(attributes => setFields([...TARGET_FIELDS, ...getCustomAttributeFields(attributes || [])]))
+      .catch(error => console.error('Failed to load custom attributes:', error));
+  }, []);
+
+  const rules = getEffectiveValidationRules(savedRules);
+  const savedByKey = new Map(savedRules.map(rule => [rule.key, rule]));
+  const fieldLabel = (key) => fields.find(field => field.key === key)?.label || key;
+
+  const startEdit = (rule) => {
+    setEditingKey(rule.key);
+    setDraft({
+      ...EMPTY_DRAFT,
+      ...rule,
+      min: rule.min ?? '',
+      max: rule.max ?? '',
+      values: (rule.values || []).join('\n'),
+      message: rule.message || '',
+    });
+  };
+
+  const cancelEdit = () => {
+    setEditingKey(null);
+    setDraft(null);
+  };
+
+  // The key is fixed once created - built-in rules keep theirs so the override applies
+  const rule = draft && {
+    id: savedByKey.get(editingKey)?.id,
+    key: editingKey || toAttributeKey(draft.name),
+    name: draft.name.trim(),
+    type: draft.type,
+    field: draft.field,
+    severity: draft.severity,
+    ...(draft.type === 'regex' && { pattern: draft.pattern }),
+    ...(draft.type === 'range' && { min: toBound(draft.min), max: toBound(draft.max) }),
+    ...(draft.type === 'enum' && { values: parseValues(draft.values) }),
+    ...(draft.type === 'compare' && { operator: draft.operator, otherField: draft.otherField }),
+    ...(draft.type === 'reference' && { referenceField: draft.referenceField }),
+    ...(draft.message.trim() && { message: draft.message.trim() }),
+  };
+  const error = rule && getValidationRuleError(rule, savedRules);
+
+  // Built-in rules are saved as an override the first time they change
+  const saveRule = async ({ id, createdAt, updatedAt, ...changes }) => {
+    if (id) await validationRuleDB.update(id, changes);
+    else await validationRuleDB.add(changes);
+  };
+
+  const handleSave = async () => {
+    if (!rule || error) return;
+    setSaving(true);
+    try {
+      await saveRule(rule);
+      toast.success(`Rule "${rule.name}" saved`);
+      cancelEdit();
+      await loadRules();
+    } catch (err) {
+      console.error('Failed to save validation rule:', err);
+      toast.error('Could not save the rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSeverityChange = async (target, severity) => {
+    try {
+      await saveRule({ ...target, id: savedByKey.get(target.key)?.id, severity });
+      await loadRules();
+    } catch (err) {
+      console.error('Failed to save validation rule:', err);
+      toast.error('Could not change the severity');
+    }
+  };
+
+  // Deleting the override of a built-in rule restores its defaults
+  const handleDelete = async (target) => {
+    const saved = savedByKey.get(target.key);
+    if (!saved) return;
+    const builtIn = isDefaultValidationRule(target.key);
+    if (!confirm(builtIn ? `Reset rule "${target.name}" to its defaults?` : `Delete rule "${target.name}"?`)) return;
+    try {
+      await validationRuleDB.delete(saved.id);
+      await loadRules();
+    } catch (err) {
+      console.error('Failed to delete validation rule:', err);
+      toast.error('Could not delete the rule');
+    }
+  };
+
+  const setDraftField = (key) => (e) => setDraft(prev => ({ ...prev, [key]: e.target.value }));
+
+  const fieldSelect = (key) => (
+    <select className="select" value={draft[key]} onChange={setDraftField(key)}>
+      <option value="">-- Select field --</option>
+      {fields.map(field => (
+        <option key={field.key} value={field.key}>{field.label}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 p-5">
+      <div className="flex items-start gap-4">
+        <div className="p-2.5 bg-primary-50 dark:bg-primary-900/20 rounded-lg">
+          <ShieldCheck className="w-5 h-5 text-p3-electric" />
+        </div>
+        <div className="flex-1 min-w-0">
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              <h3 className="text-sm font-semibold text-p3-midnight dark:text-white">
+                Import Validation Rules
+              </h3>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                Checked on every row of an employee import. Errors block the row, warnings are reported
+              </p>
+            </div>
+            {!draft && (
+              <button onClick={() => setDraft(EMPTY_DRAFT)} className="btn btn-secondary btn-sm">
+                <Plus className="w-4 h-4" />
+                Add Rule
+              </button>
+            )}
+          </div>
+
+          <div className="mt-4 divide-y divide-gray-100 dark:divide-gray-800 border border-gray-200 dark:border-gray-800 rounded-lg">
+            {rules.map(item => {
+              const builtIn = isDefaultValidationRule(item.key);
+              const saved = savedByKey.has(item.key);
+              return (
+                <div key={item.key} className="flex items-center gap-3 px-3 py-2">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-p3-midnight dark:text-white truncate">
+                      {item.name}
+                      {builtIn && <span className="ml-2 text-xs font-normal text-gray-400">built-in{saved && ', changed'}</span>}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                      {RULE_TYPES.find(t => t.key === item.type)?.label || item.type}: {describeRule(item, fieldLabel)}
+                    </p>
+                  </div>
+                  <select
+                    className={`select w-28 text-xs ${SEVERITY_STYLES[item.severity]}`}
+                    value={item.severity}
+                    onChange={(e) => handleSeverityChange(item, e.target.value)}
+                    title="Severity"
+                  >
+                    {SEVERITIES.map(severity => (
+                      <option key={severity.key} value={severity.key}>{severity.label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => startEdit(item)}
+                    className="text-gray-400 hover:text-p3-electric transition-colors"
+                    title="Edit rule"
+                  >
+                    <Edit2 className="w-4 h-4" />
+                  </button>
+                  {saved ? (
+                    <button
+                      onClick={() => handleDelete(item)}
+                      className="text-gray-400 hover:text-red-600 dark:hover:text-red-400 transition-colors"
+                      title={builtIn ? 'Reset to defaults' : 'Delete rule'}
+                    >
+                      {builtIn ? <RotateCcw className="w-4 h-4" /> : <Trash2 className="w-4 h-4" />}
+                    </button>
+                  ) : (
+                    <span className="w-4" />
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          {draft && (
+            <div className="mt-4 p-4 bg-gray-50 dark:bg-gray-800/50 rounded-lg border border-gray-200 dark:border-gray-700 space-y-3">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <div>
+                  <label className="label">Name</label>
+                  <input
+                    autoFocus
+                    className="input"
+                    value={draft.name}
+                    onChange={setDraftField('name')}
+                    placeholder="e.g. Cost center has 6 digits"
+                  />
+                </div>
+                <div>
+                  <label className="label">Severity</label>
+                  <select className="select" value={draft.severity} onChange={setDraftField('severity')}>
+                    {SEVERITIES.map(severity => (
+                      <option key={severity.key} value={severity.key}>{severity.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="label">Type</label>
+                  <select
+                    className="select"
+                    value={draft.type}
+                    onChange={setDraftField('type')}
+                    disabled={isDefaultValidationRule(editingKey)}
+                  >
+                    {RULE_TYPES.map(type => (
+                      <option key={type.key} value={type.key}>{type.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="label">Field</label>
+                  {fieldSelect('field')}
+                </div>
+
+                {draft.type === 'regex' && (
+                  <div className="sm:col-span-2">
+                    <label className="label">Pattern</label>
+                    <input
+                      className="input font-mono"
+                      value={draft.pattern}
+                      onChange={setDraftField('pattern')}
+                      placeholder="e.g. ^\d{6}$"
+                    />
+                  </div>
+                )}
+
+                {draft.type === 'range' && (
+                  <>
+                    <div>
+                      <label className="label">Minimum <span className="label-optional">(number or date)</span></label>
+                      <input className="input" value={draft.min} onChange={setDraftField('min')} />
+                    </div>
+                    <div>
+                      <label className="label">Maximum <span className="label-optional">(number or date)</span></label>
+                      <input className="input" value={draft.max} onChange={setDraftField('max')} />
+                    </div>
+                  </>
+                )}
+
+                {draft.type === 'enum' && (
+                  <div className="sm:col-span-2">
+                    <label className="label">
+                      Allowed values <span className="label-optional">(one per line or comma separated)</span>
+                    </label>
+                    <textarea className="input min-h-[80px]" value={draft.values} onChange={setDraftField('values')} />
+                  </div>
+                )}
+
+                {draft.type === 'compare' && (
+                  <>
+                    <div>
+                      <label className="label">Operator</label>
+                      <select className="select" value={draft.operator} onChange={setDraftField('operator')}>
+                        {COMPARE_OPERATORS.map(operator => (
+                          <option key={operator} value={operator}>{operator}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="label">Compared with</label>
+                      {fieldSelect('otherField')}
+                    </div>
+                  </>
+                )}
+
+                {draft.type === 'reference' && (
+                  <div>
+                    <label className="label">Must exist in field</label>
+                    {fieldSelect('referenceField')}
+                  </div>
+                )}
+
+                <div className="sm:col-span-2">
+                  <label className="label">Message <span className="label-optional">(optional)</span></label>
+                  <input className="input" value={draft.message} onChange={setDraftField('message')} />
+                </div>
+              </div>
+
+              {error && draft.name.trim() && (
+                <p className="text-xs text-red-600 dark:text-red-400">{error}</p>
+              )}
+
+              <div className="flex justify-end gap-2">
+                <button onClick={cancelEdit} disabled={saving} className="btn btn-secondary btn-sm">
+                  Cancel
+                </button>
+                <button onClick={handleSave} disabled={saving || !!error} className="btn btn-primary btn-sm">
+                  {editingKey ? 'Save' : 'Add'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ValidationRuleSettings;
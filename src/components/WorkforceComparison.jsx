@@ -17,7 +17,7 @@ import {
   ArrowRight,
 } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
-import { importHistoryDB } from '../services/unifiedDB';
+import { importHistoryDB, auditLogDB } from '../services/unifiedDB';
 import toast from 'react-hot-toast';
 import * as XLSX from 'xlsx';
 
@@ -188,7 +188,9 @@ const WorkforceComparison = () => {
     const deptSheet = XLSX.utils.aoa_to_sheet(deptData);
     XLSX.utils.book_append_sheet(workbook, deptSheet, 'Department Changes');
 
-    XLSX.writeFile(workbook, 'workforce-reduction-analysis-' + new Date().toISOString().split('T')[0] + '.xlsx');
+    const fileName = 'workforce-reduction-analysis-' + new Date().toISOString().split('T')[0] + '.xlsx';
+    XLSX.writeFile(workbook, fileName);
+    auditLogDB.recordExport(fileName, { report: 'Workforce reduction analysis', format: 'xlsx', rows: comparison.departmentChanges.length });
     toast.success('Comparison report exported');
   };
 
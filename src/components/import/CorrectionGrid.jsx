@@ -0,0 +1,296 @@
+/**
+ * Import Wizard - Correction grid
+ * Failing rows of Step 3 with the fields their issues name, editable in place. Corrections
+ * can be applied to every row of one issue at once; changed rows are re-validated by the worker
+ * and the corrections go along with the import
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Pencil, RefreshCw, Undo2, Wand2, ChevronLeft, ChevronRight } from 'lucide-react';
+import { useImport } from '../../contexts/ImportContext';
+import { getCustomAttributeFields } from '../../utils/customAttributes';
+import { TARGET_FIELDS } from './Step2ColumnMapping';
+
+const PAGE_SIZE = 25;
+
+const CorrectionGrid = () => {
+  const {
+    validationResults,
+    getFileRows,
+    columnMapping,
+    corrections,
+    revalidateRows,
+    isRevalidating,
+    customAttributes,
+  } = useImport();
+
+  // Edits not yet re-validated, by row number and field
+  const [edits, setEdits] = useState({});
+  const [includeWarnings, setIncludeWarnings] = useState(false);
+  const [page, setPage] = useState(0);
+  const [bulkGroup, setBulkGroup] = useState('');
+  const [bulkValue, setBulkValue] = useState('');
+
+  const fieldLabels = useMemo(() => new Map(
+    [...TARGET_FIELDS, ...getCustomAttributeFields(customAttributes)].map(field => [field.key, field.label])
+  ), [customAttributes]);
+  const fieldLabel = (key) => fieldLabels.get(key) || key;
+
+  // Rows with issues, the fields the issues name and the issue groups a bulk fix can target
+  const { rows, fields, groups } = useMemo(() => {
+    const issues = [
+      ...validationResults.errors.map(issue => ({ ...issue, severity: 'error' })),
+      ...(includeWarnings ? validationResults.warnings.map(issue => ({ ...issue, severity: 'warning' })) : []),
+    ].filter(issue => issue.row);
+
+    const byRow = new Map();
+    const fieldCounts = new Map();
+    const byGroup = new Map();
+    for (const issue of issues) {
+      if (!byRow.has(issue.row)) byRow.set(issue.row, []);
+      byRow.get(issue.row).push(issue);
+      if (!issue.field) continue;
+
+      fieldCounts.set(issue.field, (fieldCounts.get(issue.field) || 0) + 1);
+      const groupKey = `${issue.rule || issue.type}|${issue.field}`;
+      if (!byGroup.has(groupKey)) {
+        byGroup.set(groupKey, {
+          key: groupKey,
+          field: issue.field,
+          label: issue.ruleName || issue.type.replace(/_/g, ' '),
+          rows: new Set(),
+        });
+      }
+      byGroup.get(groupKey).rows.add(issue.row);
+    }
+
+    return {
+      rows: [...byRow.entries()].sort(([a], [b]) => a - b).map(([row, rowIssues]) => ({ row, issues: rowIssues })),
+      fields: [...fieldCounts.entries()].sort((a, b) => b[1] - a[1]).map(([field]) => field),
+      groups: [...byGroup.values()],
+    };
+  }, [validationResults, includeWarnings]);
+
+  const pageCount = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = rows.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+  const editedRows = Object.keys(edits).map(Number);
+
+  // File values of the rows on this page; the worker keeps the file
+  const [pageFileRows, setPageFileRows] = useState({});
+  const pageRowKey = pageRows.map(({ row }) => row).join(',');
+  useEffect(() => {
+    let current = true;
+    getFileRows(pageRows.map(({ row }) => row)).then(fileRows => {
+      if (current) setPageFileRows(fileRows);
+    });
+    return () => {
+      current = false;
+    };
+  }, [pageRowKey, getFileRows]);
+
+  // Value shown in a cell: pending edit, saved correction or the value in the file
+  const cellValue = (row, field) => {
+    if (edits[row] && field in edits[row]) return edits[row][field];
+    if (corrections[row] && field in corrections[row]) return corrections[row][field] ?? '';
+    const column = columnMapping[field];
+    return column ? pageFileRows[row]?.[column] ?? '' : '';
+  };
+
+  const setCell = (row, field, value) => {
+    setEdits(prev => ({ ...prev, [row]: { ...prev[row], [field]: value } }));
+  };
+
+  const withEdits = (base, changes) => {
+    const next = { ...base };
+    for (const [row, values] of Object.entries(changes)) {
+      next[row] = { ...next[row], ...values };
+    }
+    return next;
+  };
+
+  const revalidateEdits = () => {
+    if (editedRows.length === 0) return;
+    revalidateRows(editedRows, withEdits(corrections, edits));
+    setEdits({});
+  };
+
+  // One value for the field of every row with the chosen issue, re-validated right away
+  const applyBulkFix = () => {
+    const group = groups.find(g => g.key === bulkGroup);
+    if (!group) return;
+    const changes = {};
+    for (const row of group.rows) changes[row] = { [group.field]: bulkValue };
+    const rowNumbers = [...new Set([...group.rows, ...editedRows])];
+    revalidateRows(rowNumbers, withEdits(withEdits(corrections, edits), changes));
+    setEdits({});
+    setBulkValue('');
+  };
+
+  const selectedGroup = groups.find(g => g.key === bulkGroup);
+  const correctedCount = Object.keys(corrections).length;
+
+  if (rows.length === 0 && correctedCount === 0) return null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6 mb-6">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+            <Pencil className="w-5 h-5" />
+            Correct Rows
+          </h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Fix values in place; corrected rows are checked again and imported with the corrections.
+            {correctedCount > 0 && ` ${correctedCount} row${correctedCount === 1 ? '' : 's'} corrected so far.`}
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 whitespace-nowrap cursor-pointer">
+          <input
+            type="checkbox"
+            checked={includeWarnings}
+            onChange={(e) => {
+              setIncludeWarnings(e.target.checked);
+              setPage(0);
+            }}
+            className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+          />
+          Include warnings
+        </label>
+      </div>
+
+      {groups.length > 0 && (
+        <div className="flex flex-wrap items-end gap-2 mb-4 p-3 bg-gray-50 dark:bg-gray-900/50 rounded-lg">
+          <div className="flex-1 min-w-[200px]">
+            <label className="label">Apply to all rows with</label>
+            <select className="select" value={bulkGroup} onChange={(e) => setBulkGroup(e.target.value)}>
+              <option value="">-- Select issue --</option>
+              {groups.map(group => (
+                <option key={group.key} value={group.key}>
+                  {group.label} - {fieldLabel(group.field)} ({group.rows.size})
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="flex-1 min-w-[160px]">
+            <label className="label">
+              {selectedGroup ? `Set ${fieldLabel(selectedGroup.field)} to` : 'Value'}
+            </label>
+            <input
+              className="input"
+              value={bulkValue}
+              onChange={(e) => setBulkValue(e.target.value)}
+              placeholder="e.g. Unknown"
+              disabled={!selectedGroup}
+            />
+          </div>
+          <button
+            onClick={applyBulkFix}
+            disabled={!selectedGroup || isRevalidating}
+            className="btn btn-secondary"
+          >
+            <Wand2 className="w-4 h-4" />
+            Apply to {selectedGroup ? selectedGroup.rows.size : 0} rows
+          </button>
+        </div>
+      )}
+
+      {rows.length > 0 ? (
+        <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded-lg">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-900 border-b border-gray-200 dark:border-gray-700">
+              <tr>
+                <th className="px-3 py-2 text-left font-semibold text-gray-900 dark:text-white w-16">Row</th>
+                {fields.map(field => (
+                  <th key={field} className="px-3 py-2 text-left font-semibold text-gray-900 dark:text-white whitespace-nowrap">
+                    {fieldLabel(field)}
+                  </th>
+                ))}
+                <th className="px-3 py-2 text-left font-semibold text-gray-900 dark:text-white">Issues</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {pageRows.map(({ row, issues }) => (
+                <tr key={row}>
+                  <td className="px-3 py-2 text-gray-500 dark:text-gray-400">{row}</td>
+                  {fields.map(field => {
+                    const issue = issues.find(i => i.field === field);
+                    const edited = !!edits[row] && field in edits[row];
+                    return (
+                      <td key={field} className="px-3 py-1">
+                        <input
+                          value={cellValue(row, field)}
+                          onChange={(e) => setCell(row, field, e.target.value)}
+                          title={issue?.message}
+                          className={`w-full min-w-[120px] px-2 py-1 rounded border bg-white dark:bg-gray-900 text-gray-900 dark:text-white text-sm ${
+                            edited
+                              ? 'border-primary-500'
+                              : issue?.severity === 'error'
+                                ? 'border-red-400 dark:border-red-600'
+                                : issue
+                                  ? 'border-orange-400 dark:border-orange-600'
+                                  : 'border-gray-200 dark:border-gray-700'
+                          }`}
+                        />
+                      </td>
+                    );
+                  })}
+                  <td className="px-3 py-2 text-xs text-gray-600 dark:text-gray-400 min-w-[200px]">
+                    {issues.map(issue => issue.message).join('; ')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-green-700 dark:text-green-400">No failing rows left.</p>
+      )}
+
+      <div className="flex items-center justify-between mt-4">
+        <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+          {pageCount > 1 && (
+            <>
+              <button
+                onClick={() => setPage(currentPage - 1)}
+                disabled={currentPage === 0}
+                className="btn btn-ghost btn-sm"
+                title="Previous page"
+              >
+                <ChevronLeft className="w-4 h-4" />
+              </button>
+              <span>Page {currentPage + 1} of {pageCount} ({rows.length} rows)</span>
+              <button
+                onClick={() => setPage(currentPage + 1)}
+                disabled={currentPage >= pageCount - 1}
+                className="btn btn-ghost btn-sm"
+                title="Next page"
+              >
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </>
+          )}
+        </div>
+
+        <div className="flex items-center gap-2">
+          {editedRows.length > 0 && (
+            <button onClick={() => setEdits({})} disabled={isRevalidating} className="btn btn-ghost btn-sm">
+              <Undo2 className="w-4 h-4" />
+              Discard
+            </button>
+          )}
+          <button
+            onClick={revalidateEdits}
+            disabled={editedRows.length === 0 || isRevalidating}
+            className="btn btn-primary btn-sm"
+          >
+            <RefreshCw className={`w-4 h-4 ${isRevalidating ? 'animate-spin' : ''}`} />
+            {isRevalidating ? 'Re-validating...' : `Re-validate ${editedRows.length} changed row${editedRows.length === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CorrectionGrid;
@@ -0,0 +1,303 @@
+/**
+ * Import Wizard - Field rule editor
+ * Value rules of one target field: source (column, combined columns or constant),
+ * regex extract, lookup table, default value and unit conversion, with a preview on sample rows
+ */
+
+import React, { useMemo, useState } from 'react';
+import { X, Plus, Trash2, ArrowRight, ListPlus } from 'lucide-react';
+import {
+  RULE_SOURCES,
+  UNIT_CONVERSIONS,
+  EMPTY_FIELD_RULE,
+  compileFieldRule,
+  convertUnit,
+  getPatternError,
+  resolveFieldValue,
+} from '../../utils/importRules';
+import { parseLocaleDate, parseLocaleNumber } from '../../utils/importLocale';
+
+const PREVIEW_ROWS = 3;
+const MAX_LOOKUP_SUGGESTIONS = 50;
+
+// Value as the worker would store it, for the preview
+const previewResult = (row, sourceColumn, rule, field, locale) => {
+  const value = resolveFieldValue(row, sourceColumn, rule);
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  if (field.type === 'date') return parseLocaleDate(value, locale.dateFormat) || `${value} (not a date)`;
+  if (field.type === 'number' || field.type === 'percentage') {
+    const number = parseLocaleNumber(String(value).replace('%', ''), locale);
+    return number === null ? `${value} (not a number)` : String(convertUnit(number, rule));
+  }
+  return String(value);
+};
+
+const FieldRuleEditor = ({ field, rule, sourceColumn, headers, rows, getColumnValues, locale, onSave, onRemove, onClose }) => {
+  const [draft, setDraft] = useState({ ...EMPTY_FIELD_RULE, ...rule });
+  const [columnToAdd, setColumnToAdd] = useState('');
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+  const patternError = getPatternError(draft.extract);
+  const isNumeric = field.type === 'number' || field.type === 'percentage';
+  const conversion = UNIT_CONVERSIONS.find(c => c.key === draft.convert);
+
+  const compiled = useMemo(() => {
+    if (patternError) return null;
+    return compileFieldRule(field.key, draft);
+  }, [draft, field.key, patternError]);
+
+  const previewRows = rows.slice(0, PREVIEW_ROWS);
+
+  const updateLookup = (index, changes) => {
+    update({ lookup: draft.lookup.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)) });
+  };
+
+  // Distinct source values not yet in the table, so a lookup can be filled in place
+  // The worker holds the file and scans the whole column
+  const addValuesFromFile = async () => {
+    const values = await getColumnValues(sourceColumn, {
+      exclude: draft.lookup.map(entry => entry.from),
+      limit: MAX_LOOKUP_SUGGESTIONS,
+    });
+    setDraft(prev => ({ ...prev, lookup: [...prev.lookup, ...values.map(value => ({ from: value, to: '' }))] }));
+  };
+
+  const addColumn = () => {
+    if (!columnToAdd) return;
+    update({ columns: [...draft.columns, columnToAdd] });
+    setColumnToAdd('');
+  };
+
+  const handleSave = () => {
+    onSave({
+      ...draft,
+      lookup: draft.lookup.filter(entry => String(entry.from).trim() !== ''),
+      convert: isNumeric ? draft.convert : '',
+    });
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal max-w-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div>
+            <h2 className="modal-title">Rules for {field.label}</h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Applied to every row in this order: source, extract, lookup, default{isNumeric ? ', conversion' : ''}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 hover:bg-gray-100 dark:hover:bg-gray-800 rounded transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="modal-body space-y-5">
+          {/* Source */}
+          <div>
+            <label className="label">Value source</label>
+            <div className="flex gap-1 bg-gray-100 dark:bg-gray-800 rounded-md p-1 w-fit">
+              {RULE_SOURCES.map(source => (
+                <button
+                  key={source.key}
+                  onClick={() => update({ source: source.key })}
+                  className={`btn btn-sm ${draft.source === source.key ? 'btn-primary' : 'btn-ghost'}`}
+                >
+                  {source.label}
+                </button>
+              ))}
+            </div>
+
+            {draft.source === 'column' && (
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                {sourceColumn ? <>Reads column <span className="font-medium">{sourceColumn}</span>.</> : 'No column mapped - only the default value applies.'}
+              </p>
+            )}
+
+            {draft.source === 'concat' && (
+              <div className="mt-3 space-y-2">
+                <div className="flex flex-wrap gap-2">
+                  {draft.columns.map((column, index) => (
+                    <span key={`${column}-${index}`} className="badge badge-analysis flex items-center gap-1">
+                      {column}
+                      <button onClick={() => update({ columns: draft.columns.filter((_, i) => i !== index) })}>
+                        <X className="w-3 h-3" />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                  <div className="sm:col-span-2 flex gap-2">
+                    <select className="select" value={columnToAdd} onChange={(e) => setColumnToAdd(e.target.value)}>
+                      <option value="">-- Add column --</option>
+                      {headers.map(header => <option key={header} value={header}>{header}</option>)}
+                    </select>
+                    <button onClick={addColumn} disabled={!columnToAdd} className="btn btn-secondary btn-sm">
+                      <Plus className="w-3.5 h-3.5" />
+                    </button>
+                  </div>
+                  <input
+                    className="input"
+                    value={draft.separator}
+                    onChange={(e) => update({ separator: e.target.value })}
+                    placeholder="Separator"
+                    title="Separator between the combined values"
+                  />
+                </div>
+              </div>
+            )}
+
+            {draft.source === 'constant' && (
+              <input
+                className="input mt-3"
+                value={draft.constant}
+                onChange={(e) => update({ constant: e.target.value })}
+                placeholder="Value for every row"
+              />
+            )}
+          </div>
+
+          {/* Extract */}
+          <div>
+            <label className="label">
+              Extract <span className="label-optional">(regular expression, first group or whole match)</span>
+            </label>
+            <input
+              className="input font-mono"
+              value={draft.extract}
+              onChange={(e) => update({ extract: e.target.value })}
+              placeholder="e.g. ^(\d+)"
+            />
+            {patternError && <p className="text-xs text-red-600 dark:text-red-400 mt-1">{patternError}</p>}
+          </div>
+
+          {/* Lookup */}
+          <div>
+            <div className="flex items-center justify-between">
+              <label className="label">
+                Lookup table <span className="label-optional">(case-insensitive, other values are kept)</span>
+              </label>
+              <div className="flex gap-1">
+                {draft.source === 'column' && sourceColumn && (
+                  <button onClick={addValuesFromFile} className="btn btn-ghost btn-sm">
+                    <ListPlus className="w-3.5 h-3.5" />
+                    Values from file
+                  </button>
+                )}
+                <button onClick={() => update({ lookup: [...draft.lookup, { from: '', to: '' }] })} className="btn btn-ghost btn-sm">
+                  <Plus className="w-3.5 h-3.5" />
+                  Add
+                </button>
+              </div>
+            </div>
+            {draft.lookup.length > 0 && (
+              <div className="space-y-2 max-h-56 overflow-y-auto">
+                {draft.lookup.map((entry, index) => (
+                  <div key={index} className="flex items-center gap-2">
+                    <input
+                      className="input"
+                      value={entry.from}
+                      onChange={(e) => updateLookup(index, { from: e.target.value })}
+                      placeholder="File value"
+                    />
+                    <ArrowRight className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                    <input
+                      className="input"
+                      value={entry.to}
+                      onChange={(e) => updateLookup(index, { to: e.target.value })}
+                      placeholder="Imported value"
+                    />
+                    <button
+                      onClick={() => update({ lookup: draft.lookup.filter((_, i) => i !== index) })}
+                      className="text-gray-400 hover:text-red-600 dark:hover:text-red-400 transition-colors"
+                      title="Remove entry"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Default and conversion */}
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <div>
+              <label className="label">Default value <span className="label-optional">(when empty)</span></label>
+              <input
+                className="input"
+                value={draft.defaultValue}
+                onChange={(e) => update({ defaultValue: e.target.value })}
+              />
+            </div>
+            {isNumeric && (
+              <>
+                <div>
+                  <label className="label">Unit conversion</label>
+                  <select
+                    className="select"
+                    value={draft.convert}
+                    onChange={(e) => update({ convert: e.target.value, convertParam: null })}
+                  >
+                    {UNIT_CONVERSIONS.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+                  </select>
+                </div>
+                {conversion?.paramLabel && (
+                  <div>
+                    <label className="label">{conversion.paramLabel}</label>
+                    <input
+                      type="number"
+                      className="input"
+                      value={draft.convertParam ?? conversion.defaultParam}
+                      onChange={(e) => update({ convertParam: e.target.value === '' ? null : Number(e.target.value) })}
+                    />
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+
+          {/* Preview */}
+          {compiled && previewRows.length > 0 && (
+            <div className="pt-3 border-t border-gray-200 dark:border-gray-800">
+              <p className="label">Preview</p>
+              <div className="space-y-1">
+                {previewRows.map((row, index) => {
+                  const result = previewResult(row, sourceColumn, compiled, field, locale);
+                  const source = draft.source === 'concat'
+                    ? draft.columns.map(column => row[column]).join(' | ')
+                    : draft.source === 'constant' ? '' : row[sourceColumn];
+                  return (
+                    <div key={index} className="flex items-center gap-2 text-xs">
+                      <span className="font-mono text-gray-600 dark:text-gray-400 truncate max-w-[45%]">{source || '(empty)'}</span>
+                      <ArrowRight className="w-3 h-3 text-gray-400 flex-shrink-0" />
+                      <span className="font-mono text-p3-midnight dark:text-white truncate">{result ?? '(empty)'}</span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          {rule && (
+            <button onClick={onRemove} className="btn btn-ghost mr-auto">
+              Remove rules
+            </button>
+          )}
+          <button onClick={onClose} className="btn btn-secondary">
+            Cancel
+          </button>
+          <button onClick={handleSave} disabled={!!patternError} className="btn btn-primary">
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FieldRuleEditor;
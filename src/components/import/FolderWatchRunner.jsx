@@ -0,0 +1,129 @@
+/**
+ * Import Wizard - Folder watch
+ * Imports the newest HR export of the folder an admin granted in Settings, once when the app is opened.
+ * Runs the full import pipeline of ImportContext with the saved mapping template, records failed runs
+ * in import history and reports the outcome as a notification
+ */
+
+import React, { useCallback, useEffect, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { useImport } from '../../contexts/ImportContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { useApp } from '../../contexts/AppContext';
+import { folderWatchDB } from '../../services/db';
+import { importHistoryDB, importMappingDB } from '../../services/unifiedDB';
+import { hasReadPermission, findNewestFile, isNewerFile } from '../../utils/folderWatch';
+
+/**
+ * Folder watch actions; needs an ImportProvider of its own, the wizard's state is replaced by a run
+ */
+export const useFolderWatch = () => {
+  const { runAutoImport, autoRunPhase } = useImport();
+  const { user } = useAuth();
+  const { loadAllData } = useApp();
+
+  // Import one file with the configured template and keep the outcome on the watch
+  const importFile = useCallback(async (file, config) => {
+    const toastId = toast.loading(`Importing ${file.name} from the watched folder...`);
+
+    const templates = await importMappingDB.getAll().catch(() => []);
+    const template = (templates || []).find(t => String(t.id) === String(config.mappingId));
+    const outcome = template
+      ? await runAutoImport(file, { template, mode: config.importMode })
+      : { status: 'failed', error: `Mapping template "${config.mappingName || config.mappingId}" no longer exists`, recorded: false };
+
+    // Successful runs are recorded by the import itself, failed ones unless their upload already was
+    if (outcome.status === 'failed' && !outcome.recorded) {
+      try {
+        await importHistoryDB.add({
+          fileName: file.name,
+          fileSize: file.size,
+          totalRecords: outcome.results?.totalRows || 0,
+          recordsSuccessful: 0,
+          recordsFailed: outcome.results?.totalRows || 0,
+          recordsSkipped: 0,
+          processingTime: 0,
+          timestamp: new Date().toISOString(),
+          errorLog: [{ message: outcome.error, timestamp: new Date().toISOString() }],
+          status: 'failed',
+          source: 'folderWatch',
+          userId: user?.id,
+        });
+      } catch (error) {
+        console.error('Failed to record folder import:', error);
+      }
+    }
+
+    // The file only counts as done once it was imported, so a failed one is tried again on the next start
+    const saved = await folderWatchDB.save({
+      lastFileName: file.name,
+      ...(outcome.status === 'completed' && { lastFileModified: file.lastModified }),
+      lastRunAt: new Date().toISOString(),
+      lastStatus: outcome.status,
+      lastError: outcome.error || null,
+    });
+
+    if (outcome.status === 'completed') {
+      toast.success(`Imported ${file.name} from the watched folder`, { id: toastId });
+      loadAllData();
+    } else {
+      toast.error(`Folder import of ${file.name} failed: ${outcome.error}`, { id: toastId, duration: 10000 });
+    }
+
+    return { ...outcome, config: saved };
+  }, [runAutoImport, user, loadAllData]);
+
+  /**
+   * Import the newest file of the watched folder if it is newer than the last one run
+   * interactive may ask for access to the folder again, which the browser only allows on a click
+   * Resolves with the outcome, or a status of unconfigured, disabled, permission, empty or unchanged
+   */
+  const checkFolder = useCallback(async ({ interactive = false } = {}) => {
+    const config = await folderWatchDB.get();
+    if (!config?.directoryHandle || !config.mappingId) return { status: 'unconfigured' };
+    if (!interactive && !config.enabled) return { status: 'disabled' };
+    if (!(await hasReadPermission(config.directoryHandle, interactive))) return { status: 'permission' };
+
+    const file = await findNewestFile(config.directoryHandle);
+    if (!file) return { status: 'empty' };
+    if (!isNewerFile(file, config)) return { status: 'unchanged', file };
+    return importFile(file, config);
+  }, [importFile]);
+
+  return { checkFolder, importFile, isRunning: autoRunPhase !== null };
+};
+
+// Checks the folder once per app start; mounted in the main layout for users who may run imports
+const FolderWatchRunner = () => {
+  const { checkFolder } = useFolderWatch();
+  const checkedRef = useRef(false);
+
+  useEffect(() => {
+    if (checkedRef.current) return;
+    checkedRef.current = true;
+
+    checkFolder()
+      .then((result) => {
+        if (result.status !== 'permission') return;
+        toast((t) => (
+          <span className="flex items-center gap-3 text-sm">
+            The watched import folder needs access again
+            <button
+              onClick={() => {
+                toast.dismiss(t.id);
+                checkFolder({ interactive: true }).catch(error => console.error('Folder watch failed:', error));
+              }}
+              className="btn btn-primary btn-sm"
+            >
+              Allow
+            </button>
+          </span>
+        ), { duration: 15000 });
+      })
+      .catch(error => console.error('Folder watch failed:', error));
+  }, [checkFolder]);
+
+  return null;
+};
+
+export default FolderWatchRunner;
@@ -12,8 +12,15 @@ import Step2ColumnMapping from './Step2ColumnMapping';
 import Step3Validation from './Step3Validation';
 import Step4ImportExecution from './Step4ImportExecution';
 
+const IMPORT_SUBTITLES = {
+  employees: 'Upload and process HR workforce data',
+  reductionPrograms: 'Upload reduction program enrollments',
+  projects: 'Upload the project list',
+  assignments: 'Upload project assignments',
+};
+
 const ImportWizard = ({ onClose }) => {
-  const { currentStep, resetImport } = useImport();
+  const { currentStep, resetImport, importResults, importTarget } = useImport();
 
   const steps = [
     { number: 1, label: 'Upload', description: 'Select file', icon: Upload, component: Step1FileUpload },
@@ -50,7 +57,7 @@ const ImportWizard = ({ onClose }) => {
                 Import Data
               </h1>
               <p className="text-sm text-gray-500 dark:text-gray-400 mt-0.5">
-                Upload and process HR workforce data
+                {IMPORT_SUBTITLES[importTarget] || IMPORT_SUBTITLES.employees}
               </p>
             </div>
             <button
@@ -0,0 +1,141 @@
+/**
+ * Import Wizard - File format settings
+ * Date order and number separators used to read the file, detected from its first rows
+ * Shows how the mapped date and number columns are read with the current settings
+ */
+
+import React, { useMemo } from 'react';
+import { Globe, AlertTriangle, ArrowRight } from 'lucide-react';
+import { useImport } from '../../contexts/ImportContext';
+import {
+  DATE_FORMATS,
+  DECIMAL_SEPARATORS,
+  THOUSANDS_SEPARATORS,
+  excelSerialToISODate,
+  parseLocaleDate,
+  parseLocaleNumber,
+} from '../../utils/importLocale';
+
+const TYPED_FIELDS = ['date', 'number', 'percentage'];
+const PREVIEW_FIELDS = 4;
+
+// How a raw value is stored with the given locale (same rules as the import worker); null if it does not parse
+const previewValue = (value, type, locale) => {
+  if (type === 'date') {
+    return /^\d+(\.\d+)?$/.test(value) ? excelSerialToISODate(value) : parseLocaleDate(value, locale.dateFormat);
+  }
+  const number = parseLocaleNumber(String(value).replace('%', ''), locale);
+  if (number === null) return null;
+  if (type === 'percentage') return `${number > 1 ? number : number * 100}%`;
+  return number.toLocaleString('en-US', { maximumFractionDigits: 4 });
+};
+
+const LocaleSettings = ({ fields, mapping }) => {
+  const { importLocale, setImportLocale, localeDetection, sampleData } = useImport();
+
+  // First sample value of each mapped date or number field
+  const previews = useMemo(() => fields
+    .filter(field => TYPED_FIELDS.includes(field.type) && mapping[field.key])
+    .map(field => {
+      const row = sampleData.find(r => r[mapping[field.key]] !== undefined && String(r[mapping[field.key]]).trim() !== '');
+      return row ? { field, raw: String(row[mapping[field.key]]).trim() } : null;
+    })
+    .filter(Boolean)
+    .slice(0, PREVIEW_FIELDS), [fields, mapping, sampleData]);
+
+  const handleDecimalChange = (decimalSeparator) => {
+    const thousandsSeparator = importLocale.thousandsSeparator === decimalSeparator
+      ? (decimalSeparator === ',' ? '.' : ',')
+      : importLocale.thousandsSeparator;
+    setImportLocale({ decimalSeparator, thousandsSeparator });
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-4 mb-6">
+      <div className="flex items-center gap-2 mb-3">
+        <Globe className="w-4 h-4 text-gray-500" />
+        <h3 className="text-sm font-semibold text-gray-900 dark:text-white">File Format</h3>
+        {localeDetection && (
+          <span className="text-xs text-gray-500 dark:text-gray-400">
+            Detected from {localeDetection.dateValues} date and {localeDetection.numberValues} number values
+          </span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="label">Date format</label>
+          <select
+            className="select"
+            value={importLocale.dateFormat}
+            onChange={(e) => setImportLocale({ dateFormat: e.target.value })}
+          >
+            {DATE_FORMATS.map(format => (
+              <option key={format.key} value={format.key}>
+                {format.label}{format.example ? ` (${format.example})` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="label">Decimal separator</label>
+          <select
+            className="select"
+            value={importLocale.decimalSeparator}
+            onChange={(e) => handleDecimalChange(e.target.value)}
+          >
+            {DECIMAL_SEPARATORS.map(separator => (
+              <option key={separator.key} value={separator.key}>{separator.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="label">Thousands separator</label>
+          <select
+            className="select"
+            value={importLocale.thousandsSeparator}
+            onChange={(e) => setImportLocale({ thousandsSeparator: e.target.value })}
+          >
+            {THOUSANDS_SEPARATORS
+              .filter(separator => separator.key !== importLocale.decimalSeparator)
+              .map(separator => (
+                <option key={separator.key} value={separator.key}>{separator.label}</option>
+              ))}
+          </select>
+        </div>
+      </div>
+
+      {localeDetection?.ambiguousDates && (
+        <div className="flex items-start gap-2 mt-3 text-sm text-orange-600 dark:text-orange-400">
+          <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <span>
+            No date in the first rows has a day above 12, so day and month could be swapped.
+            Please confirm the date format.
+          </span>
+        </div>
+      )}
+
+      {previews.length > 0 && (
+        <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-700 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-1">
+          {previews.map(({ field, raw }) => {
+            const parsed = previewValue(raw, field.type, importLocale);
+            return (
+              <div key={field.key} className="flex items-center gap-2 text-xs min-w-0">
+                <span className="text-gray-500 dark:text-gray-400 w-32 truncate">{field.label}</span>
+                <span className="font-mono text-gray-700 dark:text-gray-300 truncate">{raw}</span>
+                <ArrowRight className="w-3 h-3 text-gray-400 flex-shrink-0" />
+                {parsed === null ? (
+                  <span className="text-orange-600 dark:text-orange-400">not recognised</span>
+                ) : (
+                  <span className="font-mono text-green-600 dark:text-green-400">{parsed}</span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LocaleSettings;
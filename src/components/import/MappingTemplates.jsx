@@ -0,0 +1,173 @@
+/**
+ * Import Wizard - Mapping templates
+ * Saves the column mapping with its field rules and file format in importMappingDB,
+ * and loads a saved template for the same import target, counting how often it was reused
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Save, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { importMappingDB } from '../../services/unifiedDB';
+import { useImport } from '../../contexts/ImportContext';
+
+const MappingTemplates = ({ mapping, fieldRules, onLoad }) => {
+  const { headers, importTarget, importLocale, setImportLocale } = useImport();
+  const [templates, setTemplates] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [name, setName] = useState('');
+
+  const loadTemplates = async () => {
+    try {
+      const all = (await importMappingDB.getAll()) || [];
+      setTemplates(all
+        .filter(template => (template.target || 'employees') === importTarget)
+        .sort((a, b) => String(b.lastUsed || '').localeCompare(String(a.lastUsed || ''))));
+    } catch (error) {
+      console.error('Error loading mapping templates:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadTemplates();
+  }, [importTarget]);
+
+  const handleLoad = async (id) => {
+    setSelectedId(id);
+    const template = templates.find(t => String(t.id) === id);
+    if (!template) return;
+
+    // Columns missing from this file are dropped, the rest of the template still applies
+    const headerSet = new Set(headers);
+    const columnMapping = {};
+    let missing = 0;
+    for (const [field, column] of Object.entries(template.columnMapping || {})) {
+      if (headerSet.has(column)) columnMapping[field] = column;
+      else missing++;
+    }
+
+    onLoad(columnMapping, template.fieldRules || {});
+    if (template.locale) setImportLocale(template.locale);
+
+    if (missing > 0) {
+      toast(`Template "${template.name}" loaded - ${missing} column${missing === 1 ? '' : 's'} not found in this file`);
+    } else {
+      toast.success(`Template "${template.name}" loaded`);
+    }
+
+    // Reused templates weigh more when suggesting columns for later files (see utils/columnMatching)
+    importMappingDB.update(template.id, {
+      target: template.target || 'employees',
+      columnMapping: template.columnMapping || {},
+      fieldRules: template.fieldRules || {},
+      locale: template.locale || null,
+      useCount: (template.useCount || 0) + 1,
+      lastUsed: new Date().toISOString(),
+    }).catch(error => console.error('Error updating template:', error));
+  };
+
+  const handleSave = async () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    const template = {
+      name: trimmed,
+      target: importTarget,
+      columnMapping: mapping,
+      fieldRules,
+      locale: importLocale,
+    };
+
+    try {
+      const existing = await importMappingDB.getByName(trimmed);
+      if (existing) {
+        await importMappingDB.update(existing.id, { ...template, useCount: existing.useCount || 0 });
+        toast.success(`Template "${trimmed}" updated`);
+      } else {
+        await importMappingDB.add({ ...template, createdAt: new Date().toISOString(), lastUsed: new Date().toISOString() });
+        toast.success(`Template "${trimmed}" saved`);
+      }
+      setSaving(false);
+      setName('');
+      await loadTemplates();
+    } catch (error) {
+      console.error('Error saving mapping template:', error);
+      toast.error('Could not save the template');
+    }
+  };
+
+  const handleDelete = async () => {
+    const template = templates.find(t => String(t.id) === selectedId);
+    if (!template || !confirm(`Delete template "${template.name}"?`)) return;
+
+    try {
+      await importMappingDB.delete(template.id);
+      setSelectedId('');
+      await loadTemplates();
+    } catch (error) {
+      console.error('Error deleting mapping template:', error);
+      toast.error('Could not delete the template');
+    }
+  };
+
+  if (saving) {
+    return (
+      <div className="flex items-center gap-2">
+        <input
+          autoFocus
+          className="input w-48"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+          placeholder="Template name"
+        />
+        <button onClick={handleSave} disabled={!name.trim()} className="btn btn-primary btn-sm">
+          Save
+        </button>
+        <button onClick={() => setSaving(false)} className="btn btn-ghost btn-sm">
+          Cancel
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      {templates.length > 0 && (
+        <>
+          <select
+            className="select w-48"
+            value={selectedId}
+            onChange={(e) => handleLoad(e.target.value)}
+          >
+            <option value="">Load template...</option>
+            {templates.map(template => (
+              <option key={template.id} value={String(template.id)}>{template.name}</option>
+            ))}
+          </select>
+          {selectedId && (
+            <button
+              onClick={handleDelete}
+              className="text-gray-400 hover:text-red-600 dark:hover:text-red-400 transition-colors"
+              title="Delete template"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
+        </>
+      )}
+      <button
+        onClick={() => {
+          setName(templates.find(t => String(t.id) === selectedId)?.name || '');
+          setSaving(true);
+        }}
+        className="btn btn-secondary btn-sm whitespace-nowrap"
+      >
+        <Save className="w-3.5 h-3.5" />
+        Save Template
+      </button>
+    </div>
+  );
+};
+
+export default MappingTemplates;
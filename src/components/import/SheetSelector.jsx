@@ -0,0 +1,218 @@
+/**
+ * Import Wizard - Worksheet selection
+ * Lists the sheets of a workbook with row counts and a preview, and optionally
+ * joins a second sheet (e.g. org assignment) onto the first on a key column
+ * P3 Enterprise Design System
+ */
+
+import React, { useMemo, useState } from 'react';
+import { FileSpreadsheet, Table2, Link2 } from 'lucide-react';
+import { useImport } from '../../contexts/ImportContext';
+
+const PREVIEW_COLUMNS = 8;
+
+// Prefer a column both sheets share, otherwise an ID-like column of the second sheet
+const suggestKeys = (primary, secondary) => {
+  if (!primary || !secondary) return { primaryKey: '', secondaryKey: '' };
+
+  const secondaryByName = new Map(secondary.headers.map(h => [String(h).toLowerCase().trim(), h]));
+  const shared = primary.headers.find(h => secondaryByName.has(String(h).toLowerCase().trim()));
+  if (shared) {
+    return { primaryKey: shared, secondaryKey: secondaryByName.get(String(shared).toLowerCase().trim()) };
+  }
+
+  const idLike = (headers) => headers.find(h => /person|personnel|employee|pernr|\bid\b/i.test(h)) || headers[0] || '';
+  return { primaryKey: idLike(primary.headers), secondaryKey: idLike(secondary.headers) };
+};
+
+const SheetSelector = () => {
+  const { sheetOptions, parseSheets, discardFile } = useImport();
+  const [mode, setMode] = useState('single');
+  const [primaryName, setPrimaryName] = useState(sheetOptions[0]?.name);
+  const [secondaryName, setSecondaryName] = useState(sheetOptions[1]?.name);
+  const [keys, setKeys] = useState(() => suggestKeys(sheetOptions[0], sheetOptions[1]));
+
+  const primary = sheetOptions.find(s => s.name === primaryName);
+  const secondary = sheetOptions.find(s => s.name === secondaryName);
+  const previewHeaders = useMemo(() => (primary?.headers || []).slice(0, PREVIEW_COLUMNS), [primary]);
+
+  const selectPrimary = (name) => {
+    setPrimaryName(name);
+    const nextSecondary = name === secondaryName
+      ? sheetOptions.find(s => s.name !== name)?.name
+      : secondaryName;
+    setSecondaryName(nextSecondary);
+    setKeys(suggestKeys(
+      sheetOptions.find(s => s.name === name),
+      sheetOptions.find(s => s.name === nextSecondary)
+    ));
+  };
+
+  const selectSecondary = (name) => {
+    setSecondaryName(name);
+    setKeys(suggestKeys(primary, sheetOptions.find(s => s.name === name)));
+  };
+
+  const canJoin = secondary && keys.primaryKey && keys.secondaryKey;
+
+  const handleContinue = () => {
+    if (mode === 'join') {
+      parseSheets({
+        join: {
+          primarySheet: primary.name,
+          primaryKey: keys.primaryKey,
+          secondarySheet: secondary.name,
+          secondaryKey: keys.secondaryKey,
+        },
+      });
+    } else {
+      parseSheets({ sheetName: primary.name });
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-800 p-5 space-y-5">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h3 className="text-sm font-semibold text-p3-midnight dark:text-white">Choose Worksheet</h3>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+            This workbook has {sheetOptions.length} sheets. Import one of them or join two on a key column.
+          </p>
+        </div>
+        <div className="flex gap-1 bg-gray-100 dark:bg-gray-800 rounded-md p-1">
+          <button
+            onClick={() => setMode('single')}
+            className={`btn btn-sm ${mode === 'single' ? 'btn-primary' : 'btn-ghost'}`}
+          >
+            <Table2 className="w-3.5 h-3.5" />
+            Single sheet
+          </button>
+          <button
+            onClick={() => setMode('join')}
+            className={`btn btn-sm ${mode === 'join' ? 'btn-primary' : 'btn-ghost'}`}
+          >
+            <Link2 className="w-3.5 h-3.5" />
+            Join two sheets
+          </button>
+        </div>
+      </div>
+
+      {/* Sheets */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+        {sheetOptions.map(sheet => (
+          <button
+            key={sheet.name}
+            onClick={() => selectPrimary(sheet.name)}
+            className={`
+              flex items-start gap-3 p-3 rounded-lg border text-left transition-colors
+              ${primaryName === sheet.name
+                ? 'border-p3-electric bg-p3-electric/5'
+                : 'border-gray-200 dark:border-gray-800 hover:border-gray-300 dark:hover:border-gray-700'
+              }
+            `}
+          >
+            <FileSpreadsheet className={`w-5 h-5 mt-0.5 ${primaryName === sheet.name ? 'text-p3-electric' : 'text-gray-400'}`} />
+            <div className="min-w-0">
+              <p className="text-sm font-medium text-p3-midnight dark:text-white truncate">{sheet.name}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {sheet.rowCount.toLocaleString()} rows · {sheet.headers.length} columns
+              </p>
+            </div>
+          </button>
+        ))}
+      </div>
+
+      {/* Preview */}
+      {primary && (
+        <div>
+          <p className="label">Preview of {primary.name}</p>
+          {primary.preview.length === 0 ? (
+            <p className="text-xs text-gray-500 dark:text-gray-400">This sheet has no data rows.</p>
+          ) : (
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr>
+                    {previewHeaders.map(header => <th key={header}>{header}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {primary.preview.map((row, index) => (
+                    <tr key={index}>
+                      {previewHeaders.map(header => (
+                        <td key={header} className="truncate max-w-[160px]">{row[header]}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {primary.headers.length > PREVIEW_COLUMNS && (
+            <p className="text-[11px] text-gray-400 dark:text-gray-500 mt-1">
+              Showing {PREVIEW_COLUMNS} of {primary.headers.length} columns
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Join */}
+      {mode === 'join' && primary && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 p-4 bg-gray-50 dark:bg-gray-900/50 rounded-lg border border-gray-200 dark:border-gray-800">
+          <div>
+            <label className="label">Key column in {primary.name}</label>
+            <select
+              className="select"
+              value={keys.primaryKey}
+              onChange={(e) => setKeys(prev => ({ ...prev, primaryKey: e.target.value }))}
+            >
+              {primary.headers.map(header => <option key={header} value={header}>{header}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="label">Join with sheet</label>
+            <select
+              className="select"
+              value={secondaryName || ''}
+              onChange={(e) => selectSecondary(e.target.value)}
+            >
+              {sheetOptions.filter(s => s.name !== primary.name).map(sheet => (
+                <option key={sheet.name} value={sheet.name}>{sheet.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label">Key column in {secondary?.name || 'second sheet'}</label>
+            <select
+              className="select"
+              value={keys.secondaryKey}
+              onChange={(e) => setKeys(prev => ({ ...prev, secondaryKey: e.target.value }))}
+              disabled={!secondary}
+            >
+              {(secondary?.headers || []).map(header => <option key={header} value={header}>{header}</option>)}
+            </select>
+          </div>
+          <p className="sm:col-span-3 text-xs text-gray-500 dark:text-gray-400">
+            Every row of {primary.name} is kept. Columns of the matching {secondary?.name || 'second sheet'} row are added;
+            columns with the same name get the sheet name appended.
+          </p>
+        </div>
+      )}
+
+      <div className="flex items-center justify-between pt-1">
+        <button onClick={discardFile} className="btn btn-ghost">
+          Choose another file
+        </button>
+        <button
+          onClick={handleContinue}
+          disabled={!primary || (mode === 'join' && !canJoin)}
+          className="btn btn-primary"
+        >
+          Continue
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SheetSelector;
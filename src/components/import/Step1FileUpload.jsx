@@ -6,12 +6,59 @@
 
 import React, { useCallback, useState } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { Upload, FileSpreadsheet, AlertCircle, Check, Info, X } from 'lucide-react';
+import { Upload, FileSpreadsheet, AlertCircle, Check, Info, X, Users, UserMinus, Briefcase, Link2 } from 'lucide-react';
 import { useImport } from '../../contexts/ImportContext';
+import SheetSelector from './SheetSelector';
+
+// What the uploaded file contains
+const IMPORT_TARGETS = [
+  {
+    key: 'employees',
+    label: 'Employees',
+    description: 'HR export with one row per employee',
+    icon: Users,
+    title: 'Upload HR Data File',
+    instructions: 'Select an Excel or CSV file containing employee data. Files up to 200MB with 110,000+ rows are supported.',
+  },
+  {
+    key: 'reductionPrograms',
+    label: 'Reduction Programs',
+    description: 'Program enrollments of existing employees',
+    icon: UserMinus,
+    title: 'Upload Reduction Program File',
+    instructions: 'Select an Excel or CSV file with one row per program enrollment. Employees must already be imported.',
+  },
+  {
+    key: 'projects',
+    label: 'Projects',
+    description: 'Project list, e.g. the PMO spreadsheet',
+    icon: Briefcase,
+    title: 'Upload Project List',
+    instructions: 'Select an Excel or CSV file with one row per project. Projects with an existing name are updated.',
+  },
+  {
+    key: 'assignments',
+    label: 'Assignments',
+    description: 'Staffing of employees on existing projects',
+    icon: Link2,
+    title: 'Upload Assignment List',
+    instructions: 'Select an Excel or CSV file with one row per employee and project. Employees and projects must already exist.',
+  },
+];
 
 const Step1FileUpload = () => {
-  const { parseFile, fileInfo, isProcessing, importProgress } = useImport();
+  const {
+    parseFile,
+    cancelParse,
+    fileInfo,
+    isProcessing,
+    importProgress,
+    importTarget,
+    setImportTarget,
+    sheetOptions,
+  } = useImport();
   const [error, setError] = useState(null);
+  const currentTarget = IMPORT_TARGETS.find(t => t.key === importTarget) || IMPORT_TARGETS[0];
 
   const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
     setError(null);
@@ -62,13 +109,38 @@ const Step1FileUpload = () => {
       {/* Instructions */}
       <div className="mb-6">
         <h2 className="text-base font-semibold text-p3-midnight dark:text-white mb-1">
-          Upload HR Data File
+          {currentTarget.title}
         </h2>
         <p className="text-sm text-gray-500 dark:text-gray-400">
-          Select an Excel or CSV file containing employee data. Files up to 200MB with 110,000+ rows are supported.
+          {currentTarget.instructions}
         </p>
       </div>
 
+      {/* Import Target */}
+      {!fileInfo && !isProcessing && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+          {IMPORT_TARGETS.map(({ key, label, description, icon: Icon }) => (
+            <button
+              key={key}
+              onClick={() => setImportTarget(key)}
+              className={`
+                flex items-start gap-3 p-3 rounded-lg border text-left transition-colors
+                ${importTarget === key
+                  ? 'border-p3-electric bg-p3-electric/5'
+                  : 'border-gray-200 dark:border-gray-800 hover:border-gray-300 dark:hover:border-gray-700'
+                }
+              `}
+            >
+              <Icon className={`w-5 h-5 mt-0.5 ${importTarget === key ? 'text-p3-electric' : 'text-gray-400'}`} />
+              <div>
+                <p className="text-sm font-medium text-p3-midnight dark:text-white">{label}</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">{description}</p>
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Dropzone */}
       {!fileInfo && !isProcessing && (
         <div
@@ -167,9 +239,17 @@ const Step1FileUpload = () => {
                     />
                   </div>
 
-                  <p className="text-[11px] text-gray-400 dark:text-gray-500 mt-2">
-                    Phase: {importProgress.phase}
-                  </p>
+                  <div className="flex items-center justify-between mt-2">
+                    <p className="text-[11px] text-gray-400 dark:text-gray-500">
+                      Phase: {importProgress.phase}
+                    </p>
+                    <button
+                      onClick={cancelParse}
+                      className="btn btn-ghost btn-sm"
+                    >
+                      Cancel
+                    </button>
+                  </div>
                 </div>
               )}
 
@@ -185,6 +265,13 @@ const Step1FileUpload = () => {
         </div>
       )}
 
+      {/* Worksheet Selection */}
+      {sheetOptions && !isProcessing && (
+        <div className="mt-4">
+          <SheetSelector />
+        </div>
+      )}
+
       {/* Info Panel */}
       <div className="mt-6 p-4 bg-gray-50 dark:bg-gray-900/50 rounded-lg border border-gray-200 dark:border-gray-800">
         <div className="flex items-start gap-3">
@@ -196,6 +283,7 @@ const Step1FileUpload = () => {
               <span>Excel 97-2003 (.xls)</span>
               <span>CSV files (.csv)</span>
               <span>Up to 110,000+ rows</span>
+              <span>Multi-sheet workbooks</span>
             </div>
           </div>
         </div>
@@ -4,11 +4,24 @@
  */
 
 import React, { useState, useEffect, useMemo } from 'react';
-import { ArrowRight, Check, X, Save, Upload as UploadIcon } from 'lucide-react';
+import { ArrowRight, Check, X, Wand2 } from 'lucide-react';
 import { useImport } from '../../contexts/ImportContext';
-
-// Target field definitions with descriptions
-const TARGET_FIELDS = [
+import LocaleSettings from './LocaleSettings';
+import FieldRuleEditor from './FieldRuleEditor';
+import MappingTemplates from './MappingTemplates';
+import {
+  compileFieldRule,
+  describeFieldRule,
+  fieldRuleProvidesValue,
+  isFieldRuleActive,
+  resolveFieldValue,
+} from '../../utils/importRules';
+import { getCustomAttributeFields } from '../../utils/customAttributes';
+import { getConfidence, learnFromTemplates, suggestColumnMapping } from '../../utils/columnMatching';
+import { importMappingDB } from '../../services/unifiedDB';
+
+// Target field definitions with descriptions; also the fields validation rules can check
+export const TARGET_FIELDS = [
   // Required fields - only employeeId is required
   { key: 'employeeId', label: 'Employee ID (Person Number)', required: true, type: 'text', category: 'Basic' },
 
@@ -46,6 +59,7 @@ const TARGET_FIELDS = [
   { key: 'costCenter', label: 'Cost Center', required: false, type: 'text', category: 'Organizational' },
   { key: 'managementLevel', label: 'Assignment Category', required: false, type: 'text', category: 'Organizational' },
   { key: 'positionCode', label: 'Position Code', required: false, type: 'text', category: 'Organizational' },
+  { key: 'reportingManager', label: 'Manager ID', required: false, type: 'text', category: 'Organizational' },
 
   // Compensation
   { key: 'hourlyRate', label: 'Hourly Rate', required: false, type: 'number', category: 'Compensation' },
@@ -82,61 +96,187 @@ const COLUMN_PATTERNS = {
   birthdate: ['person date of birth', 'date of birth', 'birthdate', 'geburtsdatum'],
   payScale: ['grade name', 'gradename', 'pay scale', 'pay grade', 'gehaltsstufe'],
   managementLevel: ['assignment category', 'management level', 'führungsebene'],
+  reportingManager: ['manager id', 'manager person number', 'supervisor id', 'line manager', 'vorgesetzter'],
+};
+
+// Target fields of a reduction program enrollment list
+const PROGRAM_TARGET_FIELDS = [
+  { key: 'employeeId', label: 'Employee ID (Person Number)', required: true, type: 'text', category: 'Employee' },
+  { key: 'reductionPercentage', label: 'Reduction %', required: true, type: 'percentage', category: 'Program' },
+  { key: 'startDate', label: 'Start Date', required: true, type: 'date', category: 'Program' },
+  { key: 'endDate', label: 'End Date', required: false, type: 'date', category: 'Program' },
+  { key: 'programName', label: 'Program Name', required: false, type: 'text', category: 'Program' },
+  { key: 'status', label: 'Status', required: false, type: 'text', category: 'Program' },
+  { key: 'notes', label: 'Notes', required: false, type: 'text', category: 'Program' },
+];
+
+const PROGRAM_COLUMN_PATTERNS = {
+  employeeId: COLUMN_PATTERNS.employeeId,
+  // Dates before the percentage so "Reduction Start Date" is not taken as the percentage
+  startDate: ['start date', 'valid from', 'begin', 'beginn', 'gültig ab', 'start'],
+  endDate: ['end date', 'valid to', 'gültig bis', 'ende', 'end'],
+  reductionPercentage: [
+    'reduction percentage', 'reduction %', 'reduction', 'reduktion', 'reduzierung', 'percentage', 'prozent', 'anteil'
+  ],
+  programName: ['program name', 'program', 'programm', 'maßnahme', 'massnahme'],
+  status: ['status', 'state'],
+  notes: ['notes', 'comment', 'bemerkung', 'kommentar'],
+};
+
+// Target fields of a project list - headers match the project export for round trips
+const PROJECT_TARGET_FIELDS = [
+  { key: 'name', label: 'Project Name', required: true, type: 'text', category: 'Project' },
+  { key: 'client', label: 'Client', required: false, type: 'text', category: 'Project' },
+  { key: 'department', label: 'Department', required: false, type: 'text', category: 'Project' },
+  { key: 'status', label: 'Status', required: false, type: 'text', category: 'Project' },
+  { key: 'startDate', label: 'Start Date', required: false, type: 'date', category: 'Schedule' },
+  { key: 'endDate', label: 'End Date', required: false, type: 'date', category: 'Schedule' },
+  { key: 'budget', label: 'Budget', required: false, type: 'number', category: 'Project' },
+  { key: 'description', label: 'Description', required: false, type: 'text', category: 'Project' },
+];
+
+const PROJECT_COLUMN_PATTERNS = {
+  startDate: ['start date', 'project start', 'begin', 'beginn', 'start'],
+  endDate: ['end date', 'project end', 'ende', 'end'],
+  client: ['client', 'customer', 'kunde', 'auftraggeber'],
+  department: ['department', 'abteilung', 'business unit'],
+  status: ['project status', 'status', 'state'],
+  budget: ['budget', 'project budget', 'volume', 'volumen'],
+  description: ['description', 'beschreibung', 'scope', 'notes'],
+  name: ['project name', 'project', 'projekt', 'projektname', 'name', 'title'],
+};
+
+// Target fields of an assignment list (employee staffed on a project)
+const ASSIGNMENT_TARGET_FIELDS = [
+  { key: 'employeeId', label: 'Employee ID (Person Number)', required: true, type: 'text', category: 'Employee' },
+  { key: 'project', label: 'Project (Name or ID)', required: true, type: 'text', category: 'Project' },
+  { key: 'allocationPercentage', label: 'Allocation %', required: true, type: 'percentage', category: 'Assignment' },
+  { key: 'startDate', label: 'Start Date', required: false, type: 'date', category: 'Assignment' },
+  { key: 'endDate', label: 'End Date', required: false, type: 'date', category: 'Assignment' },
+  { key: 'notes', label: 'Notes', required: false, type: 'text', category: 'Assignment' },
+];
+
+const ASSIGNMENT_COLUMN_PATTERNS = {
+  employeeId: COLUMN_PATTERNS.employeeId,
+  startDate: ['start date', 'valid from', 'begin', 'beginn', 'start'],
+  endDate: ['end date', 'valid to', 'ende', 'end'],
+  allocationPercentage: ['allocation %', 'allocation', 'auslastung', 'anteil', 'percentage', 'fte %'],
+  project: ['project name', 'project id', 'project', 'projekt'],
+  notes: ['notes', 'comment', 'bemerkung', 'kommentar'],
+};
+
+const MAPPING_TARGETS = {
+  employees: { fields: TARGET_FIELDS, patterns: COLUMN_PATTERNS },
+  reductionPrograms: { fields: PROGRAM_TARGET_FIELDS, patterns: PROGRAM_COLUMN_PATTERNS },
+  projects: { fields: PROJECT_TARGET_FIELDS, patterns: PROJECT_COLUMN_PATTERNS },
+  assignments: { fields: ASSIGNMENT_TARGET_FIELDS, patterns: ASSIGNMENT_COLUMN_PATTERNS },
+};
+
+const CONFIDENCE_STYLES = {
+  high: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400',
+  medium: 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-400',
+  low: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-400',
+};
+
+// Confidence of an automatic suggestion, shown while the suggested column is still selected
+const ConfidenceBadge = ({ suggestion, mappedColumn }) => {
+  if (!suggestion || suggestion.header !== mappedColumn) return null;
+  const level = getConfidence(suggestion.score);
+  return (
+    <span
+      className={`inline-block mt-1 px-2 py-0.5 text-xs font-medium rounded ${CONFIDENCE_STYLES[level.key]}`}
+      title={suggestion.reasons.join(', ')}
+    >
+      {level.label} confidence - {Math.round(suggestion.score * 100)}%
+    </span>
+  );
 };
 
 const Step2ColumnMapping = () => {
-  const { headers, sampleData, columnMapping, setColumnMapping, goToStep } = useImport();
+  const {
+    headers,
+    sampleData,
+    getColumnValues,
+    columnMapping,
+    setColumnMapping,
+    fieldRules,
+    setFieldRules,
+    importLocale,
+    goToStep,
+    importTarget,
+    customAttributes,
+    loadCustomAttributes,
+  } = useImport();
+
+  // Employee imports offer the admin-defined attributes next to the fixed fields, matched by name
+  const { fields: targetFields, patterns: columnPatterns } = useMemo(() => {
+    const target = MAPPING_TARGETS[importTarget] || MAPPING_TARGETS.employees;
+    if (importTarget !== 'employees' || customAttributes.length === 0) return target;
+
+    const customFields = getCustomAttributeFields(customAttributes);
+    const customPatterns = Object.fromEntries(customAttributes.map((attribute, index) => [
+      customFields[index].key,
+      [...new Set([attribute.label.toLowerCase().trim(), attribute.key.toLowerCase()])],
+    ]));
+    return {
+      fields: [...target.fields, ...customFields],
+      patterns: { ...target.patterns, ...customPatterns },
+    };
+  }, [importTarget, customAttributes]);
   const [localMapping, setLocalMapping] = useState({});
+  const [suggestions, setSuggestions] = useState(null);
+  const [learned, setLearned] = useState(null);
+  const [localFieldRules, setLocalFieldRules] = useState(fieldRules);
+  const [editingField, setEditingField] = useState(null);
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [searchQuery, setSearchQuery] = useState('');
 
-  // Auto-detect mappings on mount
+  // Header -> field pairs of the saved templates, used to boost suggestions for similar files
+  useEffect(() => {
+    importMappingDB.getAll()
+      .then(templates => setLearned(learnFromTemplates(templates || [], importTarget)))
+      .catch(error => {
+        console.error('Error loading mapping templates:', error);
+        setLearned([]);
+      });
+  }, [importTarget]);
+
+  // Auto-detect mappings on mount, once the learned pairs are in
   useEffect(() => {
-    if (Object.keys(localMapping).length === 0 && headers.length > 0) {
+    if (learned && Object.keys(localMapping).length === 0 && headers.length > 0) {
       autoMapColumns();
     }
-  }, [headers]);
-
-  const autoMapColumns = () => {
-    const mapping = {};
-    const usedHeaders = new Set();
-
-    // First pass: exact matches (highest priority)
-    headers.forEach(header => {
-      const normalizedHeader = header.toLowerCase().trim();
-
-      for (const [targetKey, patterns] of Object.entries(COLUMN_PATTERNS)) {
-        if (mapping[targetKey]) continue; // Already mapped
-
-        // Check for exact match first
-        if (patterns.some(pattern => normalizedHeader === pattern)) {
-          mapping[targetKey] = header;
-          usedHeaders.add(header);
-          break;
-        }
-      }
-    });
+  }, [headers, learned]);
 
-    // Second pass: contains matches (lower priority), skip already used headers
-    headers.forEach(header => {
-      if (usedHeaders.has(header)) return;
-
-      const normalizedHeader = header.toLowerCase().trim();
-
-      for (const [targetKey, patterns] of Object.entries(COLUMN_PATTERNS)) {
-        if (mapping[targetKey]) continue; // Already mapped
+  useEffect(() => {
+    loadCustomAttributes();
+  }, [loadCustomAttributes]);
 
-        // Check for contains match, but prioritize longer patterns
-        const sortedPatterns = [...patterns].sort((a, b) => b.length - a.length);
-        if (sortedPatterns.some(pattern => normalizedHeader.includes(pattern))) {
-          mapping[targetKey] = header;
-          usedHeaders.add(header);
-          break;
-        }
-      }
+  // Attributes that arrive after the first auto-map are suggested among the columns still free
+  useEffect(() => {
+    if (!suggestions || importTarget !== 'employees' || customAttributes.length === 0) return;
+    const used = new Set(Object.values(localMapping));
+    const result = suggestColumnMapping({
+      headers: headers.filter(header => !used.has(header)),
+      rows: sampleData, // the first rows of the file, sniffed for the kind of values in each column
+      fields: getCustomAttributeFields(customAttributes).filter(field => !localMapping[field.key]),
+      patterns: columnPatterns,
+      learned: learned || [],
     });
+    setLocalMapping(prev => ({ ...result.mapping, ...prev }));
+    setSuggestions(prev => ({ ...result.suggestions, ...prev }));
+  }, [customAttributes]);
 
-    setLocalMapping(mapping);
+  const autoMapColumns = () => {
+    const result = suggestColumnMapping({
+      headers,
+      rows: sampleData,
+      fields: targetFields,
+      patterns: columnPatterns,
+      learned: learned || [],
+    });
+    setLocalMapping(result.mapping);
+    setSuggestions(result.suggestions);
   };
 
   const handleMappingChange = (targetField, sourceColumn) => {
@@ -154,28 +294,61 @@ const Step2ColumnMapping = () => {
     });
   };
 
+  const saveFieldRule = (targetField, rule) => {
+    setLocalFieldRules(prev => {
+      const next = { ...prev };
+      if (isFieldRuleActive(rule)) next[targetField] = rule;
+      else delete next[targetField];
+      return next;
+    });
+    setEditingField(null);
+  };
+
+  const loadTemplate = (mapping, rules) => {
+    setLocalMapping(mapping);
+    setSuggestions({});
+    setLocalFieldRules(rules);
+  };
+
+  // A field is mapped by a column or by a rule that supplies its own value
+  const isFieldMapped = (key) => !!localMapping[key] || fieldRuleProvidesValue(localFieldRules[key]);
+
+  // First sample value after the field's rules, shown in the mapping table
+  const sampleValue = (field) => {
+    const row = sampleData[0];
+    if (!row) return null;
+    const rule = localFieldRules[field.key];
+    if (!rule) return localMapping[field.key] ? row[localMapping[field.key]] : null;
+    try {
+      return resolveFieldValue(row, localMapping[field.key], compileFieldRule(field.key, rule));
+    } catch {
+      return null;
+    }
+  };
+
   const handleContinue = () => {
     setColumnMapping(localMapping);
+    setFieldRules(localFieldRules);
     goToStep(3);
   };
 
   // Get mapped and unmapped counts
   const mappingStats = useMemo(() => {
-    const requiredFields = TARGET_FIELDS.filter(f => f.required);
-    const mappedRequired = requiredFields.filter(f => localMapping[f.key]).length;
-    const totalMapped = Object.keys(localMapping).length;
+    const requiredFields = targetFields.filter(f => f.required);
+    const mappedRequired = requiredFields.filter(f => isFieldMapped(f.key)).length;
+    const totalMapped = targetFields.filter(f => isFieldMapped(f.key)).length;
 
     return {
       requiredMapped: mappedRequired,
       requiredTotal: requiredFields.length,
       totalMapped,
-      totalFields: TARGET_FIELDS.length,
+      totalFields: targetFields.length,
     };
-  }, [localMapping]);
+  }, [localMapping, localFieldRules, targetFields]);
 
   // Filter fields by category and search
   const filteredFields = useMemo(() => {
-    let fields = TARGET_FIELDS;
+    let fields = targetFields;
 
     if (selectedCategory !== 'all') {
       fields = fields.filter(f => f.category === selectedCategory);
@@ -190,9 +363,9 @@ const Step2ColumnMapping = () => {
     }
 
     return fields;
-  }, [selectedCategory, searchQuery]);
+  }, [targetFields, selectedCategory, searchQuery]);
 
-  const categories = ['all', ...new Set(TARGET_FIELDS.map(f => f.category))];
+  const categories = ['all', ...new Set(targetFields.map(f => f.category))];
 
   const canContinue = mappingStats.requiredMapped === mappingStats.requiredTotal;
 
@@ -241,6 +414,9 @@ const Step2ColumnMapping = () => {
         </div>
       </div>
 
+      {/* Date and number format */}
+      <LocaleSettings fields={targetFields} mapping={localMapping} />
+
       {/* Filters */}
       <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-4 mb-6">
         <div className="flex flex-col md:flex-row gap-4">
@@ -278,6 +454,8 @@ const Step2ColumnMapping = () => {
           >
             Auto-Map
           </button>
+
+          <MappingTemplates mapping={localMapping} fieldRules={localFieldRules} onLoad={loadTemplate} />
         </div>
       </div>
 
@@ -321,6 +499,11 @@ const Step2ColumnMapping = () => {
                         {field.type}
                       </span>
                     </div>
+                    {localFieldRules[field.key] && (
+                      <div className="text-xs text-p3-electric mt-0.5">
+                        {describeFieldRule(localFieldRules[field.key])}
+                      </div>
+                    )}
                   </td>
 
                   <td className="px-4 py-3 text-center">
@@ -328,38 +511,56 @@ const Step2ColumnMapping = () => {
                   </td>
 
                   <td className="px-4 py-3">
-                    <select
-                      value={localMapping[field.key] || ''}
-                      onChange={(e) => handleMappingChange(field.key, e.target.value)}
-                      className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white text-sm"
-                    >
-                      <option value="">-- Not Mapped --</option>
-                      {headers.map(header => (
-                        <option key={header} value={header}>
-                          {header}
-                        </option>
-                      ))}
-                    </select>
+                    {localFieldRules[field.key] && localFieldRules[field.key].source !== 'column' ? (
+                      <span className="text-sm text-gray-600 dark:text-gray-400">
+                        {localFieldRules[field.key].source === 'concat'
+                          ? localFieldRules[field.key].columns.join(' + ')
+                          : 'Constant value'}
+                      </span>
+                    ) : (
+                      <select
+                        value={localMapping[field.key] || ''}
+                        onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-white text-sm"
+                      >
+                        <option value="">-- Not Mapped --</option>
+                        {headers.map(header => (
+                          <option key={header} value={header}>
+                            {header}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                    <ConfidenceBadge suggestion={suggestions?.[field.key]} mappedColumn={localMapping[field.key]} />
                   </td>
 
                   <td className="px-4 py-3">
-                    {localMapping[field.key] && sampleData[0] && (
+                    {isFieldMapped(field.key) && sampleData[0] && (
                       <span className="text-sm text-gray-600 dark:text-gray-400 truncate block max-w-xs">
-                        {sampleData[0][localMapping[field.key]] || '(empty)'}
+                        {sampleValue(field) || '(empty)'}
                       </span>
                     )}
                   </td>
 
-                  <td className="px-4 py-3 text-center">
-                    {localMapping[field.key] && (
+                  <td className="px-4 py-3">
+                    <div className="flex items-center justify-center gap-2">
                       <button
-                        onClick={() => clearMapping(field.key)}
-                        className="text-gray-400 hover:text-red-600 dark:hover:text-red-400 transition-colors"
-                        title="Clear mapping"
+                        onClick={() => setEditingField(field)}
+                        className={`transition-colors ${localFieldRules[field.key] ? 'text-p3-electric' : 'text-gray-400 hover:text-p3-electric'}`}
+                        title="Value rules"
                       >
-                        <X className="w-4 h-4" />
+                        <Wand2 className="w-4 h-4" />
                       </button>
-                    )}
+                      {localMapping[field.key] && (
+                        <button
+                          onClick={() => clearMapping(field.key)}
+                          className="text-gray-400 hover:text-red-600 dark:hover:text-red-400 transition-colors"
+                          title="Clear mapping"
+                        >
+                          <X className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
                   </td>
                 </tr>
               ))}
@@ -368,6 +569,21 @@ const Step2ColumnMapping = () => {
         </div>
       </div>
 
+      {editingField && (
+        <FieldRuleEditor
+          field={editingField}
+          rule={localFieldRules[editingField.key]}
+          sourceColumn={localMapping[editingField.key]}
+          headers={headers}
+          rows={sampleData}
+          getColumnValues={getColumnValues}
+          locale={importLocale}
+          onSave={(rule) => saveFieldRule(editingField.key, rule)}
+          onRemove={() => saveFieldRule(editingField.key, null)}
+          onClose={() => setEditingField(null)}
+        />
+      )}
+
       {/* Actions */}
       <div className="mt-8 flex items-center justify-between">
         <button
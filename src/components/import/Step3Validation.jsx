@@ -1,11 +1,31 @@
 /**
  * Import Wizard - Step 3: Data Validation Preview
- * Shows validation results with detailed error/warning reporting
+ * Shows validation results grouped by validation rule, with an export of the offending rows
+ * and a grid to correct failing rows in place
  */
 
 import React, { useEffect, useState } from 'react';
-import { AlertTriangle, CheckCircle, XCircle, Download, ChevronDown, ChevronRight } from 'lucide-react';
+import { AlertTriangle, CheckCircle, XCircle, Download, ChevronDown, ChevronRight, FileSpreadsheet } from 'lucide-react';
+import * as XLSX from 'xlsx';
 import { useImport } from '../../contexts/ImportContext';
+import { useAuth } from '../../contexts/AuthContext';
+import CorrectionGrid from './CorrectionGrid';
+import { toISODate } from '../../utils/helpers';
+import { auditLogDB } from '../../services/unifiedDB';
+import { hiddenFieldsFor, hiddenColumnsFor, redactIssue } from '../../utils/permissions';
+
+// Issues by the rule that reported them; type checks and duplicates have no rule and group by type
+const groupByRule = (issues) => {
+  const groups = new Map();
+  for (const issue of issues) {
+    const key = issue.rule || issue.type;
+    if (!groups.has(key)) {
+      groups.set(key, { key, label: issue.ruleName || issue.type.replace(/_/g, ' '), issues: [] });
+    }
+    groups.get(key).issues.push(issue);
+  }
+  return [...groups.values()];
+};
 
 const Step3Validation = () => {
   const {
@@ -14,8 +34,21 @@ const Step3Validation = () => {
     isProcessing,
     importProgress,
     goToStep,
-    allData,
+    rowCount,
+    getFileRows,
+    importOptions,
+    setImportOptions,
+    supportsDeltaMerge,
+    importTarget,
+    columnMapping,
   } = useImport();
+  const { user, capabilities } = useAuth();
+  // Imports of a department-scoped user only touch the employees of their departments
+  const departmentScoped = user?.role !== 'admin' && !user?.departments?.includes('ALL');
+
+  // Downloads leave out what the user may not see, also in the file columns mapped to it
+  const hiddenFields = hiddenFieldsFor(capabilities);
+  const hiddenColumns = hiddenColumnsFor(hiddenFields, columnMapping);
 
   const [expandedErrors, setExpandedErrors] = useState(false);
   const [expandedWarnings, setExpandedWarnings] = useState(false);
@@ -23,7 +56,7 @@ const Step3Validation = () => {
 
   useEffect(() => {
     // Start validation when component mounts
-    if (!validationResults && allData.length > 0) {
+    if (!validationResults && rowCount > 0) {
       validateData();
     }
   }, []);
@@ -42,48 +75,53 @@ const Step3Validation = () => {
         rowsWithWarnings: validationResults.rowsWithWarnings,
         rowsWithErrors: validationResults.rowsWithErrors,
       },
-      errors: validationResults.errors,
-      warnings: validationResults.warnings,
+      errors: validationResults.errors.map(issue => redactIssue(issue, hiddenFields)),
+      warnings: validationResults.warnings.map(issue => redactIssue(issue, hiddenFields)),
       duplicateIds: validationResults.duplicateIds,
     };
 
+    const fileName = `validation-report-${new Date().toISOString()}.json`;
     const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `validation-report-${new Date().toISOString()}.json`;
+    a.download = fileName;
     a.click();
     URL.revokeObjectURL(url);
-  };
-
-  const getErrorsByType = () => {
-    if (!validationResults) return {};
-
-    const grouped = {};
-    validationResults.errors.forEach(error => {
-      if (!grouped[error.type]) {
-        grouped[error.type] = [];
-      }
-      grouped[error.type].push(error);
+    auditLogDB.recordExport(fileName, {
+      report: 'Validation report',
+      format: 'json',
+      rows: report.errors.length + report.warnings.length,
     });
-    return grouped;
   };
 
-  const getWarningsByType = () => {
-    if (!validationResults) return {};
+  // File rows behind the issues, as read from the file, with the row number and what is wrong
+  const exportOffendingRows = async (issues, name) => {
+    const messagesByRow = new Map();
+    for (const issue of issues) {
+      if (!issue.row) continue;
+      if (!messagesByRow.has(issue.row)) messagesByRow.set(issue.row, []);
+      messagesByRow.get(issue.row).push(redactIssue(issue, hiddenFields).message);
+    }
 
-    const grouped = {};
-    validationResults.warnings.forEach(warning => {
-      if (!grouped[warning.type]) {
-        grouped[warning.type] = [];
-      }
-      grouped[warning.type].push(warning);
-    });
-    return grouped;
+    const fileRows = await getFileRows([...messagesByRow.keys()]);
+    const rows = [...messagesByRow.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([row, messages]) => {
+        const fileRow = { ...fileRows[row] };
+        hiddenColumns.forEach(column => delete fileRow[column]);
+        return { Row: row, Issues: messages.join('; '), ...fileRow };
+      });
+
+    const fileName = `${name.replace(/[^a-z0-9]+/gi, '-')}_${toISODate(new Date())}.xlsx`;
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), 'Rows');
+    XLSX.writeFile(wb, fileName);
+    auditLogDB.recordExport(fileName, { report: 'Rows with validation issues', format: 'xlsx', rows: rows.length });
   };
 
-  const errorsByType = getErrorsByType();
-  const warningsByType = getWarningsByType();
+  const errorGroups = validationResults ? groupByRule(validationResults.errors) : [];
+  const warningGroups = validationResults ? groupByRule(validationResults.warnings) : [];
 
   return (
     <div className="max-w-6xl mx-auto">
@@ -193,11 +231,21 @@ const Step3Validation = () => {
 
               {expandedErrors && (
                 <div className="mt-4 space-y-4 max-h-96 overflow-y-auto">
-                  {Object.entries(errorsByType).map(([type, errors]) => (
-                    <div key={type} className="bg-white dark:bg-gray-800 rounded-lg p-4">
-                      <h4 className="font-semibold text-red-900 dark:text-red-200 mb-2 capitalize">
-                        {type.replace(/_/g, ' ')} ({errors.length})
-                      </h4>
+                  {errorGroups.map(({ key, label, issues: errors }) => (
+                    <div key={key} className="bg-white dark:bg-gray-800 rounded-lg p-4">
+                      <div className="flex items-center justify-between gap-3 mb-2">
+                        <h4 className="font-semibold text-red-900 dark:text-red-200 first-letter:uppercase">
+                          {label} ({errors.length})
+                        </h4>
+                        <button
+                          onClick={() => exportOffendingRows(errors, `errors-${key}`)}
+                          className="flex items-center gap-1 text-xs font-medium text-red-700 dark:text-red-300 hover:underline"
+                          title="Export the rows with this issue"
+                        >
+                          <FileSpreadsheet className="w-4 h-4" />
+                          Export rows
+                        </button>
+                      </div>
                       <div className="space-y-1 max-h-40 overflow-y-auto">
                         {errors.slice(0, 10).map((error, idx) => (
                           <div key={idx} className="text-sm text-red-700 dark:text-red-300">
@@ -244,11 +292,21 @@ const Step3Validation = () => {
 
               {expandedWarnings && (
                 <div className="mt-4 space-y-4 max-h-96 overflow-y-auto">
-                  {Object.entries(warningsByType).map(([type, warnings]) => (
-                    <div key={type} className="bg-white dark:bg-gray-800 rounded-lg p-4">
-                      <h4 className="font-semibold text-orange-900 dark:text-orange-200 mb-2 capitalize">
-                        {type.replace(/_/g, ' ')} ({warnings.length})
-                      </h4>
+                  {warningGroups.map(({ key, label, issues: warnings }) => (
+                    <div key={key} className="bg-white dark:bg-gray-800 rounded-lg p-4">
+                      <div className="flex items-center justify-between gap-3 mb-2">
+                        <h4 className="font-semibold text-orange-900 dark:text-orange-200 first-letter:uppercase">
+                          {label} ({warnings.length})
+                        </h4>
+                        <button
+                          onClick={() => exportOffendingRows(warnings, `warnings-${key}`)}
+                          className="flex items-center gap-1 text-xs font-medium text-orange-700 dark:text-orange-300 hover:underline"
+                          title="Export the rows with this issue"
+                        >
+                          <FileSpreadsheet className="w-4 h-4" />
+                          Export rows
+                        </button>
+                      </div>
                       <div className="space-y-1 max-h-40 overflow-y-auto">
                         {warnings.slice(0, 10).map((warning, idx) => (
                           <div key={idx} className="text-sm text-orange-700 dark:text-orange-300">
@@ -268,6 +326,9 @@ const Step3Validation = () => {
             </div>
           )}
 
+          {/* Inline corrections of failing rows */}
+          <CorrectionGrid />
+
           {/* Success Message */}
           {validationResults.errors.length === 0 && validationResults.warnings.length === 0 && (
             <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-6 mb-6">
@@ -285,6 +346,78 @@ const Step3Validation = () => {
             </div>
           )}
 
+          {/* Import Mode - only employee files replace or merge, other targets are written record by record */}
+          {importTarget === 'employees' && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6 mb-6">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+                Import Mode
+              </h3>
+
+              <div className="space-y-3">
+                <label className="flex items-start gap-3 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="importMode"
+                    checked={importOptions.mode === 'snapshot'}
+                    onChange={() => setImportOptions({ mode: 'snapshot' })}
+                    className="mt-1 w-5 h-5 text-primary-600 border-gray-300 focus:ring-primary-500"
+                  />
+                  <div>
+                    <div className="font-medium text-gray-900 dark:text-white">
+                      Full Snapshot
+                    </div>
+                    <div className="text-sm text-gray-600 dark:text-gray-400">
+                      {departmentScoped
+                        ? 'Replace the employees of your departments with the contents of this file. Rows for other departments are skipped.'
+                        : 'Replace all existing employees with the contents of this file.'}
+                    </div>
+                  </div>
+                </label>
+
+                <label className={`flex items-start gap-3 ${supportsDeltaMerge ? 'cursor-pointer' : 'opacity-50 cursor-not-allowed'}`}>
+                  <input
+                    type="radio"
+                    name="importMode"
+                    checked={importOptions.mode === 'merge'}
+                    onChange={() => setImportOptions({ mode: 'merge' })}
+                    disabled={!supportsDeltaMerge}
+                    className="mt-1 w-5 h-5 text-primary-600 border-gray-300 focus:ring-primary-500"
+                  />
+                  <div>
+                    <div className="font-medium text-gray-900 dark:text-white">
+                      Delta Merge
+                    </div>
+                    <div className="text-sm text-gray-600 dark:text-gray-400">
+                      Insert new employees and update changed ones by Employee ID. Manual edits,
+                      reduction programs and assignments are kept.
+                      {!supportsDeltaMerge && ' Only available with the local database.'}
+                    </div>
+                  </div>
+                </label>
+
+                {importOptions.mode === 'merge' && (
+                  <label className="flex items-start gap-3 cursor-pointer ml-8">
+                    <input
+                      type="checkbox"
+                      checked={importOptions.markMissingAsExited}
+                      onChange={(e) => setImportOptions({ markMissingAsExited: e.target.checked })}
+                      className="mt-1 w-5 h-5 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                    />
+                    <div>
+                      <div className="font-medium text-gray-900 dark:text-white">
+                        Mark missing employees as exited
+                      </div>
+                      <div className="text-sm text-gray-600 dark:text-gray-400">
+                        Employees not contained in this file are set to terminated
+                        {departmentScoped ? ', within your departments only.' : '.'}
+                      </div>
+                    </div>
+                  </label>
+                )}
+              </div>
+            </div>
+          )}
+
           {/* Options */}
           {validationResults.errors.length > 0 && (
             <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6 mb-6">
@@ -333,6 +466,19 @@ const Step3Validation = () => {
                 <Download className="w-4 h-4" />
                 Download Report
               </button>
+
+              {(validationResults.errors.length > 0 || validationResults.warnings.length > 0) && (
+                <button
+                  onClick={() => exportOffendingRows(
+                    [...validationResults.errors, ...validationResults.warnings],
+                    'offending-rows'
+                  )}
+                  className="flex items-center gap-2 px-4 py-3 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors font-medium"
+                >
+                  <FileSpreadsheet className="w-4 h-4" />
+                  Export Offending Rows
+                </button>
+              )}
             </div>
 
             <button
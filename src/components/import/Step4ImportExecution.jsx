@@ -5,9 +5,20 @@
 
 import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { CheckCircle, XCircle, AlertTriangle, Download, Home, Eye, Upload } from 'lucide-react';
+import { CheckCircle, XCircle, AlertTriangle, Download, Home, Eye, Upload, UserPlus, RefreshCw, UserMinus, Minus } from 'lucide-react';
 import { useImport } from '../../contexts/ImportContext';
 import { useApp } from '../../contexts/AppContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { auditLogDB } from '../../services/unifiedDB';
+import { hiddenFieldsFor, redactIssue } from '../../utils/permissions';
+
+// What was imported and where to look at it afterwards
+const TARGET_RESULTS = {
+  employees: { noun: 'employees', viewLabel: 'View Imported Employees', path: '/employees' },
+  reductionPrograms: { noun: 'programs', viewLabel: 'View Reduction Programs', path: '/programs' },
+  projects: { noun: 'projects', viewLabel: 'View Projects', path: '/projects' },
+  assignments: { noun: 'assignments', viewLabel: 'View Projects', path: '/projects' },
+};
 
 const Step4ImportExecution = ({ onClose }) => {
   const {
@@ -17,9 +28,14 @@ const Step4ImportExecution = ({ onClose }) => {
     isProcessing,
     validationResults,
     resetImport,
+    mergePreview,
+    commitImport,
+    importTarget,
   } = useImport();
 
-  const { refreshEmployees, setCurrentView } = useApp();
+  const { refreshEmployees, setCurrentView, loadAllData } = useApp();
+  const { capabilities } = useAuth();
+  const targetResults = TARGET_RESULTS[importTarget] || TARGET_RESULTS.employees;
 
   const [estimatedTimeRemaining, setEstimatedTimeRemaining] = useState(null);
   const [startTime, setStartTime] = useState(null);
@@ -72,6 +88,7 @@ const Step4ImportExecution = ({ onClose }) => {
       validating: { label: 'Validating Records', progress: 20 },
       importing: { label: 'Importing to Database', progress: 25 },
       finalizing: { label: 'Finalizing & Indexing', progress: 5 },
+      review: { label: 'Awaiting Review', progress: 90 },
       complete: { label: 'Complete', progress: 100 },
     };
 
@@ -87,6 +104,13 @@ const Step4ImportExecution = ({ onClose }) => {
     navigate('/employees');
   };
 
+  const handleViewRecords = () => {
+    loadAllData();
+    resetImport();
+    if (onClose) onClose();
+    navigate(targetResults.path);
+  };
+
   const handleNewImport = () => {
     resetImport();
   };
@@ -101,32 +125,102 @@ const Step4ImportExecution = ({ onClose }) => {
         failedRows: importResults.failedRows,
         skippedRows: importResults.skippedRows,
       },
-      errors: importResults.errors,
+      errors: (importResults.errors || []).map(issue => redactIssue(issue, hiddenFieldsFor(capabilities))),
     };
 
+    const fileName = `import-errors-${new Date().toISOString()}.json`;
     const blob = new Blob([JSON.stringify(errorLog, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `import-errors-${new Date().toISOString()}.json`;
+    a.download = fileName;
     a.click();
     URL.revokeObjectURL(url);
+    auditLogDB.recordExport(fileName, { report: 'Import error log', format: 'json', rows: errorLog.errors.length });
   };
 
+  const isAwaitingReview = !isProcessing && !importResults && importProgress.phase === 'review' && mergePreview;
+
+  const mergeCounts = (counts) => [
+    {
+      key: 'inserted', label: 'New', description: 'employees added', icon: UserPlus, value: counts.inserted,
+      border: 'border-green-200 dark:border-green-800', text: 'text-green-600 dark:text-green-400',
+    },
+    {
+      key: 'updated', label: 'Updated', description: 'employees changed', icon: RefreshCw, value: counts.updated,
+      border: 'border-blue-200 dark:border-blue-800', text: 'text-blue-600 dark:text-blue-400',
+    },
+    {
+      key: 'exited', label: 'Exited', description: 'marked as terminated', icon: UserMinus, value: counts.exited,
+      border: 'border-red-200 dark:border-red-800', text: 'text-red-600 dark:text-red-400',
+    },
+    {
+      key: 'unchanged', label: 'Unchanged', description: 'no differences', icon: Minus, value: counts.unchanged,
+      border: 'border-gray-200 dark:border-gray-700', text: 'text-gray-600 dark:text-gray-400',
+    },
+  ];
+
   return (
     <div className="max-w-4xl mx-auto">
       <div className="mb-8">
         <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
-          {isProcessing ? 'Importing Data...' : 'Import Complete'}
+          {isProcessing ? 'Importing Data...' : isAwaitingReview ? 'Review Changes' : 'Import Complete'}
         </h2>
         <p className="text-gray-600 dark:text-gray-400">
           {isProcessing
             ? 'Please wait while we process your data. This may take a few minutes.'
-            : 'Your data has been successfully imported into the system.'
+            : isAwaitingReview
+              ? 'The delta merge will apply the following changes. Nothing has been saved yet.'
+              : 'Your data has been successfully imported into the system.'
           }
         </p>
       </div>
 
+      {isAwaitingReview && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            {mergeCounts(mergePreview).map(({ key, label, description, icon: Icon, value, border, text }) => (
+              <div key={key} className={`bg-white dark:bg-gray-800 rounded-lg border ${border} p-6`}>
+                <div className="flex items-center gap-3 mb-2">
+                  <Icon className={`w-6 h-6 ${text}`} />
+                  <h4 className="font-semibold text-gray-900 dark:text-white">{label}</h4>
+                </div>
+                <div className={`text-3xl font-bold ${text}`}>
+                  {value.toLocaleString()}
+                </div>
+                <div className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                  {description}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {mergePreview.outOfScope > 0 && (
+            <p className="text-sm text-gray-600 dark:text-gray-400 text-center mb-6">
+              {mergePreview.outOfScope.toLocaleString()} rows belong to departments outside your access and are skipped.
+            </p>
+          )}
+
+          <div className="flex items-center justify-center gap-4">
+            <button
+              onClick={commitImport}
+              className="flex items-center gap-2 px-6 py-3 bg-primary-600 hover:bg-primary-700 text-white rounded-lg transition-colors font-medium"
+            >
+              <CheckCircle className="w-5 h-5" />
+              Commit Changes
+            </button>
+
+            <button
+              onClick={handleNewImport}
+              className="flex items-center gap-2 px-6 py-3 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors font-medium"
+            >
+              <XCircle className="w-5 h-5" />
+              Discard
+            </button>
+          </div>
+        </>
+      )}
+
       {isProcessing && (
         <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-8">
           {/* Progress Bar */}
@@ -304,10 +398,40 @@ const Step4ImportExecution = ({ onClose }) => {
                 {importResults.successfulRows.toLocaleString()}
               </div>
               <div className="text-sm text-gray-600 dark:text-gray-400 mt-1">
-                employees imported
+                {targetResults.noun} imported
               </div>
             </div>
 
+            {importResults.updatedRows > 0 && (
+              <div className="bg-white dark:bg-gray-800 rounded-lg border border-blue-200 dark:border-blue-800 p-6">
+                <div className="flex items-center gap-3 mb-2">
+                  <RefreshCw className="w-6 h-6 text-blue-600 dark:text-blue-400" />
+                  <h4 className="font-semibold text-gray-900 dark:text-white">Updated</h4>
+                </div>
+                <div className="text-3xl font-bold text-blue-600 dark:text-blue-400">
+                  {importResults.updatedRows.toLocaleString()}
+                </div>
+                <div className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                  existing {targetResults.noun} changed
+                </div>
+              </div>
+            )}
+
+            {importResults.existingRows > 0 && (
+              <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6">
+                <div className="flex items-center gap-3 mb-2">
+                  <Minus className="w-6 h-6 text-gray-600 dark:text-gray-400" />
+                  <h4 className="font-semibold text-gray-900 dark:text-white">Already Recorded</h4>
+                </div>
+                <div className="text-3xl font-bold text-gray-600 dark:text-gray-400">
+                  {importResults.existingRows.toLocaleString()}
+                </div>
+                <div className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                  programs not added twice
+                </div>
+              </div>
+            )}
+
             {importResults.skippedRows > 0 && (
               <div className="bg-white dark:bg-gray-800 rounded-lg border border-orange-200 dark:border-orange-800 p-6">
                 <div className="flex items-center gap-3 mb-2">
@@ -339,6 +463,23 @@ const Step4ImportExecution = ({ onClose }) => {
             )}
           </div>
 
+          {/* Delta Merge Summary */}
+          {importResults.mergeSummary && (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+              {mergeCounts(importResults.mergeSummary).map(({ key, label, icon: Icon, value }) => (
+                <div key={key} className="bg-gray-50 dark:bg-gray-900 rounded-lg p-4">
+                  <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400 mb-1">
+                    <Icon className="w-4 h-4" />
+                    <span>{label}</span>
+                  </div>
+                  <div className="text-2xl font-bold text-gray-900 dark:text-white">
+                    {value.toLocaleString()}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Error Log */}
           {importResults.errors.length > 0 && (
             <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-6 mb-6">
@@ -373,11 +514,11 @@ const Step4ImportExecution = ({ onClose }) => {
           {/* Actions */}
           <div className="flex items-center justify-center gap-4">
             <button
-              onClick={handleViewEmployees}
+              onClick={importTarget === 'employees' ? handleViewEmployees : handleViewRecords}
               className="flex items-center gap-2 px-6 py-3 bg-primary-600 hover:bg-primary-700 text-white rounded-lg transition-colors font-medium"
             >
               <Eye className="w-5 h-5" />
-              View Imported Employees
+              {targetResults.viewLabel}
             </button>
 
             <button
@@ -13,10 +13,14 @@ import {
   importHistoryDB
 } from '../services/unifiedDB';
 import { authService } from '../services/authService';
+import { isReductionEffective } from '../utils/helpers';
 import toast from 'react-hot-toast';
 
 const AppContext = createContext();
 
+// How often expired reduction programs are moved to completed (1 hour)
+const PROGRAM_STATUS_CHECK_INTERVAL = 60 * 60 * 1000;
+
 export const useApp = () => {
   const context = useContext(AppContext);
   if (!context) {
@@ -44,6 +48,19 @@ export const AppProvider = ({ children, currentUser }) => {
     loadAllData();
   }, []);
 
+  // Programs move to completed once their end date has passed, also while the app stays open
+  useEffect(() => {
+    const interval = setInterval(async () => {
+      try {
+        const completed = await reductionProgramDB.completeExpired();
+        if (completed > 0) loadAllData();
+      } catch (error) {
+        console.error('Error completing expired reduction programs:', error);
+      }
+    }, PROGRAM_STATUS_CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
   // Theme Management
   useEffect(() => {
     if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
@@ -62,6 +79,7 @@ export const AppProvider = ({ children, currentUser }) => {
   const loadAllData = async () => {
     setLoading(true);
     try {
+      await reductionProgramDB.completeExpired().catch(() => 0);
       const [projectsData, programsData] = await Promise.all([
         projectDB.getAll().catch(() => []),
         reductionProgramDB.getActive().catch(() => []),
@@ -233,17 +251,47 @@ export const AppProvider = ({ children, currentUser }) => {
     }
   };
 
+  const bulkAddReductionPrograms = async (programs) => {
+    try {
+      await reductionProgramDB.bulkAdd(programs);
+      loadAllData(); // Refresh active programs list
+      toast.success(`${programs.length} employees enrolled`);
+      return true;
+    } catch (error) {
+      console.error('Bulk add reduction programs error:', error);
+      toast.error('Failed to enroll employees');
+      return false;
+    }
+  };
+
+  const deleteReductionProgram = async (id) => {
+    try {
+      await reductionProgramDB.delete(id);
+      setReductionPrograms(prev => prev.filter(p => p.id !== id));
+      toast.success('Reduction program deleted');
+      return true;
+    } catch (error) {
+      console.error('Delete reduction program error:', error);
+      toast.error('Failed to delete reduction program');
+      return false;
+    }
+  };
+
   // --- Metrics & Dashboard ---
 
-  const getDashboardMetrics = useCallback(async () => {
-    const [empStats, assignStats, recentImports] = await Promise.all([
-      employeeDB.getStats(),
+  // Reductions only count while effective on asOfDate (Stichtag), like in getStats;
+  // a past date also counts programs completed since
+  const getDashboardMetrics = useCallback(async (asOfDate = new Date()) => {
+    const [empStats, assignStats, recentImports, allPrograms] = await Promise.all([
+      employeeDB.getStats(asOfDate),
       assignmentDB.getStats(),
-      importHistoryDB.getRecent(1).catch(() => [])
+      importHistoryDB.getRecent(1).catch(() => []),
+      reductionProgramDB.getAll().catch(() => [])
     ]);
+    const effectivePrograms = allPrograms.filter(program => isReductionEffective(program, asOfDate));
 
     const activeProjects = projects.filter(p => p.status === 'active').length;
-    const activeReductions = reductionPrograms.filter(p => p.status === 'active').length;
+    const activeReductions = effectivePrograms.length;
 
     const totalAllocated = assignStats.totalAllocated;
 
@@ -276,6 +324,7 @@ export const AppProvider = ({ children, currentUser }) => {
       // Financial metrics
       totalSalary: empStats.totalSalary || 0,
       potentialReduction: Math.round(potentialReduction),
+      salariesHidden: !!empStats.salariesHidden,
 
       // Detailed stats
       departmentCounts: empStats.departmentCounts || {},
@@ -284,6 +333,7 @@ export const AppProvider = ({ children, currentUser }) => {
       roleCounts: empStats.roleCounts || {},
       costCenterCounts: empStats.costCenterCounts || {},
       locationCounts: empStats.locationCounts || {},
+      customAttributeDetails: empStats.customAttributeDetails || {},
 
       // FTE metrics
       totalFTE: Math.round((empStats.totalFTE || 0) * 10) / 10,
@@ -296,6 +346,7 @@ export const AppProvider = ({ children, currentUser }) => {
       // Meta
       departmentCount,
       lastImportTime,
+      asOfDate,
     };
   }, [projects, reductionPrograms]);
 
@@ -321,6 +372,8 @@ export const AppProvider = ({ children, currentUser }) => {
     removeAssignment,
     addReductionProgram,
     updateReductionProgram,
+    bulkAddReductionPrograms,
+    deleteReductionProgram,
     toggleDarkMode,
     setCurrentView,
     loadAllData,
@@ -1,27 +1,136 @@
 /**
  * Auth Context
- * Manages authentication state across the application using Supabase Auth.
+ * Manages authentication state across the application using Supabase Auth,
+ * or the local accounts of authService when Supabase is not configured.
  *
  * Provides:
  * - Current user information
  * - Login/logout functions
- * - Role-based access helpers
+ * - Role-based access helpers and the capabilities of the user's role
+ * - Department scope and capabilities of the data layer
  * - Auth state persistence
  */
 
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useLayoutEffect, useMemo, useCallback } from 'react';
+import toast from 'react-hot-toast';
 import { supabase } from '../lib/supabase';
 import { supabaseAuthService } from '../services/supabaseAuth';
+import { authService } from '../services/authService';
+import { setAccessScope, rolePermissionDB } from '../services/unifiedDB';
+import { capabilitiesFor } from '../utils/permissions';
 
 const AuthContext = createContext(null);
 
+// Without a Supabase project, users sign in with the local accounts of authService
+const isSupabaseConfigured = () => {
+  const url = import.meta.env.VITE_SUPABASE_URL;
+  return !!url && url !== 'https://placeholder.supabase.co';
+};
+
+// Activity refreshes the local session at most this often; expiry is checked on the same beat
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+// User of a local login or session
+const toLocalUser = (account) => ({
+  id: account.id ?? account.userId,
+  email: account.email,
+  username: account.username,
+  role: account.role,
+  departments: account.departments || [],
+  isActive: true,
+  mustChangePassword: !!account.mustChangePassword,
+});
+
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [initialized, setInitialized] = useState(false);
+  // null until the saved matrix has loaded; until then the user has no capabilities and
+  // loading stays true, so neither the data layer nor the routes act on the defaults
+  const [permissionMatrix, setPermissionMatrix] = useState(null);
+
+  const capabilities = useMemo(
+    () => (permissionMatrix ? capabilitiesFor(user, permissionMatrix) : []),
+    [user, permissionMatrix]
+  );
+
+  // Reads are limited to the user's departments and operations to the role's capabilities;
+  // a layout effect so both are set before any screen loads data in its own effects
+  useLayoutEffect(() => {
+    setAccessScope(user, capabilities);
+  }, [user, capabilities]);
+
+  // The saved matrix is loaded once signed in; if it can't be read, only admins keep capabilities
+  const refreshPermissions = useCallback(async () => {
+    try {
+      setPermissionMatrix(await rolePermissionDB.getMatrix());
+    } catch (error) {
+      console.error('Failed to load role permissions:', error);
+      setPermissionMatrix(prev => prev || {});
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user?.id) refreshPermissions();
+  }, [user?.id, refreshPermissions]);
+
+  // Local sessions end after a period without activity: activity keeps the session alive,
+  // and a session that ran out signs the user out
+  const localUserId = !isSupabaseConfigured() ? user?.id : undefined;
+  useEffect(() => {
+    if (localUserId === undefined) return undefined;
+
+    let lastTouch = Date.now();
+    const endIfExpired = (session) => {
+      if (session) return;
+      setUser(null);
+      toast('Your session has expired. Please sign in again.');
+    };
+    const onActivity = () => {
+      if (Date.now() - lastTouch < SESSION_TOUCH_INTERVAL_MS) return;
+      lastTouch = Date.now();
+      authService.touchSession().then(endIfExpired).catch(error => console.error('Session refresh failed:', error));
+    };
+    const intervalId = setInterval(() => {
+      authService.getCurrentUser().then(endIfExpired).catch(error => console.error('Session check failed:', error));
+    }, SESSION_TOUCH_INTERVAL_MS);
+
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, onActivity, { passive: true }));
+    return () => {
+      clearInterval(intervalId);
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, onActivity));
+    };
+  }, [localUserId]);
+
+  // Initialize auth state from the local session
+  useEffect(() => {
+    if (isSupabaseConfigured()) return undefined;
+    let mounted = true;
+
+    (async () => {
+      try {
+        await authService.initializeAdmin();
+        const session = await authService.getCurrentUser();
+        if (mounted) setUser(session ? toLocalUser(session) : null);
+      } catch (error) {
+        console.error('Error initializing local auth:', error);
+      } finally {
+        if (mounted) {
+          setLoading(false);
+          setInitialized(true);
+        }
+      }
+    })();
+
+    return () => {
+      mounted = false;
+    };
+  }, []);
 
   // Initialize auth state from Supabase session
   useEffect(() => {
+    if (!isSupabaseConfigured()) return undefined;
     let mounted = true;
     let timeoutId;
 
@@ -119,9 +228,15 @@ export function AuthProvider({ children }) {
   }, []);
 
   /**
-   * Login with email and password
+   * Login with email and password, or username and password of a local account
    */
   const login = async (email, password) => {
+    if (!isSupabaseConfigured()) {
+      const userData = toLocalUser(await authService.login(email, password));
+      setUser(userData);
+      return userData;
+    }
+
     const { data, error } = await supabase.auth.signInWithPassword({
       email,
       password,
@@ -153,10 +268,22 @@ export function AuthProvider({ children }) {
    * Logout current user
    */
   const logout = async () => {
-    await supabase.auth.signOut();
+    if (isSupabaseConfigured()) {
+      await supabase.auth.signOut();
+    } else {
+      await authService.logout();
+    }
     setUser(null);
   };
 
+  /**
+   * Change the local account's password; lifts mustChangePassword
+   */
+  const changePassword = async (currentPassword, newPassword) => {
+    await authService.changePassword(user.id, currentPassword, newPassword);
+    setUser((prev) => (prev ? { ...prev, mustChangePassword: false } : prev));
+  };
+
   /**
    * Check if current user is admin
    */
@@ -164,6 +291,11 @@ export function AuthProvider({ children }) {
     return user?.role === 'admin';
   };
 
+  /**
+   * Check if the user's role has a capability (see utils/permissions)
+   */
+  const can = (capability) => capabilities.includes(capability);
+
   /**
    * Check if user has access to a specific department
    */
@@ -178,7 +310,7 @@ export function AuthProvider({ children }) {
    * Refresh user profile from database
    */
   const refreshProfile = async () => {
-    if (!user?.id) return;
+    if (!user?.id || !isSupabaseConfigured()) return;
 
     const profile = await supabaseAuthService.getProfile(user.id);
     if (profile) {
@@ -194,11 +326,17 @@ export function AuthProvider({ children }) {
 
   const value = {
     user,
-    loading,
+    loading: loading || (!!user && !permissionMatrix),
     initialized,
     login,
     logout,
+    changePassword,
+    isLocalAuth: !isSupabaseConfigured(),
     isAdmin,
+    can,
+    capabilities,
+    permissionMatrix,
+    refreshPermissions,
     hasAccessToDepartment,
     refreshProfile,
     isAuthenticated: !!user,
@@ -6,19 +6,136 @@
  * Uses Supabase when VITE_SUPABASE_URL is configured, falls back to IndexedDB otherwise.
  *
  * Performance Optimizations:
- * - Web Worker for file parsing (non-blocking UI)
+ * - Web Worker for file parsing (non-blocking UI); parsed rows stay in the worker, the page gets a sample
  * - Batch database inserts (500 records per batch)
  * - Progress callbacks for real-time UI updates
  * - Performance instrumentation for monitoring
  */
 
-import React, { createContext, useContext, useState, useRef, useCallback } from 'react';
-import { importHistoryDB, employeeDB } from '../services/db';
-import { uploadsDB, employeesDB } from '../services/supabaseDB';
+import React, { createContext, useContext, useState, useRef, useCallback, useEffect } from 'react';
+import { importHistoryDB, employeeDB, changeLogDB, employeeSnapshotDB } from '../services/db';
+import { uploadsDB, employeesDB, employeeSnapshotsDB } from '../services/supabaseDB';
+import unifiedDB, { hasCapability } from '../services/unifiedDB';
 import { useAuth } from '../contexts/AuthContext';
+import toast from 'react-hot-toast';
+import { diffEmployeeSnapshots, checkAllocationConflicts } from '../utils/helpers';
+import { DEFAULT_IMPORT_LOCALE, detectImportLocale } from '../utils/importLocale';
+import { DEFAULT_VALIDATION_RULES, getEffectiveValidationRules } from '../utils/validationRules';
 
 const ImportContext = createContext();
 
+// Import targets written record by record instead of as an employee snapshot
+const RECORD_TARGET_LABELS = {
+  reductionPrograms: 'reduction programs',
+  projects: 'projects',
+  assignments: 'assignments',
+};
+
+// Entity type of a record import in the audit log
+const RECORD_TARGET_AUDIT_ENTITIES = {
+  reductionPrograms: 'reductionProgram',
+  projects: 'project',
+  assignments: 'assignment',
+};
+
+// Attach project, employee and the assignment being replaced to imported assignment rows
+const resolveAssignments = (assignments, { employeeIndex, projectIndex, existingAssignments }) => {
+  const existingByKey = new Map(
+    (existingAssignments || []).map(a => [`${a.employeeId}|${a.projectId}`, a])
+  );
+
+  return assignments.map(({ project, ...assignment }) => {
+    const match = projectIndex?.get(String(project).toLowerCase());
+    const employee = employeeIndex?.get(assignment.employeeId);
+    const existing = match && existingByKey.get(`${assignment.employeeId}|${match.id}`);
+    return {
+      ...assignment,
+      projectId: match?.id,
+      projectName: match?.name || project,
+      employeeRecordId: employee?.id,
+      employeeName: employee?.name,
+      existingId: existing?.id,
+    };
+  });
+};
+
+/**
+ * Split imported assignments into accepted and over-allocated ones
+ * Each row is checked against the stored assignments and the rows accepted before it
+ */
+const findAllocationConflicts = (assignments, existingAssignments) => {
+  const replacedIds = new Set(assignments.map(a => a.existingId).filter(id => id !== undefined));
+  const pool = (existingAssignments || []).filter(a => !replacedIds.has(a.id));
+  const accepted = [];
+  const rejected = [];
+
+  assignments.forEach(assignment => {
+    const sourceRow = assignment.importMetadata?.sourceRow;
+    const candidate = { ...assignment, id: `import-${sourceRow}` };
+    const conflicts = checkAllocationConflicts(assignment.employeeId, candidate, pool);
+
+    if (conflicts.length === 0) {
+      pool.push(candidate);
+      accepted.push(assignment);
+      return;
+    }
+
+    const worst = conflicts.reduce((a, b) => (b.overAllocation > a.overAllocation ? b : a));
+    rejected.push({
+      type: 'over_allocation',
+      field: 'allocationPercentage',
+      message: `Employee ${assignment.employeeId} would be over-allocated by ${worst.overAllocation}% on ${assignment.projectName} together with ${worst.assignment.projectName || 'another assignment'}`,
+      row: sourceRow,
+    });
+
+    // The stored assignment stays in place when its replacement is rejected
+    const replaced = (existingAssignments || []).find(a => a.id === assignment.existingId);
+    if (replaced) pool.push(replaced);
+  });
+
+  return { accepted, rejected };
+};
+
+// Add over-allocation errors to the worker's validation results of an assignment file
+const withAllocationConflicts = (results, lookups) => {
+  const { rejected } = findAllocationConflicts(
+    resolveAssignments(results.records || [], lookups),
+    lookups.existingAssignments
+  );
+  if (rejected.length === 0) return results;
+
+  return {
+    ...results,
+    validRows: results.validRows - rejected.length,
+    rowsWithErrors: results.rowsWithErrors + rejected.length,
+    errors: [...results.errors, ...rejected],
+  };
+};
+
+// Replace the issues of re-validated rows in the validation results and recount the rows
+const withRevalidatedRows = (results, revalidated) => {
+  const rowNumbers = new Set(revalidated.map(entry => entry.row));
+  const byRow = (a, b) => a.row - b.row;
+  const errors = [
+    ...results.errors.filter(error => !rowNumbers.has(error.row)),
+    ...revalidated.flatMap(entry => entry.errors),
+  ].sort(byRow);
+  const warnings = [
+    ...results.warnings.filter(warning => !rowNumbers.has(warning.row)),
+    ...revalidated.flatMap(entry => entry.warnings),
+  ].sort(byRow);
+  const rowsWithErrors = new Set(errors.map(error => error.row)).size;
+
+  return {
+    ...results,
+    errors,
+    warnings,
+    rowsWithErrors,
+    rowsWithWarnings: new Set(warnings.map(warning => warning.row)).size,
+    validRows: results.totalRows - rowsWithErrors,
+  };
+};
+
 // Check if Supabase is configured
 // TEMPORARILY DISABLED - using IndexedDB for now due to Supabase RLS issues
 const useSupabase = () => {
@@ -39,10 +156,16 @@ export const ImportProvider = ({ children }) => {
   const [currentStep, setCurrentStep] = useState(1);
   const [fileInfo, setFileInfo] = useState(null);
   const [headers, setHeaders] = useState([]);
+  // First rows of the file (the worker keeps the rest) and the number of data rows
   const [sampleData, setSampleData] = useState([]);
-  const [allData, setAllData] = useState([]);
+  const [rowCount, setRowCount] = useState(0);
   const [columnMapping, setColumnMapping] = useState({});
+  // Per-field value rules of Step 2 (lookup, combine, extract, default, unit conversion), run by the worker
+  const [fieldRules, setFieldRules] = useState({});
   const [validationResults, setValidationResults] = useState(null);
+  // Values fixed in Step 3 by file row number ({ 5: { department: 'Unknown' } }), applied by the worker
+  const [corrections, setCorrections] = useState({});
+  const [isRevalidating, setIsRevalidating] = useState(false);
   const [importProgress, setImportProgress] = useState({
     phase: '',
     progress: 0,
@@ -53,10 +176,40 @@ export const ImportProvider = ({ children }) => {
   });
   const [importResults, setImportResults] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
+  // 'snapshot' replaces all employees, 'merge' upserts by employeeId
+  const [importOptions, setImportOptionsState] = useState({
+    mode: 'snapshot',
+    markMissingAsExited: false,
+  });
+  const [mergePreview, setMergePreview] = useState(null);
+  // 'employees' for the HR export, otherwise one of RECORD_TARGET_LABELS
+  const [importTarget, setImportTargetState] = useState('employees');
+  // Sheets of a multi-sheet workbook, waiting for the user to pick one or a join
+  const [sheetOptions, setSheetOptions] = useState(null);
+  // Date order and number separators of the file, detected on parse and adjustable in Step 2
+  const [importLocale, setImportLocaleState] = useState(DEFAULT_IMPORT_LOCALE);
+  const [localeDetection, setLocaleDetection] = useState(null);
+  // Admin-defined employee attributes, offered as mapping fields and sent to the worker
+  const [customAttributes, setCustomAttributes] = useState([]);
+  // Step an unattended run (see runAutoImport) is waiting for, null when the wizard is driven by hand
+  const [autoRunPhase, setAutoRunPhase] = useState(null);
 
   const workerRef = useRef(null);
   const startTimeRef = useRef(null);
   const fileInfoRef = useRef(null);
+  // Replies of the worker to GET_ROWS / GET_COLUMN_VALUES by request id
+  const pendingRequestsRef = useRef(new Map());
+  const requestIdRef = useRef(0);
+  const fileRef = useRef(null);
+  const importOptionsRef = useRef(importOptions);
+  const pendingResultsRef = useRef(null);
+  const importTargetRef = useRef(importTarget);
+  const employeeIndexRef = useRef(null);
+  const projectIndexRef = useRef(null);
+  const existingAssignmentsRef = useRef(null);
+  const validationLookupsRef = useRef({});
+  // Template and outcome callback of the unattended run in progress
+  const autoRunRef = useRef(null);
   const performanceMetrics = useRef({
     parseTime: 0,
     validationTime: 0,
@@ -65,11 +218,36 @@ export const ImportProvider = ({ children }) => {
     totalTime: 0,
   });
 
+  // Settle the unattended run in progress; recorded says whether a failed save left an upload record
+  const finishAutoRun = (outcome) => {
+    const run = autoRunRef.current;
+    if (!run) return;
+    autoRunRef.current = null;
+    setAutoRunPhase(null);
+    run.resolve({ ...outcome, recorded: run.recorded });
+  };
+
+  // Detect the file's date and number format from its first rows
+  const applyDetectedLocale = (rows) => {
+    const { locale, evidence } = detectImportLocale(rows);
+    setImportLocaleState(locale);
+    setLocaleDetection(evidence);
+  };
+
+  // Definitions can change in Settings while the wizard stays mounted, so Step 2 reloads them
+  const loadCustomAttributes = useCallback(async () => {
+    try {
+      setCustomAttributes((await unifiedDB.customAttributeDB.getAll()) || []);
+    } catch (error) {
+      console.error('Error loading custom attributes:', error);
+    }
+  }, []);
+
   // Initialize Web Worker
   const initWorker = useCallback(() => {
     if (workerRef.current) return workerRef.current;
 
-    const worker = new Worker('/import-worker.js');
+    const worker = new Worker(new URL('../workers/import.worker.js', import.meta.url), { type: 'module' });
 
     worker.onmessage = (event) => {
       const { type, ...payload } = event.data;
@@ -90,23 +268,76 @@ export const ImportProvider = ({ children }) => {
           });
           break;
 
+        case 'SHEETS_LISTED':
+          // Unattended runs take the first sheet
+          if (payload.sheets.length > 1 && !autoRunRef.current) {
+            setSheetOptions(payload.sheets);
+            setIsProcessing(false);
+          } else {
+            postParseFile({ sheetName: payload.sheets[0]?.name });
+          }
+          break;
+
         case 'PARSE_COMPLETE':
-          performanceMetrics.current.parseTime = payload.parseTime || 0;
+          performanceMetrics.current.parseTime = Date.now() - startTimeRef.current;
           console.log(`[Performance] File parse: ${performanceMetrics.current.parseTime}ms`);
           setHeaders(payload.headers);
           setSampleData(payload.sampleData);
-          setAllData(payload.allData);
+          setRowCount(payload.totalRows);
+          setCorrections({});
+          applyDetectedLocale(payload.sampleData);
+          fileInfoRef.current = { ...fileInfoRef.current, sheetName: payload.sheetName, joinStats: payload.joinStats };
+          setFileInfo(fileInfoRef.current);
+          setSheetOptions(null);
+          if (payload.joinStats) {
+            const { matched, unmatched } = payload.joinStats;
+            toast.success(`Joined ${matched.toLocaleString()} of ${(matched + unmatched).toLocaleString()} rows`);
+          }
           setIsProcessing(false);
           setCurrentStep(2); // Move to column mapping
           break;
 
+        case 'PARSE_CANCELLED':
+          fileInfoRef.current = null;
+          fileRef.current = null;
+          setFileInfo(null);
+          setSheetOptions(null);
+          setImportProgress({
+            phase: '',
+            progress: 0,
+            message: '',
+            processedCount: 0,
+            totalCount: 0,
+            speed: 0,
+          });
+          setIsProcessing(false);
+          toast('Upload cancelled');
+          break;
+
         case 'VALIDATION_COMPLETE':
           performanceMetrics.current.validationTime = payload.validationTime || 0;
           console.log(`[Performance] Validation: ${performanceMetrics.current.validationTime}ms`);
-          setValidationResults(payload.results);
+          setValidationResults(importTargetRef.current === 'assignments'
+            ? withAllocationConflicts(payload.results, {
+              employeeIndex: employeeIndexRef.current,
+              projectIndex: projectIndexRef.current,
+              existingAssignments: existingAssignmentsRef.current,
+            })
+            : payload.results);
           setIsProcessing(false);
           break;
 
+        case 'REVALIDATION_COMPLETE':
+          setValidationResults(prev => (prev ? withRevalidatedRows(prev, payload.rows) : prev));
+          setIsRevalidating(false);
+          break;
+
+        case 'ROWS':
+        case 'COLUMN_VALUES':
+          pendingRequestsRef.current.get(payload.requestId)?.(payload);
+          pendingRequestsRef.current.delete(payload.requestId);
+          break;
+
         case 'IMPORT_COMPLETE':
           performanceMetrics.current.transformTime = payload.transformTime || 0;
           console.log(`[Performance] Transform: ${performanceMetrics.current.transformTime}ms`);
@@ -116,7 +347,12 @@ export const ImportProvider = ({ children }) => {
         case 'ERROR':
           console.error('Worker error:', payload.error);
           setIsProcessing(false);
-          alert(`Import error: ${payload.error}`);
+          setIsRevalidating(false);
+          if (autoRunRef.current) {
+            finishAutoRun({ status: 'failed', error: payload.error });
+          } else {
+            alert(`Import error: ${payload.error}`);
+          }
           break;
 
         default:
@@ -127,14 +363,105 @@ export const ImportProvider = ({ children }) => {
     worker.onerror = (error) => {
       console.error('Worker error:', error);
       setIsProcessing(false);
-      alert('Worker error occurred. Please try again.');
+      if (autoRunRef.current) {
+        finishAutoRun({ status: 'failed', error: error.message || 'Worker error' });
+      } else {
+        alert('Worker error occurred. Please try again.');
+      }
     };
 
     workerRef.current = worker;
     return worker;
   }, []);
 
-  // Parse uploaded file
+  // Import options are read from the worker callback, so keep a ref in sync
+  const setImportOptions = useCallback((updates) => {
+    setImportOptionsState(prev => {
+      const next = { ...prev, ...updates };
+      importOptionsRef.current = next;
+      return next;
+    });
+  }, []);
+
+  const setImportLocale = useCallback((updates) => {
+    setImportLocaleState(prev => ({ ...prev, ...updates }));
+  }, []);
+
+  const setImportTarget = useCallback((target) => {
+    importTargetRef.current = target;
+    setImportTargetState(target);
+  }, []);
+
+  // Existing employees by business ID - program rows must reference one of them
+  const loadEmployeeIndex = useCallback(async () => {
+    if (!employeeIndexRef.current) {
+      const employees = await unifiedDB.employeeDB.getAll();
+      employeeIndexRef.current = new Map(
+        (employees || []).map(emp => [String(emp.employeeId), emp])
+      );
+    }
+    return employeeIndexRef.current;
+  }, []);
+
+  // Existing projects by lower-case name and by id - assignment rows may use either
+  const loadProjectIndex = useCallback(async () => {
+    if (!projectIndexRef.current) {
+      const projects = await unifiedDB.projectDB.getAll();
+      const index = new Map();
+      (projects || []).forEach(project => {
+        if (project.name) index.set(String(project.name).toLowerCase(), project);
+        index.set(String(project.id).toLowerCase(), project);
+      });
+      projectIndexRef.current = index;
+    }
+    return projectIndexRef.current;
+  }, []);
+
+  // Admin validation rules of employee imports; the built-in rules apply if they cannot be loaded
+  const loadValidationRules = useCallback(async () => {
+    try {
+      return getEffectiveValidationRules((await unifiedDB.validationRuleDB.getAll()) || []);
+    } catch (error) {
+      console.error('Error loading validation rules:', error);
+      return DEFAULT_VALIDATION_RULES;
+    }
+  }, []);
+
+  // Lookups the worker validates against: existing records for record targets, the rules for employees
+  const loadValidationLookups = useCallback(async (target) => {
+    const lookups = {};
+    if (target === 'employees') {
+      lookups.validationRules = await loadValidationRules();
+    }
+    if (target === 'reductionPrograms' || target === 'assignments') {
+      lookups.knownEmployeeIds = [...(await loadEmployeeIndex()).keys()];
+    }
+    if (target === 'assignments') {
+      lookups.knownProjects = [...(await loadProjectIndex()).keys()];
+      existingAssignmentsRef.current = (await unifiedDB.assignmentDB.getAll()) || [];
+    }
+    validationLookupsRef.current = lookups;
+    return lookups;
+  }, [loadEmployeeIndex, loadProjectIndex, loadValidationRules]);
+
+  // Send the current file to the worker - selection is a sheetName or a join of two sheets
+  const postParseFile = useCallback((selection = {}) => {
+    const file = fileRef.current;
+    startTimeRef.current = Date.now();
+
+    initWorker().postMessage({
+      type: 'PARSE_FILE',
+      data: {
+        fileData: file,
+        fileName: file.name,
+        fileType: file.name.endsWith('.csv') ? 'csv' : 'excel',
+        ...selection,
+      },
+    });
+  }, [initWorker]);
+
+  // Parse uploaded file - the worker reads the File itself, so the main thread never holds its contents
+  // Workbooks are listed first so a sheet can be chosen when there is more than one
   const parseFile = useCallback((file) => {
     setIsProcessing(true);
     const info = {
@@ -144,45 +471,112 @@ export const ImportProvider = ({ children }) => {
     };
     setFileInfo(info);
     fileInfoRef.current = info;
-
-    const worker = initWorker();
-    const reader = new FileReader();
-
-    reader.onload = (e) => {
-      const fileData = e.target.result;
-      const fileType = file.name.endsWith('.csv') ? 'csv' : 'excel';
-
-      worker.postMessage({
-        type: 'PARSE_FILE',
-        data: {
-          fileData: fileType === 'csv' ? fileData : new Uint8Array(fileData),
-          fileName: file.name,
-          fileType,
-        },
-      });
-    };
+    fileRef.current = file;
 
     if (file.name.endsWith('.csv')) {
-      reader.readAsText(file);
+      postParseFile();
     } else {
-      reader.readAsArrayBuffer(file);
+      initWorker().postMessage({
+        type: 'LIST_SHEETS',
+        data: { fileData: file, fileName: file.name },
+      });
     }
-  }, [initWorker]);
+  }, [initWorker, postParseFile]);
 
-  // Validate data - only employeeId is required
-  const validateData = useCallback((mapping, requiredFields = ['employeeId']) => {
+  // Parse the sheet (or join) picked in the sheet selector
+  const parseSheets = useCallback((selection) => {
+    setIsProcessing(true);
+    postParseFile(selection);
+  }, [postParseFile]);
+
+  // Drop the uploaded file, e.g. to pick another one instead of choosing a sheet
+  const discardFile = useCallback(() => {
+    fileRef.current = null;
+    fileInfoRef.current = null;
+    setFileInfo(null);
+    setSheetOptions(null);
+  }, []);
+
+  // Abort a running parse after the current batch
+  const cancelParse = useCallback(() => {
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'CANCEL' });
+    }
+  }, []);
+
+  // Validate data - employees against the admin's validation rules, record targets against existing records
+  const validateData = useCallback(async (mapping, nextCorrections = corrections) => {
     setIsProcessing(true);
     const worker = initWorker();
+    const target = importTargetRef.current;
+
+    let lookups;
+    try {
+      lookups = await loadValidationLookups(target);
+    } catch (error) {
+      console.error('Error loading existing records for validation:', error);
+      toast.error('Could not load existing employees and projects');
+      setIsProcessing(false);
+      return false;
+    }
 
     worker.postMessage({
       type: 'VALIDATE_DATA',
       data: {
-        rows: allData,
         columnMapping: mapping || columnMapping,
-        requiredFields,
+        fieldRules,
+        locale: importLocale,
+        customAttributes,
+        corrections: nextCorrections,
+        target,
+        ...lookups,
       },
     });
-  }, [allData, columnMapping, initWorker]);
+    return true;
+  }, [columnMapping, fieldRules, importLocale, customAttributes, corrections, initWorker, loadValidationLookups]);
+
+  /**
+   * Save corrections of Step 3 and re-validate the rows they touch
+   * Employee rows are checked on their own; record target files are small and validated again as a whole
+   */
+  const revalidateRows = useCallback((rowNumbers, nextCorrections) => {
+    setCorrections(nextCorrections);
+    if (RECORD_TARGET_LABELS[importTargetRef.current]) {
+      validateData(columnMapping, nextCorrections);
+      return;
+    }
+
+    setIsRevalidating(true);
+    initWorker().postMessage({
+      type: 'REVALIDATE_ROWS',
+      data: {
+        rowNumbers,
+        columnMapping,
+        fieldRules,
+        locale: importLocale,
+        customAttributes,
+        corrections: nextCorrections,
+        validationRules: validationLookupsRef.current.validationRules,
+      },
+    });
+  }, [columnMapping, fieldRules, importLocale, customAttributes, initWorker, validateData]);
+
+  // Ask the worker for part of the file it keeps; resolves with its ROWS / COLUMN_VALUES reply
+  const requestFromWorker = useCallback((type, data) => new Promise((resolve) => {
+    const requestId = ++requestIdRef.current;
+    pendingRequestsRef.current.set(requestId, resolve);
+    initWorker().postMessage({ type, data: { ...data, requestId } });
+  }), [initWorker]);
+
+  // File rows by row number (2 = first row below the header), for the correction grid and row exports
+  const getFileRows = useCallback(async (rowNumbers) => (
+    (await requestFromWorker('GET_ROWS', { rowNumbers })).rows
+  ), [requestFromWorker]);
+
+  // Distinct values of a file column, skipping those in exclude, for lookup tables of Step 2
+  const getColumnValues = useCallback(async (column, { exclude, limit } = {}) => (
+    (await requestFromWorker('GET_COLUMN_VALUES', { column, exclude, limit })).values
+  ), [requestFromWorker]);
 
   // Start import process
   const startImport = useCallback((skipInvalidRows = false) => {
@@ -197,20 +591,26 @@ export const ImportProvider = ({ children }) => {
     };
 
     const worker = initWorker();
+    const target = importTargetRef.current;
+    const lookups = validationLookupsRef.current;
 
     worker.postMessage({
       type: 'PROCESS_IMPORT',
       data: {
-        rows: allData,
         columnMapping,
-        transformRules: {},
+        fieldRules,
+        locale: importLocale,
+        customAttributes,
+        corrections,
         skipInvalidRows,
+        target,
+        ...lookups,
       },
     });
-  }, [allData, columnMapping, initWorker]);
+  }, [columnMapping, fieldRules, importLocale, customAttributes, corrections, initWorker]);
 
   /**
-   * Handle import completion - save to database
+   * Save import results to the database
    *
    * Performance bottlenecks addressed:
    * 1. Network: Uses batch inserts (500 records) to minimize round trips
@@ -218,7 +618,7 @@ export const ImportProvider = ({ children }) => {
    * 3. DB Inserts: Batched with progress reporting
    * 4. UI Blocking: Progress callbacks keep UI responsive
    */
-  const handleImportComplete = useCallback(async (results) => {
+  const saveImport = useCallback(async (results) => {
     const endTime = Date.now();
     const duration = endTime - startTimeRef.current;
 
@@ -234,6 +634,11 @@ export const ImportProvider = ({ children }) => {
     let upload = null; // Lift scope for error handling
 
     try {
+      // Employee imports write through db.js / supabaseDB directly, so the role is checked here
+      if (!hasCapability('imports.run')) {
+        throw new Error('You do not have permission to run imports');
+      }
+
       const currentFileInfo = fileInfoRef.current || fileInfo;
       const dbStartTime = performance.now();
 
@@ -269,6 +674,10 @@ export const ImportProvider = ({ children }) => {
           message: 'Creating upload record...',
         }));
 
+        // Rows this upload replaces, kept so it can be rolled back
+        const keepSnapshot = unifiedDB.employeeSnapshotDB.getRetention() > 0;
+        const previousEmployees = keepSnapshot ? await employeeSnapshotsDB.readCurrentEmployees() : [];
+
         // 1. Create upload record first
         upload = await uploadsDB.create({
           user_id: user?.id,
@@ -323,24 +732,72 @@ export const ImportProvider = ({ children }) => {
           status: 'completed',
         });
 
+        if (keepSnapshot) {
+          await employeeSnapshotsDB.create(upload.id, previousEmployees);
+          await unifiedDB.employeeSnapshotDB.prune();
+        }
+
+        await unifiedDB.auditLogDB.record('import', 'upload', {
+          entityId: upload.id,
+          details: {
+            fileName: currentFileInfo?.name || 'Unknown',
+            mode: 'snapshot',
+            recordsSuccessful: insertResult.successful,
+            recordsFailed: results.failedRows + insertResult.failed,
+          },
+        });
+
         performanceMetrics.current.dbInsertTime = performance.now() - dbStartTime;
 
       } else {
         // ===== INDEXEDDB PATH (Legacy fallback) =====
         console.log('[Import] Using IndexedDB backend (Supabase not configured)');
 
-        // Save employees to IndexedDB
-        await employeeDB.bulkAdd(results.employees, (processed, total) => {
+        const { mode, markMissingAsExited } = importOptionsRef.current;
+        const onSaveProgress = (processed, total) => {
           const progress = 92 + Math.floor((processed / total) * 7);
           setImportProgress(prev => ({
             ...prev,
             progress,
             message: `Saving ${processed.toLocaleString()} of ${total.toLocaleString()} employees...`,
           }));
-        });
+        };
+
+        // Keep the previous employee set to compute per-employee movements
+        const previousEmployees = await employeeDB.getAll();
+
+        // Save employees to IndexedDB
+        let mergeSummary = null;
+        if (mode === 'merge') {
+          mergeSummary = await employeeDB.bulkMerge(results.employees, onSaveProgress, {
+            markMissingAsExited,
+            mappedFields: results.mappedFields,
+          });
+          results = { ...results, mergeSummary };
+        } else {
+          await employeeDB.bulkAdd(results.employees, onSaveProgress);
+        }
+
+        setImportProgress(prev => ({
+          ...prev,
+          progress: 99,
+          message: 'Recording changes since last import...',
+        }));
 
-        // Save import history
-        await importHistoryDB.add({
+        const [currentEmployees, stats] = await Promise.all([
+          employeeDB.getAll(),
+          employeeDB.getStats(),
+        ]);
+        const changes = previousEmployees.length > 0
+          ? diffEmployeeSnapshots(previousEmployees, currentEmployees)
+          : [];
+        const changeSummary = changes.reduce((acc, change) => {
+          acc[change.changeType] = (acc[change.changeType] || 0) + 1;
+          return acc;
+        }, {});
+
+        // Save import history with aggregated snapshot
+        const importId = await importHistoryDB.addWithSnapshot({
           fileName: currentFileInfo?.name || 'Unknown',
           fileSize: currentFileInfo?.size || 0,
           totalRecords: results.totalRows,
@@ -353,6 +810,30 @@ export const ImportProvider = ({ children }) => {
           errorLog: results.errors,
           totalSalary: Math.round(totalSalary),
           departmentBreakdown: deptCounts,
+          importMode: mode,
+          mergeSummary,
+          changeSummary,
+        }, stats);
+
+        if (changes.length > 0) {
+          await changeLogDB.bulkAdd(importId, changes);
+        }
+
+        // Keep the replaced employee set so the import can be rolled back
+        if (unifiedDB.employeeSnapshotDB.getRetention() > 0) {
+          await employeeSnapshotDB.add(importId, previousEmployees);
+          await unifiedDB.employeeSnapshotDB.prune();
+        }
+
+        await unifiedDB.auditLogDB.record('import', 'upload', {
+          entityId: importId,
+          details: {
+            fileName: currentFileInfo?.name || 'Unknown',
+            mode,
+            recordsSuccessful: results.successfulRows,
+            recordsFailed: results.failedRows,
+            changeSummary,
+          },
         });
 
         performanceMetrics.current.dbInsertTime = performance.now() - dbStartTime;
@@ -403,6 +884,7 @@ export const ImportProvider = ({ children }) => {
             error_log: [{ message: errorMessage, timestamp: new Date().toISOString() }]
           });
         } catch (e) { console.error('Failed to update upload status:', e); }
+        if (autoRunRef.current) autoRunRef.current.recorded = true;
       }
 
       // Set import results to failed state so UI renders
@@ -417,15 +899,243 @@ export const ImportProvider = ({ children }) => {
     }
   }, [fileInfo, user]);
 
+  // Programs already on record (same employee, start date and percentage) are not added twice
+  const persistPrograms = useCallback(async (results) => {
+    const [employeeIndex, existingPrograms] = await Promise.all([
+      loadEmployeeIndex(),
+      unifiedDB.reductionProgramDB.getAll(),
+    ]);
+
+    const programKey = (p) => `${p.employeeId}|${String(p.startDate || '').slice(0, 10)}|${Number(p.reductionPercentage)}`;
+    const existingKeys = new Set((existingPrograms || []).map(programKey));
+    const createdAt = new Date().toISOString();
+
+    const programs = results.programs
+      .filter(program => !existingKeys.has(programKey(program)))
+      .map(program => {
+        const employee = employeeIndex.get(program.employeeId);
+        return {
+          ...program,
+          employeeRecordId: employee?.id,
+          employeeName: employee?.name,
+          department: employee?.department,
+          createdAt,
+        };
+      });
+
+    if (programs.length > 0) {
+      await unifiedDB.reductionProgramDB.bulkAdd(programs);
+    }
+
+    return {
+      successfulRows: programs.length,
+      existingRows: results.programs.length - programs.length,
+    };
+  }, [loadEmployeeIndex]);
+
+  // Projects are matched by name, so an exported and edited project list updates in place
+  const persistProjects = useCallback(async (results) => {
+    const existingProjects = await unifiedDB.projectDB.getAll();
+    const byName = new Map(
+      (existingProjects || []).map(project => [String(project.name).toLowerCase(), project])
+    );
+
+    const added = [];
+    const updated = [];
+    results.projects.forEach(project => {
+      const match = byName.get(project.name.toLowerCase());
+      if (match) {
+        updated.push({ id: match.id, project });
+      } else {
+        added.push(project);
+      }
+    });
+
+    if (added.length > 0) {
+      await unifiedDB.projectDB.bulkAdd(added);
+    }
+    for (const { id, project } of updated) {
+      await unifiedDB.projectDB.update(id, project);
+    }
+
+    return { successfulRows: added.length, updatedRows: updated.length };
+  }, []);
+
+  // One assignment per employee and project - existing ones are updated, over-allocations skipped
+  const persistAssignments = useCallback(async (results) => {
+    const [employeeIndex, projectIndex, existingAssignments] = await Promise.all([
+      loadEmployeeIndex(),
+      loadProjectIndex(),
+      unifiedDB.assignmentDB.getAll(),
+    ]);
+
+    const resolved = resolveAssignments(results.assignments, { employeeIndex, projectIndex, existingAssignments });
+    const unresolved = resolved
+      .filter(a => a.projectId === undefined)
+      .map(a => ({
+        type: 'unknown_project',
+        field: 'project',
+        message: `Project "${a.projectName}" does not exist`,
+        row: a.importMetadata?.sourceRow,
+      }));
+    const { accepted, rejected } = findAllocationConflicts(
+      resolved.filter(a => a.projectId !== undefined),
+      existingAssignments
+    );
+
+    const createdAt = new Date().toISOString();
+    const added = accepted
+      .filter(a => a.existingId === undefined)
+      .map(({ existingId, ...assignment }) => ({ ...assignment, createdAt }));
+    const updated = accepted.filter(a => a.existingId !== undefined);
+
+    if (added.length > 0) {
+      await unifiedDB.assignmentDB.bulkAdd(added);
+    }
+    for (const { existingId, ...assignment } of updated) {
+      await unifiedDB.assignmentDB.update(existingId, assignment);
+    }
+
+    return {
+      successfulRows: added.length,
+      updatedRows: updated.length,
+      skippedRows: results.skippedRows + unresolved.length + rejected.length,
+      errors: [...results.errors, ...unresolved, ...rejected],
+    };
+  }, [loadEmployeeIndex, loadProjectIndex]);
+
+  /**
+   * Save the records of a non-employee import target
+   * These imports are not part of the import history, which tracks employee snapshots
+   */
+  const saveRecordImport = useCallback(async (results) => {
+    const duration = Date.now() - startTimeRef.current;
+    const target = importTargetRef.current;
+    const label = RECORD_TARGET_LABELS[target];
+    const persist = {
+      reductionPrograms: persistPrograms,
+      projects: persistProjects,
+      assignments: persistAssignments,
+    }[target];
+
+    setImportProgress({
+      phase: 'finalizing',
+      progress: 90,
+      message: `Saving ${label}...`,
+      processedCount: results.processedRows,
+      totalCount: results.totalRows,
+      speed: Math.floor(results.processedRows / (duration / 1000)),
+    });
+
+    try {
+      const dbStartTime = performance.now();
+      const outcome = await persist(results);
+      performanceMetrics.current.dbInsertTime = performance.now() - dbStartTime;
+
+      await unifiedDB.auditLogDB.record('import', RECORD_TARGET_AUDIT_ENTITIES[target], {
+        details: {
+          fileName: fileInfoRef.current?.name || 'Unknown',
+          successfulRows: outcome.successfulRows,
+          updatedRows: outcome.updatedRows ?? 0,
+          existingRows: outcome.existingRows ?? 0,
+        },
+      });
+
+      setImportResults({
+        ...results,
+        ...outcome,
+        duration,
+        performanceMetrics: { ...performanceMetrics.current },
+      });
+
+      setImportProgress({
+        phase: 'complete',
+        progress: 100,
+        message: 'Import complete!',
+        processedCount: results.processedRows,
+        totalCount: results.totalRows,
+        speed: Math.floor(results.processedRows / (duration / 1000)),
+      });
+
+      setIsProcessing(false);
+      setCurrentStep(4);
+    } catch (error) {
+      console.error(`Error saving ${label}:`, error);
+
+      const errorMessage = error.details || error.message || 'Unknown error';
+      toast.error(`Import failed: ${errorMessage}`);
+
+      setImportResults({
+        ...results,
+        successfulRows: 0,
+        failedRows: results.totalRows,
+        errors: [...results.errors, { message: `Database Error: ${errorMessage}` }]
+      });
+
+      setIsProcessing(false);
+    }
+  }, [persistPrograms, persistProjects, persistAssignments]);
+
+  /**
+   * Handle worker output - delta merges stop for review, snapshots save directly
+   */
+  const handleImportComplete = useCallback(async (results) => {
+    if (RECORD_TARGET_LABELS[importTargetRef.current]) {
+      return saveRecordImport(results);
+    }
+
+    if (importOptionsRef.current.mode !== 'merge' || useSupabase()) {
+      return saveImport(results);
+    }
+
+    setImportProgress(prev => ({
+      ...prev,
+      phase: 'finalizing',
+      progress: 90,
+      message: 'Comparing with existing employees...',
+    }));
+
+    try {
+      const preview = await employeeDB.previewMerge(results.employees, {
+        markMissingAsExited: importOptionsRef.current.markMissingAsExited,
+        mappedFields: results.mappedFields,
+      });
+      pendingResultsRef.current = results;
+      setMergePreview(preview);
+      setImportProgress(prev => ({
+        ...prev,
+        phase: 'review',
+        message: 'Review changes before committing',
+      }));
+      setIsProcessing(false);
+    } catch (error) {
+      console.error('Error previewing merge:', error);
+      toast.error(`Import failed: ${error.message || 'Unknown error'}`);
+      setIsProcessing(false);
+    }
+  }, [saveImport, saveRecordImport]);
+
+  // Commit a reviewed delta merge
+  const commitImport = useCallback(() => {
+    const results = pendingResultsRef.current;
+    if (!results) return;
+
+    pendingResultsRef.current = null;
+    setIsProcessing(true);
+    saveImport(results);
+  }, [saveImport]);
+
   // Reset import wizard
   const resetImport = useCallback(() => {
     setCurrentStep(1);
     setFileInfo(null);
     setHeaders([]);
     setSampleData([]);
-    setAllData([]);
+    setRowCount(0);
     setColumnMapping({});
+    setFieldRules({});
     setValidationResults(null);
+    setCorrections({});
     setImportProgress({
       phase: '',
       progress: 0,
@@ -436,6 +1146,18 @@ export const ImportProvider = ({ children }) => {
     });
     setImportResults(null);
     setIsProcessing(false);
+    setMergePreview(null);
+    setSheetOptions(null);
+    setImportLocaleState(DEFAULT_IMPORT_LOCALE);
+    setLocaleDetection(null);
+    setImportTarget('employees');
+    pendingResultsRef.current = null;
+    pendingRequestsRef.current.clear();
+    fileRef.current = null;
+    employeeIndexRef.current = null;
+    projectIndexRef.current = null;
+    existingAssignmentsRef.current = null;
+    validationLookupsRef.current = {};
     performanceMetrics.current = {
       parseTime: 0,
       validationTime: 0,
@@ -448,7 +1170,67 @@ export const ImportProvider = ({ children }) => {
       workerRef.current.terminate();
       workerRef.current = null;
     }
-  }, []);
+  }, [setImportTarget]);
+
+  /**
+   * Run the whole pipeline unattended, e.g. for a watched folder: parse (first sheet of a workbook),
+   * map with a saved employee template, validate, import with invalid rows skipped and commit a
+   * merge without review. Resolves with { status: 'completed' | 'failed', error, results, recorded }
+   */
+  const runAutoImport = useCallback((file, { template, mode = 'snapshot' }) => new Promise((resolve) => {
+    if (autoRunRef.current) {
+      resolve({ status: 'failed', error: 'Another import is still running', recorded: false });
+      return;
+    }
+
+    resetImport();
+    setImportOptions({ mode, markMissingAsExited: false });
+    autoRunRef.current = { template, resolve, recorded: false };
+    setAutoRunPhase('parsing');
+    parseFile(file);
+  }), [resetImport, setImportOptions, parseFile]);
+
+  // Advance an unattended run as each step of the pipeline finishes
+  useEffect(() => {
+    const run = autoRunRef.current;
+    if (!run) return;
+
+    if (autoRunPhase === 'parsing' && currentStep === 2) {
+      // Like loading the template in Step 2: columns missing from the file are dropped
+      const headerSet = new Set(headers);
+      const mapping = Object.fromEntries(
+        Object.entries(run.template.columnMapping || {}).filter(([, column]) => headerSet.has(column))
+      );
+      if (!mapping.employeeId) {
+        finishAutoRun({ status: 'failed', error: `The Employee ID column of template "${run.template.name}" is not in the file` });
+        return;
+      }
+      setColumnMapping(mapping);
+      setFieldRules(run.template.fieldRules || {});
+      if (run.template.locale) setImportLocale(run.template.locale);
+      setAutoRunPhase('mapped');
+    } else if (autoRunPhase === 'mapped') {
+      setAutoRunPhase('validating');
+      validateData(columnMapping).then((started) => {
+        if (!started) finishAutoRun({ status: 'failed', error: 'Could not load the validation rules' });
+      });
+    } else if (autoRunPhase === 'validating' && validationResults) {
+      if (validationResults.validRows === 0) {
+        finishAutoRun({ status: 'failed', error: 'No row of the file passed validation', results: validationResults });
+        return;
+      }
+      setAutoRunPhase('importing');
+      startImport(true);
+    } else if (autoRunPhase === 'importing' && mergePreview) {
+      setAutoRunPhase('saving');
+      commitImport();
+    } else if ((autoRunPhase === 'importing' || autoRunPhase === 'saving') && importResults) {
+      // saveImport only moves on to Step 4 when the employees were written
+      finishAutoRun(currentStep === 4
+        ? { status: 'completed', results: importResults }
+        : { status: 'failed', error: importResults.errors?.at(-1)?.message || 'Import failed', results: importResults });
+    }
+  }, [autoRunPhase, currentStep, headers, columnMapping, validationResults, mergePreview, importResults, validateData, startImport, commitImport, setImportLocale]);
 
   // Go to specific step
   const goToStep = useCallback((step) => {
@@ -463,20 +1245,45 @@ export const ImportProvider = ({ children }) => {
     fileInfo,
     headers,
     sampleData,
-    allData,
+    rowCount,
     columnMapping,
+    fieldRules,
     validationResults,
+    corrections,
+    isRevalidating,
     importProgress,
     importResults,
     isProcessing,
+    importOptions,
+    mergePreview,
+    importTarget,
+    sheetOptions,
+    importLocale,
+    localeDetection,
+    customAttributes,
+    autoRunPhase,
+    supportsDeltaMerge: !useSupabase(),
 
     // Actions
     parseFile,
+    parseSheets,
+    discardFile,
+    cancelParse,
     validateData,
+    revalidateRows,
+    getFileRows,
+    getColumnValues,
     startImport,
+    commitImport,
+    setImportOptions,
+    setImportTarget,
+    setImportLocale,
+    loadCustomAttributes,
     resetImport,
     goToStep,
     setColumnMapping,
+    setFieldRules,
+    runAutoImport,
   };
 
   return (
@@ -3,12 +3,15 @@ import { Outlet, useNavigate, useLocation } from 'react-router-dom';
 import {
     Moon, Sun, LayoutDashboard, Users, Briefcase,
     Upload, FileText, LogOut, UserCog, TrendingDown,
-    Menu, X, Settings, Database, ChevronLeft, Bell, MessageSquare, BarChart3, Calculator, Gauge, Wallet, GitCompare
+    Menu, X, Settings, Database, ChevronLeft, Bell, MessageSquare, BarChart3, Calculator, Gauge, Wallet, GitCompare, UserMinus, ScrollText
 } from 'lucide-react';
 import { useApp } from '../contexts/AppContext';
+import { useAuth } from '../contexts/AuthContext';
+import { getRoleLabel } from '../utils/permissions';
 import { Toaster } from 'react-hot-toast';
 import { ImportProvider } from '../contexts/ImportContext';
 import ImportWizard from '../components/import/ImportWizard';
+import FolderWatchRunner from '../components/import/FolderWatchRunner';
 import GlobalSearch from '../components/GlobalSearch';
 import { ShortcutsProvider, ShortcutsHelpButton } from '../components/KeyboardShortcuts';
 import OnboardingTour from '../components/OnboardingTour';
@@ -16,6 +19,7 @@ import toast from 'react-hot-toast';
 
 const MainLayout = ({ currentUser, onLogout }) => {
     const { darkMode, toggleDarkMode } = useApp();
+    const { can } = useAuth();
     const [showImportWizard, setShowImportWizard] = useState(false);
     const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
     const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
@@ -28,27 +32,38 @@ const MainLayout = ({ currentUser, onLogout }) => {
         toast.success('Logged out successfully');
     };
 
+    // Pages the role lacks a capability for are left out (same requirements as the routes in App.jsx)
+    const isPermitted = (item) => [].concat(item.requires || []).every(can);
+
     // Main navigation items
     const mainNavigation = [
-        { id: '/', label: 'Dashboard', icon: LayoutDashboard },
-        { id: '/employees', label: 'Employees', icon: Users },
-        { id: '/projects', label: 'Projects', icon: Briefcase },
-        { id: '/analytics', label: 'Analytics', icon: BarChart3 },
-        { id: '/simulation', label: 'Simulation', icon: Calculator },
-        { id: '/capacity', label: 'Kapazität', icon: Gauge },
-        { id: '/budget', label: 'Budget', icon: Wallet },
-        { id: '/data-comparison', label: 'Vergleich', icon: GitCompare },
-        { id: '/comparison', label: 'Cost Tracking', icon: TrendingDown },
-        { id: '/reports', label: 'Reports', icon: FileText },
-        { id: '/chat', label: 'AI Assistant', icon: MessageSquare },
-    ];
+        { id: '/', label: 'Dashboard', icon: LayoutDashboard, requires: 'headcount.view' },
+        { id: '/employees', label: 'Employees', icon: Users, requires: 'employees.view' },
+        { id: '/projects', label: 'Projects', icon: Briefcase, requires: 'employees.view' },
+        { id: '/programs', label: 'Programs', icon: UserMinus, requires: 'employees.view' },
+        { id: '/analytics', label: 'Analytics', icon: BarChart3, requires: 'headcount.view' },
+        { id: '/simulation', label: 'Simulation', icon: Calculator, requires: 'employees.view' },
+        { id: '/capacity', label: 'Kapazität', icon: Gauge, requires: 'headcount.view' },
+        { id: '/budget', label: 'Budget', icon: Wallet, requires: ['employees.view', 'salaries.view'] },
+        { id: '/data-comparison', label: 'Vergleich', icon: GitCompare, requires: 'employees.view' },
+        { id: '/comparison', label: 'Cost Tracking', icon: TrendingDown, requires: 'salaries.view' },
+        { id: '/reports', label: 'Reports', icon: FileText, requires: 'employees.view' },
+        { id: '/chat', label: 'AI Assistant', icon: MessageSquare, requires: 'headcount.view' },
+    ].filter(isPermitted);
 
     // Admin navigation items
-    const adminNavigation = currentUser?.role === 'admin' ? [
-        { id: '/users', label: 'User Management', icon: UserCog },
-        { id: '/uploads', label: 'Uploads', icon: Database },
-        { id: '/settings', label: 'Settings', icon: Settings },
-    ] : [];
+    const adminNavigation = [
+        { id: '/users', label: 'User Management', icon: UserCog, requires: 'users.manage' },
+        { id: '/uploads', label: 'Uploads', icon: Database, requires: 'uploads.manage' },
+        { id: '/settings', label: 'Settings', icon: Settings, requires: 'settings.manage' },
+        { id: '/audit', label: 'Audit Log', icon: ScrollText, requires: 'audit.view' },
+    ].filter(isPermitted);
+
+    const canImport = can('imports.run');
+
+    const openImportWizard = () => {
+        if (canImport) setShowImportWizard(true);
+    };
 
     const NavItem = ({ item, collapsed }) => {
         const Icon = item.icon;
@@ -84,7 +99,7 @@ const MainLayout = ({ currentUser, onLogout }) => {
 
     return (
         <ShortcutsProvider
-            onImport={() => setShowImportWizard(true)}
+            onImport={openImportWizard}
             onToggleTheme={toggleDarkMode}
         >
         <div className="min-h-screen bg-gray-50 dark:bg-gray-950 transition-colors duration-200">
@@ -178,20 +193,22 @@ const MainLayout = ({ currentUser, onLogout }) => {
                 </nav>
 
                 {/* Import Button */}
-                <div className="px-3 py-4 border-t border-gray-200 dark:border-gray-800">
-                    <button
-                        onClick={() => setShowImportWizard(true)}
-                        className={`
-                            w-full flex items-center justify-center gap-2 px-4 py-2.5
-                            bg-p3-electric hover:bg-primary-600 text-white rounded-md
-                            font-medium text-sm transition-colors duration-150
-                            ${sidebarCollapsed ? 'px-2' : ''}
-                        `}
-                    >
-                        <Upload className="w-4 h-4" />
-                        {!sidebarCollapsed && <span>Import Data</span>}
-                    </button>
-                </div>
+                {canImport && (
+                    <div className="px-3 py-4 border-t border-gray-200 dark:border-gray-800">
+                        <button
+                            onClick={openImportWizard}
+                            className={`
+                                w-full flex items-center justify-center gap-2 px-4 py-2.5
+                                bg-p3-electric hover:bg-primary-600 text-white rounded-md
+                                font-medium text-sm transition-colors duration-150
+                                ${sidebarCollapsed ? 'px-2' : ''}
+                            `}
+                        >
+                            <Upload className="w-4 h-4" />
+                            {!sidebarCollapsed && <span>Import Data</span>}
+                        </button>
+                    </div>
+                )}
 
                 {/* Collapse Toggle */}
                 <button
@@ -241,7 +258,7 @@ const MainLayout = ({ currentUser, onLogout }) => {
 
                     {/* Global Search */}
                     <div className="hidden md:block">
-                        <GlobalSearch onImport={() => setShowImportWizard(true)} />
+                        <GlobalSearch onImport={openImportWizard} />
                     </div>
 
                     {/* Header Actions */}
@@ -267,8 +284,8 @@ const MainLayout = ({ currentUser, onLogout }) => {
                                 <p className="text-sm font-medium text-p3-midnight dark:text-white leading-tight">
                                     {currentUser.username}
                                 </p>
-                                <p className="text-[11px] text-gray-500 dark:text-gray-400 capitalize">
-                                    {currentUser.role}
+                                <p className="text-[11px] text-gray-500 dark:text-gray-400">
+                                    {getRoleLabel(currentUser.role)}
                                 </p>
                             </div>
                             <div className="w-9 h-9 bg-gray-100 dark:bg-gray-800 rounded-full flex items-center justify-center border border-gray-200 dark:border-gray-700">
@@ -342,18 +359,20 @@ const MainLayout = ({ currentUser, onLogout }) => {
                         </nav>
 
                         {/* Mobile Import Button */}
-                        <div className="px-3 py-4 border-t border-gray-200 dark:border-gray-800">
-                            <button
-                                onClick={() => {
-                                    setShowImportWizard(true);
-                                    setIsMobileMenuOpen(false);
-                                }}
-                                className="w-full flex items-center justify-center gap-2 px-4 py-2.5 bg-p3-electric hover:bg-primary-600 text-white rounded-md font-medium text-sm transition-colors"
-                            >
-                                <Upload className="w-4 h-4" />
-                                <span>Import Data</span>
-                            </button>
-                        </div>
+                        {canImport && (
+                            <div className="px-3 py-4 border-t border-gray-200 dark:border-gray-800">
+                                <button
+                                    onClick={() => {
+                                        openImportWizard();
+                                        setIsMobileMenuOpen(false);
+                                    }}
+                                    className="w-full flex items-center justify-center gap-2 px-4 py-2.5 bg-p3-electric hover:bg-primary-600 text-white rounded-md font-medium text-sm transition-colors"
+                                >
+                                    <Upload className="w-4 h-4" />
+                                    <span>Import Data</span>
+                                </button>
+                            </div>
+                        )}
                     </aside>
                 </>
             )}
@@ -364,7 +383,7 @@ const MainLayout = ({ currentUser, onLogout }) => {
                 ${sidebarCollapsed ? 'lg:pl-[72px]' : 'lg:pl-64'}
             `}>
                 <div className="max-w-[1440px] mx-auto px-4 lg:px-8 py-6 lg:py-8 animate-fade-in">
-                    <Outlet context={{ setShowImportWizard }} />
+                    <Outlet context={{ openImportWizard }} />
                 </div>
             </main>
 
@@ -375,6 +394,13 @@ const MainLayout = ({ currentUser, onLogout }) => {
                 </ImportProvider>
             )}
 
+            {/* Folder watch import of the HR export folder, checked once per app start by users who may import */}
+            {canImport && (
+                <ImportProvider>
+                    <FolderWatchRunner />
+                </ImportProvider>
+            )}
+
             {/* Onboarding Tour */}
             <OnboardingTour />
         </div>
@@ -1,6 +1,11 @@
 /**
  * Authentication Service
  * Handles user authentication and department-based access control
+ *
+ * Passwords are stored as salted PBKDF2 hashes (WebCrypto); users created before hashing
+ * still carry a plaintext password, which is rehashed on their next successful login.
+ * Repeated failed logins lock the account with a growing delay, and sessions expire after
+ * a maximum age or a period without activity.
  */
 
 import { openDB } from 'idb';
@@ -8,6 +13,115 @@ import { openDB } from 'idb';
 const AUTH_DB_NAME = 'WorkforceAuthDB';
 const AUTH_DB_VERSION = 1;
 
+// PBKDF2 parameters; hashes with fewer iterations are upgraded on login
+const PBKDF2_ITERATIONS = 310000;
+const PBKDF2_HASH = 'SHA-256';
+const SALT_BYTES = 16;
+const KEY_BITS = 256;
+
+// Failed logins before the account locks, then 1, 2, 4 ... minutes up to an hour per further failure
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+// Sessions end 8 hours after login or after 30 minutes without activity
+export const SESSION_MAX_AGE_MS = 8 * 60 * 60 * 1000;
+export const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Account created on first launch; its well-known password has to be changed before the app can be used
+const DEFAULT_ADMIN = { username: 'admin', password: 'admin123' };
+
+export const PASSWORD_POLICY = {
+  minLength: 10,
+  hint: 'At least 10 characters with upper and lower case letters and a number, not containing the username',
+};
+
+/**
+ * Policy rules a password breaks, as messages; empty when it is acceptable
+ */
+export const validatePassword = (password, { username } = {}) => {
+  const value = password || '';
+  const problems = [];
+  if (value.length < PASSWORD_POLICY.minLength) problems.push(`Use at least ${PASSWORD_POLICY.minLength} characters`);
+  if (!/[a-z]/.test(value)) problems.push('Add a lower case letter');
+  if (!/[A-Z]/.test(value)) problems.push('Add an upper case letter');
+  if (!/[0-9]/.test(value)) problems.push('Add a number');
+  if (username && value.toLowerCase().includes(username.toLowerCase())) problems.push('Do not use the username');
+  return problems;
+};
+
+const assertPasswordPolicy = (password, username) => {
+  const problems = validatePassword(password, { username });
+  if (problems.length > 0) {
+    throw new Error(`Password does not meet the policy: ${problems.join(', ')}`);
+  }
+};
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+const deriveKey = async (password, salt, iterations) => {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: PBKDF2_HASH, salt, iterations }, key, KEY_BITS);
+  return new Uint8Array(bits);
+};
+
+// { algorithm, iterations, salt, hash } as stored on the user
+const hashPassword = async (password) => {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await deriveKey(password, salt, PBKDF2_ITERATIONS);
+  return { algorithm: `PBKDF2-${PBKDF2_HASH}`, iterations: PBKDF2_ITERATIONS, salt: toBase64(salt), hash: toBase64(hash) };
+};
+
+// Compare every byte so the time taken does not reveal where a guess went wrong
+const equalBytes = (a, b) => {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) difference |= a[i] ^ b[i];
+  return difference === 0;
+};
+
+const verifyPassword = async (password, user) => {
+  if (user.passwordHash) {
+    const { salt, hash, iterations } = user.passwordHash;
+    return equalBytes(await deriveKey(password, fromBase64(salt), iterations), fromBase64(hash));
+  }
+  // Legacy plaintext record
+  return typeof user.password === 'string' && equalBytes(new TextEncoder().encode(password), new TextEncoder().encode(user.password));
+};
+
+const needsRehash = (user) => !user.passwordHash || user.passwordHash.iterations < PBKDF2_ITERATIONS;
+
+// Lock duration after the given number of consecutive failures, 0 below the limit
+const lockoutDuration = (failedAttempts) => {
+  if (failedAttempts < MAX_FAILED_ATTEMPTS) return 0;
+  return Math.min(LOCKOUT_BASE_MS * 2 ** (failedAttempts - MAX_FAILED_ATTEMPTS), LOCKOUT_MAX_MS);
+};
+
+// User record without credentials and lockout bookkeeping
+const toPublicUser = ({ password, passwordHash, failedAttempts, lockedUntil, ...user }) => ({
+  ...user,
+  isLocked: !!lockedUntil && new Date(lockedUntil) > new Date(),
+});
+
+// Credential fields for a new password; a new password also lifts a lockout
+const credentialsFor = async (password) => ({
+  password: undefined,
+  passwordHash: await hashPassword(password),
+  passwordChangedAt: new Date().toISOString(),
+  failedAttempts: 0,
+  lockedUntil: null,
+});
+
+const withoutUndefined = (record) => {
+  Object.keys(record).forEach(key => record[key] === undefined && delete record[key]);
+  return record;
+};
+
+const isSessionExpired = (session, now = Date.now()) =>
+  now > new Date(session.expiresAt || 0).getTime() ||
+  now - new Date(session.lastActivity || session.loginTime).getTime() > SESSION_IDLE_TIMEOUT_MS;
+
 // Initialize Auth Database
 export const initAuthDB = async () => {
   return openDB(AUTH_DB_NAME, AUTH_DB_VERSION, {
@@ -32,7 +146,7 @@ export const initAuthDB = async () => {
 
 // User Management
 export const authService = {
-  // Create initial admin user if none exists
+  // Create initial admin user if none exists; its well-known password has to be changed on first login
   async initializeAdmin() {
     const db = await initAuthDB();
     const users = await db.getAll('users');
@@ -40,28 +154,44 @@ export const authService = {
     if (users.length === 0) {
       // Create default admin user
       await db.add('users', {
-        username: 'admin',
-        password: 'admin123', // In production, this should be hashed
+        username: DEFAULT_ADMIN.username,
+        passwordHash: await hashPassword(DEFAULT_ADMIN.password),
+        mustChangePassword: true,
         email: 'admin@company.com',
         role: 'admin',
         departments: ['ALL'], // Admin has access to all departments
         isActive: true,
+        failedAttempts: 0,
+        lockedUntil: null,
         createdAt: new Date().toISOString(),
       });
     }
   },
 
-  // Login
+  // Login; the result carries mustChangePassword when changePassword has to run before anything else
   async login(username, password) {
     const db = await initAuthDB();
     const user = await db.getFromIndex('users', 'username', username);
 
     if (!user) {
+      // Spend the same time as a wrong password so unknown usernames cannot be told apart
+      await hashPassword(password || '');
       throw new Error('Invalid username or password');
     }
 
-    // In production, use proper password hashing (bcrypt, etc.)
-    if (user.password !== password) {
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+      const minutes = Math.ceil((new Date(user.lockedUntil) - new Date()) / 60000);
+      throw new Error(`Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`);
+    }
+
+    if (!(await verifyPassword(password, user))) {
+      const failedAttempts = (user.failedAttempts || 0) + 1;
+      const lockMs = lockoutDuration(failedAttempts);
+      await db.put('users', {
+        ...user,
+        failedAttempts,
+        lockedUntil: lockMs > 0 ? new Date(Date.now() + lockMs).toISOString() : null,
+      });
       throw new Error('Invalid username or password');
     }
 
@@ -69,7 +199,24 @@ export const authService = {
       throw new Error('User account is inactive');
     }
 
+    // Plaintext and outdated hashes are replaced now that the password is known;
+    // the default admin of an older installation still signs in with the well-known password
+    const credentials = needsRehash(user)
+      ? { password: undefined, passwordHash: await hashPassword(password) }
+      : {};
+    const mustChangePassword = !!user.mustChangePassword
+      || (user.username === DEFAULT_ADMIN.username && password === DEFAULT_ADMIN.password);
+    await db.put('users', withoutUndefined({
+      ...user,
+      ...credentials,
+      mustChangePassword,
+      failedAttempts: 0,
+      lockedUntil: null,
+      lastLoginAt: new Date().toISOString(),
+    }));
+
     // Create session
+    const now = new Date();
     await db.put('session', {
       key: 'currentUser',
       userId: user.id,
@@ -77,7 +224,10 @@ export const authService = {
       email: user.email,
       role: user.role,
       departments: user.departments,
-      loginTime: new Date().toISOString(),
+      mustChangePassword,
+      loginTime: now.toISOString(),
+      lastActivity: now.toISOString(),
+      expiresAt: new Date(now.getTime() + SESSION_MAX_AGE_MS).toISOString(),
     });
 
     return {
@@ -86,20 +236,64 @@ export const authService = {
       email: user.email,
       role: user.role,
       departments: user.departments,
+      mustChangePassword,
     };
   },
 
+  // Change one's own password; required after login while mustChangePassword is set
+  async changePassword(userId, currentPassword, newPassword) {
+    const db = await initAuthDB();
+    const user = await db.get('users', userId);
+
+    if (!user || !(await verifyPassword(currentPassword, user))) {
+      throw new Error('Current password is incorrect');
+    }
+    if (currentPassword === newPassword) {
+      throw new Error('The new password must differ from the current one');
+    }
+    assertPasswordPolicy(newPassword, user.username);
+
+    await db.put('users', withoutUndefined({
+      ...user,
+      ...(await credentialsFor(newPassword)),
+      mustChangePassword: false,
+      updatedAt: new Date().toISOString(),
+    }));
+
+    const session = await db.get('session', 'currentUser');
+    if (session?.userId === userId) {
+      await db.put('session', { ...session, mustChangePassword: false });
+    }
+  },
+
   // Logout
   async logout() {
     const db = await initAuthDB();
     await db.delete('session', 'currentUser');
   },
 
-  // Get current session
+  // Get current session; an expired or idle session is removed and yields null
   async getCurrentUser() {
     const db = await initAuthDB();
     const session = await db.get('session', 'currentUser');
-    return session || null;
+    if (!session) return null;
+
+    if (isSessionExpired(session)) {
+      await db.delete('session', 'currentUser');
+      return null;
+    }
+    return session;
+  },
+
+  // Record activity on the current session so the idle timeout starts over
+  async touchSession() {
+    const session = await this.getCurrentUser();
+    if (!session) return null;
+
+    const db = await initAuthDB();
+    const touched = { ...session, lastActivity: new Date().toISOString() };
+    await db.put('session', touched);
+    return touched;
   },
 
   // Check if user is authenticated
@@ -108,10 +302,10 @@ export const authService = {
     return !!session;
   },
 
-  // Get all users (admin only)
+  // Get all users (admin only), without their credentials
   async getAllUsers() {
     const db = await initAuthDB();
-    return db.getAll('users');
+    return (await db.getAll('users')).map(toPublicUser);
   },
 
   // Add new user
@@ -129,17 +323,21 @@ export const authService = {
       throw new Error('Email already exists');
     }
 
-    const user = {
-      ...userData,
+    assertPasswordPolicy(userData.password, userData.username);
+
+    const { password, ...profile } = userData;
+    const user = withoutUndefined({
+      ...profile,
+      ...(await credentialsFor(password)),
       isActive: true,
       createdAt: new Date().toISOString(),
-    };
+    });
 
     const id = await db.add('users', user);
-    return { ...user, id };
+    return toPublicUser({ ...user, id });
   },
 
-  // Update user
+  // Update user; a blank password keeps the current one, a new one is checked against the policy
   async updateUser(id, updates) {
     const db = await initAuthDB();
     const user = await db.get('users', id);
@@ -148,14 +346,34 @@ export const authService = {
       throw new Error('User not found');
     }
 
-    const updated = {
+    const { password, passwordHash, failedAttempts, lockedUntil, ...profile } = updates;
+    let credentials = {};
+    if (password) {
+      assertPasswordPolicy(password, profile.username || user.username);
+      credentials = await credentialsFor(password);
+    }
+
+    const updated = withoutUndefined({
       ...user,
-      ...updates,
+      ...profile,
+      ...credentials,
       updatedAt: new Date().toISOString(),
-    };
+    });
 
     await db.put('users', updated);
-    return updated;
+    return toPublicUser(updated);
+  },
+
+  // Lift a lockout before it runs out (admin only)
+  async unlockUser(id) {
+    const db = await initAuthDB();
+    const user = await db.get('users', id);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await db.put('users', { ...user, failedAttempts: 0, lockedUntil: null });
   },
 
   // Delete user
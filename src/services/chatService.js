@@ -38,6 +38,9 @@ export function generateSystemPrompt(dataContext = null) {
 NOTE: No workforce data is currently loaded. Guide the user to import data using the Import function.`;
   }
 
+  // Users without access to salaries get statistics without them (salariesHidden); leave the lines out
+  const showSalaries = !dataContext.salariesHidden;
+
   const dataSection = `
 
 === CURRENT WORKFORCE DATA ===
@@ -45,15 +48,15 @@ NOTE: No workforce data is currently loaded. Guide the user to import data using
 OVERVIEW:
 - Total Employees: ${dataContext.totalEmployees.toLocaleString()}
 - Total FTE: ${dataContext.totalFTE?.toLocaleString() || 'N/A'}
-- Total Annual Salary: €${dataContext.totalSalary?.toLocaleString() || 'N/A'}
-- Employees in Reduction Programs: ${dataContext.employeesWithReduction || 0}
+${showSalaries ? `- Total Annual Salary: €${dataContext.totalSalary?.toLocaleString() || 'N/A'}
+` : ''}- Employees in Reduction Programs: ${dataContext.employeesWithReduction || 0}
 - Number of Departments: ${Object.keys(dataContext.departmentDetails || {}).length}
 
 DEPARTMENT BREAKDOWN:
 ${Object.entries(dataContext.departmentDetails || {})
   .sort((a, b) => b[1].count - a[1].count)
   .slice(0, 15)
-  .map(([name, data]) => `- ${name}: ${data.count} employees, ${data.totalFTE?.toFixed(0) || 'N/A'} FTE, €${data.totalSalary?.toLocaleString() || 'N/A'} total salary`)
+  .map(([name, data]) => `- ${name}: ${data.count} employees, ${data.totalFTE?.toFixed(0) || 'N/A'} FTE${showSalaries ? `, €${data.totalSalary?.toLocaleString() || 'N/A'} total salary` : ''}`)
   .join('\n')}
 
 ${Object.keys(dataContext.departmentDetails || {}).length > 15 ? `... and ${Object.keys(dataContext.departmentDetails).length - 15} more departments` : ''}
@@ -78,13 +81,15 @@ ${Object.entries(dataContext.statusCounts || {})
   .join('\n') || 'No status data available'}
 
 KEY METRICS:
-- Average Salary: €${dataContext.totalEmployees > 0 ? Math.round(dataContext.totalSalary / dataContext.totalEmployees).toLocaleString() : 'N/A'} per employee
-- Average FTE: ${dataContext.totalEmployees > 0 ? (dataContext.totalFTE / dataContext.totalEmployees * 100).toFixed(1) : 'N/A'}%
+${showSalaries ? `- Average Salary: €${dataContext.totalEmployees > 0 ? Math.round(dataContext.totalSalary / dataContext.totalEmployees).toLocaleString() : 'N/A'} per employee
+` : ''}- Average FTE: ${dataContext.totalEmployees > 0 ? (dataContext.totalFTE / dataContext.totalEmployees * 100).toFixed(1) : 'N/A'}%
 - Reduction Rate: ${dataContext.totalEmployees > 0 ? ((dataContext.employeesWithReduction / dataContext.totalEmployees) * 100).toFixed(1) : 0}%
 
 === END OF DATA ===
 
-Use this data to answer user questions accurately. When users ask about specific departments, costs, or metrics, refer to the actual numbers above.`;
+Use this data to answer user questions accurately. When users ask about specific departments, costs, or metrics, refer to the actual numbers above.${showSalaries ? '' : `
+
+Salary and cost figures are not shared with this user. If asked about them, say that they require salary access instead of estimating them.`}`;
 
   return BASE_SYSTEM_PROMPT + dataSection;
 }
@@ -5,9 +5,11 @@
  */
 
 import { openDB } from 'idb';
+import { isReductionEffective, toISODate, diffEmployeeSnapshots } from '../utils/helpers';
+import { matchesCustomAttributes } from '../utils/customAttributes';
 
 const DB_NAME = 'WorkforceTrackerDB';
-const DB_VERSION = 1;
+const DB_VERSION = 10;
 
 // Database initialization
 export const initDB = async () => {
@@ -87,10 +89,235 @@ export const initDB = async () => {
         historyStore.createIndex('timestamp', 'timestamp');
         historyStore.createIndex('fileName', 'fileName');
       }
+
+      // Change Log store (per-employee movements between imports)
+      if (!db.objectStoreNames.contains('changeLog')) {
+        const changeStore = db.createObjectStore('changeLog', {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+
+        changeStore.createIndex('importId', 'importId');
+        changeStore.createIndex('employeeId', 'employeeId');
+        changeStore.createIndex('changeType', 'changeType');
+      }
+
+      // Scenarios store (saved what-if simulations)
+      if (!db.objectStoreNames.contains('scenarios')) {
+        const scenarioStore = db.createObjectStore('scenarios', {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+
+        scenarioStore.createIndex('name', 'name');
+        scenarioStore.createIndex('archived', 'archived');
+        scenarioStore.createIndex('updatedAt', 'updatedAt');
+      }
+
+      // Custom Attributes store (admin-defined employee fields)
+      if (!db.objectStoreNames.contains('customAttributes')) {
+        const attributeStore = db.createObjectStore('customAttributes', {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+
+        attributeStore.createIndex('key', 'key', { unique: true });
+      }
+
+      // Validation Rules store (admin overrides of the built-in import checks and own rules)
+      if (!db.objectStoreNames.contains('validationRules')) {
+        const ruleStore = db.createObjectStore('validationRules', {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+
+        ruleStore.createIndex('key', 'key', { unique: true });
+      }
+
+      // Employee Snapshots store (employee set an import replaced, for rollback)
+      if (!db.objectStoreNames.contains('employeeSnapshots')) {
+        const snapshotStore = db.createObjectStore('employeeSnapshots', {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+
+        snapshotStore.createIndex('importId', 'importId', { unique: true });
+      }
+
+      // Folder Watch store (the admin's watched import folder; directory handles stay in this browser)
+      if (!db.objectStoreNames.contains('folderWatch')) {
+        db.createObjectStore('folderWatch', {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+      }
+
+      // Role Permissions store (capabilities of each role, edited in User Management)
+      if (!db.objectStoreNames.contains('rolePermissions')) {
+        db.createObjectStore('rolePermissions', { keyPath: 'role' });
+      }
+
+      // Headcount became a capability of its own in version 10; saved roles keep it
+      if (oldVersion > 0 && oldVersion < 10) {
+        const roleStore = transaction.objectStore('rolePermissions');
+        roleStore.getAll().then((records) => records.forEach((record) => {
+          if (!record.capabilities.includes('headcount.view')) {
+            roleStore.put({ ...record, capabilities: ['headcount.view', ...record.capabilities] });
+          }
+        }));
+      }
+
+      // Audit Log store (append-only record of data changes and exports)
+      if (!db.objectStoreNames.contains('auditLog')) {
+        const auditStore = db.createObjectStore('auditLog', {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+
+        auditStore.createIndex('timestamp', 'timestamp');
+        auditStore.createIndex('action', 'action');
+        auditStore.createIndex('entityType', 'entityType');
+      }
     },
   });
 };
 
+// Fields maintained inside the app that an import must never overwrite
+const MERGE_PRESERVED_FIELDS = ['id', 'reductionProgram', 'skills', 'photo'];
+
+// Fields that change on every import and say nothing about the employee
+const MERGE_IGNORED_FIELDS = ['importMetadata'];
+
+// Normalize incoming rows: trimmed string employeeId, last occurrence wins
+const dedupeByEmployeeId = (employees) => {
+  const deduplicatedMap = new Map();
+  employees.forEach(emp => {
+    if (emp.employeeId && emp.employeeId.toString().trim() !== '') {
+      const employeeId = emp.employeeId.toString().trim();
+      deduplicatedMap.set(employeeId, { ...emp, employeeId });
+    }
+  });
+  return Array.from(deduplicatedMap.values());
+};
+
+// Nested fields that merge per key, so a file without one of their columns keeps its value
+const MERGE_NESTED_FIELDS = ['customAttributes', 'organizationalData'];
+
+// Record fields filled by a mapping field whose name differs; organizational fields live in organizationalData
+const MAPPED_RECORD_FIELDS = {
+  jobTitle: ['role'],
+  status: ['status', 'availability'],
+  baseSalary: ['baseSalary', 'hourlyRate'],
+};
+const ORGANIZATIONAL_FIELDS = ['company', 'country', 'plant', 'division', 'costCenter', 'managementLevel', 'reportingManager'];
+
+// Part of an incoming record that came from the file: the worker fills unmapped
+// fields with defaults (start date today, salary 0, FTE 100) that must not overwrite stored values
+const pickMappedFields = (incoming, mappedFields) => {
+  if (!mappedFields) return incoming;
+
+  const picked = {
+    employeeId: incoming.employeeId,
+    customAttributes: incoming.customAttributes,
+    importMetadata: incoming.importMetadata,
+  };
+  mappedFields.forEach(field => {
+    if (ORGANIZATIONAL_FIELDS.includes(field)) {
+      picked.organizationalData = { ...picked.organizationalData, [field]: incoming.organizationalData?.[field] };
+      return;
+    }
+    (MAPPED_RECORD_FIELDS[field] || [field]).forEach(key => {
+      if (key in incoming) picked[key] = incoming[key];
+    });
+  });
+  return picked;
+};
+
+// Check whether an incoming record differs from the stored one in any imported field
+const hasEmployeeChanged = (existing, incoming) => {
+  return Object.keys(incoming).some(key => {
+    if (MERGE_PRESERVED_FIELDS.includes(key) || MERGE_IGNORED_FIELDS.includes(key)) {
+      return false;
+    }
+    if (MERGE_NESTED_FIELDS.includes(key)) {
+      return Object.keys(incoming[key] || {}).some(nested =>
+        JSON.stringify(existing[key]?.[nested] ?? null) !== JSON.stringify(incoming[key][nested] ?? null)
+      );
+    }
+    return JSON.stringify(existing[key] ?? null) !== JSON.stringify(incoming[key] ?? null);
+  });
+};
+
+// Department scope of a read: null reads every employee, otherwise only those of the listed departments
+const inDepartmentScope = (emp, departments) => !departments || departments.includes(emp.department);
+
+// Build the insert/update/exit plan for a delta merge without writing anything.
+// mappedFields (the mapping fields of the import) limits updates to what the file carries.
+// departments (the importer's department scope) leaves employees of other departments
+// alone: their rows in the file are skipped and they are never marked as exited
+const planMerge = async (db, employees, { markMissingAsExited = false, mappedFields = null, departments = null } = {}) => {
+  const uniqueEmployees = dedupeByEmployeeId(employees);
+  const existingEmployees = await db.getAll('employees');
+
+  const existingById = new Map();
+  existingEmployees.forEach(emp => {
+    existingById.set(String(emp.employeeId).trim(), emp);
+  });
+
+  const inserts = [];
+  const updates = [];
+  let unchanged = 0;
+  let outOfScope = 0;
+
+  uniqueEmployees.forEach(incoming => {
+    const existing = existingById.get(incoming.employeeId);
+    if (!inDepartmentScope(incoming, departments) || (existing && !inDepartmentScope(existing, departments))) {
+      existingById.delete(incoming.employeeId);
+      outOfScope++;
+      return;
+    }
+
+    if (!existing) {
+      inserts.push(incoming);
+      return;
+    }
+
+    existingById.delete(incoming.employeeId);
+
+    const carried = pickMappedFields(incoming, mappedFields);
+    if (!hasEmployeeChanged(existing, carried)) {
+      unchanged++;
+      return;
+    }
+
+    const merged = { ...existing, ...carried };
+    MERGE_NESTED_FIELDS.forEach(field => {
+      if (existing[field] || carried[field]) merged[field] = { ...existing[field], ...carried[field] };
+    });
+    MERGE_PRESERVED_FIELDS.forEach(field => {
+      if (field in existing) merged[field] = existing[field];
+    });
+    updates.push(merged);
+  });
+
+  // Whatever is left was not in the file
+  const exits = [];
+  if (markMissingAsExited) {
+    const exitDate = new Date().toISOString().split('T')[0];
+    existingById.forEach(emp => {
+      if (emp.status === 'terminated' || !inDepartmentScope(emp, departments)) return;
+      exits.push({
+        ...emp,
+        status: 'terminated',
+        availability: 'inactive',
+        exitDate: emp.exitDate || exitDate,
+      });
+    });
+  }
+
+  return { uniqueEmployees, inserts, updates, exits, unchanged, outOfScope };
+};
+
 // Employee Operations
 export const employeeDB = {
   // Add single employee
@@ -100,8 +327,10 @@ export const employeeDB = {
   },
 
   // Replace all employees with new data (full snapshot import)
-  // Each import is a complete snapshot - old data is cleared and replaced
-  async bulkAdd(employees, onProgress) {
+  // Each import is a complete snapshot - old data is cleared and replaced.
+  // With departments (the importer's department scope) only employees of those
+  // departments are replaced; rows for anyone else are skipped
+  async bulkAdd(employees, onProgress, departments = null) {
     const db = await initDB();
     const chunkSize = 500;
     let processed = 0;
@@ -114,15 +343,35 @@ export const employeeDB = {
         deduplicatedMap.set(emp.employeeId.toString().trim(), emp);
       }
     });
-    const uniqueEmployees = Array.from(deduplicatedMap.values());
+    let uniqueEmployees = Array.from(deduplicatedMap.values());
 
     console.log(`bulkAdd: Starting import of ${uniqueEmployees.length} unique employees (from ${employees.length} total)`);
 
-    // Clear all existing employees first (this is a full snapshot replacement)
-    // Use a single transaction to ensure atomicity
-    console.log('bulkAdd: Clearing existing employees...');
-    await db.clear('employees');
-    console.log('bulkAdd: Clear complete, starting inserts...');
+    if (departments) {
+      // Clear the employees in scope only; those out of scope keep their employee IDs
+      const tx = db.transaction('employees', 'readwrite');
+      const kept = new Set();
+      let cursor = await tx.store.openCursor();
+      while (cursor) {
+        if (inDepartmentScope(cursor.value, departments)) {
+          await cursor.delete();
+        } else {
+          kept.add(String(cursor.value.employeeId).trim());
+        }
+        cursor = await cursor.continue();
+      }
+      await tx.done;
+
+      uniqueEmployees = uniqueEmployees.filter(emp =>
+        inDepartmentScope(emp, departments) && !kept.has(emp.employeeId.toString().trim())
+      );
+    } else {
+      // Clear all existing employees first (this is a full snapshot replacement)
+      // Use a single transaction to ensure atomicity
+      console.log('bulkAdd: Clearing existing employees...');
+      await db.clear('employees');
+      console.log('bulkAdd: Clear complete, starting inserts...');
+    }
 
     // Insert all new employees
     for (let i = 0; i < uniqueEmployees.length; i += chunkSize) {
@@ -155,6 +404,63 @@ export const employeeDB = {
     return uniqueEmployees.length;
   },
 
+  // Preview a delta merge: counts of inserts, updates and exits without writing
+  async previewMerge(employees, options = {}) {
+    const db = await initDB();
+    const plan = await planMerge(db, employees, options);
+
+    return {
+      total: plan.uniqueEmployees.length,
+      inserted: plan.inserts.length,
+      updated: plan.updates.length,
+      unchanged: plan.unchanged,
+      exited: plan.exits.length,
+      outOfScope: plan.outOfScope,
+    };
+  },
+
+  // Merge incoming employees keyed on employeeId (delta import)
+  // Existing records keep their id, so assignments, reduction programs and
+  // manual edits to fields the file does not carry survive the import
+  async bulkMerge(employees, onProgress, options = {}) {
+    const db = await initDB();
+    const chunkSize = 500;
+    const plan = await planMerge(db, employees, options);
+
+    const operations = [
+      ...plan.inserts.map(employee => ({ type: 'add', employee })),
+      ...plan.updates.map(employee => ({ type: 'put', employee })),
+      ...plan.exits.map(employee => ({ type: 'put', employee })),
+    ];
+
+    let processed = 0;
+    for (let i = 0; i < operations.length; i += chunkSize) {
+      const chunk = operations.slice(i, i + chunkSize);
+
+      const tx = db.transaction('employees', 'readwrite');
+      const store = tx.objectStore('employees');
+
+      await Promise.all(chunk.map(op =>
+        op.type === 'add' ? store.add(op.employee) : store.put(op.employee)
+      ));
+      await tx.done;
+
+      processed += chunk.length;
+      if (onProgress) {
+        onProgress(processed, operations.length);
+      }
+    }
+
+    return {
+      total: plan.uniqueEmployees.length,
+      inserted: plan.inserts.length,
+      updated: plan.updates.length,
+      unchanged: plan.unchanged,
+      exited: plan.exits.length,
+      outOfScope: plan.outOfScope,
+    };
+  },
+
   // Get employee by ID
   async get(id) {
     const db = await initDB();
@@ -167,14 +473,19 @@ export const employeeDB = {
     return db.getFromIndex('employees', 'employeeId', employeeId);
   },
 
-  // Get all employees
-  async getAll() {
+  // Get all employees, optionally of some departments only
+  async getAll(departments = null) {
     const db = await initDB();
-    return db.getAll('employees');
+    if (!departments) return db.getAll('employees');
+
+    const byDepartment = await Promise.all(
+      departments.map(department => db.getAllFromIndex('employees', 'department', department))
+    );
+    return byDepartment.flat();
   },
 
   // Get employees with pagination
-  async getPaginated(offset = 0, limit = 50) {
+  async getPaginated(offset = 0, limit = 50, departments = null) {
     const db = await initDB();
     const tx = db.transaction('employees', 'readonly');
     const store = tx.objectStore('employees');
@@ -184,10 +495,13 @@ export const employeeDB = {
     let results = [];
 
     while (cursor && results.length < limit) {
-      if (skipped >= offset) {
-        results.push(cursor.value);
-      } else {
-        skipped++;
+      // Employees out of scope are neither returned nor counted towards the offset
+      if (inDepartmentScope(cursor.value, departments)) {
+        if (skipped >= offset) {
+          results.push(cursor.value);
+        } else {
+          skipped++;
+        }
       }
       cursor = await cursor.continue();
     }
@@ -196,9 +510,8 @@ export const employeeDB = {
   },
 
   // Search employees by name
-  async searchByName(query) {
-    const db = await initDB();
-    const allEmployees = await db.getAll('employees');
+  async searchByName(query, departments = null) {
+    const allEmployees = await this.getAll(departments);
 
     const lowerQuery = query.toLowerCase();
     return allEmployees.filter(emp =>
@@ -207,9 +520,19 @@ export const employeeDB = {
   },
 
   // Filter employees
-  async filter(criteria) {
-    const db = await initDB();
-    const allEmployees = await db.getAll('employees');
+  async filter(criteria, departments = null) {
+    const allEmployees = await this.getAll(departments);
+
+    // hasReductionProgram asks for a program effective on criteria.asOfDate (default today),
+    // from the employee's own reductionProgram or the reductionPrograms store, as in getStats
+    const asOfDate = criteria.asOfDate || new Date();
+    const employeesWithProgram = new Set();
+    if (criteria.hasReductionProgram !== undefined) {
+      const db = await initDB();
+      (await db.getAll('reductionPrograms')).forEach(program => {
+        if (isReductionEffective(program, asOfDate)) employeesWithProgram.add(String(program.employeeId));
+      });
+    }
 
     return allEmployees.filter(emp => {
       let matches = true;
@@ -223,8 +546,12 @@ export const employeeDB = {
       if (criteria.status && emp.status !== criteria.status) {
         matches = false;
       }
+      if (criteria.customAttributes && !matchesCustomAttributes(emp, criteria.customAttributes)) {
+        matches = false;
+      }
       if (criteria.hasReductionProgram !== undefined) {
-        const hasProgram = emp.reductionProgram && emp.reductionProgram.status === 'active';
+        const hasProgram = employeesWithProgram.has(String(emp.employeeId)) ||
+          isReductionEffective(emp.reductionProgram, asOfDate);
         if (hasProgram !== criteria.hasReductionProgram) {
           matches = false;
         }
@@ -263,29 +590,43 @@ export const employeeDB = {
   },
 
   // Get count
-  async count() {
+  async count(departments = null) {
     const db = await initDB();
-    return db.count('employees');
+    if (!departments) return db.count('employees');
+
+    const counts = await Promise.all(
+      departments.map(department => db.countFromIndex('employees', 'department', department))
+    );
+    return counts.reduce((sum, count) => sum + count, 0);
   },
 
   // Get distinct departments
-  async getUniqueDepartments() {
+  async getUniqueDepartments(departments = null) {
     const db = await initDB();
     const tx = db.transaction('employees', 'readonly');
     const index = tx.store.index('department');
     let cursor = await index.openKeyCursor(null, 'nextunique');
 
-    const departments = [];
+    const result = [];
     while (cursor) {
-      if (cursor.key) departments.push(cursor.key);
+      if (cursor.key && (!departments || departments.includes(cursor.key))) result.push(cursor.key);
       cursor = await cursor.continue();
     }
-    return departments;
+    return result;
   },
 
   // Calculate aggregation stats efficiently using cursors
-  async getStats() {
+  // Reductions only count while effective on asOfDate, from the employee's own
+  // reductionProgram or from programs in the reductionPrograms store (keyed on employeeId)
+  async getStats(asOfDate = new Date(), departments = null) {
     const db = await initDB();
+    const programsByEmployee = new Map();
+    (await db.getAll('reductionPrograms')).forEach(program => {
+      if (!isReductionEffective(program, asOfDate)) return;
+      const key = String(program.employeeId);
+      programsByEmployee.set(key, [...(programsByEmployee.get(key) || []), program]);
+    });
+
     const tx = db.transaction('employees', 'readonly');
     const store = tx.objectStore('employees');
     let cursor = await store.openCursor();
@@ -301,6 +642,7 @@ export const employeeDB = {
     const roleCounts = {};
     const costCenterCounts = {};
     const locationCounts = {};
+    const customAttributeDetails = {}; // attribute key -> value -> department-style details
     let totalFTE = 0;
     let totalSalary = 0;
     let reductionImpactSum = 0;
@@ -309,6 +651,10 @@ export const employeeDB = {
     // Use cursor to iterate without keeping all objects in memory
     while (cursor) {
       const emp = cursor.value;
+      if (!inDepartmentScope(emp, departments)) {
+        cursor = await cursor.continue();
+        continue;
+      }
       totalEmployees++;
 
       // FTE
@@ -319,8 +665,15 @@ export const employeeDB = {
       const salary = parseFloat(emp.baseSalary) || parseFloat(emp.salary) || 0;
       totalSalary += salary;
 
-      // Reduction
-      const reduction = emp.reductionProgram?.reductionPercentage || 0;
+      // Reduction - overlapping programs do not add up, the largest one counts
+      const effectivePrograms = programsByEmployee.get(String(emp.employeeId)) || [];
+      if (isReductionEffective(emp.reductionProgram, asOfDate)) {
+        effectivePrograms.push(emp.reductionProgram);
+      }
+      const reduction = effectivePrograms.reduce(
+        (max, p) => Math.max(max, parseFloat(p.reductionPercentage) || 0),
+        0
+      );
       reductionImpactSum += reduction;
       if (reduction > 0) employeesWithReduction++;
       totalCapacity += (fte * (1 - reduction / 100));
@@ -361,6 +714,20 @@ export const employeeDB = {
         locationCounts[location] = (locationCounts[location] || 0) + 1;
       }
 
+      // Custom attribute breakdown, same details as departments
+      Object.entries(emp.customAttributes || {}).forEach(([key, raw]) => {
+        if (raw === null || raw === undefined || raw === '') return;
+        const value = String(raw);
+        const details = (customAttributeDetails[key] = customAttributeDetails[key] || {});
+        if (!details[value]) {
+          details[value] = { count: 0, totalFTE: 0, totalSalary: 0, reductionCount: 0 };
+        }
+        details[value].count += 1;
+        details[value].totalFTE += fte;
+        details[value].totalSalary += salary;
+        if (reduction > 0) details[value].reductionCount += 1;
+      });
+
       cursor = await cursor.continue();
     }
 
@@ -374,6 +741,7 @@ export const employeeDB = {
       roleCounts,
       costCenterCounts,
       locationCounts,
+      customAttributeDetails,
       totalFTE,
       totalSalary,
       reductionImpactSum,
@@ -395,15 +763,58 @@ export const reductionProgramDB = {
     return db.add('reductionPrograms', program);
   },
 
+  // Enroll several employees in one transaction
+  async bulkAdd(programs) {
+    const db = await initDB();
+    const tx = db.transaction('reductionPrograms', 'readwrite');
+    const ids = await Promise.all(programs.map(program => tx.store.add(program)));
+    await tx.done;
+    return ids;
+  },
+
+  async get(id) {
+    const db = await initDB();
+    return db.get('reductionPrograms', id);
+  },
+
+  // Programs are keyed on the business employeeId so they survive re-imports
   async getByEmployeeId(employeeId) {
     const db = await initDB();
     return db.getAllFromIndex('reductionPrograms', 'employeeId', employeeId);
   },
 
-  async getActive() {
+  async getAll() {
+    const db = await initDB();
+    return db.getAll('reductionPrograms');
+  },
+
+  // Active programs that are effective on asOfDate
+  async getActive(asOfDate = new Date()) {
     const db = await initDB();
     const allPrograms = await db.getAll('reductionPrograms');
-    return allPrograms.filter(p => p.status === 'active');
+    return allPrograms.filter(p => p.status === 'active' && isReductionEffective(p, asOfDate));
+  },
+
+  // Move active programs whose endDate has passed to completed
+  async completeExpired(asOfDate = new Date()) {
+    const db = await initDB();
+    const today = toISODate(asOfDate);
+    const tx = db.transaction('reductionPrograms', 'readwrite');
+    const index = tx.store.index('status');
+    let completed = 0;
+
+    let cursor = await index.openCursor('active');
+    while (cursor) {
+      const endDate = toISODate(cursor.value.endDate);
+      if (endDate && endDate < today) {
+        await cursor.update({ ...cursor.value, status: 'completed' });
+        completed++;
+      }
+      cursor = await cursor.continue();
+    }
+
+    await tx.done;
+    return completed;
   },
 
   async update(id, updates) {
@@ -428,6 +839,14 @@ export const projectDB = {
     return db.add('projects', project);
   },
 
+  async bulkAdd(projects) {
+    const db = await initDB();
+    const tx = db.transaction('projects', 'readwrite');
+    const ids = await Promise.all(projects.map(project => tx.store.add(project)));
+    await tx.done;
+    return ids;
+  },
+
   async get(id) {
     const db = await initDB();
     return db.get('projects', id);
@@ -465,6 +884,24 @@ export const assignmentDB = {
     return db.add('assignments', assignment);
   },
 
+  async bulkAdd(assignments) {
+    const db = await initDB();
+    const tx = db.transaction('assignments', 'readwrite');
+    const ids = await Promise.all(assignments.map(assignment => tx.store.add(assignment)));
+    await tx.done;
+    return ids;
+  },
+
+  async get(id) {
+    const db = await initDB();
+    return db.get('assignments', id);
+  },
+
+  async getAll() {
+    const db = await initDB();
+    return db.getAll('assignments');
+  },
+
   async getByEmployee(employeeId) {
     const db = await initDB();
     return db.getAllFromIndex('assignments', 'employeeId', employeeId);
@@ -475,6 +912,15 @@ export const assignmentDB = {
     return db.getAllFromIndex('assignments', 'projectId', projectId);
   },
 
+  async update(id, updates) {
+    const db = await initDB();
+    const assignment = await db.get('assignments', id);
+    if (!assignment) throw new Error('Assignment not found');
+
+    const updated = { ...assignment, ...updates };
+    return db.put('assignments', updated);
+  },
+
   async delete(id) {
     const db = await initDB();
     return db.delete('assignments', id);
@@ -522,6 +968,11 @@ export const importMappingDB = {
     return db.getAll('importMappings');
   },
 
+  async get(id) {
+    const db = await initDB();
+    return db.get('importMappings', id);
+  },
+
   async getByName(name) {
     const db = await initDB();
     return db.getFromIndex('importMappings', 'name', name);
@@ -605,15 +1056,336 @@ export const importHistoryDB = {
 
   async delete(id) {
     const db = await initDB();
+    await changeLogDB.deleteByImport(id);
+    await employeeSnapshotDB.deleteByImport(id);
     return db.delete('importHistory', id);
   },
 };
 
+// Change Log Operations
+export const changeLogDB = {
+  // Store all changes of one import, tagged with its importHistory id
+  async bulkAdd(importId, changes) {
+    const db = await initDB();
+    const chunkSize = 500;
+    const timestamp = new Date().toISOString();
+
+    for (let i = 0; i < changes.length; i += chunkSize) {
+      const chunk = changes.slice(i, i + chunkSize);
+      const tx = db.transaction('changeLog', 'readwrite');
+
+      await Promise.all(
+        chunk.map(change => tx.store.add({ ...change, importId, timestamp }))
+      );
+      await tx.done;
+    }
+
+    return changes.length;
+  },
+
+  async getByImport(importId) {
+    const db = await initDB();
+    return db.getAllFromIndex('changeLog', 'importId', importId);
+  },
+
+  async getByEmployeeId(employeeId) {
+    const db = await initDB();
+    return db.getAllFromIndex('changeLog', 'employeeId', employeeId);
+  },
+
+  async deleteByImport(importId) {
+    const db = await initDB();
+    const tx = db.transaction('changeLog', 'readwrite');
+    const index = tx.store.index('importId');
+
+    let cursor = await index.openCursor(importId);
+    while (cursor) {
+      await cursor.delete();
+      cursor = await cursor.continue();
+    }
+
+    await tx.done;
+  },
+};
+
+// Scenario Operations
+export const scenarioDB = {
+  async add(scenario) {
+    const db = await initDB();
+    const now = new Date().toISOString();
+    return db.add('scenarios', {
+      archived: false,
+      ...scenario,
+      createdAt: now,
+      updatedAt: now,
+    });
+  },
+
+  async getAll() {
+    const db = await initDB();
+    const tx = db.transaction('scenarios', 'readonly');
+    const index = tx.store.index('updatedAt');
+    return index.getAll();
+  },
+
+  async get(id) {
+    const db = await initDB();
+    return db.get('scenarios', id);
+  },
+
+  async update(id, updates) {
+    const db = await initDB();
+    const scenario = await db.get('scenarios', id);
+    if (!scenario) throw new Error('Scenario not found');
+
+    const updated = { ...scenario, ...updates, id, updatedAt: new Date().toISOString() };
+    await db.put('scenarios', updated);
+    return updated;
+  },
+
+  async delete(id) {
+    const db = await initDB();
+    return db.delete('scenarios', id);
+  },
+};
+
+// Custom Attribute Operations
+export const customAttributeDB = {
+  async add(attribute) {
+    const db = await initDB();
+    const now = new Date().toISOString();
+    return db.add('customAttributes', { ...attribute, createdAt: now, updatedAt: now });
+  },
+
+  async getAll() {
+    const db = await initDB();
+    return db.getAll('customAttributes');
+  },
+
+  async get(id) {
+    const db = await initDB();
+    return db.get('customAttributes', id);
+  },
+
+  async update(id, updates) {
+    const db = await initDB();
+    const attribute = await db.get('customAttributes', id);
+    if (!attribute) throw new Error('Custom attribute not found');
+
+    const updated = { ...attribute, ...updates, id, updatedAt: new Date().toISOString() };
+    await db.put('customAttributes', updated);
+    return updated;
+  },
+
+  async delete(id) {
+    const db = await initDB();
+    return db.delete('customAttributes', id);
+  },
+};
+
+// Validation Rule Operations
+export const validationRuleDB = {
+  async add(rule) {
+    const db = await initDB();
+    const now = new Date().toISOString();
+    return db.add('validationRules', { ...rule, createdAt: now, updatedAt: now });
+  },
+
+  async getAll() {
+    const db = await initDB();
+    return db.getAll('validationRules');
+  },
+
+  async get(id) {
+    const db = await initDB();
+    return db.get('validationRules', id);
+  },
+
+  async update(id, updates) {
+    const db = await initDB();
+    const rule = await db.get('validationRules', id);
+    if (!rule) throw new Error('Validation rule not found');
+
+    const updated = { ...rule, ...updates, id, updatedAt: new Date().toISOString() };
+    await db.put('validationRules', updated);
+    return updated;
+  },
+
+  async delete(id) {
+    const db = await initDB();
+    return db.delete('validationRules', id);
+  },
+};
+
+// Employee Snapshot Operations
+// The employee set an import replaced, keyed to that import's importHistory entry
+export const employeeSnapshotDB = {
+  async add(importId, employees) {
+    const db = await initDB();
+    return db.add('employeeSnapshots', {
+      importId,
+      employees,
+      employeeCount: employees.length,
+      timestamp: new Date().toISOString(),
+    });
+  },
+
+  async getByImport(importId) {
+    const db = await initDB();
+    return db.getFromIndex('employeeSnapshots', 'importId', importId);
+  },
+
+  // Import ids that still have a snapshot, without loading the employee sets
+  async getImportIds() {
+    const db = await initDB();
+    const tx = db.transaction('employeeSnapshots', 'readonly');
+    const importIds = [];
+
+    let cursor = await tx.store.index('importId').openKeyCursor();
+    while (cursor) {
+      importIds.push(cursor.key);
+      cursor = await cursor.continue();
+    }
+
+    return importIds;
+  },
+
+  async deleteByImport(importId) {
+    const db = await initDB();
+    const id = await db.getKeyFromIndex('employeeSnapshots', 'importId', importId);
+    if (id !== undefined) await db.delete('employeeSnapshots', id);
+  },
+
+  // Keep the newest snapshots only; returns how many were deleted
+  async prune(keep) {
+    const db = await initDB();
+    const ids = await db.getAllKeys('employeeSnapshots');
+    const expired = ids.sort((a, b) => b - a).slice(Math.max(0, keep));
+    if (expired.length === 0) return 0;
+
+    const tx = db.transaction('employeeSnapshots', 'readwrite');
+    await Promise.all(expired.map(id => tx.store.delete(id)));
+    await tx.done;
+    return expired.length;
+  },
+
+  // Make the snapshot of an import the current employee set again
+  // The restore is recorded as an import of its own, with the set it replaced as its snapshot,
+  // so it can be rolled back like any other import. Record ids are kept, so assignments and
+  // reduction programs of restored employees stay linked
+  async restore(importId, onProgress) {
+    const [snapshot, source] = await Promise.all([
+      this.getByImport(importId),
+      importHistoryDB.get(importId),
+    ]);
+    if (!snapshot) throw new Error('No snapshot kept for this import');
+
+    const previousEmployees = await employeeDB.getAll();
+    await employeeDB.bulkAdd(snapshot.employees, onProgress);
+
+    const [currentEmployees, stats] = await Promise.all([
+      employeeDB.getAll(),
+      employeeDB.getStats(),
+    ]);
+    const changes = diffEmployeeSnapshots(previousEmployees, currentEmployees);
+    const changeSummary = changes.reduce((acc, change) => {
+      acc[change.changeType] = (acc[change.changeType] || 0) + 1;
+      return acc;
+    }, {});
+
+    const departmentBreakdown = {};
+    currentEmployees.forEach(emp => {
+      const dept = emp.department || 'Unknown';
+      departmentBreakdown[dept] = (departmentBreakdown[dept] || 0) + 1;
+    });
+
+    const restoreId = await importHistoryDB.addWithSnapshot({
+      fileName: `Restore: ${source?.fileName || 'snapshot'}`,
+      fileSize: 0,
+      totalRecords: currentEmployees.length,
+      recordsProcessed: currentEmployees.length,
+      recordsSuccessful: currentEmployees.length,
+      recordsFailed: 0,
+      recordsSkipped: 0,
+      processingTime: 0,
+      timestamp: new Date().toISOString(),
+      errorLog: [],
+      totalSalary: Math.round(stats.totalSalary || 0),
+      departmentBreakdown,
+      importMode: 'restore',
+      restoredFrom: importId,
+      changeSummary,
+    }, stats);
+
+    if (changes.length > 0) {
+      await changeLogDB.bulkAdd(restoreId, changes);
+    }
+    await this.add(restoreId, previousEmployees);
+
+    return { importId: restoreId, employeeCount: currentEmployees.length, changeSummary };
+  },
+};
+
+// Folder Watch Operations
+// One configuration per browser: directory handle, mapping template and the last file run
+export const folderWatchDB = {
+  async get() {
+    const db = await initDB();
+    const [config] = await db.getAll('folderWatch');
+    return config || null;
+  },
+
+  async save(updates) {
+    const db = await initDB();
+    const existing = await this.get();
+    const config = { ...existing, ...updates, updatedAt: new Date().toISOString() };
+    const id = await db.put('folderWatch', config);
+    return { ...config, id };
+  },
+
+  async clear() {
+    const db = await initDB();
+    return db.clear('folderWatch');
+  },
+};
+
+// Role Permission Operations
+// One record per role whose capabilities differ from the defaults in utils/permissions
+export const rolePermissionDB = {
+  async getAll() {
+    const db = await initDB();
+    return db.getAll('rolePermissions');
+  },
+
+  async save(role, capabilities) {
+    const db = await initDB();
+    const record = { role, capabilities, updatedAt: new Date().toISOString() };
+    await db.put('rolePermissions', record);
+    return record;
+  },
+};
+
+// Audit Log Operations
+// Append-only: there is no update or delete, and clearing all data keeps the log
+export const auditLogDB = {
+  async add(entry) {
+    const db = await initDB();
+    return db.add('auditLog', entry);
+  },
+
+  // Newest first
+  async getAll() {
+    const db = await initDB();
+    const entries = await db.getAllFromIndex('auditLog', 'timestamp');
+    return entries.reverse();
+  },
+};
+
 // System Operations
 export const systemDB = {
   async clearAllData() {
     const db = await initDB();
-    const stores = ['employees', 'projects', 'assignments', 'reductionPrograms', 'importMappings', 'importHistory'];
+    const stores = ['employees', 'projects', 'assignments', 'reductionPrograms', 'importMappings', 'importHistory', 'changeLog', 'scenarios', 'customAttributes', 'validationRules', 'employeeSnapshots', 'folderWatch'];
 
     // Create one transaction for all stores if possible, or clear sequentially
     // idb's openDB returns a db instance we can use to start a transaction
@@ -634,5 +1406,13 @@ export default {
   assignmentDB,
   importMappingDB,
   importHistoryDB,
+  changeLogDB,
+  scenarioDB,
+  customAttributeDB,
+  validationRuleDB,
+  employeeSnapshotDB,
+  folderWatchDB,
+  rolePermissionDB,
+  auditLogDB,
   systemDB,
 };
@@ -10,10 +10,35 @@
  */
 
 import { supabase } from '../lib/supabase';
+import { isReductionEffective, toISODate } from '../utils/helpers';
 
 // Default batch size for bulk operations
 const DEFAULT_BATCH_SIZE = 500;
 
+// PostgREST cuts every response off at its max-rows setting (1000 by default)
+const FETCH_PAGE_SIZE = 1000;
+
+// Employees are read through this view, which leaves out the salary and birth-date
+// columns the user's role may not see (migration 012); writes go to the table
+const EMPLOYEE_RECORDS = 'employee_records';
+
+/**
+ * Read every row of a query a page at a time, ordered by id so no row is skipped
+ * buildQuery returns a fresh filtered query for each page
+ */
+async function fetchAllPages(buildQuery) {
+  const rows = [];
+  for (;;) {
+    const { data, error } = await buildQuery()
+      .order('id')
+      .range(rows.length, rows.length + FETCH_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return rows;
+    rows.push(...data);
+  }
+}
+
 // Performance instrumentation helper
 const createTimer = (label) => {
   const start = performance.now();
@@ -174,6 +199,7 @@ const ALLOWED_EMPLOYEE_COLUMNS = new Set([
   'reduction_end_date',
   'reduction_status',
   'raw_data',
+  'custom_attributes',
   'created_at',
   'updated_at',
 ]);
@@ -188,6 +214,7 @@ const transformEmployeeForSupabase = (employee) => {
     startDate: 'start_date',
     endDate: 'end_date',
     dateOfBirth: 'date_of_birth',
+    birthdate: 'date_of_birth',
     baseSalary: 'base_salary',
     payScale: 'pay_scale',
     hourlyRate: 'hourly_rate',
@@ -198,6 +225,7 @@ const transformEmployeeForSupabase = (employee) => {
     reductionEndDate: 'reduction_end_date',
     reductionStatus: 'reduction_status',
     rawData: 'raw_data',
+    customAttributes: 'custom_attributes',
     createdAt: 'created_at',
     updatedAt: 'updated_at',
     uploadId: 'upload_id',
@@ -249,11 +277,11 @@ export const employeesDB = {
     const { data, error } = await supabase
       .from('employees')
       .insert(transformEmployeeForSupabase(employee))
-      .select()
+      .select('id')
       .single();
 
     if (error) throw error;
-    return data;
+    return this.get(data.id);
   },
 
   /**
@@ -378,7 +406,7 @@ export const employeesDB = {
    */
   async get(id) {
     const { data, error } = await supabase
-      .from('employees')
+      .from(EMPLOYEE_RECORDS)
       .select('*')
       .eq('id', id)
       .single();
@@ -392,7 +420,7 @@ export const employeesDB = {
    */
   async getByEmployeeId(employeeId, uploadId = null) {
     let query = supabase
-      .from('employees')
+      .from(EMPLOYEE_RECORDS)
       .select('*')
       .eq('employee_id', employeeId);
 
@@ -407,19 +435,18 @@ export const employeesDB = {
   },
 
   /**
-   * Get all employees (use sparingly - prefer pagination)
+   * Get all employees, read in pages (use sparingly - prefer pagination)
    */
   async getAll(uploadId = null) {
-    let query = supabase.from('employees').select('*');
+    return fetchAllPages(() => {
+      let query = supabase.from(EMPLOYEE_RECORDS).select('*');
 
-    if (uploadId) {
-      query = query.eq('upload_id', uploadId);
-    }
-
-    const { data, error } = await query;
+      if (uploadId) {
+        query = query.eq('upload_id', uploadId);
+      }
 
-    if (error) throw error;
-    return data;
+      return query;
+    });
   },
 
   /**
@@ -430,7 +457,7 @@ export const employeesDB = {
     console.log('[supabaseDB] getPaginated called, page:', page, 'limit:', limit, 'offset:', offset);
 
     let query = supabase
-      .from('employees')
+      .from(EMPLOYEE_RECORDS)
       .select('*', { count: 'exact' });
 
     // Apply upload filter
@@ -476,7 +503,7 @@ export const employeesDB = {
    */
   async searchByName(query, uploadId = null, limit = 50) {
     let dbQuery = supabase
-      .from('employees')
+      .from(EMPLOYEE_RECORDS)
       .select('*')
       .ilike('name', `%${query}%`)
       .limit(limit);
@@ -495,7 +522,7 @@ export const employeesDB = {
    * Filter employees by criteria
    */
   async filter(criteria, uploadId = null) {
-    let query = supabase.from('employees').select('*');
+    let query = supabase.from(EMPLOYEE_RECORDS).select('*');
 
     if (uploadId) {
       query = query.eq('upload_id', uploadId);
@@ -509,6 +536,10 @@ export const employeesDB = {
     if (criteria.role) {
       query = query.eq('role', criteria.role);
     }
+    // Case-insensitive equality on the JSONB text value, with LIKE wildcards escaped
+    Object.entries(criteria.customAttributes || {}).forEach(([key, value]) => {
+      query = query.ilike(`custom_attributes->>${key}`, String(value).trim().replace(/[\\%_]/g, '\\$&'));
+    });
 
     const { data, error } = await query;
 
@@ -524,11 +555,11 @@ export const employeesDB = {
       .from('employees')
       .update(transformEmployeeForSupabase(updates))
       .eq('id', id)
-      .select()
+      .select('id')
       .single();
 
     if (error) throw error;
-    return data;
+    return this.get(data.id);
   },
 
   /**
@@ -563,7 +594,7 @@ export const employeesDB = {
   async count(uploadId = null) {
     console.log('[supabaseDB] count() called, uploadId:', uploadId);
     let query = supabase
-      .from('employees')
+      .from(EMPLOYEE_RECORDS)
       .select('*', { count: 'exact', head: true });
 
     if (uploadId) {
@@ -582,7 +613,7 @@ export const employeesDB = {
    */
   async getUniqueDepartments(uploadId = null) {
     let query = supabase
-      .from('employees')
+      .from(EMPLOYEE_RECORDS)
       .select('department')
       .not('department', 'is', null);
 
@@ -601,35 +632,31 @@ export const employeesDB = {
 
   /**
    * Get aggregated statistics
-   * Uses database aggregation for efficiency
+   * The rows come from employee_headcount_rows (migration 012), so roles without
+   * employees.view still get headcount; it leaves out salaries without salaries.view
    */
-  async getStats(uploadId = null) {
-    // Get basic counts
-    let countQuery = supabase
-      .from('employees')
-      .select('*', { count: 'exact', head: true });
-
-    if (uploadId) {
-      countQuery = countQuery.eq('upload_id', uploadId);
-    }
-
-    const { count: totalEmployees } = await countQuery;
-
-    // Get department breakdown using RPC or manual aggregation
-    let deptQuery = supabase
-      .from('employees')
-      .select('department, status, role, fte, reduction_percentage');
-
-    if (uploadId) {
-      deptQuery = deptQuery.eq('upload_id', uploadId);
-    }
+  async getStats(uploadId = null, asOfDate = new Date()) {
+    const { data, error } = await supabase.rpc('employee_headcount_rows', { p_upload_id: uploadId });
 
-    const { data: employees } = await deptQuery;
+    if (error) throw error;
+    const employees = data || [];
+    const totalEmployees = employees.length;
+
+    // Standalone programs come along with each row; only those effective on asOfDate count
+    const effectiveProgramsOf = (emp) => (emp.programs || [])
+      .map((program) => ({
+        reductionPercentage: program.reduction_percentage,
+        startDate: program.start_date,
+        endDate: program.end_date,
+        status: program.status,
+      }))
+      .filter((program) => isReductionEffective(program, asOfDate));
 
     // Calculate aggregations in JS (could be moved to DB function for better performance)
     const departmentCounts = {};
     const statusCounts = {};
     const roleCounts = {};
+    const customAttributeDetails = {};
     let totalFTE = 0;
     let totalCapacity = 0;
     let availableEmployees = 0;
@@ -652,8 +679,21 @@ export const employeesDB = {
       const fte = parseFloat(emp.fte) || 100;
       totalFTE += fte;
 
-      // Reduction impact
-      const reduction = parseFloat(emp.reduction_percentage) || 0;
+      // Reduction impact - only while effective, the largest overlapping program counts
+      const effectivePrograms = effectiveProgramsOf(emp);
+      const ownProgram = {
+        reductionPercentage: emp.reduction_percentage,
+        startDate: emp.reduction_start_date,
+        endDate: emp.reduction_end_date,
+        status: emp.reduction_status,
+      };
+      if (isReductionEffective(ownProgram, asOfDate)) {
+        effectivePrograms.push(ownProgram);
+      }
+      const reduction = effectivePrograms.reduce(
+        (max, p) => Math.max(max, parseFloat(p.reductionPercentage) || 0),
+        0
+      );
       reductionImpactSum += reduction;
       totalCapacity += fte * (1 - reduction / 100);
 
@@ -661,6 +701,21 @@ export const employeesDB = {
       if (emp.status === 'active') {
         availableEmployees++;
       }
+
+      // Custom attribute breakdown
+      const salary = parseFloat(emp.base_salary) || 0;
+      Object.entries(emp.custom_attributes || {}).forEach(([key, raw]) => {
+        if (raw === null || raw === undefined || raw === '') return;
+        const value = String(raw);
+        const details = (customAttributeDetails[key] = customAttributeDetails[key] || {});
+        if (!details[value]) {
+          details[value] = { count: 0, totalFTE: 0, totalSalary: 0, reductionCount: 0 };
+        }
+        details[value].count += 1;
+        details[value].totalFTE += fte;
+        details[value].totalSalary += salary;
+        if (reduction > 0) details[value].reductionCount += 1;
+      });
     });
 
     return {
@@ -670,6 +725,7 @@ export const employeesDB = {
       departmentCounts,
       statusCounts,
       roleCounts,
+      customAttributeDetails,
       totalFTE,
       reductionImpactSum,
     };
@@ -713,6 +769,7 @@ const transformProjectForSupabase = (project) => {
   if ('client' in transformed) {
     delete transformed.client;
   }
+  delete transformed.importMetadata;
 
   // Ensure status assumes default if missing
   if (!transformed.status) {
@@ -734,6 +791,16 @@ export const projectsDB = {
     return data.id;
   },
 
+  async bulkAdd(projects) {
+    const { data, error } = await supabase
+      .from('projects')
+      .insert(projects.map(transformProjectForSupabase))
+      .select('id');
+
+    if (error) throw error;
+    return data;
+  },
+
   async get(id) {
     const { data, error } = await supabase
       .from('projects')
@@ -804,6 +871,44 @@ export const assignmentsDB = {
     return data;
   },
 
+  async bulkAdd(assignments) {
+    const { data, error } = await supabase
+      .from('assignments')
+      .insert(assignments)
+      .select('id');
+
+    if (error) throw error;
+    return data;
+  },
+
+  async get(id) {
+    const { data, error } = await supabase
+      .from('assignments')
+      .select(`
+        *,
+        employees (employee_id, name),
+        projects (name)
+      `)
+      .eq('id', id)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async getAll() {
+    const { data, error } = await supabase
+      .from('assignments')
+      .select(`
+        *,
+        employees (employee_id, name),
+        projects (name)
+      `);
+
+    if (error) throw error;
+    return data;
+  },
+
   async getByEmployee(employeeId) {
     const { data, error } = await supabase
       .from('assignments')
@@ -822,7 +927,7 @@ export const assignmentsDB = {
       .from('assignments')
       .select(`
         *,
-        employees (*)
+        employees (id, employee_id, name, department, role, status, fte)
       `)
       .eq('project_id', projectId);
 
@@ -830,6 +935,22 @@ export const assignmentsDB = {
     return data;
   },
 
+  async update(id, updates) {
+    const { data, error } = await supabase
+      .from('assignments')
+      .update(updates)
+      .eq('id', id)
+      .select(`
+        *,
+        employees (employee_id, name),
+        projects (name)
+      `)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
   async delete(id) {
     const { error } = await supabase
       .from('assignments')
@@ -871,9 +992,11 @@ export const assignmentsDB = {
  */
 export const importMappingsDB = {
   async add(mapping) {
+    const { data: { user } } = await supabase.auth.getUser();
+
     const { data, error } = await supabase
       .from('import_mappings')
-      .insert(mapping)
+      .insert({ ...mapping, user_id: user?.id })
       .select()
       .single();
 
@@ -940,35 +1063,100 @@ export const reductionProgramsDB = {
     return data;
   },
 
-  async getByEmployeeId(employeeId) {
+  async bulkAdd(programs) {
+    const { data, error } = await supabase
+      .from('reduction_programs')
+      .insert(programs)
+      .select('id');
+
+    if (error) throw error;
+    return data;
+  },
+
+  async get(id) {
     const { data, error } = await supabase
       .from('reduction_programs')
       .select('*')
-      .eq('employee_id', employeeId);
+      .eq('id', id)
+      .single();
 
     if (error) throw error;
     return data;
   },
 
-  async getActive() {
+  /**
+   * All programs of an employee across uploads, matched on the business employee_id
+   */
+  async getByEmployeeId(employeeId) {
+    const { data, error } = await supabase
+      .from('reduction_programs')
+      .select(`
+        *,
+        employees!inner (name, employee_id, department)
+      `)
+      .eq('employees.employee_id', employeeId)
+      .order('start_date', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  async getAll() {
+    const { data, error } = await supabase
+      .from('reduction_programs')
+      .select(`
+        *,
+        employees (name, employee_id, department)
+      `)
+      .order('start_date', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Active programs that are effective on asOfDate
+   */
+  async getActive(asOfDate = new Date()) {
+    const asOf = toISODate(asOfDate);
     const { data, error } = await supabase
       .from('reduction_programs')
       .select(`
         *,
         employees (name, employee_id, department)
       `)
-      .eq('status', 'active');
+      .eq('status', 'active')
+      .lte('start_date', asOf)
+      .or(`end_date.is.null,end_date.gte.${asOf}`);
 
     if (error) throw error;
     return data;
   },
 
+  /**
+   * Move active programs whose end_date has passed to completed
+   */
+  async completeExpired(asOfDate = new Date()) {
+    const { data, error } = await supabase
+      .from('reduction_programs')
+      .update({ status: 'completed' })
+      .eq('status', 'active')
+      .lt('end_date', toISODate(asOfDate))
+      .select('id');
+
+    if (error) throw error;
+    return data?.length || 0;
+  },
+
   async update(id, updates) {
     const { data, error } = await supabase
       .from('reduction_programs')
       .update(updates)
       .eq('id', id)
-      .select()
+      .select(`
+        *,
+        employees (name, employee_id, department)
+      `)
       .single();
 
     if (error) throw error;
@@ -986,6 +1174,395 @@ export const reductionProgramsDB = {
   },
 };
 
+/**
+ * Scenario Operations
+ */
+export const scenariosDB = {
+  async add(scenario) {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    const { data, error } = await supabase
+      .from('scenarios')
+      .insert({ ...scenario, created_by: user?.id || null })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async getAll() {
+    const { data, error } = await supabase
+      .from('scenarios')
+      .select('*')
+      .order('updated_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  async get(id) {
+    const { data, error } = await supabase
+      .from('scenarios')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
+
+  async update(id, updates) {
+    const { data, error } = await supabase
+      .from('scenarios')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async delete(id) {
+    const { error } = await supabase
+      .from('scenarios')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  },
+};
+
+/**
+ * Custom Attribute Operations
+ */
+export const customAttributesDB = {
+  async add(attribute) {
+    const { data, error } = await supabase
+      .from('custom_attributes')
+      .insert(attribute)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async getAll() {
+    const { data, error } = await supabase
+      .from('custom_attributes')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  async update(id, updates) {
+    const { data, error } = await supabase
+      .from('custom_attributes')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async delete(id) {
+    const { error } = await supabase
+      .from('custom_attributes')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  },
+};
+
+/**
+ * Validation Rule Operations
+ */
+export const validationRulesDB = {
+  async add(rule) {
+    const { data, error } = await supabase
+      .from('validation_rules')
+      .insert(rule)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async getAll() {
+    const { data, error } = await supabase
+      .from('validation_rules')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  },
+
+  async update(id, updates) {
+    const { data, error } = await supabase
+      .from('validation_rules')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async delete(id) {
+    const { error } = await supabase
+      .from('validation_rules')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  },
+};
+
+/**
+ * Role Permission Operations
+ * Capabilities per role; RLS checks them through has_capability()
+ */
+export const rolePermissionsDB = {
+  async getAll() {
+    const { data, error } = await supabase
+      .from('role_permissions')
+      .select('role, capabilities');
+
+    if (error) throw error;
+    return data;
+  },
+
+  async save(role, capabilities) {
+    const { data, error } = await supabase
+      .from('role_permissions')
+      .upsert({ role, capabilities }, { onConflict: 'role' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+};
+
+/**
+ * Audit Log Operations
+ * Append-only: RLS allows inserting own entries and reading them with audit.view, nothing else
+ */
+// Newest entries loaded into the audit page
+const AUDIT_LOG_LIMIT = 10000;
+
+export const auditLogsDB = {
+  async add(entry) {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    const { error } = await supabase
+      .from('audit_log')
+      .insert({ ...entry, actor_id: user?.id });
+
+    if (error) throw error;
+    return true;
+  },
+
+  async getAll() {
+    const { data, error } = await supabase
+      .from('audit_log')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(AUDIT_LOG_LIMIT);
+
+    if (error) throw error;
+    return data;
+  },
+};
+
+/**
+ * Employee Snapshot Operations
+ * The employee rows an upload replaced, kept as JSONB so they survive later uploads
+ */
+// Row columns that belong to the stored record rather than the employee
+const SNAPSHOT_DROPPED_COLUMNS = ['id', 'upload_id', 'created_at', 'updated_at'];
+
+export const employeeSnapshotsDB = {
+  /**
+   * Keep the given employee rows as the snapshot of an upload
+   */
+  async create(uploadId, employees) {
+    const rows = (employees || []).map((emp) => {
+      const row = { ...emp };
+      SNAPSHOT_DROPPED_COLUMNS.forEach((column) => delete row[column]);
+      return row;
+    });
+
+    const { data, error } = await supabase
+      .from('employee_snapshots')
+      .insert({ upload_id: uploadId, employee_count: rows.length, employees: rows })
+      .select('id, upload_id, employee_count, created_at')
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Number of current employee rows, counted like readCurrentEmployees reads them
+   */
+  async countCurrentEmployees() {
+    const { count, error } = await supabase
+      .rpc('employee_snapshot_rows', {}, { count: 'exact', head: true });
+
+    if (error) throw error;
+    return count;
+  },
+
+  /**
+   * Every current employee row, to be kept as a snapshot
+   * Read through employee_snapshot_rows (migration 012), which includes the salary and
+   * birth-date columns employee_records may leave out, so a restore brings them back.
+   * Throws unless the rows read add up to the live row count, so a partial read is never kept
+   */
+  async readCurrentEmployees() {
+    const [employees, liveCount] = await Promise.all([
+      fetchAllPages(() => supabase.rpc('employee_snapshot_rows').select('*')),
+      this.countCurrentEmployees(),
+    ]);
+    if (employees.length !== liveCount) {
+      throw new Error(`Read ${employees.length} of ${liveCount} employees for the snapshot`);
+    }
+    return employees;
+  },
+
+  async getByUpload(uploadId) {
+    const { data, error } = await supabase
+      .from('employee_snapshots')
+      .select('*')
+      .eq('upload_id', uploadId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data;
+  },
+
+  /**
+   * Upload ids that still have a snapshot, without loading the employee rows
+   */
+  async getUploadIds() {
+    const { data, error } = await supabase
+      .from('employee_snapshots')
+      .select('upload_id');
+
+    if (error) throw error;
+    return (data || []).map((snapshot) => snapshot.upload_id);
+  },
+
+  /**
+   * Keep the newest snapshots only; returns how many were deleted
+   */
+  async prune(keep) {
+    const { data, error } = await supabase
+      .from('employee_snapshots')
+      .select('id')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    const expired = (data || []).slice(Math.max(0, keep)).map((snapshot) => snapshot.id);
+    if (expired.length === 0) return 0;
+
+    const { error: deleteError } = await supabase
+      .from('employee_snapshots')
+      .delete()
+      .in('id', expired);
+
+    if (deleteError) throw deleteError;
+    return expired.length;
+  },
+
+  /**
+   * Make the snapshot of an upload the current employee set again
+   * The rows go into a new upload, which keeps the rows it replaced as its own snapshot;
+   * employee rows of all other uploads are removed (with their assignments and programs)
+   */
+  async restore(uploadId, onProgress = null) {
+    const [snapshot, source] = await Promise.all([
+      this.getByUpload(uploadId),
+      uploadsDB.get(uploadId),
+    ]);
+    if (!snapshot) throw new Error('No snapshot kept for this upload');
+
+    const { data: { user } } = await supabase.auth.getUser();
+    const previousEmployees = await this.readCurrentEmployees();
+    const employees = snapshot.employees || [];
+
+    const departmentBreakdown = {};
+    let totalSalary = 0;
+    employees.forEach((emp) => {
+      const dept = emp.department || 'Unknown';
+      departmentBreakdown[dept] = (departmentBreakdown[dept] || 0) + 1;
+      totalSalary += Number(emp.base_salary) || Number(emp.hourly_rate) * 2080 || 0;
+    });
+
+    const upload = await uploadsDB.create({
+      user_id: user?.id,
+      file_name: `Restore: ${source?.file_name || 'snapshot'}`,
+      file_size: 0,
+      total_records: employees.length,
+      records_successful: 0,
+      records_failed: 0,
+      records_skipped: 0,
+      processing_time_ms: 0,
+      department_breakdown: departmentBreakdown,
+      total_salary: Math.round(totalSalary),
+      status: 'processing',
+    });
+
+    const insertResult = await employeesDB.bulkAdd(employees, upload.id, onProgress);
+    if (insertResult.failed > 0) {
+      await employeesDB.clearByUpload(upload.id);
+      await uploadsDB.update(upload.id, { status: 'failed', error_log: insertResult.errors });
+      throw new Error(`Restore failed: ${insertResult.failed} employees could not be inserted`);
+    }
+
+    // Other uploads are only cleared if the kept rows are all the rows they hold now
+    const replacedCount = await this.countCurrentEmployees() - insertResult.successful;
+    if (replacedCount !== previousEmployees.length) {
+      const message = `Employees changed during the restore (${replacedCount} instead of ${previousEmployees.length})`;
+      await employeesDB.clearByUpload(upload.id);
+      await uploadsDB.update(upload.id, {
+        status: 'failed',
+        error_log: [{ message, timestamp: new Date().toISOString() }],
+      });
+      throw new Error(`Restore failed: ${message}`);
+    }
+
+    await this.create(upload.id, previousEmployees);
+
+    const otherUploadIds = [...new Set(previousEmployees.map((emp) => emp.upload_id))]
+      .filter((id) => id && id !== upload.id);
+    for (const otherId of otherUploadIds) {
+      await employeesDB.clearByUpload(otherId);
+    }
+
+    await uploadsDB.update(upload.id, {
+      records_successful: insertResult.successful,
+      status: 'completed',
+    });
+
+    return { importId: upload.id, employeeCount: insertResult.successful };
+  },
+};
+
 /**
  * System Operations
  */
@@ -1001,8 +1578,12 @@ export const systemDB = {
       'reduction_programs',
       'employees',
       'projects',
+      'employee_snapshots',
       'uploads',
       'import_mappings',
+      'scenarios',
+      'custom_attributes',
+      'validation_rules',
     ];
 
     for (const table of tables) {
@@ -1021,7 +1602,7 @@ export const systemDB = {
   async getHealth() {
     try {
       const { count } = await supabase
-        .from('employees')
+        .from(EMPLOYEE_RECORDS)
         .select('*', { count: 'exact', head: true });
 
       return {
@@ -1046,5 +1627,11 @@ export default {
   assignments: assignmentsDB,
   importMappings: importMappingsDB,
   reductionPrograms: reductionProgramsDB,
+  scenarios: scenariosDB,
+  customAttributes: customAttributesDB,
+  validationRules: validationRulesDB,
+  employeeSnapshots: employeeSnapshotsDB,
+  rolePermissions: rolePermissionsDB,
+  auditLogs: auditLogsDB,
   system: systemDB,
 };
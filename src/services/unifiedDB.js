@@ -9,6 +9,9 @@
 import * as indexedDB from './db';
 import * as supabaseDB from './supabaseDB';
 import { supabase } from '../lib/supabase';
+import { storage } from '../utils/storage';
+import { toISODate } from '../utils/helpers';
+import { CAPABILITIES, buildPermissionMatrix, hiddenFieldsFor, redactEmployee, redactSalaryStats } from '../utils/permissions';
 
 // Check if Supabase is configured
 // TEMPORARILY DISABLED - using IndexedDB for now due to Supabase RLS issues
@@ -21,6 +24,114 @@ const isSupabaseConfigured = () => {
   return configured;
 };
 
+// Departments the signed-in user may read: null for all of them (admins and 'ALL'), none while signed out.
+// Set by AuthProvider; Supabase enforces the same scope through RLS, the IndexedDB reads below apply it
+let departmentScope = [];
+
+// Capabilities of the signed-in user's role (utils/permissions), checked by the operations below
+let grantedCapabilities = [];
+
+// The signed-in user as recorded in the audit log
+let currentActor = null;
+
+export const setAccessScope = (user, capabilities = []) => {
+  if (!user) departmentScope = [];
+  else if (user.role === 'admin' || user.departments?.includes('ALL')) departmentScope = null;
+  else departmentScope = user.departments || [];
+  grantedCapabilities = user ? capabilities : [];
+  currentActor = user ? { id: user.id, name: user.username || user.email } : null;
+};
+
+export const hasCapability = (capability) => grantedCapabilities.includes(capability);
+
+// Throws unless the user has the capability (or one of several); Supabase RLS rejects the same writes
+const assertCapability = (capability) => {
+  const required = [].concat(capability);
+  if (!required.some(hasCapability)) {
+    const labels = required.map(key => CAPABILITIES.find(c => c.key === key)?.label || key);
+    throw new Error(`You do not have permission to do this (${labels.join(' or ')})`);
+  }
+};
+
+// Employees as the user may see them: fields of capabilities the role lacks are left out
+const redactEmployees = (employees) => {
+  const hiddenFields = hiddenFieldsFor(grantedCapabilities);
+  return hiddenFields.length === 0 ? employees : (employees || []).map(emp => redactEmployee(emp, hiddenFields));
+};
+
+const redactOne = (employee) => redactEmployee(employee, hiddenFieldsFor(grantedCapabilities));
+
+export const inAccessScope = (department) => !departmentScope || departmentScope.includes(department);
+
+const pickInScope = (byDepartment) => Object.fromEntries(
+  Object.entries(byDepartment || {}).filter(([department]) => inAccessScope(department))
+);
+
+// Reduction programs or assignments of the employees in scope, matched on the business employeeId
+const pickForEmployeesInScope = async (records) => {
+  if (!departmentScope) return records;
+  const employees = await indexedDB.employeeDB.getAll(departmentScope);
+  const employeeIds = new Set(employees.map(emp => String(emp.employeeId)));
+  return (records || []).filter(record => employeeIds.has(String(record.employeeId)));
+};
+
+// Salary figures of an import history entry removed unless the user has salaries.view.
+// Supabase rows keep their snake_case columns next to the camelCase ones, so both go
+const redactImportSalaries = (entry) => {
+  if (!entry || hasCapability('salaries.view')) return entry;
+  const dropSalary = (byKey) => byKey && Object.fromEntries(Object.entries(byKey).map(([key, value]) => {
+    if (typeof value !== 'object' || value === null) return [key, value];
+    const { totalSalary, ...rest } = value;
+    return [key, rest];
+  }));
+  const { totalSalary, total_salary, department_breakdown, ...rest } = entry;
+  const stripped = { ...rest, departmentBreakdown: dropSalary(entry.departmentBreakdown) };
+  if (entry.snapshot) {
+    const { totalSalary: snapshotSalary, ...snapshot } = entry.snapshot;
+    stripped.snapshot = { ...snapshot, departmentDetails: dropSalary(entry.snapshot.departmentDetails) };
+  }
+  return stripped;
+};
+
+const sumOf = (values, field) => values.reduce((sum, value) => sum + (value?.[field] || 0), 0);
+
+/**
+ * An import history entry narrowed to the departments in scope
+ * Totals are summed up again from the per-department figures; breakdown values are counts
+ * or { count, totalSalary }. Snapshot groupings without a department split are dropped
+ */
+export const scopeImportHistory = (entry) => {
+  entry = redactImportSalaries(entry);
+  if (!departmentScope || !entry) return entry;
+
+  const departmentBreakdown = pickInScope(entry.departmentBreakdown);
+  const breakdown = Object.values(departmentBreakdown);
+  const scoped = {
+    ...entry,
+    departmentBreakdown,
+    totalRecords: breakdown.reduce((sum, value) => sum + (typeof value === 'object' ? value.count || 0 : value || 0), 0),
+  };
+  if (hasCapability('salaries.view')) scoped.totalSalary = sumOf(breakdown, 'totalSalary');
+
+  if (entry.snapshot) {
+    const departmentDetails = pickInScope(entry.snapshot.departmentDetails);
+    const details = Object.values(departmentDetails);
+    scoped.snapshot = {
+      ...entry.snapshot,
+      totalEmployees: sumOf(details, 'count'),
+      totalFTE: sumOf(details, 'totalFTE'),
+      employeesWithReduction: sumOf(details, 'reductionCount'),
+      departmentCounts: pickInScope(entry.snapshot.departmentCounts),
+      departmentDetails,
+      statusCounts: {},
+      costCenterCounts: {},
+      locationCounts: {},
+    };
+    if (hasCapability('salaries.view')) scoped.snapshot.totalSalary = sumOf(details, 'totalSalary');
+  }
+  return scoped;
+};
+
 /**
  * Transform Supabase snake_case employee to camelCase for UI compatibility
  */
@@ -42,6 +153,7 @@ const transformEmployeeFromSupabase = (emp) => {
     reductionProgram: emp.reduction_program || emp.reductionProgram || null,
     reductionPercentage: emp.reduction_percentage || emp.reductionPercentage || 0,
     uploadId: emp.upload_id || emp.uploadId,
+    customAttributes: emp.custom_attributes || emp.customAttributes || {},
     createdAt: emp.created_at || emp.createdAt,
     // Keep original fields too for any direct access
     ...emp,
@@ -91,52 +203,422 @@ const transformUploadsFromSupabase = (uploads) => {
   return uploads.map(transformUploadFromSupabase);
 };
 
+/**
+ * Transform Supabase snake_case reduction program to camelCase
+ * employeeId is the business ID from the joined employee row, employeeRecordId the row's UUID
+ */
+const transformProgramFromSupabase = (program) => {
+  if (!program) return program;
+  return {
+    id: program.id,
+    employeeId: program.employees?.employee_id,
+    employeeRecordId: program.employee_id,
+    employeeName: program.employees?.name,
+    department: program.employees?.department,
+    programName: program.program_name,
+    reductionPercentage: parseFloat(program.reduction_percentage) || 0,
+    startDate: program.start_date,
+    endDate: program.end_date,
+    status: program.status,
+    notes: program.notes,
+    createdBy: program.created_by,
+    createdAt: program.created_at,
+    updatedAt: program.updated_at,
+  };
+};
+
+/**
+ * Transform camelCase reduction program fields to Supabase columns
+ */
+const transformProgramForSupabase = (program) => {
+  const columns = {
+    employee_id: program.employeeRecordId,
+    program_name: program.programName,
+    reduction_percentage: program.reductionPercentage,
+    start_date: program.startDate,
+    end_date: program.endDate,
+    status: program.status,
+    notes: program.notes,
+  };
+  // Drop fields that were not part of the update
+  Object.keys(columns).forEach(key => columns[key] === undefined && delete columns[key]);
+  return columns;
+};
+
+/**
+ * Transform Supabase snake_case assignment to camelCase
+ * Like reduction programs, employeeId is the business ID and employeeRecordId the row's UUID
+ */
+const transformAssignmentFromSupabase = (assignment) => {
+  if (!assignment) return assignment;
+  return {
+    id: assignment.id,
+    employeeId: assignment.employees?.employee_id,
+    employeeRecordId: assignment.employee_id,
+    employeeName: assignment.employees?.name,
+    projectId: assignment.project_id,
+    projectName: assignment.projects?.name,
+    allocationPercentage: parseFloat(assignment.allocation_percentage) || 0,
+    startDate: assignment.start_date,
+    endDate: assignment.end_date,
+    notes: assignment.notes,
+    createdAt: assignment.created_at,
+  };
+};
+
+/**
+ * Transform camelCase assignment fields to Supabase columns
+ */
+const transformAssignmentForSupabase = (assignment) => {
+  const columns = {
+    employee_id: assignment.employeeRecordId,
+    project_id: assignment.projectId,
+    allocation_percentage: assignment.allocationPercentage,
+    start_date: assignment.startDate,
+    end_date: assignment.endDate,
+    notes: assignment.notes,
+  };
+  // Drop fields that were not part of the update
+  Object.keys(columns).forEach(key => columns[key] === undefined && delete columns[key]);
+  return columns;
+};
+
+/**
+ * Transform Supabase snake_case scenario record to camelCase
+ */
+const transformScenarioFromSupabase = (scenario) => {
+  if (!scenario) return scenario;
+  return {
+    id: scenario.id,
+    name: scenario.name,
+    author: scenario.author,
+    createdBy: scenario.created_by,
+    reductions: scenario.reductions || {},
+    levers: scenario.levers || [],
+    reductionPhasing: scenario.reduction_phasing || null,
+    basedOn: scenario.based_on || null,
+    archived: !!scenario.archived,
+    createdAt: scenario.created_at,
+    updatedAt: scenario.updated_at,
+  };
+};
+
+/**
+ * Transform camelCase scenario fields to Supabase columns
+ */
+const transformScenarioForSupabase = (scenario) => {
+  const columns = {
+    name: scenario.name,
+    author: scenario.author,
+    reductions: scenario.reductions,
+    levers: scenario.levers,
+    reduction_phasing: scenario.reductionPhasing,
+    based_on: scenario.basedOn,
+    archived: scenario.archived,
+  };
+  // Drop fields that were not part of the update
+  Object.keys(columns).forEach(key => columns[key] === undefined && delete columns[key]);
+  return columns;
+};
+
+/**
+ * Transform a Supabase import mapping row to the template shape of IndexedDB
+ * The template (target, column mapping, field rules, locale) lives in the mapping JSONB column
+ */
+const transformMappingFromSupabase = (row) => {
+  if (!row) return row;
+  const mapping = row.mapping || {};
+  return {
+    id: row.id,
+    name: row.name,
+    target: mapping.target || 'employees',
+    columnMapping: mapping.columnMapping || {},
+    fieldRules: mapping.fieldRules || {},
+    locale: mapping.locale || null,
+    useCount: mapping.useCount || 0,
+    lastUsed: row.last_used,
+    createdAt: row.created_at,
+  };
+};
+
+/**
+ * Transform an import mapping template to Supabase columns
+ */
+const transformMappingForSupabase = (template) => {
+  const columns = { name: template.name };
+  if (['target', 'columnMapping', 'fieldRules', 'locale', 'useCount'].some(key => template[key] !== undefined)) {
+    columns.mapping = {
+      target: template.target,
+      columnMapping: template.columnMapping,
+      fieldRules: template.fieldRules,
+      locale: template.locale,
+      useCount: template.useCount,
+    };
+  }
+  // Drop fields that were not part of the update
+  Object.keys(columns).forEach(key => columns[key] === undefined && delete columns[key]);
+  return columns;
+};
+
+/**
+ * Transform a Supabase custom attribute definition to camelCase
+ */
+const transformAttributeFromSupabase = (attribute) => {
+  if (!attribute) return attribute;
+  return {
+    id: attribute.id,
+    key: attribute.key,
+    label: attribute.label,
+    type: attribute.type,
+    allowedValues: attribute.allowed_values || [],
+    createdAt: attribute.created_at,
+    updatedAt: attribute.updated_at,
+  };
+};
+
+/**
+ * Transform a custom attribute definition to Supabase columns
+ */
+const transformAttributeForSupabase = (attribute) => {
+  const columns = {
+    key: attribute.key,
+    label: attribute.label,
+    type: attribute.type,
+    allowed_values: attribute.allowedValues,
+  };
+  // Drop fields that were not part of the update
+  Object.keys(columns).forEach(key => columns[key] === undefined && delete columns[key]);
+  return columns;
+};
+
+// Settings of a validation rule that depend on its type, stored in validation_rules.params
+const VALIDATION_RULE_PARAMS = ['pattern', 'min', 'max', 'values', 'operator', 'otherField', 'referenceField', 'message'];
+
+/**
+ * Transform a Supabase validation rule to camelCase
+ */
+const transformRuleFromSupabase = (rule) => {
+  if (!rule) return rule;
+  return {
+    ...(rule.params || {}),
+    id: rule.id,
+    key: rule.key,
+    name: rule.name,
+    type: rule.type,
+    field: rule.field,
+    severity: rule.severity,
+    createdAt: rule.created_at,
+    updatedAt: rule.updated_at,
+  };
+};
+
+/**
+ * Transform a validation rule to Supabase columns
+ */
+const transformRuleForSupabase = (rule) => {
+  const columns = {
+    key: rule.key,
+    name: rule.name,
+    type: rule.type,
+    field: rule.field,
+    severity: rule.severity,
+  };
+  if (VALIDATION_RULE_PARAMS.some(key => rule[key] !== undefined)) {
+    columns.params = Object.fromEntries(VALIDATION_RULE_PARAMS
+      .filter(key => rule[key] !== undefined)
+      .map(key => [key, rule[key]]));
+  }
+  // Drop fields that were not part of the update
+  Object.keys(columns).forEach(key => columns[key] === undefined && delete columns[key]);
+  return columns;
+};
+
+/**
+ * Transform a Supabase audit log row to camelCase
+ */
+const transformAuditFromSupabase = (row) => {
+  if (!row) return row;
+  return {
+    id: row.id,
+    timestamp: row.created_at,
+    actorId: row.actor_id,
+    actorName: row.actor_name,
+    action: row.action,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    before: row.before,
+    after: row.after,
+    details: row.details,
+  };
+};
+
+// Id of what an add returned: the id itself (IndexedDB) or the inserted row (Supabase)
+const idOf = (result) => (result && typeof result === 'object' ? result.id : result);
+
+// Current record for the before values of the audit log; null when it cannot be read
+const loadForAudit = async (load) => {
+  try {
+    return (await load()) ?? null;
+  } catch {
+    return null;
+  }
+};
+
+const loadEmployeeForAudit = (id) => loadForAudit(async () => (isSupabaseConfigured()
+  ? transformEmployeeFromSupabase(await supabaseDB.employeesDB.get(id))
+  : indexedDB.employeeDB.get(id)));
+
+// The fields an update changes, as they were; Supabase rows may only have the snake_case column
+const pickFields = (record, fields) => {
+  if (!record) return null;
+  return Object.fromEntries(fields.map(field => {
+    const column = field.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+    return [field, record[field] ?? record[column] ?? null];
+  }));
+};
+
+const summarizeEmployee = (employee) => ({
+  id: employee.id,
+  employeeId: employee.employeeId,
+  name: employee.name,
+  department: employee.department,
+});
+
+/**
+ * Unified Audit Log Operations
+ * Append-only record of who changed, imported, deleted or exported what. The operations of this
+ * module record their own changes; imports and exports are recorded where they happen
+ */
+export const auditLogDB = {
+  /**
+   * Append an entry for the signed-in user. A failed write is logged but does not fail
+   * the change it records, which has already happened
+   */
+  async record(action, entityType, { entityId = null, before = null, after = null, details = null } = {}) {
+    const entry = {
+      actorId: currentActor?.id ?? null,
+      actorName: currentActor?.name ?? null,
+      action,
+      entityType,
+      entityId: entityId === null || entityId === undefined ? null : String(entityId),
+      before,
+      after,
+      details,
+    };
+    try {
+      if (isSupabaseConfigured()) {
+        await supabaseDB.auditLogsDB.add({
+          actor_name: entry.actorName,
+          action,
+          entity_type: entityType,
+          entity_id: entry.entityId,
+          before,
+          after,
+          details,
+        });
+      } else {
+        await indexedDB.auditLogDB.add({ ...entry, timestamp: new Date().toISOString() });
+      }
+    } catch (error) {
+      console.error('[unifiedDB] Failed to write audit log entry:', action, entityType, error);
+    }
+  },
+
+  // An export of a report or list; fileName identifies it, rows is the number of data rows
+  async recordExport(fileName, { format, rows, report } = {}) {
+    return this.record('export', 'report', { entityId: fileName, details: { report, format, rows } });
+  },
+
+  // Newest first; before and after values go without the fields the reader may not see
+  async getAll() {
+    assertCapability('audit.view');
+    const entries = isSupabaseConfigured()
+      ? ((await supabaseDB.auditLogsDB.getAll()) || []).map(transformAuditFromSupabase)
+      : await indexedDB.auditLogDB.getAll();
+
+    const hiddenFields = hiddenFieldsFor(grantedCapabilities);
+    if (hiddenFields.length === 0) return entries;
+    const redactValue = (value) => {
+      if (Array.isArray(value)) return value.map(redactValue);
+      return value && typeof value === 'object' ? redactEmployee(value, hiddenFields) : value;
+    };
+    return entries.map(entry => ({ ...entry, before: redactValue(entry.before), after: redactValue(entry.after) }));
+  },
+};
+
 /**
  * Unified Employee Operations
  */
 export const employeeDB = {
   async add(employee) {
-    if (isSupabaseConfigured()) {
-      return supabaseDB.employeesDB.add(employee);
-    }
-    return indexedDB.employeeDB.add(employee);
+    assertCapability('employees.edit');
+    const result = isSupabaseConfigured()
+      ? await supabaseDB.employeesDB.add(employee)
+      : await indexedDB.employeeDB.add(employee);
+    await auditLogDB.record('create', 'employee', { entityId: idOf(result), after: employee });
+    return result;
   },
 
   async bulkAdd(employees, onProgress) {
+    assertCapability('imports.run');
     if (isSupabaseConfigured()) {
       // For Supabase, we need an uploadId - this is typically handled by ImportContext
       // This method is mainly used by IndexedDB path
       console.warn('bulkAdd called without uploadId - using IndexedDB path');
-      return indexedDB.employeeDB.bulkAdd(employees, onProgress);
     }
-    return indexedDB.employeeDB.bulkAdd(employees, onProgress);
+    // A department-scoped importer replaces the employees of their departments only
+    return indexedDB.employeeDB.bulkAdd(employees, onProgress, departmentScope);
+  },
+
+  async previewMerge(employees, options) {
+    assertCapability('imports.run');
+    if (isSupabaseConfigured()) {
+      // Supabase stores one employee set per upload, so there is nothing to merge into
+      console.warn('previewMerge called with Supabase configured - using IndexedDB path');
+    }
+    return indexedDB.employeeDB.previewMerge(employees, { ...options, departments: departmentScope });
+  },
+
+  async bulkMerge(employees, onProgress, options) {
+    assertCapability('imports.run');
+    if (isSupabaseConfigured()) {
+      console.warn('bulkMerge called with Supabase configured - using IndexedDB path');
+    }
+    // Employees outside the importer's departments are neither changed nor marked as exited
+    return indexedDB.employeeDB.bulkMerge(employees, onProgress, { ...options, departments: departmentScope });
   },
 
   async get(id) {
+    assertCapability('employees.view');
     if (isSupabaseConfigured()) {
       const data = await supabaseDB.employeesDB.get(id);
-      return transformEmployeeFromSupabase(data);
+      return redactOne(transformEmployeeFromSupabase(data));
     }
-    return indexedDB.employeeDB.get(id);
+    const employee = await indexedDB.employeeDB.get(id);
+    return employee && inAccessScope(employee.department) ? redactOne(employee) : undefined;
   },
 
   async getByEmployeeId(employeeId) {
+    assertCapability('employees.view');
     if (isSupabaseConfigured()) {
       const data = await supabaseDB.employeesDB.getByEmployeeId(employeeId);
-      return transformEmployeeFromSupabase(data);
+      return redactOne(transformEmployeeFromSupabase(data));
     }
-    return indexedDB.employeeDB.getByEmployeeId(employeeId);
+    const employee = await indexedDB.employeeDB.getByEmployeeId(employeeId);
+    return employee && inAccessScope(employee.department) ? redactOne(employee) : undefined;
   },
 
   async getAll() {
+    assertCapability('employees.view');
     if (isSupabaseConfigured()) {
       const data = await supabaseDB.employeesDB.getAll();
-      return transformEmployeesFromSupabase(data);
+      return redactEmployees(transformEmployeesFromSupabase(data));
     }
-    return indexedDB.employeeDB.getAll();
+    return redactEmployees(await indexedDB.employeeDB.getAll(departmentScope));
   },
 
   async getPaginated(offset = 0, limit = 50) {
+    assertCapability('employees.view');
     if (isSupabaseConfigured()) {
       const page = Math.floor(offset / limit) + 1;
       console.log('[unifiedDB] getPaginated from Supabase, page:', page, 'limit:', limit);
@@ -146,50 +628,68 @@ export const employeeDB = {
         console.log('[unifiedDB] getPaginated result.data length:', result?.data?.length);
         const transformed = transformEmployeesFromSupabase(result?.data || []);
         console.log('[unifiedDB] transformed employees:', transformed?.length, transformed?.[0]);
-        return transformed;
+        return redactEmployees(transformed);
       } catch (err) {
         console.error('[unifiedDB] getPaginated error:', err);
         return [];
       }
     }
-    return indexedDB.employeeDB.getPaginated(offset, limit);
+    return redactEmployees(await indexedDB.employeeDB.getPaginated(offset, limit, departmentScope));
   },
 
   async searchByName(query) {
+    assertCapability('employees.view');
     if (isSupabaseConfigured()) {
       const data = await supabaseDB.employeesDB.searchByName(query);
-      return transformEmployeesFromSupabase(data);
+      return redactEmployees(transformEmployeesFromSupabase(data));
     }
-    return indexedDB.employeeDB.searchByName(query);
+    return redactEmployees(await indexedDB.employeeDB.searchByName(query, departmentScope));
   },
 
   async filter(criteria) {
+    assertCapability('employees.view');
     if (isSupabaseConfigured()) {
       const data = await supabaseDB.employeesDB.filter(criteria);
-      return transformEmployeesFromSupabase(data);
+      return redactEmployees(transformEmployeesFromSupabase(data));
     }
-    return indexedDB.employeeDB.filter(criteria);
+    return redactEmployees(await indexedDB.employeeDB.filter(criteria, departmentScope));
   },
 
   async update(id, updates) {
-    if (isSupabaseConfigured()) {
-      return supabaseDB.employeesDB.update(id, updates);
+    assertCapability('employees.edit');
+    // A record read without hidden fields must not overwrite them (nor the raw import values)
+    const hiddenFields = hiddenFieldsFor(grantedCapabilities);
+    if (hiddenFields.length > 0) {
+      const { importMetadata, ...rest } = updates;
+      updates = redactEmployee(rest, hiddenFields);
     }
-    return indexedDB.employeeDB.update(id, updates);
+    const before = pickFields(await loadEmployeeForAudit(id), Object.keys(updates));
+    const result = isSupabaseConfigured()
+      ? await supabaseDB.employeesDB.update(id, updates)
+      : await indexedDB.employeeDB.update(id, updates);
+    await auditLogDB.record('update', 'employee', { entityId: id, before, after: updates });
+    return result;
   },
 
   async delete(id) {
-    if (isSupabaseConfigured()) {
-      return supabaseDB.employeesDB.delete(id);
-    }
-    return indexedDB.employeeDB.delete(id);
+    assertCapability('employees.edit');
+    const before = await loadEmployeeForAudit(id);
+    const result = isSupabaseConfigured()
+      ? await supabaseDB.employeesDB.delete(id)
+      : await indexedDB.employeeDB.delete(id);
+    await auditLogDB.record('delete', 'employee', { entityId: id, before });
+    return result;
   },
 
+  // The audit entry keeps who was deleted, not each full record
   async bulkDelete(ids) {
-    if (isSupabaseConfigured()) {
-      return supabaseDB.employeesDB.bulkDelete(ids);
-    }
-    return indexedDB.employeeDB.bulkDelete(ids);
+    assertCapability('employees.edit');
+    const before = (await Promise.all(ids.map(loadEmployeeForAudit))).filter(Boolean).map(summarizeEmployee);
+    const result = isSupabaseConfigured()
+      ? await supabaseDB.employeesDB.bulkDelete(ids)
+      : await indexedDB.employeeDB.bulkDelete(ids);
+    await auditLogDB.record('bulk_delete', 'employee', { before, details: { count: ids.length } });
+    return result;
   },
 
   async count() {
@@ -203,30 +703,34 @@ export const employeeDB = {
         return 0;
       }
     }
-    return indexedDB.employeeDB.count();
+    return indexedDB.employeeDB.count(departmentScope);
   },
 
   async getUniqueDepartments() {
     if (isSupabaseConfigured()) {
       return supabaseDB.employeesDB.getUniqueDepartments();
     }
-    return indexedDB.employeeDB.getUniqueDepartments();
+    return indexedDB.employeeDB.getUniqueDepartments(departmentScope);
   },
 
-  async getStats() {
-    if (isSupabaseConfigured()) {
-      return supabaseDB.employeesDB.getStats();
-    }
-    return indexedDB.employeeDB.getStats();
+  async getStats(asOfDate = new Date()) {
+    const stats = isSupabaseConfigured()
+      ? await supabaseDB.employeesDB.getStats(null, asOfDate)
+      : await indexedDB.employeeDB.getStats(asOfDate, departmentScope);
+    return hasCapability('salaries.view') ? stats : redactSalaryStats(stats);
   },
 
   async clear() {
+    assertCapability('settings.manage');
     if (isSupabaseConfigured()) {
       // For Supabase, clearing requires knowing the upload ID
       console.warn('clear() not directly supported for Supabase - use clearByUpload()');
       return;
     }
-    return indexedDB.employeeDB.clear();
+    const count = await indexedDB.employeeDB.count();
+    const result = await indexedDB.employeeDB.clear();
+    await auditLogDB.record('clear', 'employee', { details: { count } });
+    return result;
   },
 };
 
@@ -235,10 +739,22 @@ export const employeeDB = {
  */
 export const projectDB = {
   async add(project) {
-    if (isSupabaseConfigured()) {
-      return supabaseDB.projectsDB.add(project);
-    }
-    return indexedDB.projectDB.add(project);
+    assertCapability('employees.edit');
+    const id = isSupabaseConfigured()
+      ? await supabaseDB.projectsDB.add(project)
+      : await indexedDB.projectDB.add(project);
+    await auditLogDB.record('create', 'project', { entityId: id, after: project });
+    return id;
+  },
+
+  async bulkAdd(projects) {
+    // Also written by a project import
+    assertCapability(['employees.edit', 'imports.run']);
+    const ids = isSupabaseConfigured()
+      ? ((await supabaseDB.projectsDB.bulkAdd(projects)) || []).map(row => row.id)
+      : await indexedDB.projectDB.bulkAdd(projects);
+    await auditLogDB.record('bulk_create', 'project', { details: { count: projects.length } });
+    return ids;
   },
 
   async get(id) {
@@ -263,104 +779,204 @@ export const projectDB = {
   },
 
   async update(id, updates) {
-    if (isSupabaseConfigured()) {
-      return supabaseDB.projectsDB.update(id, updates);
-    }
-    return indexedDB.projectDB.update(id, updates);
+    // Also updated by a project import
+    assertCapability(['employees.edit', 'imports.run']);
+    const before = pickFields(await loadForAudit(() => this.get(id)), Object.keys(updates));
+    const result = isSupabaseConfigured()
+      ? await supabaseDB.projectsDB.update(id, updates)
+      : await indexedDB.projectDB.update(id, updates);
+    await auditLogDB.record('update', 'project', { entityId: id, before, after: updates });
+    return result;
   },
 
   async delete(id) {
-    if (isSupabaseConfigured()) {
-      return supabaseDB.projectsDB.delete(id);
-    }
-    return indexedDB.projectDB.delete(id);
+    assertCapability('employees.edit');
+    const before = await loadForAudit(() => this.get(id));
+    const result = isSupabaseConfigured()
+      ? await supabaseDB.projectsDB.delete(id)
+      : await indexedDB.projectDB.delete(id);
+    await auditLogDB.record('delete', 'project', { entityId: id, before });
+    return result;
   },
 };
 
+const loadAssignmentForAudit = (id) => loadForAudit(async () => (isSupabaseConfigured()
+  ? transformAssignmentFromSupabase(await supabaseDB.assignmentsDB.get(id))
+  : indexedDB.assignmentDB.get(id)));
+
 /**
  * Unified Assignment Operations
  */
 export const assignmentDB = {
   async add(assignment) {
+    assertCapability('employees.edit');
+    const result = isSupabaseConfigured()
+      ? await supabaseDB.assignmentsDB.add(assignment)
+      : await indexedDB.assignmentDB.add(assignment);
+    await auditLogDB.record('create', 'assignment', { entityId: idOf(result), after: assignment });
+    return result;
+  },
+
+  async bulkAdd(assignments) {
+    // Also written by an assignment import
+    assertCapability(['employees.edit', 'imports.run']);
+    const ids = isSupabaseConfigured()
+      ? ((await supabaseDB.assignmentsDB.bulkAdd(assignments.map(transformAssignmentForSupabase))) || []).map(row => row.id)
+      : await indexedDB.assignmentDB.bulkAdd(assignments);
+    await auditLogDB.record('bulk_create', 'assignment', { details: { count: assignments.length } });
+    return ids;
+  },
+
+  async getAll() {
     if (isSupabaseConfigured()) {
-      return supabaseDB.assignmentsDB.add(assignment);
+      const data = await supabaseDB.assignmentsDB.getAll();
+      return (data || []).map(transformAssignmentFromSupabase);
     }
-    return indexedDB.assignmentDB.add(assignment);
+    return pickForEmployeesInScope(await indexedDB.assignmentDB.getAll());
   },
 
   async getByEmployee(employeeId) {
     if (isSupabaseConfigured()) {
       return supabaseDB.assignmentsDB.getByEmployee(employeeId);
     }
-    return indexedDB.assignmentDB.getByEmployee(employeeId);
+    return pickForEmployeesInScope(await indexedDB.assignmentDB.getByEmployee(employeeId));
   },
 
   async getByProject(projectId) {
     if (isSupabaseConfigured()) {
       return supabaseDB.assignmentsDB.getByProject(projectId);
     }
-    return indexedDB.assignmentDB.getByProject(projectId);
+    return pickForEmployeesInScope(await indexedDB.assignmentDB.getByProject(projectId));
+  },
+
+  async update(id, updates) {
+    // Also updated by an assignment import
+    assertCapability(['employees.edit', 'imports.run']);
+    const before = pickFields(await loadAssignmentForAudit(id), Object.keys(updates));
+    const result = isSupabaseConfigured()
+      ? transformAssignmentFromSupabase(await supabaseDB.assignmentsDB.update(id, transformAssignmentForSupabase(updates)))
+      : await indexedDB.assignmentDB.update(id, updates);
+    await auditLogDB.record('update', 'assignment', { entityId: id, before, after: updates });
+    return result;
   },
 
   async delete(id) {
-    if (isSupabaseConfigured()) {
-      return supabaseDB.assignmentsDB.delete(id);
-    }
-    return indexedDB.assignmentDB.delete(id);
+    assertCapability('employees.edit');
+    const before = await loadAssignmentForAudit(id);
+    const result = isSupabaseConfigured()
+      ? await supabaseDB.assignmentsDB.delete(id)
+      : await indexedDB.assignmentDB.delete(id);
+    await auditLogDB.record('delete', 'assignment', { entityId: id, before });
+    return result;
   },
 
   async deleteByEmployee(employeeId) {
-    if (isSupabaseConfigured()) {
-      return supabaseDB.assignmentsDB.deleteByEmployee(employeeId);
-    }
-    return indexedDB.assignmentDB.deleteByEmployee(employeeId);
+    assertCapability('employees.edit');
+    const result = isSupabaseConfigured()
+      ? await supabaseDB.assignmentsDB.deleteByEmployee(employeeId)
+      : await indexedDB.assignmentDB.deleteByEmployee(employeeId);
+    await auditLogDB.record('delete', 'assignment', { details: { employeeId } });
+    return result;
   },
 
   async getStats() {
     if (isSupabaseConfigured()) {
       return supabaseDB.assignmentsDB.getStats();
     }
-    return indexedDB.assignmentDB.getStats();
+    if (!departmentScope) return indexedDB.assignmentDB.getStats();
+    // Allocation of the employees in scope only
+    const assignments = await this.getAll();
+    return { totalAllocated: sumOf(assignments, 'allocationPercentage') };
   },
 };
 
+const loadProgramForAudit = (id) => loadForAudit(async () => (isSupabaseConfigured()
+  ? transformProgramFromSupabase(await supabaseDB.reductionProgramsDB.get(id))
+  : indexedDB.reductionProgramDB.get(id)));
+
 /**
  * Unified Reduction Program Operations
  */
 export const reductionProgramDB = {
+  // Returns the new program's id on both backends
   async add(program) {
-    if (isSupabaseConfigured()) {
-      return supabaseDB.reductionProgramsDB.add(program);
-    }
-    return indexedDB.reductionProgramDB.add(program);
+    assertCapability('employees.edit');
+    const id = isSupabaseConfigured()
+      ? (await supabaseDB.reductionProgramsDB.add(transformProgramForSupabase(program)))?.id
+      : await indexedDB.reductionProgramDB.add(program);
+    await auditLogDB.record('create', 'reductionProgram', { entityId: id, after: program });
+    return id;
+  },
+
+  async bulkAdd(programs) {
+    // Enrolling from the programs page or a program import
+    assertCapability(['employees.edit', 'imports.run']);
+    const ids = isSupabaseConfigured()
+      ? ((await supabaseDB.reductionProgramsDB.bulkAdd(programs.map(transformProgramForSupabase))) || []).map(row => row.id)
+      : await indexedDB.reductionProgramDB.bulkAdd(programs);
+    await auditLogDB.record('bulk_create', 'reductionProgram', { details: { count: programs.length } });
+    return ids;
   },
 
+  // employeeId is the business employee ID, not the record id
   async getByEmployeeId(employeeId) {
+    assertCapability('employees.view');
     if (isSupabaseConfigured()) {
-      return supabaseDB.reductionProgramsDB.getByEmployeeId(employeeId);
+      const data = await supabaseDB.reductionProgramsDB.getByEmployeeId(employeeId);
+      return (data || []).map(transformProgramFromSupabase);
     }
-    return indexedDB.reductionProgramDB.getByEmployeeId(employeeId);
+    return pickForEmployeesInScope(await indexedDB.reductionProgramDB.getByEmployeeId(employeeId));
   },
 
-  async getActive() {
+  async getAll() {
+    assertCapability('employees.view');
     if (isSupabaseConfigured()) {
-      return supabaseDB.reductionProgramsDB.getActive();
+      const data = await supabaseDB.reductionProgramsDB.getAll();
+      return (data || []).map(transformProgramFromSupabase);
     }
-    return indexedDB.reductionProgramDB.getActive();
+    return pickForEmployeesInScope(await indexedDB.reductionProgramDB.getAll());
   },
 
-  async update(id, updates) {
+  async getActive(asOfDate = new Date()) {
     if (isSupabaseConfigured()) {
-      return supabaseDB.reductionProgramsDB.update(id, updates);
+      const data = await supabaseDB.reductionProgramsDB.getActive(asOfDate);
+      return (data || []).map(transformProgramFromSupabase);
     }
-    return indexedDB.reductionProgramDB.update(id, updates);
+    return pickForEmployeesInScope(await indexedDB.reductionProgramDB.getActive(asOfDate));
   },
 
-  async delete(id) {
-    if (isSupabaseConfigured()) {
-      return supabaseDB.reductionProgramsDB.delete(id);
+  // Runs on its own while the app is open, so only a run that completed programs is recorded
+  async completeExpired(asOfDate = new Date()) {
+    const completed = isSupabaseConfigured()
+      ? await supabaseDB.reductionProgramsDB.completeExpired(asOfDate)
+      : await indexedDB.reductionProgramDB.completeExpired(asOfDate);
+    if (completed > 0) {
+      await auditLogDB.record('update', 'reductionProgram', {
+        after: { status: 'completed' },
+        details: { count: completed, asOfDate: toISODate(asOfDate) },
+      });
     }
-    return indexedDB.reductionProgramDB.delete(id);
+    return completed;
+  },
+
+  async update(id, updates) {
+    assertCapability('employees.edit');
+    const before = pickFields(await loadProgramForAudit(id), Object.keys(updates));
+    const result = isSupabaseConfigured()
+      ? transformProgramFromSupabase(await supabaseDB.reductionProgramsDB.update(id, transformProgramForSupabase(updates)))
+      : await indexedDB.reductionProgramDB.update(id, updates);
+    await auditLogDB.record('update', 'reductionProgram', { entityId: id, before, after: updates });
+    return result;
+  },
+
+  async delete(id) {
+    assertCapability('employees.edit');
+    const before = await loadProgramForAudit(id);
+    const result = isSupabaseConfigured()
+      ? await supabaseDB.reductionProgramsDB.delete(id)
+      : await indexedDB.reductionProgramDB.delete(id);
+    await auditLogDB.record('delete', 'reductionProgram', { entityId: id, before });
+    return result;
   },
 };
 
@@ -369,6 +985,7 @@ export const reductionProgramDB = {
  */
 export const importHistoryDB = {
   async add(history) {
+    assertCapability('imports.run');
     if (isSupabaseConfigured()) {
       // Convert to Supabase format
       return supabaseDB.uploadsDB.create({
@@ -382,7 +999,8 @@ export const importHistoryDB = {
         error_log: history.errorLog || [],
         department_breakdown: history.departmentBreakdown || {},
         total_salary: history.totalSalary,
-        status: 'completed',
+        user_id: history.userId,
+        status: history.status || 'completed',
       });
     }
     return indexedDB.importHistoryDB.add(history);
@@ -391,24 +1009,79 @@ export const importHistoryDB = {
   async getAll() {
     if (isSupabaseConfigured()) {
       const data = await supabaseDB.uploadsDB.getAll();
-      return transformUploadsFromSupabase(data);
+      return transformUploadsFromSupabase(data).map(redactImportSalaries);
     }
-    return indexedDB.importHistoryDB.getAll();
+    return (await indexedDB.importHistoryDB.getAll()).map(scopeImportHistory);
   },
 
   async getRecent(limit = 10) {
     if (isSupabaseConfigured()) {
       const data = await supabaseDB.uploadsDB.getRecent(limit);
-      return transformUploadsFromSupabase(data);
+      return transformUploadsFromSupabase(data).map(redactImportSalaries);
     }
-    return indexedDB.importHistoryDB.getRecent(limit);
+    return (await indexedDB.importHistoryDB.getRecent(limit)).map(scopeImportHistory);
   },
 
   async delete(id) {
+    assertCapability('uploads.manage');
+    const upload = await loadForAudit(async () => (isSupabaseConfigured()
+      ? transformUploadFromSupabase(await supabaseDB.uploadsDB.get(id))
+      : indexedDB.importHistoryDB.get(id)));
+    const result = isSupabaseConfigured()
+      ? await supabaseDB.uploadsDB.delete(id)
+      : await indexedDB.importHistoryDB.delete(id);
+    await auditLogDB.record('delete', 'upload', {
+      entityId: id,
+      before: upload && { fileName: upload.fileName, timestamp: upload.timestamp, totalRecords: upload.totalRecords },
+    });
+    return result;
+  },
+};
+
+/**
+ * Unified Employee Snapshot Operations
+ * Every import keeps the employee set it replaced, keyed to its history entry / upload,
+ * so it can be rolled back. Only the newest snapshots are kept (see getRetention)
+ */
+export const DEFAULT_SNAPSHOT_RETENTION = 5;
+
+export const employeeSnapshotDB = {
+  // How many snapshots to keep; set per browser by an admin in Uploads
+  getRetention() {
+    const retention = storage.get('SNAPSHOT_RETENTION');
+    return Number.isInteger(retention) && retention >= 0 ? retention : DEFAULT_SNAPSHOT_RETENTION;
+  },
+
+  async setRetention(retention) {
+    assertCapability('uploads.manage');
+    storage.set('SNAPSHOT_RETENTION', retention);
+    return this.prune();
+  },
+
+  async prune(keep = this.getRetention()) {
     if (isSupabaseConfigured()) {
-      return supabaseDB.uploadsDB.delete(id);
+      return supabaseDB.employeeSnapshotsDB.prune(keep);
     }
-    return indexedDB.importHistoryDB.delete(id);
+    return indexedDB.employeeSnapshotDB.prune(keep);
+  },
+
+  // Ids of the history entries / uploads that can still be rolled back
+  async getImportIds() {
+    if (isSupabaseConfigured()) {
+      return supabaseDB.employeeSnapshotsDB.getUploadIds();
+    }
+    return indexedDB.employeeSnapshotDB.getImportIds();
+  },
+
+  // Make the employee set an import replaced current again; recorded as an import of its own
+  async restore(importId, onProgress) {
+    assertCapability('uploads.manage');
+    const result = isSupabaseConfigured()
+      ? await supabaseDB.employeeSnapshotsDB.restore(importId, onProgress)
+      : await indexedDB.employeeSnapshotDB.restore(importId, onProgress);
+    await auditLogDB.record('restore', 'upload', { entityId: importId });
+    await this.prune();
+    return result;
   },
 };
 
@@ -417,34 +1090,42 @@ export const importHistoryDB = {
  */
 export const importMappingDB = {
   async add(mapping) {
+    assertCapability('imports.run');
     if (isSupabaseConfigured()) {
-      return supabaseDB.importMappingsDB.add(mapping);
+      const data = await supabaseDB.importMappingsDB.add(transformMappingForSupabase(mapping));
+      return transformMappingFromSupabase(data);
     }
-    return indexedDB.importMappingDB.add(mapping);
+    const id = await indexedDB.importMappingDB.add(mapping);
+    return { ...mapping, id };
   },
 
   async getAll() {
     if (isSupabaseConfigured()) {
-      return supabaseDB.importMappingsDB.getAll();
+      const data = await supabaseDB.importMappingsDB.getAll();
+      return (data || []).map(transformMappingFromSupabase);
     }
     return indexedDB.importMappingDB.getAll();
   },
 
   async getByName(name) {
     if (isSupabaseConfigured()) {
-      return supabaseDB.importMappingsDB.getByName(name);
+      return transformMappingFromSupabase(await supabaseDB.importMappingsDB.getByName(name));
     }
     return indexedDB.importMappingDB.getByName(name);
   },
 
   async update(id, updates) {
+    assertCapability('imports.run');
     if (isSupabaseConfigured()) {
-      return supabaseDB.importMappingsDB.update(id, updates);
+      const data = await supabaseDB.importMappingsDB.update(id, transformMappingForSupabase(updates));
+      return transformMappingFromSupabase(data);
     }
-    return indexedDB.importMappingDB.update(id, updates);
+    await indexedDB.importMappingDB.update(id, { ...updates, lastUsed: new Date().toISOString() });
+    return indexedDB.importMappingDB.get(id);
   },
 
   async delete(id) {
+    assertCapability('imports.run');
     if (isSupabaseConfigured()) {
       return supabaseDB.importMappingsDB.delete(id);
     }
@@ -452,15 +1133,168 @@ export const importMappingDB = {
   },
 };
 
+/**
+ * Unified Scenario Operations
+ */
+export const scenarioDB = {
+  async add(scenario) {
+    assertCapability('scenarios.edit');
+    if (isSupabaseConfigured()) {
+      const data = await supabaseDB.scenariosDB.add(transformScenarioForSupabase(scenario));
+      return transformScenarioFromSupabase(data);
+    }
+    const id = await indexedDB.scenarioDB.add(scenario);
+    return indexedDB.scenarioDB.get(id);
+  },
+
+  async getAll() {
+    if (isSupabaseConfigured()) {
+      const data = await supabaseDB.scenariosDB.getAll();
+      return (data || []).map(transformScenarioFromSupabase);
+    }
+    return indexedDB.scenarioDB.getAll();
+  },
+
+  async get(id) {
+    if (isSupabaseConfigured()) {
+      const data = await supabaseDB.scenariosDB.get(id);
+      return transformScenarioFromSupabase(data);
+    }
+    return indexedDB.scenarioDB.get(id);
+  },
+
+  async update(id, updates) {
+    assertCapability('scenarios.edit');
+    if (isSupabaseConfigured()) {
+      const data = await supabaseDB.scenariosDB.update(id, transformScenarioForSupabase(updates));
+      return transformScenarioFromSupabase(data);
+    }
+    return indexedDB.scenarioDB.update(id, updates);
+  },
+
+  async delete(id) {
+    assertCapability('scenarios.edit');
+    if (isSupabaseConfigured()) {
+      return supabaseDB.scenariosDB.delete(id);
+    }
+    return indexedDB.scenarioDB.delete(id);
+  },
+};
+
+/**
+ * Unified Custom Attribute Operations
+ */
+export const customAttributeDB = {
+  async add(attribute) {
+    assertCapability('settings.manage');
+    if (isSupabaseConfigured()) {
+      const data = await supabaseDB.customAttributesDB.add(transformAttributeForSupabase(attribute));
+      return transformAttributeFromSupabase(data);
+    }
+    const id = await indexedDB.customAttributeDB.add(attribute);
+    return indexedDB.customAttributeDB.get(id);
+  },
+
+  async getAll() {
+    if (isSupabaseConfigured()) {
+      const data = await supabaseDB.customAttributesDB.getAll();
+      return (data || []).map(transformAttributeFromSupabase);
+    }
+    return indexedDB.customAttributeDB.getAll();
+  },
+
+  async update(id, updates) {
+    assertCapability('settings.manage');
+    if (isSupabaseConfigured()) {
+      const data = await supabaseDB.customAttributesDB.update(id, transformAttributeForSupabase(updates));
+      return transformAttributeFromSupabase(data);
+    }
+    return indexedDB.customAttributeDB.update(id, updates);
+  },
+
+  async delete(id) {
+    assertCapability('settings.manage');
+    if (isSupabaseConfigured()) {
+      return supabaseDB.customAttributesDB.delete(id);
+    }
+    return indexedDB.customAttributeDB.delete(id);
+  },
+};
+
+/**
+ * Unified Validation Rule Operations
+ */
+export const validationRuleDB = {
+  async add(rule) {
+    assertCapability('settings.manage');
+    if (isSupabaseConfigured()) {
+      const data = await supabaseDB.validationRulesDB.add(transformRuleForSupabase(rule));
+      return transformRuleFromSupabase(data);
+    }
+    const id = await indexedDB.validationRuleDB.add(rule);
+    return indexedDB.validationRuleDB.get(id);
+  },
+
+  async getAll() {
+    if (isSupabaseConfigured()) {
+      const data = await supabaseDB.validationRulesDB.getAll();
+      return (data || []).map(transformRuleFromSupabase);
+    }
+    return indexedDB.validationRuleDB.getAll();
+  },
+
+  async update(id, updates) {
+    assertCapability('settings.manage');
+    if (isSupabaseConfigured()) {
+      const data = await supabaseDB.validationRulesDB.update(id, transformRuleForSupabase(updates));
+      return transformRuleFromSupabase(data);
+    }
+    return indexedDB.validationRuleDB.update(id, updates);
+  },
+
+  async delete(id) {
+    assertCapability('settings.manage');
+    if (isSupabaseConfigured()) {
+      return supabaseDB.validationRulesDB.delete(id);
+    }
+    return indexedDB.validationRuleDB.delete(id);
+  },
+};
+
+/**
+ * Unified Role Permission Operations
+ * The role -> capabilities matrix, defaults filled in for roles never saved
+ */
+export const rolePermissionDB = {
+  async getMatrix() {
+    if (isSupabaseConfigured()) {
+      return buildPermissionMatrix(await supabaseDB.rolePermissionsDB.getAll());
+    }
+    return buildPermissionMatrix(await indexedDB.rolePermissionDB.getAll());
+  },
+
+  async save(role, capabilities) {
+    assertCapability('users.manage');
+    if (role === 'admin') throw new Error('Admins always have every permission');
+    if (isSupabaseConfigured()) {
+      return supabaseDB.rolePermissionsDB.save(role, capabilities);
+    }
+    return indexedDB.rolePermissionDB.save(role, capabilities);
+  },
+};
+
 /**
  * Unified System Operations
  */
 export const systemDB = {
+  // The audit log is kept, with an entry for the reset
   async clearAllData() {
-    if (isSupabaseConfigured()) {
-      return supabaseDB.systemDB.clearAllData();
-    }
-    return indexedDB.systemDB.clearAllData();
+    assertCapability('settings.manage');
+    const result = isSupabaseConfigured()
+      ? await supabaseDB.systemDB.clearAllData()
+      : await indexedDB.systemDB.clearAllData();
+    await auditLogDB.record('clear', 'system');
+    return result;
   },
 
   async getHealth() {
@@ -644,7 +1478,7 @@ export const systemDB = {
           const { data: empData, error: empError } = await supabase
             .from('employees')
             .insert(testEmployee)
-            .select()
+            .select('id')
             .single();
 
           if (empError) {
@@ -754,6 +1588,12 @@ export default {
   reductionProgramDB,
   importHistoryDB,
   importMappingDB,
+  scenarioDB,
+  customAttributeDB,
+  validationRuleDB,
+  employeeSnapshotDB,
+  rolePermissionDB,
+  auditLogDB,
   systemDB,
   getBackendInfo,
 };
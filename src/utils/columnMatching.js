@@ -0,0 +1,291 @@
+/**
+ * Column matching
+ * Scored suggestions for the column mapping step: header similarity to the field's patterns
+ * and German/English/Spanish synonyms, the kind of values in the column (emails, dates,
+ * numbers and their range) and header -> field pairs learned from saved mapping templates
+ */
+
+import { parseLocaleDate, parseLocaleNumber } from './importLocale';
+
+// Suggestions below this score are not mapped
+const MIN_SCORE = 0.45;
+const NAME_WEIGHT = 0.75;
+const SIMILAR_TOKEN = 0.8;
+
+export const CONFIDENCE_LEVELS = [
+  { key: 'high', label: 'High', min: 0.8 },
+  { key: 'medium', label: 'Medium', min: 0.6 },
+  { key: 'low', label: 'Low', min: 0 },
+];
+
+// Synonyms beyond the target's own patterns, keyed by field; written without accents
+const FIELD_SYNONYMS = {
+  employeeId: ['numero de empleado', 'id empleado', 'legajo', 'personalnummer', 'personal nr', 'ma nr'],
+  name: ['nombre completo', 'vollstandiger name', 'mitarbeitername'],
+  firstName: ['primer nombre', 'rufname'],
+  lastName: ['apellido', 'apellidos', 'familienname'],
+  email: ['correo', 'correo electronico', 'e mail adresse'],
+  role: ['rol', 'puesto de trabajo', 'stellenbezeichnung', 'berufsbezeichnung'],
+  department: ['area', 'abteilungsname', 'organisationseinheit', 'org einheit'],
+  status: ['estatus', 'situacion', 'beschaftigungsstatus', 'personengruppe'],
+  employmentType: ['tipo de contrato', 'vertragsart', 'beschaftigungsart'],
+  startDate: ['fecha de ingreso', 'fecha de alta', 'fecha de antiguedad', 'eintritt', 'betriebszugehorigkeit'],
+  endDate: ['fecha de baja', 'fecha fin', 'austritt', 'austrittsdatum'],
+  exitDate: ['fecha de salida', 'austrittsdatum'],
+  contractEndDate: ['fin de contrato', 'vertragsende', 'befristet bis'],
+  fte: ['jornada', 'porcentaje de jornada', 'beschaftigungsgrad', 'teilzeitquote'],
+  company: ['empresa', 'gesellschaft', 'arbeitgeber'],
+  country: ['pais', 'land'],
+  plant: ['planta', 'sede', 'werk'],
+  city: ['ort', 'localidad'],
+  costCenter: ['centro de coste', 'centro de costo', 'kst'],
+  division: ['segmento', 'sparte'],
+  birthdate: ['fecha de nacimiento', 'geburtstag'],
+  age: ['edad', 'alter'],
+  gender: ['sexo', 'genero', 'geschlecht'],
+  nationality: ['nacionalidad', 'staatsangehorigkeit'],
+  payScale: ['tarifgruppe', 'entgeltgruppe', 'categoria salarial'],
+  managementLevel: ['nivel', 'hierarchieebene'],
+  reportingManager: ['id del jefe', 'jefe directo', 'fuhrungskraft'],
+  baseSalary: ['salario base', 'sueldo', 'grundgehalt', 'jahresgehalt', 'gehalt'],
+  hourlyRate: ['tarifa por hora', 'stundensatz', 'stundenlohn'],
+  reductionPercentage: ['porcentaje de reduccion', 'reduccion'],
+  allocationPercentage: ['porcentaje de asignacion', 'asignacion'],
+  programName: ['programa', 'nombre del programa'],
+  project: ['proyecto'],
+  client: ['cliente'],
+  budget: ['presupuesto'],
+  description: ['descripcion'],
+  notes: ['notas', 'observaciones'],
+};
+
+// Expected values of fields whose type alone says too little
+const FIELD_VALUE_HINTS = {
+  email: { kind: 'email' },
+  fte: { kind: 'number', min: 0, max: 100 },
+  age: { kind: 'number', min: 14, max: 80 },
+  baseSalary: { kind: 'number', min: 500 },
+  hourlyRate: { kind: 'number', min: 1, max: 500 },
+  reductionPercentage: { kind: 'number', min: 0, max: 100 },
+  allocationPercentage: { kind: 'number', min: 0, max: 100 },
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// "Führungs-Ebene (DE)" -> "fuhrungs ebene de"
+export const normalizeHeader = (value) => String(value ?? '')
+  .replace(/ß/g, 'ss')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const bigrams = (str) => {
+  const grams = new Map();
+  for (let i = 0; i < str.length - 1; i++) {
+    const gram = str.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+};
+
+// Dice coefficient of character bigrams, tolerant to typos and missing letters
+function diceSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  let overlap = 0;
+  for (const [gram, count] of gramsA) {
+    overlap += Math.min(count, gramsB.get(gram) || 0);
+  }
+  return (2 * overlap) / (a.length - 1 + b.length - 1);
+}
+
+const tokensMatch = (a, b) => a === b || (a.length > 3 && b.length > 3 && diceSimilarity(a, b) >= SIMILAR_TOKEN);
+
+// Similarity of a normalized header to one normalized pattern, 0..1
+function patternSimilarity(header, pattern) {
+  if (!header || !pattern) return 0;
+  if (header === pattern) return 1;
+
+  const compactHeader = header.replace(/ /g, '');
+  const compactPattern = pattern.replace(/ /g, '');
+  if (compactHeader === compactPattern) return 0.95;
+
+  const headerTokens = header.split(' ');
+  const patternTokens = pattern.split(' ');
+  const matched = patternTokens.filter(token => headerTokens.some(h => tokensMatch(h, token))).length;
+
+  // Every pattern word in a longer header, e.g. "Plant 2 (Description)" for "plant"
+  const containment = matched === patternTokens.length
+    ? 0.75 + 0.15 * (patternTokens.length / headerTokens.length)
+    : 0;
+  const tokenOverlap = 0.9 * (2 * matched) / (headerTokens.length + patternTokens.length);
+  const typo = 0.85 * diceSimilarity(compactHeader, compactPattern);
+
+  return Math.max(containment, tokenOverlap, typo);
+}
+
+/**
+ * Kind of values in a column from sample rows
+ * Returns { kind: 'empty' | 'email' | 'date' | 'number' | 'text', min, max }
+ */
+export function profileColumnValues(values) {
+  const filled = values
+    .filter(value => value !== null && value !== undefined && String(value).trim() !== '')
+    .map(value => String(value).trim());
+  if (filled.length === 0) return { kind: 'empty' };
+
+  const share = (test) => filled.filter(test).length / filled.length;
+  if (share(value => EMAIL_PATTERN.test(value)) >= 0.8) return { kind: 'email' };
+  if (share(value => parseLocaleDate(value) !== null) >= 0.8) return { kind: 'date' };
+
+  const numbers = filled
+    .map(value => value.replace('%', ''))
+    .map(value => parseLocaleNumber(value, { decimalSeparator: '.', thousandsSeparator: ',' })
+      ?? parseLocaleNumber(value, { decimalSeparator: ',', thousandsSeparator: '.' }))
+    .filter(number => number !== null);
+  if (numbers.length / filled.length >= 0.8) {
+    return { kind: 'number', min: Math.min(...numbers), max: Math.max(...numbers) };
+  }
+  return { kind: 'text' };
+}
+
+// How well a column's values fit a field, 0..1 (0.5 when the values say nothing)
+function valueFit(field, profile) {
+  if (!profile || profile.kind === 'empty') return 0.5;
+
+  const hint = FIELD_VALUE_HINTS[field.key];
+  const expected = hint?.kind || (field.type === 'percentage' ? 'number' : field.type);
+
+  if (expected === 'text') {
+    if (profile.kind === 'text') return 0.8;
+    if (profile.kind === 'number') return 0.6; // IDs and codes are often numeric
+    return 0.2;
+  }
+  if (profile.kind !== expected) return 0.1;
+  if (hint && profile.kind === 'number') {
+    const inRange = (hint.min === undefined || profile.min >= hint.min) &&
+      (hint.max === undefined || profile.max <= hint.max);
+    return inRange ? 1 : 0.4;
+  }
+  return 1;
+}
+
+/**
+ * Header -> field pairs of saved mapping templates for one import target
+ * Templates that were reused more often weigh more
+ */
+export function learnFromTemplates(templates = [], target = 'employees') {
+  const learned = [];
+  for (const template of templates) {
+    if ((template.target || 'employees') !== target) continue;
+    const weight = 1 + (template.useCount || 0);
+    for (const [field, header] of Object.entries(template.columnMapping || {})) {
+      if (header) learned.push({ field, header: normalizeHeader(header), weight, template: template.name });
+    }
+  }
+  return learned;
+}
+
+// Score of the best learned pair for this header and field, scaled by how often it was used
+function learnedScore(header, field, learned) {
+  let best = null;
+  for (const pair of learned) {
+    if (pair.field !== field) continue;
+    const similarity = pair.header === header ? 1 : diceSimilarity(pair.header, header);
+    if (similarity < SIMILAR_TOKEN) continue;
+    const score = similarity * Math.min(1, 0.85 + 0.05 * pair.weight);
+    if (!best || score > best.score) best = { score, template: pair.template };
+  }
+  return best;
+}
+
+export const getConfidence = (score) => CONFIDENCE_LEVELS.find(level => score >= level.min);
+
+/**
+ * Suggest a column for every field
+ * fields: target fields ({ key, label, type }); patterns: { fieldKey: [header patterns] }
+ * Each column is used once, the best-scoring pairs are taken first
+ * Returns { mapping: { field: header }, suggestions: { field: { header, score, confidence, reasons } } }
+ */
+export function suggestColumnMapping({ headers = [], rows = [], fields = [], patterns = {}, learned = [] }) {
+  const candidates = [];
+
+  const columns = headers.map(header => ({
+    header,
+    normalized: normalizeHeader(header),
+    profile: profileColumnValues(rows.map(row => row[header])),
+  }));
+
+  fields.forEach((field, fieldIndex) => {
+    const fieldPatterns = [
+      ...(patterns[field.key] || []),
+      ...(FIELD_SYNONYMS[field.key] || []),
+      field.label,
+      field.key,
+    ].map(normalizeHeader);
+
+    for (const column of columns) {
+      // Earlier patterns are the more specific ones and win ties, e.g. "job name" over "title" for the role
+      let nameScore = 0;
+      let patternIndex = fieldPatterns.length;
+      fieldPatterns.forEach((pattern, index) => {
+        const similarity = patternSimilarity(column.normalized, pattern);
+        if (similarity > nameScore) {
+          nameScore = similarity;
+          patternIndex = index;
+        }
+      });
+      const fit = valueFit(field, column.profile);
+      const reasons = [];
+
+      let score = 0;
+      if (nameScore >= 0.3) {
+        score = NAME_WEIGHT * nameScore + (1 - NAME_WEIGHT) * fit;
+        reasons.push(nameScore >= 0.95 ? 'Header matches' : 'Header is similar');
+        if (fit >= 0.8) reasons.push('values fit');
+        if (fit <= 0.2) reasons.push('values do not fit');
+      } else if (column.profile.kind === 'email' && field.key === 'email') {
+        // An unnamed column full of email addresses
+        score = 0.5;
+        reasons.push('Values are email addresses');
+      }
+
+      const learnedMatch = learnedScore(column.normalized, field.key, learned);
+      if (learnedMatch && learnedMatch.score > score) {
+        score = learnedMatch.score;
+        patternIndex = -1;
+        reasons.unshift(`Learned from template "${learnedMatch.template}"`);
+      }
+
+      if (score >= MIN_SCORE) {
+        candidates.push({ field: field.key, fieldIndex, patternIndex, header: column.header, score, reasons });
+      }
+    }
+  });
+
+  // Best pairs first; on equal scores the more specific pattern, then the field listed first wins
+  candidates.sort((a, b) => b.score - a.score || a.patternIndex - b.patternIndex || a.fieldIndex - b.fieldIndex);
+
+  const mapping = {};
+  const suggestions = {};
+  const usedHeaders = new Set();
+  for (const candidate of candidates) {
+    if (mapping[candidate.field] || usedHeaders.has(candidate.header)) continue;
+    const score = Math.round(candidate.score * 100) / 100;
+    mapping[candidate.field] = candidate.header;
+    suggestions[candidate.field] = {
+      header: candidate.header,
+      score,
+      confidence: getConfidence(score).key,
+      reasons: candidate.reasons,
+    };
+    usedHeaders.add(candidate.header);
+  }
+
+  return { mapping, suggestions };
+}
@@ -0,0 +1,77 @@
+/**
+ * Custom employee attributes
+ * Admin-defined employee fields beyond the fixed import fields, stored per employee in
+ * employee.customAttributes. Shared by the import worker, the column mapping step,
+ * EmployeeList, DepartmentAnalytics and the export templates
+ */
+
+export const ATTRIBUTE_TYPES = [
+  { key: 'text', label: 'Text' },
+  { key: 'number', label: 'Number' },
+  { key: 'date', label: 'Date' },
+  { key: 'select', label: 'Selection (allowed values)' },
+];
+
+// Mapping and field rule keys of custom attributes, e.g. 'custom.region'
+export const CUSTOM_FIELD_PREFIX = 'custom.';
+
+export const isCustomField = (fieldKey) => String(fieldKey).startsWith(CUSTOM_FIELD_PREFIX);
+
+export const toCustomFieldKey = (attributeKey) => `${CUSTOM_FIELD_PREFIX}${attributeKey}`;
+
+export const fromCustomFieldKey = (fieldKey) => String(fieldKey).slice(CUSTOM_FIELD_PREFIX.length);
+
+// Storage key of a new attribute, derived from its name: "Works Council Region" -> "worksCouncilRegion"
+export const toAttributeKey = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-zA-Z0-9]+/g, ' ')
+  .trim()
+  .split(' ')
+  .filter(Boolean)
+  .map((word, index) => (index === 0
+    ? word.charAt(0).toLowerCase() + word.slice(1)
+    : word.charAt(0).toUpperCase() + word.slice(1)))
+  .join('');
+
+/**
+ * Check an attribute definition before it is saved
+ * Returns an error message or null
+ */
+export function getAttributeDefinitionError(definition, existing = []) {
+  if (!String(definition.label || '').trim()) return 'Name is required';
+  if (!definition.key) return 'Name needs at least one letter or digit';
+  if (!ATTRIBUTE_TYPES.some(type => type.key === definition.type)) return 'Unknown type';
+  if (existing.some(other => other.key === definition.key && other.id !== definition.id)) {
+    return `An attribute with the key "${definition.key}" already exists`;
+  }
+  if (definition.type === 'select' && (definition.allowedValues || []).length === 0) {
+    return 'A selection needs at least one allowed value';
+  }
+  return null;
+}
+
+// Mapping step fields of the defined attributes, in the shape of TARGET_FIELDS
+export const getCustomAttributeFields = (definitions = []) => definitions.map(definition => ({
+  key: toCustomFieldKey(definition.key),
+  label: definition.label,
+  required: false,
+  type: definition.type === 'select' ? 'text' : definition.type,
+  category: 'Custom',
+}));
+
+// Allowed value as defined, matched case-insensitively; undefined if the value is not allowed
+export const matchAllowedValue = (definition, value) => {
+  const needle = String(value).trim().toLowerCase();
+  return (definition.allowedValues || []).find(allowed => String(allowed).trim().toLowerCase() === needle);
+};
+
+/**
+ * Whether an employee matches a custom attribute filter ({ key: value })
+ * Values compare as text without regard to case, so numbers and dates match their written form
+ */
+export const matchesCustomAttributes = (employee, filters = {}) => Object.entries(filters).every(([key, value]) => {
+  const stored = employee.customAttributes?.[key];
+  if (stored === null || stored === undefined) return false;
+  return String(stored).trim().toLowerCase() === String(value).trim().toLowerCase();
+});
@@ -0,0 +1,83 @@
+/**
+ * Folder watch helpers
+ * Find the newest HR export in a folder the admin granted via the File System Access API,
+ * or in a folder / file dropped on the page where the API is missing
+ */
+
+// Files the import wizard reads
+const IMPORT_FILE_PATTERN = /\.(csv|xlsx|xls)$/i;
+
+export const isImportFile = (name) => IMPORT_FILE_PATTERN.test(name || '');
+
+// Chromium browsers only; elsewhere the folder has to be dropped on the page
+export const supportsDirectoryPicker = () =>
+  typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+
+/**
+ * Whether the app may read the folder; request asks the user and needs a click to run from
+ */
+export async function hasReadPermission(directoryHandle, request = false) {
+  if (!directoryHandle?.queryPermission) return false;
+  const options = { mode: 'read' };
+  if ((await directoryHandle.queryPermission(options)) === 'granted') return true;
+  return request && (await directoryHandle.requestPermission(options)) === 'granted';
+}
+
+const newest = (files) => files.reduce((best, file) => (!best || file.lastModified > best.lastModified ? file : best), null);
+
+/**
+ * Newest import file directly in a granted folder, or null
+ */
+export async function findNewestFile(directoryHandle) {
+  const files = [];
+  for await (const entry of directoryHandle.values()) {
+    if (entry.kind === 'file' && isImportFile(entry.name)) {
+      files.push(await entry.getFile());
+    }
+  }
+  return newest(files);
+}
+
+// Files of a dropped folder, through the older entries API
+const readDroppedDirectory = (directoryEntry) => new Promise((resolve, reject) => {
+  const reader = directoryEntry.createReader();
+  const entries = [];
+  const readBatch = () => reader.readEntries((batch) => {
+    if (batch.length === 0) {
+      Promise.all(entries
+        .filter(entry => entry.isFile && isImportFile(entry.name))
+        .map(entry => new Promise((done, fail) => entry.file(done, fail))))
+        .then(resolve, reject);
+      return;
+    }
+    entries.push(...batch);
+    readBatch();
+  }, reject);
+  readBatch();
+});
+
+/**
+ * What was dropped on the folder watch: a directory handle to keep where the browser hands one out,
+ * otherwise the newest import file of the dropped folder (or the dropped file) to run once
+ * Returns { directoryHandle } or { file } or {}
+ */
+export async function readDrop(dataTransfer) {
+  const item = [...(dataTransfer?.items || [])].find(i => i.kind === 'file');
+  if (!item) return {};
+
+  // Items are only readable while the drop event runs, so take everything before awaiting
+  const handlePromise = item.getAsFileSystemHandle?.();
+  const entry = item.webkitGetAsEntry?.();
+  const file = item.getAsFile();
+
+  const handle = await handlePromise;
+  if (handle?.kind === 'directory') return { directoryHandle: handle };
+  if (entry?.isDirectory) return { file: newest(await readDroppedDirectory(entry)) };
+  return isImportFile(file?.name) ? { file } : {};
+}
+
+/**
+ * Whether a file is newer than the one the watch ran last
+ */
+export const isNewerFile = (file, config) =>
+  !!file && (!config?.lastFileModified || file.lastModified > config.lastFileModified);
@@ -79,11 +79,12 @@ export const findBestMatches = (project, employees, assignments) => {
 };
 
 // Check if there's a date overlap between two date ranges
+// A missing start or end date leaves that side of the range open
 export const hasDateOverlap = (start1, end1, start2, end2) => {
-  const s1 = new Date(start1);
-  const e1 = new Date(end1);
-  const s2 = new Date(start2);
-  const e2 = new Date(end2);
+  const s1 = start1 ? new Date(start1) : new Date(-8.64e15);
+  const e1 = end1 ? new Date(end1) : new Date(8.64e15);
+  const s2 = start2 ? new Date(start2) : new Date(-8.64e15);
+  const e2 = end2 ? new Date(end2) : new Date(8.64e15);
 
   return s1 <= e2 && e1 >= s2;
 };
@@ -259,3 +260,124 @@ export const filterProjects = (projects, filters = {}) => {
 
   return filtered;
 };
+
+const getEmployeeSalary = (emp) =>
+  parseFloat(emp.baseSalary) || parseFloat(emp.salary) || parseFloat(emp.hourlyRate) || 0;
+
+const getEmployeeCostCenter = (emp) =>
+  emp.costCenter || emp.cost_center || emp.organizationalData?.costCenter || '';
+
+const isLeaver = (emp) => emp.status === 'terminated';
+
+// Diff two employee sets keyed on employeeId
+// Returns one entry per change with changeType joiner, leaver, transfer, fte, salary or costCenter
+export const diffEmployeeSnapshots = (previousEmployees, currentEmployees) => {
+  const changes = [];
+  const previousById = new Map();
+  previousEmployees.forEach(emp => {
+    if (emp.employeeId) previousById.set(String(emp.employeeId).trim(), emp);
+  });
+
+  const describe = (emp, employeeId) => ({
+    employeeId,
+    name: emp.name || '',
+    department: emp.department || '',
+  });
+
+  currentEmployees.forEach(curr => {
+    if (!curr.employeeId) return;
+    const employeeId = String(curr.employeeId).trim();
+    const prev = previousById.get(employeeId);
+    previousById.delete(employeeId);
+
+    if (!prev) {
+      if (!isLeaver(curr)) {
+        changes.push({ ...describe(curr, employeeId), changeType: 'joiner', field: null, oldValue: null, newValue: null });
+      }
+      return;
+    }
+
+    // Rehires count as joiners, repeated terminations are not a change
+    if (isLeaver(prev)) {
+      if (!isLeaver(curr)) {
+        changes.push({ ...describe(curr, employeeId), changeType: 'joiner', field: 'status', oldValue: prev.status, newValue: curr.status || '' });
+      }
+      return;
+    }
+
+    if (isLeaver(curr)) {
+      changes.push({ ...describe(prev, employeeId), changeType: 'leaver', field: 'status', oldValue: prev.status || '', newValue: curr.status });
+      return;
+    }
+
+    if ((prev.department || '') !== (curr.department || '')) {
+      changes.push({ ...describe(curr, employeeId), changeType: 'transfer', field: 'department', oldValue: prev.department || '', newValue: curr.department || '' });
+    }
+
+    const prevFte = parseFloat(prev.fte) || 100;
+    const currFte = parseFloat(curr.fte) || 100;
+    if (prevFte !== currFte) {
+      changes.push({ ...describe(curr, employeeId), changeType: 'fte', field: 'fte', oldValue: prevFte, newValue: currFte });
+    }
+
+    const prevSalary = getEmployeeSalary(prev);
+    const currSalary = getEmployeeSalary(curr);
+    if (prevSalary !== currSalary) {
+      changes.push({ ...describe(curr, employeeId), changeType: 'salary', field: 'salary', oldValue: prevSalary, newValue: currSalary });
+    }
+
+    const prevCostCenter = getEmployeeCostCenter(prev);
+    const currCostCenter = getEmployeeCostCenter(curr);
+    if (prevCostCenter !== currCostCenter) {
+      changes.push({ ...describe(curr, employeeId), changeType: 'costCenter', field: 'costCenter', oldValue: prevCostCenter, newValue: currCostCenter });
+    }
+  });
+
+  // Anyone left in the previous set is no longer in the data
+  previousById.forEach((prev, employeeId) => {
+    if (isLeaver(prev)) return;
+    changes.push({ ...describe(prev, employeeId), changeType: 'leaver', field: null, oldValue: null, newValue: null });
+  });
+
+  return changes;
+};
+
+// 'YYYY-MM-DD' of a date, ISO string or Date; null if not a valid date
+export const toISODate = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Whether a reduction program counts on the given day
+// Programs are effective from startDate through endDate; cancelled programs never count,
+// completed programs without an endDate only count while still marked active
+export const isReductionEffective = (program, asOfDate = new Date()) => {
+  if (!program || program.status === 'cancelled') return false;
+  const asOf = toISODate(asOfDate);
+  const startDate = toISODate(program.startDate);
+  const endDate = toISODate(program.endDate);
+
+  if (startDate && startDate > asOf) return false;
+  if (endDate) return endDate >= asOf;
+  return program.status !== 'completed';
+};
+
+// Lifecycle phase of a reduction program on the given day: scheduled, active, completed or cancelled
+export const getProgramPhase = (program, asOfDate = new Date()) => {
+  if (program.status === 'cancelled' || program.status === 'completed') return program.status;
+  const startDate = toISODate(program.startDate);
+  if (startDate && startDate > toISODate(asOfDate)) return 'scheduled';
+  return isReductionEffective(program, asOfDate) ? 'active' : 'completed';
+};
+
+// Whether a program overlaps the [from, to] range; open bounds match everything
+export const programOverlapsRange = (program, from, to) => {
+  const startDate = toISODate(program.startDate);
+  const endDate = toISODate(program.endDate);
+  if (to && startDate && startDate > to) return false;
+  if (from && endDate && endDate < from) return false;
+  return true;
+};
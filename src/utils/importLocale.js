@@ -0,0 +1,228 @@
+/**
+ * Import locale
+ * Date order and number separators of an import file, detected from sample rows or chosen by the user
+ * Shared by the column mapping step and the import worker, so preview and import parse alike
+ */
+
+export const DATE_FORMATS = [
+  { key: 'auto', label: 'Automatic (per value)', example: '' },
+  { key: 'DMY', label: 'Day / Month / Year', example: '31.12.2024' },
+  { key: 'MDY', label: 'Month / Day / Year', example: '12/31/2024' },
+  { key: 'YMD', label: 'Year / Month / Day', example: '2024-12-31' },
+];
+
+export const DECIMAL_SEPARATORS = [
+  { key: '.', label: 'Point (1234.56)' },
+  { key: ',', label: 'Comma (1234,56)' },
+];
+
+export const THOUSANDS_SEPARATORS = [
+  { key: '', label: 'None' },
+  { key: ',', label: 'Comma (1,234)' },
+  { key: '.', label: 'Point (1.234)' },
+  { key: ' ', label: 'Space (1 234)' },
+  { key: "'", label: "Apostrophe (1'234)" },
+];
+
+export const DEFAULT_IMPORT_LOCALE = {
+  dateFormat: 'auto',
+  decimalSeparator: '.',
+  thousandsSeparator: ',',
+};
+
+const ISO_DATE_PATTERN = /^(\d{4})([-./])(\d{1,2})\2(\d{1,2})(?!\d)/;
+const DAY_MONTH_PATTERN = /^(\d{1,2})([-./])(\d{1,2})\2(\d{2}|\d{4})$/;
+const NUMBER_LIKE_PATTERN = /^[-+]?[\d.,']*\d[\d.,']*$/;
+
+// Two-digit years up to ten years ahead are this century, the rest the last one (birthdates)
+const expandYear = (year) => {
+  const y = parseInt(year, 10);
+  if (year.length > 2) return y;
+  const pivot = (new Date().getFullYear() + 10) % 100;
+  return y <= pivot ? 2000 + y : 1900 + y;
+};
+
+function buildISODate(year, month, day) {
+  const y = expandYear(year);
+  const m = parseInt(month, 10);
+  const d = parseInt(day, 10);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+    return null;
+  }
+  return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+// Order of an unconfigured day/month value: a part above 12 decides, otherwise the separator does
+const guessDateOrder = (first, separator, second) => {
+  if (parseInt(first, 10) > 12) return 'DMY';
+  if (parseInt(second, 10) > 12) return 'MDY';
+  return separator === '/' ? 'MDY' : 'DMY';
+};
+
+// 'YYYY-MM-DD' of an Excel date serial (days since 1899-12-30)
+export const excelSerialToISODate = (serial) => (
+  new Date((parseFloat(serial) - 25569) * 86400 * 1000).toISOString().split('T')[0]
+);
+
+/**
+ * 'YYYY-MM-DD' of a date string in the given order ('auto', 'DMY', 'MDY' or 'YMD')
+ * Year-first values are always accepted; null if the value is not a valid date
+ */
+export function parseLocaleDate(value, dateFormat = 'auto') {
+  if (value === null || value === undefined || value === '') return null;
+  const str = String(value).trim();
+  let match;
+
+  if ((match = str.match(ISO_DATE_PATTERN))) {
+    return buildISODate(match[1], match[3], match[4]);
+  }
+
+  if ((match = str.match(DAY_MONTH_PATTERN))) {
+    const [, first, separator, second, year] = match;
+    const order = dateFormat === 'auto' ? guessDateOrder(first, separator, second) : dateFormat;
+    if (order === 'DMY') return buildISODate(year, second, first);
+    if (order === 'MDY') return buildISODate(year, first, second);
+    return null;
+  }
+
+  // Bare numbers are not dates here - Excel serials go through excelSerialToISODate
+  if (/^\d+(\.\d+)?$/.test(str)) return null;
+
+  // Written-out dates such as "5 January 2024"
+  const date = new Date(str);
+  if (isNaN(date.getTime())) return null;
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Number of a string written with the given separators, e.g. "1.234,56" with ',' and '.'
+ * Spaces and currency symbols are ignored; null if the value is not a number in this locale
+ */
+export function parseLocaleNumber(value, { decimalSeparator = '.', thousandsSeparator = '' } = {}) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (value === null || value === undefined) return null;
+
+  const str = String(value).replace(/[\s€$£¥]/g, '');
+  if (str === '') return null;
+
+  const [integerPart, fractionPart, ...rest] = str.split(decimalSeparator);
+  if (rest.length > 0) return null;
+
+  let digits = integerPart;
+  if (thousandsSeparator && thousandsSeparator !== decimalSeparator && integerPart.includes(thousandsSeparator)) {
+    const grouped = new RegExp(`^[-+]?\\d{1,3}(\\${thousandsSeparator}\\d{3})+$`);
+    if (!grouped.test(integerPart)) return null;
+    digits = integerPart.split(thousandsSeparator).join('');
+  }
+
+  const normalized = fractionPart === undefined ? digits : `${digits}.${fractionPart}`;
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(normalized)) return null;
+  return Number(normalized);
+}
+
+// Separator votes of one number-like value; null when it could be either locale
+function classifyNumber(value) {
+  const str = value.replace(/^[-+]/, '');
+  const lastComma = str.lastIndexOf(',');
+  const lastPoint = str.lastIndexOf('.');
+
+  if (lastComma >= 0 && lastPoint >= 0) {
+    return lastComma > lastPoint
+      ? { decimalSeparator: ',', thousandsSeparator: '.' }
+      : { decimalSeparator: '.', thousandsSeparator: ',' };
+  }
+
+  const separator = lastComma >= 0 ? ',' : lastPoint >= 0 ? '.' : null;
+  if (!separator) return null;
+
+  // "1.234.567" groups thousands, "1,234" could be either, "1,5" or "12.75" has decimals
+  const groups = str.split(separator);
+  if (groups.length > 2) {
+    return groups.slice(1).every(group => group.length === 3)
+      ? { decimalSeparator: separator === ',' ? '.' : ',', thousandsSeparator: separator }
+      : null;
+  }
+  if (groups[1].length === 3 && groups[0] !== '0' && groups[0] !== '') return null;
+  return { decimalSeparator: separator };
+}
+
+/**
+ * Detect the import locale from sample rows
+ * Returns the locale plus what it was based on, so the UI can ask for confirmation when
+ * day/month values never exceed 12 or numbers never show a decimal separator
+ */
+export function detectImportLocale(rows, columns = null) {
+  const dateVotes = { DMY: 0, MDY: 0, YMD: 0 };
+  const decimalVotes = { '.': 0, ',': 0 };
+  const thousandsVotes = {};
+  let dayMonthValues = 0;
+  let dottedDates = 0;
+  let separatorFallback = null;
+
+  for (const row of rows || []) {
+    for (const column of columns || Object.keys(row)) {
+      const raw = row[column];
+      if (raw === null || raw === undefined || raw === '') continue;
+      const str = String(raw).trim();
+      let match;
+
+      if (ISO_DATE_PATTERN.test(str)) {
+        dateVotes.YMD++;
+      } else if ((match = str.match(DAY_MONTH_PATTERN))) {
+        dayMonthValues++;
+        const [, first, separator, second] = match;
+        if (separator === '.') dottedDates++;
+        if (parseInt(first, 10) > 12) dateVotes.DMY++;
+        else if (parseInt(second, 10) > 12) dateVotes.MDY++;
+        separatorFallback = separatorFallback || guessDateOrder(first, separator, second);
+      } else {
+        const cleaned = str.replace(/[%€$£¥]/g, '').trim();
+        const compact = cleaned.replace(/\s/g, '');
+        if (!NUMBER_LIKE_PATTERN.test(compact)) continue;
+
+        if (/\d\s\d{3}(?!\d)/.test(cleaned)) {
+          thousandsVotes[' '] = (thousandsVotes[' '] || 0) + 1;
+        }
+        const vote = classifyNumber(compact);
+        if (vote?.decimalSeparator) decimalVotes[vote.decimalSeparator]++;
+        if (vote?.thousandsSeparator) {
+          thousandsVotes[vote.thousandsSeparator] = (thousandsVotes[vote.thousandsSeparator] || 0) + 1;
+        }
+      }
+    }
+  }
+
+  // Day/month order decides over ISO values, which parse the same in every order
+  let dateFormat = DEFAULT_IMPORT_LOCALE.dateFormat;
+  const decisiveDates = dateVotes.DMY + dateVotes.MDY;
+  if (decisiveDates > 0) {
+    dateFormat = dateVotes.DMY >= dateVotes.MDY ? 'DMY' : 'MDY';
+  } else if (dayMonthValues > 0) {
+    dateFormat = separatorFallback;
+  } else if (dateVotes.YMD > 0) {
+    dateFormat = 'YMD';
+  }
+
+  // Without a telling number, dotted dates (31.12.2024) point to a decimal comma
+  const decisiveNumbers = decimalVotes['.'] + decimalVotes[','];
+  let decimalSeparator = DEFAULT_IMPORT_LOCALE.decimalSeparator;
+  if (decisiveNumbers > 0 ? decimalVotes[','] > decimalVotes['.'] : dottedDates > dayMonthValues / 2) {
+    decimalSeparator = ',';
+  }
+  const thousandsCandidates = Object.entries(thousandsVotes)
+    .filter(([separator]) => separator !== decimalSeparator)
+    .sort((a, b) => b[1] - a[1]);
+  const thousandsSeparator = thousandsCandidates.length > 0
+    ? thousandsCandidates[0][0]
+    : decimalSeparator === ',' ? '.' : ',';
+
+  return {
+    locale: { dateFormat, decimalSeparator, thousandsSeparator },
+    evidence: {
+      dateValues: dayMonthValues + dateVotes.YMD,
+      ambiguousDates: dayMonthValues > 0 && decisiveDates === 0,
+      numberValues: decisiveNumbers,
+    },
+  };
+}
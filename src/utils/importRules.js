@@ -0,0 +1,162 @@
+/**
+ * Import field rules
+ * User-defined value rules of the column mapping step, run by the import worker for every row
+ * A rule picks the source value (column, several columns or a constant), extracts part of it,
+ * translates it through a lookup table, falls back to a default and converts units
+ */
+
+export const RULE_SOURCES = [
+  { key: 'column', label: 'Mapped column' },
+  { key: 'concat', label: 'Combine columns' },
+  { key: 'constant', label: 'Constant value' },
+];
+
+// Unit conversions of number fields; param is the divisor or factor the conversion needs
+export const UNIT_CONVERSIONS = [
+  { key: '', label: 'None' },
+  { key: 'hoursToFte', label: 'Hours per week → FTE %', paramLabel: 'Full-time hours per week', defaultParam: 40 },
+  { key: 'monthlyToAnnual', label: 'Monthly → annual', paramLabel: 'Salaries per year', defaultParam: 12 },
+  { key: 'annualToMonthly', label: 'Annual → monthly', paramLabel: 'Salaries per year', defaultParam: 12 },
+  { key: 'factor', label: 'Multiply by factor', paramLabel: 'Factor', defaultParam: 1 },
+];
+
+export const EMPTY_FIELD_RULE = {
+  source: 'column',
+  columns: [],
+  separator: ' ',
+  constant: '',
+  extract: '',
+  lookup: [],
+  defaultValue: '',
+  convert: '',
+  convertParam: null,
+};
+
+const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Whether a rule changes anything compared to a plain column mapping
+export const isFieldRuleActive = (rule) => !!rule && (
+  rule.source === 'concat' ||
+  rule.source === 'constant' ||
+  !!rule.extract ||
+  (rule.lookup || []).some(entry => !isEmpty(entry.from)) ||
+  !isEmpty(rule.defaultValue) ||
+  !!rule.convert
+);
+
+// Whether the field gets a value without a mapped column (counts as mapped in Step 2)
+export const fieldRuleProvidesValue = (rule) => !!rule && (
+  (rule.source === 'concat' && (rule.columns || []).length > 0) ||
+  (rule.source === 'constant' && !isEmpty(rule.constant)) ||
+  !isEmpty(rule.defaultValue)
+);
+
+// Short description for the mapping table, e.g. "Lookup (3) · Default"
+export const describeFieldRule = (rule) => {
+  if (!isFieldRuleActive(rule)) return '';
+  const parts = [];
+  if (rule.source === 'concat') parts.push(`Combine ${rule.columns.length} columns`);
+  if (rule.source === 'constant') parts.push(`Constant "${rule.constant}"`);
+  if (rule.extract) parts.push('Extract');
+  const lookups = (rule.lookup || []).filter(entry => !isEmpty(entry.from)).length;
+  if (lookups > 0) parts.push(`Lookup (${lookups})`);
+  if (!isEmpty(rule.defaultValue)) parts.push('Default');
+  if (rule.convert) parts.push(UNIT_CONVERSIONS.find(c => c.key === rule.convert)?.label || rule.convert);
+  return parts.join(' · ');
+};
+
+// Error message of an extract pattern, null if it compiles
+export const getPatternError = (pattern) => {
+  if (!pattern) return null;
+  try {
+    new RegExp(pattern);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * Prepare a rule for running on many rows: compiles the extract pattern and indexes the lookup table
+ * Throws for an invalid pattern, naming the field
+ */
+export function compileFieldRule(field, rule) {
+  let pattern = null;
+  if (rule.extract) {
+    const error = getPatternError(rule.extract);
+    if (error) throw new Error(`Invalid extract pattern for ${field}: ${error}`);
+    pattern = new RegExp(rule.extract);
+  }
+
+  const lookup = new Map();
+  for (const { from, to } of rule.lookup || []) {
+    if (!isEmpty(from)) lookup.set(String(from).trim().toLowerCase(), to);
+  }
+
+  return { ...EMPTY_FIELD_RULE, ...rule, pattern, lookupMap: lookup };
+}
+
+export function compileFieldRules(fieldRules = {}) {
+  const compiled = {};
+  for (const [field, rule] of Object.entries(fieldRules || {})) {
+    if (isFieldRuleActive(rule)) compiled[field] = compileFieldRule(field, rule);
+  }
+  return compiled;
+}
+
+/**
+ * Source value of a field after extract, lookup and default - before type normalization
+ * Lookup keys match case-insensitively; values without an entry are kept
+ */
+export function resolveFieldValue(row, sourceColumn, rule) {
+  let value;
+  if (rule.source === 'constant') {
+    value = rule.constant;
+  } else if (rule.source === 'concat') {
+    value = rule.columns
+      .map(column => row[column])
+      .filter(part => !isEmpty(part))
+      .map(part => String(part).trim())
+      .join(rule.separator ?? ' ');
+  } else {
+    value = sourceColumn ? row[sourceColumn] : null;
+  }
+
+  if (rule.pattern && !isEmpty(value)) {
+    const match = String(value).match(rule.pattern);
+    value = match ? (match[1] ?? match[0]) : null;
+  }
+
+  if (rule.lookupMap.size > 0 && !isEmpty(value)) {
+    const key = String(value).trim().toLowerCase();
+    if (rule.lookupMap.has(key)) value = rule.lookupMap.get(key);
+  }
+
+  return isEmpty(value) && !isEmpty(rule.defaultValue) ? rule.defaultValue : value;
+}
+
+// Unit conversion of a normalized number; other values pass unchanged
+export function convertUnit(value, rule) {
+  if (!rule.convert || typeof value !== 'number') return value;
+
+  const conversion = UNIT_CONVERSIONS.find(c => c.key === rule.convert);
+  const param = Number(rule.convertParam) || conversion?.defaultParam || 1;
+  let converted;
+  switch (rule.convert) {
+    case 'hoursToFte':
+      converted = (value / param) * 100;
+      break;
+    case 'monthlyToAnnual':
+      converted = value * param;
+      break;
+    case 'annualToMonthly':
+      converted = value / param;
+      break;
+    case 'factor':
+      converted = value * param;
+      break;
+    default:
+      return value;
+  }
+  return Math.round(converted * 100) / 100;
+}
@@ -0,0 +1,132 @@
+/**
+ * Role permissions
+ * Which capabilities each role has. Admins always have all of them; the matrix of the other
+ * roles is edited in User Management and stored per role (role_permissions / rolePermissions).
+ * Roles without a saved row use the defaults below. Keep the keys in line with
+ * supabase/migrations/009_role_permissions.sql and 012_employee_column_access.sql, whose
+ * RLS policies and views check the same capabilities
+ */
+
+export const CAPABILITIES = [
+  { key: 'headcount.view', label: 'View headcount', description: 'Dashboard, analytics, capacity and AI assistant on aggregated figures' },
+  { key: 'employees.view', label: 'View employee records', description: 'Employee list, details, programs and projects; without it only aggregated headcount' },
+  { key: 'salaries.view', label: 'View salaries and costs', description: 'Salary and hourly rate, cost figures, cost tracking and budget' },
+  { key: 'personal.view', label: 'View personal data', description: 'Birth dates of employees' },
+  { key: 'employees.edit', label: 'Edit employees', description: 'Change employees and their reduction programs' },
+  { key: 'imports.run', label: 'Run imports', description: 'Import employee and other data files' },
+  { key: 'uploads.manage', label: 'Manage uploads', description: 'Delete and restore uploads' },
+  { key: 'scenarios.edit', label: 'Edit scenarios', description: 'Save, change and delete simulations' },
+  { key: 'users.manage', label: 'Manage users', description: 'Users, roles and this permission matrix' },
+  { key: 'settings.manage', label: 'Manage settings', description: 'Custom attributes, validation rules, folder watch and data reset' },
+  { key: 'audit.view', label: 'View audit log', description: 'Who imported, changed, deleted or exported data' },
+];
+
+export const ALL_CAPABILITIES = CAPABILITIES.map(c => c.key);
+
+export const ROLES = [
+  { key: 'admin', label: 'Admin' },
+  { key: 'hr_controller', label: 'HR Controller' },
+  { key: 'line_manager', label: 'Line Manager' },
+  { key: 'works_council', label: 'Works Council' },
+  { key: 'user', label: 'User' },
+];
+
+// The plain user keeps what it could do before there were more roles
+export const DEFAULT_ROLE_PERMISSIONS = {
+  admin: ALL_CAPABILITIES,
+  hr_controller: ['headcount.view', 'employees.view', 'salaries.view', 'personal.view', 'employees.edit', 'imports.run', 'scenarios.edit'],
+  line_manager: ['headcount.view', 'employees.view', 'scenarios.edit'],
+  works_council: ['headcount.view'],
+  user: ['headcount.view', 'employees.view', 'salaries.view', 'personal.view', 'employees.edit', 'imports.run', 'scenarios.edit'],
+};
+
+export const getRoleLabel = (role) => ROLES.find(r => r.key === role)?.label || role;
+
+/**
+ * Full matrix { role: [capability] } from saved rows [{ role, capabilities }], defaults for the rest
+ */
+export const buildPermissionMatrix = (rows = []) => {
+  const matrix = { ...DEFAULT_ROLE_PERMISSIONS };
+  rows.forEach(({ role, capabilities }) => {
+    if (role !== 'admin') matrix[role] = (capabilities || []).filter(c => ALL_CAPABILITIES.includes(c));
+  });
+  return matrix;
+};
+
+/**
+ * Capabilities of a user; none while signed out or inactive
+ */
+export const capabilitiesFor = (user, matrix = DEFAULT_ROLE_PERMISSIONS) => {
+  if (!user || user.isActive === false) return [];
+  if (user.role === 'admin') return ALL_CAPABILITIES;
+  return matrix[user.role] || [];
+};
+
+// Employee fields only visible with a capability, under every name they are stored with
+export const SENSITIVE_FIELDS = [
+  { capability: 'salaries.view', fields: ['baseSalary', 'salary', 'base_salary', 'hourlyRate', 'hourly_rate'] },
+  { capability: 'personal.view', fields: ['birthdate', 'dateOfBirth', 'date_of_birth'] },
+];
+
+// Shown in tables in place of a field the user may not see
+export const MASKED_VALUE = '•••';
+
+export const hiddenFieldsFor = (capabilities) => SENSITIVE_FIELDS
+  .filter(group => !capabilities.includes(group.capability))
+  .flatMap(group => group.fields);
+
+const omitFields = (record, fields) => {
+  const copy = { ...record };
+  fields.forEach(field => delete copy[field]);
+  return copy;
+};
+
+/**
+ * Employee without the given fields, also in the raw values of its import
+ */
+export const redactEmployee = (employee, hiddenFields) => {
+  if (!employee || hiddenFields.length === 0) return employee;
+  const redacted = omitFields(employee, hiddenFields);
+  if (employee.importMetadata?.rawData) {
+    redacted.importMetadata = { ...employee.importMetadata, rawData: omitFields(employee.importMetadata.rawData, hiddenFields) };
+  }
+  return redacted;
+};
+
+/**
+ * Columns of an import file that hold hidden fields: the fields and the source columns
+ * mapped to them (columnMapping is { field: column })
+ */
+export const hiddenColumnsFor = (hiddenFields, columnMapping = {}) => [
+  ...hiddenFields,
+  ...hiddenFields.map(field => columnMapping[field]).filter(Boolean),
+];
+
+/**
+ * Validation or import issue on a hidden field, without the value its message may quote
+ */
+export const redactIssue = (issue, hiddenFields) => (
+  hiddenFields.includes(issue.field)
+    ? { ...issue, message: `${issue.ruleName || issue.type.replace(/_/g, ' ')} in ${issue.field} (value hidden)` }
+    : issue
+);
+
+/**
+ * Employee statistics without salary totals, for users without salaries.view;
+ * salariesHidden tells screens to show the figures as hidden rather than zero
+ */
+export const redactSalaryStats = (stats) => {
+  if (!stats) return stats;
+  const withoutSalary = (details) => Object.fromEntries(
+    Object.entries(details || {}).map(([key, value]) => [key, { ...value, totalSalary: 0 }])
+  );
+  return {
+    ...stats,
+    totalSalary: 0,
+    departmentDetails: withoutSalary(stats.departmentDetails),
+    customAttributeDetails: Object.fromEntries(
+      Object.entries(stats.customAttributeDetails || {}).map(([key, details]) => [key, withoutSalary(details)])
+    ),
+    salariesHidden: true,
+  };
+};
@@ -0,0 +1,314 @@
+/**
+ * Scenario model
+ * Evaluates scenario levers against individual employee records
+ * Results are aggregated per dimension or month - no personal data leaves this module
+ */
+
+// Dimensions a lever can be scoped to
+export const SCENARIO_DIMENSIONS = [
+  { key: 'department', label: 'Department' },
+  { key: 'costCenter', label: 'Cost Center' },
+  { key: 'location', label: 'Location' },
+  { key: 'role', label: 'Role' },
+  { key: 'payScale', label: 'Pay Scale' },
+];
+
+// Lever types; amount is always a percentage
+export const LEVER_TYPES = [
+  { key: 'reduction', label: 'Headcount Reduction', amountLabel: 'Reduction %' },
+  { key: 'hiringFreeze', label: 'Hiring Freeze', amountLabel: 'Attrition not replaced %' },
+  { key: 'fteReduction', label: 'FTE Reduction (Part-Time)', amountLabel: 'FTE reduction %' },
+  { key: 'earlyRetirement', label: 'Early Retirement', amountLabel: 'Uptake %' },
+  { key: 'salaryIncrease', label: 'Salary Increase', amountLabel: 'Increase %' },
+];
+
+// One-off cost models, expressed in monthly salaries of the affected cost
+export const ONE_OFF_COST_TYPES = [
+  { key: 'none', label: 'No one-off cost' },
+  { key: 'fixed', label: 'Fixed months of salary' },
+  { key: 'perYear', label: 'Months of salary per year of service' },
+];
+
+// Defaults for new levers: severance for exits, nothing for the rest
+export const getDefaultOneOffCost = (leverType) => (
+  leverType === 'reduction' || leverType === 'earlyRetirement'
+    ? { type: 'perYear', months: 0.5 }
+    : { type: 'none', months: 0 }
+);
+
+const UNKNOWN = 'Unknown';
+
+const rawValue = (emp, field) => emp.importMetadata?.rawData?.[field];
+
+const pickText = (...values) => {
+  const value = values.find(v => v !== undefined && v !== null && String(v).trim() !== '');
+  return value === undefined ? UNKNOWN : String(value).trim();
+};
+
+const getAge = (emp, referenceDate) => {
+  const birthdate = emp.birthdate || emp.dateOfBirth || emp.date_of_birth || rawValue(emp, 'birthdate');
+  if (birthdate) {
+    const date = new Date(birthdate);
+    if (!isNaN(date.getTime())) {
+      let age = referenceDate.getFullYear() - date.getFullYear();
+      const hadBirthday = referenceDate.getMonth() > date.getMonth() ||
+        (referenceDate.getMonth() === date.getMonth() && referenceDate.getDate() >= date.getDate());
+      if (!hadBirthday) age--;
+      return age;
+    }
+  }
+  const age = parseFloat(emp.age ?? rawValue(emp, 'age'));
+  return isNaN(age) ? null : age;
+};
+
+// Reduce employee records to the fields the simulation needs
+export const buildEmployeeProfiles = (employees, { referenceDate = new Date(), defaultSalary = 0 } = {}) => {
+  return employees
+    .filter(emp => emp.status !== 'terminated')
+    .map(emp => {
+      const org = emp.organizationalData || {};
+      const salary = parseFloat(emp.baseSalary) || parseFloat(emp.salary) ||
+        parseFloat(rawValue(emp, 'baseSalary')) || defaultSalary;
+
+      return {
+        fte: parseFloat(emp.fte) || 100,
+        salary,
+        age: getAge(emp, referenceDate),
+        startDate: emp.startDate || null,
+        dimensions: {
+          department: pickText(emp.department),
+          costCenter: pickText(emp.costCenter, emp.cost_center, org.costCenter),
+          location: pickText(emp.location, emp.plant, org.plant, emp.city, rawValue(emp, 'city')),
+          role: pickText(emp.role),
+          payScale: pickText(emp.payScale, emp.pay_scale, rawValue(emp, 'payScale')),
+        },
+      };
+    });
+};
+
+// Distinct values per dimension, most frequent first
+export const getDimensionValues = (profiles) => {
+  const counts = {};
+  SCENARIO_DIMENSIONS.forEach(({ key }) => { counts[key] = {}; });
+
+  profiles.forEach(profile => {
+    SCENARIO_DIMENSIONS.forEach(({ key }) => {
+      const value = profile.dimensions[key];
+      counts[key][value] = (counts[key][value] || 0) + 1;
+    });
+  });
+
+  const values = {};
+  Object.entries(counts).forEach(([key, valueCounts]) => {
+    values[key] = Object.entries(valueCounts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([value, count]) => ({ value, count }));
+  });
+  return values;
+};
+
+// Department slider percentages are stored as a map and behave like reduction levers
+// sharing the scenario's reductionPhasing (effective date and one-off cost)
+export const getScenarioLevers = (scenario) => {
+  const phasing = scenario.reductionPhasing || {};
+  const departmentLevers = Object.entries(scenario.reductions || {})
+    .filter(([, pct]) => pct > 0)
+    .map(([department, pct]) => ({
+      id: `department-${department}`,
+      type: 'reduction',
+      dimension: 'department',
+      value: department,
+      amount: pct,
+      effectiveDate: phasing.effectiveDate,
+      oneOffCost: phasing.oneOffCost || getDefaultOneOffCost('reduction'),
+    }));
+  return [...departmentLevers, ...(scenario.levers || [])];
+};
+
+// A lever without a dimension applies to everyone
+export const leverMatches = (lever, profile) => {
+  if (!lever.dimension || lever.dimension === 'all') return true;
+  return profile.dimensions[lever.dimension] === lever.value;
+};
+
+const inAgeBand = (lever, age) => {
+  if (age === null) return false;
+  if (lever.minAge !== undefined && lever.minAge !== '' && age < Number(lever.minAge)) return false;
+  if (lever.maxAge !== undefined && lever.maxAge !== '' && age > Number(lever.maxAge)) return false;
+  return true;
+};
+
+// Apply one lever to an employee state in place
+// Headcount is fractional: a 10% reduction removes 0.1 of every employee in scope
+export const applyLever = (lever, profile, state) => {
+  const share = (Number(lever.amount) || 0) / 100;
+  if (share === 0 || !leverMatches(lever, profile)) return false;
+
+  switch (lever.type) {
+    case 'reduction':
+    case 'hiringFreeze':
+      state.headcount -= state.headcount * share;
+      return true;
+    case 'earlyRetirement':
+      if (!inAgeBand(lever, profile.age)) return false;
+      state.headcount -= state.headcount * share;
+      return true;
+    case 'fteReduction':
+      state.fte -= state.fte * share;
+      return true;
+    case 'salaryIncrease':
+      state.salary += state.salary * share;
+      return true;
+    default:
+      return false;
+  }
+};
+
+// Salary is recorded for the contracted FTE, so cost scales with the FTE change
+export const stateCost = (profile, state) =>
+  state.headcount * state.salary * (state.fte / profile.fte);
+
+const emptyTotals = () => ({
+  baseHeadcount: 0,
+  baseFte: 0,
+  baseCost: 0,
+  headcount: 0,
+  fte: 0,
+  cost: 0,
+});
+
+const addToTotals = (totals, profile, state) => {
+  totals.baseHeadcount += 1;
+  totals.baseFte += profile.fte / 100;
+  totals.baseCost += profile.salary;
+  totals.headcount += state.headcount;
+  totals.fte += state.headcount * state.fte / 100;
+  totals.cost += stateCost(profile, state);
+};
+
+// Evaluate all levers of a scenario against the employee profiles
+export const simulateScenario = (profiles, levers) => {
+  const totals = emptyTotals();
+  const byDimension = {};
+  SCENARIO_DIMENSIONS.forEach(({ key }) => { byDimension[key] = {}; });
+  const byLever = levers.map(lever => ({ lever, affected: 0, headcountDelta: 0, fteDelta: 0, costDelta: 0 }));
+
+  profiles.forEach(profile => {
+    const state = { headcount: 1, fte: profile.fte, salary: profile.salary };
+
+    levers.forEach((lever, index) => {
+      const before = { headcount: state.headcount, fte: state.headcount * state.fte, cost: stateCost(profile, state) };
+      if (!applyLever(lever, profile, state)) return;
+
+      const impact = byLever[index];
+      impact.affected += 1;
+      impact.headcountDelta += state.headcount - before.headcount;
+      impact.fteDelta += (state.headcount * state.fte - before.fte) / 100;
+      impact.costDelta += stateCost(profile, state) - before.cost;
+    });
+
+    addToTotals(totals, profile, state);
+    SCENARIO_DIMENSIONS.forEach(({ key }) => {
+      const value = profile.dimensions[key];
+      if (!byDimension[key][value]) byDimension[key][value] = emptyTotals();
+      addToTotals(byDimension[key][value], profile, state);
+    });
+  });
+
+  return { totals, byDimension, byLever };
+};
+
+// 'YYYY-MM' key of a date
+export const toMonthKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// Month offset of a lever's effective date; levers without a date start immediately
+const getLeverMonthIndex = (lever, start) => {
+  if (!lever.effectiveDate) return 0;
+  const [year, month] = String(lever.effectiveDate).split('-').map(Number);
+  if (!year || !month) return 0;
+  return Math.max(0, (year - start.getFullYear()) * 12 + (month - 1 - start.getMonth()));
+};
+
+const getTenureYears = (profile, date) => {
+  if (!profile.startDate) return 0;
+  const start = new Date(profile.startDate);
+  if (isNaN(start.getTime())) return 0;
+  return Math.max(0, (date - start) / (365.25 * 24 * 60 * 60 * 1000));
+};
+
+const getOneOffMonths = (lever, profile, date) => {
+  const model = lever.oneOffCost || getDefaultOneOffCost(lever.type);
+  const months = Number(model.months) || 0;
+  if (model.type === 'fixed') return months;
+  if (model.type === 'perYear') return months * getTenureYears(profile, date);
+  return 0;
+};
+
+// Month-by-month projection of a scenario
+// Savings start in the month a lever becomes effective; one-off costs are booked in that month
+export const projectScenario = (profiles, levers, { startDate = new Date(), months = 36 } = {}) => {
+  const start = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+  const savingsChange = new Array(months).fill(0);
+  const oneOffCosts = new Array(months).fill(0);
+  let baselineAnnualCost = 0;
+
+  const timedLevers = levers
+    .map((lever, order) => ({ lever, order, index: getLeverMonthIndex(lever, start) }))
+    .filter(({ index }) => index < months)
+    .sort((a, b) => a.index - b.index || a.order - b.order);
+
+  profiles.forEach(profile => {
+    const state = { headcount: 1, fte: profile.fte, salary: profile.salary };
+    let cost = profile.salary;
+    baselineAnnualCost += cost;
+
+    timedLevers.forEach(({ lever, index }) => {
+      if (!applyLever(lever, profile, state)) return;
+
+      const nextCost = stateCost(profile, state);
+      const annualSaving = cost - nextCost;
+      savingsChange[index] += annualSaving / 12;
+      if (annualSaving > 0) {
+        const effectiveDate = new Date(start.getFullYear(), start.getMonth() + index, 1);
+        oneOffCosts[index] += (annualSaving / 12) * getOneOffMonths(lever, profile, effectiveDate);
+      }
+      cost = nextCost;
+    });
+  });
+
+  let savings = 0;
+  let cumulativeSavings = 0;
+  let cumulativeNetSavings = 0;
+  let breakEvenIndex = null;
+
+  const rows = savingsChange.map((change, index) => {
+    savings += change;
+    cumulativeSavings += savings;
+    const netSavings = savings - oneOffCosts[index];
+    cumulativeNetSavings += netSavings;
+    if (breakEvenIndex === null && cumulativeSavings > 0 && cumulativeNetSavings >= 0) {
+      breakEvenIndex = index;
+    }
+
+    return {
+      index,
+      month: toMonthKey(new Date(start.getFullYear(), start.getMonth() + index, 1)),
+      baselineCost: baselineAnnualCost / 12,
+      scenarioCost: baselineAnnualCost / 12 - savings,
+      savings,
+      oneOffCost: oneOffCosts[index],
+      netSavings,
+      cumulativeNetSavings,
+    };
+  });
+
+  return {
+    months: rows,
+    baselineMonthlyCost: baselineAnnualCost / 12,
+    runRateSavings: savings * 12,
+    totalOneOffCost: oneOffCosts.reduce((sum, c) => sum + c, 0),
+    breakEvenIndex,
+    breakEvenMonth: breakEvenIndex === null ? null : rows[breakEvenIndex].month,
+  };
+};
@@ -6,7 +6,8 @@ const STORAGE_KEYS = {
   EMPLOYEES: 'workforce_employees',
   PROJECTS: 'workforce_projects',
   ASSIGNMENTS: 'workforce_assignments',
-  THEME: 'workforce_theme'
+  THEME: 'workforce_theme',
+  SNAPSHOT_RETENTION: 'workforce_snapshot_retention'
 };
 
 export const storage = {
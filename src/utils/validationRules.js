@@ -0,0 +1,248 @@
+/**
+ * Import validation rules
+ * Admin-editable checks of employee import rows, run by the import worker for every row
+ * Each rule has a severity: errors block the row (or skip it), warnings are reported,
+ * ignored rules are not run. The built-in rules below can be overridden by saving a rule
+ * with the same key; values that do not parse as their field type are always errors
+ */
+
+import { getPatternError } from './importRules.js';
+
+export const RULE_TYPES = [
+  { key: 'required', label: 'Required' },
+  { key: 'regex', label: 'Pattern (regex)' },
+  { key: 'range', label: 'Range' },
+  { key: 'enum', label: 'Allowed values' },
+  { key: 'compare', label: 'Compare with field' },
+  { key: 'unique', label: 'Unique in file' },
+  { key: 'reference', label: 'Must exist in file' },
+];
+
+export const SEVERITIES = [
+  { key: 'error', label: 'Error' },
+  { key: 'warning', label: 'Warning' },
+  { key: 'ignore', label: 'Ignore' },
+];
+
+export const COMPARE_OPERATORS = ['<', '<=', '=', '!=', '>=', '>'];
+
+// Issue type reported per rule type, next to the rule's key
+const ISSUE_TYPES = {
+  required: 'missing_required',
+  regex: 'invalid_format',
+  range: 'out_of_range',
+  enum: 'invalid_value',
+  compare: 'invalid_comparison',
+  unique: 'duplicate_value',
+  reference: 'unknown_reference',
+};
+
+// Replaces the checks validateRow used to hardcode, plus the date order, email and manager checks
+export const DEFAULT_VALIDATION_RULES = [
+  { key: 'employeeId-required', name: 'Employee ID is required', type: 'required', field: 'employeeId', severity: 'error' },
+  { key: 'email-format', name: 'Email format', type: 'regex', field: 'email', severity: 'warning', pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$' },
+  { key: 'fte-range', name: 'FTE between 0 and 100', type: 'range', field: 'fte', severity: 'warning', min: 0, max: 100 },
+  { key: 'endDate-after-startDate', name: 'End date not before start date', type: 'compare', field: 'endDate', severity: 'warning', operator: '>=', otherField: 'startDate' },
+  { key: 'email-unique', name: 'Email is unique', type: 'unique', field: 'email', severity: 'warning' },
+  { key: 'manager-exists', name: 'Manager exists in file', type: 'reference', field: 'reportingManager', severity: 'warning', referenceField: 'employeeId' },
+];
+
+export const isDefaultValidationRule = (key) => DEFAULT_VALIDATION_RULES.some(rule => rule.key === key);
+
+/**
+ * Rules in effect: the built-in rules with saved overrides of the same key, then the saved custom rules
+ */
+export function getEffectiveValidationRules(savedRules = []) {
+  const saved = new Map(savedRules.map(rule => [rule.key, rule]));
+  return [
+    ...DEFAULT_VALIDATION_RULES.map(rule => ({ ...rule, ...saved.get(rule.key) })),
+    ...savedRules.filter(rule => !isDefaultValidationRule(rule.key)),
+  ];
+}
+
+const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const toKey = (value) => String(value).trim().toLowerCase();
+
+/**
+ * Check a rule before it is saved
+ * Returns an error message or null
+ */
+export function getValidationRuleError(rule, existing = []) {
+  if (!String(rule.name || '').trim()) return 'Name is required';
+  if (!RULE_TYPES.some(type => type.key === rule.type)) return 'Unknown rule type';
+  if (!SEVERITIES.some(severity => severity.key === rule.severity)) return 'Unknown severity';
+  if (!rule.field) return 'Field is required';
+  if (existing.some(other => other.key === rule.key && other.id !== rule.id)) {
+    return `A rule with the key "${rule.key}" already exists`;
+  }
+
+  switch (rule.type) {
+    case 'regex': {
+      if (!rule.pattern) return 'Pattern is required';
+      const error = getPatternError(rule.pattern);
+      return error ? `Invalid pattern: ${error}` : null;
+    }
+    case 'range':
+      if (isEmpty(rule.min) && isEmpty(rule.max)) return 'Enter a minimum, a maximum or both';
+      return null;
+    case 'enum':
+      return (rule.values || []).length === 0 ? 'Enter at least one allowed value' : null;
+    case 'compare':
+      if (!COMPARE_OPERATORS.includes(rule.operator)) return 'Unknown operator';
+      return rule.otherField ? null : 'Field to compare with is required';
+    case 'reference':
+      return rule.referenceField ? null : 'Referenced field is required';
+    default:
+      return null;
+  }
+}
+
+// Numbers compare as numbers, everything else (including 'YYYY-MM-DD' dates) as text
+function compareValues(a, b) {
+  const numberA = typeof a === 'number' ? a : Number(a);
+  const numberB = typeof b === 'number' ? b : Number(b);
+  if ((typeof a === 'number' || typeof b === 'number') && !Number.isNaN(numberA) && !Number.isNaN(numberB)) {
+    return numberA - numberB;
+  }
+  const textA = String(a).trim();
+  const textB = String(b).trim();
+  return textA < textB ? -1 : textA > textB ? 1 : 0;
+}
+
+const OPERATOR_TESTS = {
+  '<': (order) => order < 0,
+  '<=': (order) => order <= 0,
+  '=': (order) => order === 0,
+  '!=': (order) => order !== 0,
+  '>=': (order) => order >= 0,
+  '>': (order) => order > 0,
+};
+
+// Message of a failed check, unless the rule has its own
+function describeViolation(rule, value, row) {
+  if (rule.message) return rule.message;
+  switch (rule.type) {
+    case 'required':
+      return `Missing required field: ${rule.field}`;
+    case 'regex':
+      return `"${value}" does not match the pattern of ${rule.field}`;
+    case 'range':
+      if (!isEmpty(rule.min) && !isEmpty(rule.max)) return `${rule.field} should be between ${rule.min} and ${rule.max}`;
+      return isEmpty(rule.min) ? `${rule.field} should be at most ${rule.max}` : `${rule.field} should be at least ${rule.min}`;
+    case 'enum':
+      return `"${value}" is not an allowed value of ${rule.field}`;
+    case 'compare':
+      return `${rule.field} (${value}) should be ${rule.operator} ${rule.otherField} (${row[rule.otherField]})`;
+    case 'unique':
+      return `Duplicate ${rule.field}: ${value}`;
+    case 'reference':
+      return `${rule.field} "${value}" not found in ${rule.referenceField}`;
+    default:
+      return `${rule.name} failed`;
+  }
+}
+
+// Whether one row fails a rule that needs no other rows
+function violatesRowRule(rule, value, row) {
+  switch (rule.type) {
+    case 'required':
+      return isEmpty(value);
+    case 'regex':
+      return !isEmpty(value) && !rule.regex.test(String(value));
+    case 'range':
+      // Values of the wrong type are reported by the type checks
+      if (isEmpty(value) || (typeof value !== 'number' && !/^\d{4}-\d{2}-\d{2}$/.test(value))) return false;
+      return (!isEmpty(rule.min) && compareValues(value, rule.min) < 0) ||
+        (!isEmpty(rule.max) && compareValues(value, rule.max) > 0);
+    case 'enum':
+      return !isEmpty(value) && !rule.allowed.has(toKey(value));
+    case 'compare':
+      if (isEmpty(value) || isEmpty(row[rule.otherField])) return false;
+      return !OPERATOR_TESTS[rule.operator](compareValues(value, row[rule.otherField]));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Prepare the rules in effect for running on many rows
+ * Ignored rules are dropped; throws for an invalid pattern, naming the rule
+ * Unique rules remember the first row of each value, reference rules need every row
+ * passed to indexRow first (see needsIndex). Rows checked out of order, e.g. when corrected
+ * rows are re-validated, need every row indexed so unique rules know the earlier values too
+ */
+export function createRuleEngine(rules = []) {
+  const active = rules
+    .filter(rule => rule.severity === 'error' || rule.severity === 'warning')
+    .map(rule => {
+      if (rule.type === 'regex') {
+        const error = getPatternError(rule.pattern);
+        if (error) throw new Error(`Invalid pattern in validation rule "${rule.name}": ${error}`);
+        return { ...rule, regex: new RegExp(rule.pattern) };
+      }
+      if (rule.type === 'enum') return { ...rule, allowed: new Set((rule.values || []).map(toKey)) };
+      if (rule.type === 'unique') return { ...rule, seen: new Map() };
+      if (rule.type === 'reference') return { ...rule, known: new Set() };
+      return rule;
+    });
+
+  const references = active.filter(rule => rule.type === 'reference');
+  const uniques = active.filter(rule => rule.type === 'unique');
+
+  // First row of a value, so a value counts as duplicate in every later row
+  const rememberFirst = (rule, value, rowIndex) => {
+    const key = toKey(value);
+    if (!rule.seen.has(key)) rule.seen.set(key, rowIndex);
+    return rule.seen.get(key);
+  };
+
+  return {
+    needsIndex: references.length > 0,
+
+    // Collect the values that reference rules may point to and the first row of unique values
+    indexRow(row, rowIndex) {
+      for (const rule of references) {
+        const value = row[rule.referenceField];
+        if (!isEmpty(value)) rule.known.add(toKey(value));
+      }
+      for (const rule of uniques) {
+        if (!isEmpty(row[rule.field])) rememberFirst(rule, row[rule.field], rowIndex);
+      }
+    },
+
+    // Issues of one transformed row as { errors, warnings }
+    checkRow(row, rowIndex) {
+      const errors = [];
+      const warnings = [];
+
+      for (const rule of active) {
+        const value = row[rule.field];
+        let failed;
+        let message;
+
+        if (rule.type === 'unique') {
+          const firstRow = isEmpty(value) ? rowIndex : rememberFirst(rule, value, rowIndex);
+          failed = firstRow < rowIndex;
+          if (failed) message = rule.message || `${describeViolation(rule, value, row)} (first in row ${firstRow})`;
+        } else if (rule.type === 'reference') {
+          failed = !isEmpty(value) && !rule.known.has(toKey(value));
+        } else {
+          failed = violatesRowRule(rule, value, row);
+        }
+        if (!failed) continue;
+
+        (rule.severity === 'error' ? errors : warnings).push({
+          type: ISSUE_TYPES[rule.type],
+          rule: rule.key,
+          ruleName: rule.name,
+          field: rule.field,
+          message: message || describeViolation(rule, value, row),
+          row: rowIndex,
+        });
+      }
+
+      return { errors, warnings };
+    },
+  };
+}
@@ -0,0 +1,16 @@
+/**
+ * Web Worker for High-Performance Import Processing
+ * Runs file parsing, transformation and validation in a background thread to keep the UI responsive
+ *
+ * Bundled by Vite as a module worker - SheetJS and PapaParse come from node_modules,
+ * so imports work without access to a CDN.
+ */
+
+import { handleImportMessage } from './importProcessing';
+
+self.addEventListener('message', (event) => {
+  handleImportMessage(event.data, (message) => self.postMessage(message));
+});
+
+// Signal that worker is ready
+self.postMessage({ type: 'READY' });
@@ -0,0 +1,1325 @@
+/**
+ * Import Processing
+ * Chunked file parsing, data transformation and validation behind the import worker
+ *
+ * Free of worker globals so the same code runs in the browser worker and in Node
+ * (see scripts/test-import-worker.js). Results are reported through the `post` callback
+ * with the same messages the worker sends to ImportContext.
+ */
+
+import * as XLSX from 'xlsx';
+import Papa from 'papaparse';
+import { DEFAULT_IMPORT_LOCALE, excelSerialToISODate, parseLocaleDate, parseLocaleNumber } from '../utils/importLocale.js';
+import { compileFieldRules, convertUnit, resolveFieldValue } from '../utils/importRules.js';
+import { matchAllowedValue, toCustomFieldKey } from '../utils/customAttributes.js';
+import { DEFAULT_VALIDATION_RULES, createRuleEngine } from '../utils/validationRules.js';
+import { openXlsxWorkbook } from './xlsxStreamReader.js';
+
+const CHUNK_SIZE = 2000; // Process 2000 rows at a time
+const CSV_CHUNK_BYTES = 1024 * 1024; // Read CSV input 1MB at a time
+const SAMPLE_ROWS = 200; // Rows sent to the page for the mapping preview and locale detection
+const SHEET_PREVIEW_ROWS = 5; // Rows shown per sheet when a workbook has several
+
+// Typed fields of the HR export; everything else is imported as text
+const EMPLOYEE_TRANSFORM_RULES = {
+  birthdate: { type: 'date' },
+  startDate: { type: 'date' },
+  endDate: { type: 'date' },
+  exitDate: { type: 'date' },
+  contractEndDate: { type: 'date' },
+  age: { type: 'number' },
+  fte: { type: 'number' },
+  headCount: { type: 'number' },
+  hourlyRate: { type: 'number' },
+  baseSalary: { type: 'number' },
+};
+
+// Transform rules of the admin-defined attributes, keyed like their mapping fields ('custom.<key>')
+function getCustomAttributeRules(customAttributes = []) {
+  const rules = {};
+  for (const attribute of customAttributes) {
+    rules[toCustomFieldKey(attribute.key)] = { type: attribute.type === 'select' ? 'text' : attribute.type };
+  }
+  return rules;
+}
+
+// Reduction program enrollments (works council list) are imported separately from the HR export
+const PROGRAM_REQUIRED_FIELDS = ['employeeId', 'reductionPercentage', 'startDate'];
+const PROGRAM_TRANSFORM_RULES = {
+  reductionPercentage: { type: 'percentage' },
+  startDate: { type: 'date' },
+  endDate: { type: 'date' },
+};
+const PROGRAM_STATUS_MAP = {
+  'active': 'active',
+  'aktiv': 'active',
+  'laufend': 'active',
+  'completed': 'completed',
+  'abgeschlossen': 'completed',
+  'beendet': 'completed',
+  'cancelled': 'cancelled',
+  'canceled': 'cancelled',
+  'storniert': 'cancelled',
+  'abgebrochen': 'cancelled',
+};
+
+// Project lists and staffing plans from the PMO spreadsheet
+const PROJECT_REQUIRED_FIELDS = ['name'];
+const PROJECT_TRANSFORM_RULES = {
+  startDate: { type: 'date' },
+  endDate: { type: 'date' },
+  budget: { type: 'number' },
+};
+const PROJECT_STATUS_MAP = {
+  'active': 'active',
+  'aktiv': 'active',
+  'laufend': 'active',
+  'planned': 'planned',
+  'geplant': 'planned',
+  'completed': 'completed',
+  'abgeschlossen': 'completed',
+  'on-hold': 'on-hold',
+  'on hold': 'on-hold',
+  'pausiert': 'on-hold',
+  'cancelled': 'cancelled',
+  'canceled': 'cancelled',
+  'abgebrochen': 'cancelled',
+};
+
+// Assignments reference an existing employee and an existing project (by name or ID)
+const ASSIGNMENT_REQUIRED_FIELDS = ['employeeId', 'project', 'allocationPercentage'];
+const ASSIGNMENT_TRANSFORM_RULES = {
+  allocationPercentage: { type: 'percentage' },
+  startDate: { type: 'date' },
+  endDate: { type: 'date' },
+};
+
+// Helper function to normalize data values
+// Dates become 'YYYY-MM-DD' and numbers are read with the separators of the import locale;
+// values that do not parse are kept as they are, so validation can report them
+function normalizeValue(value, fieldType, locale = DEFAULT_IMPORT_LOCALE) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const strValue = String(value).trim();
+
+  if (strValue === '' || strValue.toLowerCase() === 'n/a' || strValue.toLowerCase() === 'null') {
+    return null;
+  }
+
+  switch (fieldType) {
+    case 'date':
+      return normalizeDateValue(strValue, locale.dateFormat);
+    case 'number':
+      return parseLocaleNumber(typeof value === 'number' ? value : strValue, locale) ?? strValue;
+    case 'percentage':
+      return normalizePercentage(strValue, locale);
+    case 'boolean':
+      return normalizeBoolean(strValue);
+    default:
+      return strValue;
+  }
+}
+
+function normalizeDateValue(value, dateFormat) {
+  if (!value) return null;
+
+  // Try Excel date serial number
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return excelSerialToISODate(value);
+  }
+
+  return parseLocaleDate(value, dateFormat) || value;
+}
+
+function normalizePercentage(value, locale) {
+  if (!value) return null;
+
+  const num = parseLocaleNumber(String(value).replace('%', ''), locale);
+
+  if (num === null) return null;
+
+  // If value is > 1, assume it's in percentage form (80 = 80%)
+  // If value is <= 1, assume it's in decimal form (0.8 = 80%)
+  return num > 1 ? num : num * 100;
+}
+
+function normalizeBoolean(value) {
+  if (!value) return false;
+
+  const strValue = String(value).toLowerCase().trim();
+
+  const trueValues = ['true', 't', 'yes', 'y', '1', 'active', 'a'];
+  const falseValues = ['false', 'f', 'no', 'n', '0', 'inactive', 'i'];
+
+  if (trueValues.includes(strValue)) return true;
+  if (falseValues.includes(strValue)) return false;
+
+  return null;
+}
+
+// Normalized dates are 'YYYY-MM-DD'; anything else did not parse in the import locale
+function toISODateString(value) {
+  if (!value) return null;
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null;
+}
+
+// Transform row data based on column mapping
+// fieldRules are the compiled user rules of Step 2; a field with a rule needs no mapped column
+// corrections are the values fixed in Step 3 by file row number ({ 5: { department: 'Unknown' } });
+// a corrected value replaces the column and rule value and is read like one from the file
+function transformRow(row, columnMapping, { transformRules = {}, locale = DEFAULT_IMPORT_LOCALE, fieldRules = {}, corrections = {} } = {}, rowNumber = null) {
+  const transformed = {};
+  const correction = corrections[rowNumber];
+  const targetFields = new Set([...Object.keys(columnMapping), ...Object.keys(fieldRules), ...Object.keys(correction || {})]);
+
+  for (const targetField of targetFields) {
+    const sourceColumn = columnMapping[targetField];
+    const fieldRule = fieldRules[targetField];
+    const corrected = !!correction && targetField in correction;
+    if (!corrected && !fieldRule && (!sourceColumn || sourceColumn === '')) continue;
+
+    let value;
+    if (corrected) value = correction[targetField];
+    else value = fieldRule ? resolveFieldValue(row, sourceColumn, fieldRule) : row[sourceColumn];
+
+    // Apply field-specific transformation
+    const fieldConfig = transformRules[targetField] || {};
+    const fieldType = fieldConfig.type || 'text';
+
+    value = normalizeValue(value, fieldType, locale);
+    if (fieldRule && !corrected) value = convertUnit(value, fieldRule);
+
+    // Handle special transformations
+    if (targetField === 'name' && fieldConfig.split && value) {
+      // Split full name into first and last
+      const parts = value.split(' ');
+      transformed.firstName = parts[0];
+      transformed.lastName = parts.slice(1).join(' ');
+      transformed.name = value;
+    } else if (targetField === 'status' && value) {
+      // Normalize status values
+      const statusMap = {
+        'active': 'active',
+        'a': 'active',
+        '1': 'active',
+        'inactive': 'inactive',
+        'i': 'inactive',
+        '0': 'inactive',
+        'terminated': 'terminated',
+        't': 'terminated',
+        '9': 'terminated',
+      };
+      transformed[targetField] = statusMap[value.toLowerCase()] || value;
+    } else {
+      transformed[targetField] = value;
+    }
+  }
+
+  return transformed;
+}
+
+// Validate row data: the admin's validation rules (see utils/validationRules) and the type checks
+function validateRow(row, rowIndex, { ruleEngine, customAttributes = [] }) {
+  const { errors, warnings } = ruleEngine.checkRow(row, rowIndex);
+
+  // Typed fields hold the raw value when it did not parse in the import locale
+  for (const [field, { type }] of Object.entries(EMPLOYEE_TRANSFORM_RULES)) {
+    if (row[field] === null || row[field] === undefined || row[field] === '') continue;
+
+    if (type === 'date' && !toISODateString(row[field])) {
+      errors.push({
+        type: 'invalid_date',
+        field,
+        message: `Invalid date format in ${field}`,
+        row: rowIndex,
+      });
+    } else if (type === 'number' && typeof row[field] !== 'number') {
+      errors.push({
+        type: 'invalid_number',
+        field,
+        message: `Invalid number format in ${field}`,
+        row: rowIndex,
+      });
+    }
+  }
+
+  // Custom attributes: typed values must parse, selections must be one of the allowed values
+  for (const attribute of customAttributes) {
+    const field = toCustomFieldKey(attribute.key);
+    const value = row[field];
+    if (value === null || value === undefined || value === '') continue;
+
+    if (attribute.type === 'date' && !toISODateString(value)) {
+      errors.push({
+        type: 'invalid_date',
+        field,
+        message: `Invalid date format in ${attribute.label}`,
+        row: rowIndex,
+      });
+    } else if (attribute.type === 'number' && typeof value !== 'number') {
+      errors.push({
+        type: 'invalid_number',
+        field,
+        message: `Invalid number format in ${attribute.label}`,
+        row: rowIndex,
+      });
+    } else if (attribute.type === 'select' && matchAllowedValue(attribute, value) === undefined) {
+      errors.push({
+        type: 'invalid_value',
+        field,
+        message: `"${value}" is not an allowed value of ${attribute.label}`,
+        row: rowIndex,
+      });
+    }
+  }
+
+  return { errors, warnings, isValid: errors.length === 0 };
+}
+
+// Values of the mapped custom attributes; selections are stored as defined, not as written in the file
+// Attributes without a mapped column are left out so a merge import keeps their stored values
+function collectCustomAttributes(row, customAttributes = []) {
+  const values = {};
+  for (const attribute of customAttributes) {
+    const field = toCustomFieldKey(attribute.key);
+    if (!(field in row)) continue;
+
+    const value = row[field];
+    if (value === null || value === undefined || value === '') {
+      values[attribute.key] = null;
+    } else if (attribute.type === 'select') {
+      values[attribute.key] = matchAllowedValue(attribute, value) ?? value;
+    } else {
+      values[attribute.key] = value;
+    }
+  }
+  return values;
+}
+
+// Check required fields of a record target
+function validateRequired(row, requiredFields, addError) {
+  for (const field of requiredFields) {
+    if (row[field] === null || row[field] === undefined || row[field] === '') {
+      addError('missing_required', field, `Missing required field: ${field}`);
+    }
+  }
+}
+
+// Parse startDate/endDate strictly and check their order
+function validateDateRange(row, addError) {
+  const startDate = toISODateString(row.startDate);
+  const endDate = toISODateString(row.endDate);
+  if (row.startDate && !startDate) {
+    addError('invalid_date', 'startDate', 'Invalid date format in startDate');
+  }
+  if (row.endDate && !endDate) {
+    addError('invalid_date', 'endDate', 'Invalid date format in endDate');
+  }
+  if (startDate && endDate && endDate < startDate) {
+    addError('invalid_date_range', 'endDate', 'End date is before start date');
+  }
+  return { startDate, endDate };
+}
+
+// Validate a reduction program row: employee must exist, dates valid, percentage 0-100
+function validateProgramRow(row, rowIndex, { knownEmployeeIds }) {
+  const errors = [];
+  const warnings = [];
+  const addError = (type, field, message) => errors.push({ type, field, message, row: rowIndex });
+
+  validateRequired(row, PROGRAM_REQUIRED_FIELDS, addError);
+
+  if (row.employeeId && knownEmployeeIds && !knownEmployeeIds.has(String(row.employeeId))) {
+    addError('unknown_employee', 'employeeId', `Employee ${row.employeeId} does not exist`);
+  }
+
+  if (row.reductionPercentage !== null && row.reductionPercentage !== undefined) {
+    if (row.reductionPercentage < 0 || row.reductionPercentage > 100) {
+      addError('out_of_range', 'reductionPercentage', 'Reduction percentage must be between 0 and 100');
+    }
+  }
+
+  const { startDate, endDate } = validateDateRange(row, addError);
+
+  if (row.status && !PROGRAM_STATUS_MAP[String(row.status).toLowerCase()]) {
+    warnings.push({
+      type: 'unknown_status',
+      field: 'status',
+      message: `Unknown program status "${row.status}", derived from dates instead`,
+      row: rowIndex,
+    });
+  }
+
+  return { errors, warnings, isValid: errors.length === 0, startDate, endDate };
+}
+
+// Build a reduction program record from a validated row
+function createProgramRecord(row, validation, rowIndex) {
+  const today = new Date().toISOString().split('T')[0];
+  const status = PROGRAM_STATUS_MAP[String(row.status || '').toLowerCase()] ||
+    (validation.endDate && validation.endDate < today ? 'completed' : 'active');
+
+  return {
+    employeeId: String(row.employeeId),
+    programName: row.programName || '',
+    reductionPercentage: row.reductionPercentage,
+    startDate: validation.startDate,
+    endDate: validation.endDate,
+    status,
+    notes: row.notes || '',
+    importMetadata: {
+      importDate: new Date().toISOString(),
+      sourceRow: rowIndex,
+    },
+  };
+}
+
+// Validate a project row: name required, dates valid, budget not negative
+function validateProjectRow(row, rowIndex) {
+  const errors = [];
+  const warnings = [];
+  const addError = (type, field, message) => errors.push({ type, field, message, row: rowIndex });
+
+  validateRequired(row, PROJECT_REQUIRED_FIELDS, addError);
+  const { startDate, endDate } = validateDateRange(row, addError);
+
+  if (row.budget !== null && row.budget !== undefined) {
+    if (typeof row.budget !== 'number') {
+      addError('invalid_number', 'budget', 'Invalid number format in budget');
+    } else if (row.budget < 0) {
+      addError('out_of_range', 'budget', 'Budget must not be negative');
+    }
+  }
+
+  if (row.status && !PROJECT_STATUS_MAP[String(row.status).toLowerCase()]) {
+    warnings.push({
+      type: 'unknown_status',
+      field: 'status',
+      message: `Unknown project status "${row.status}", derived from dates instead`,
+      row: rowIndex,
+    });
+  }
+
+  return { errors, warnings, isValid: errors.length === 0, startDate, endDate };
+}
+
+// Validate an assignment row: employee and project must exist, allocation 1-100
+// Over-allocation needs the existing assignments and is checked by the import context
+function validateAssignmentRow(row, rowIndex, { knownEmployeeIds, knownProjects }) {
+  const errors = [];
+  const warnings = [];
+  const addError = (type, field, message) => errors.push({ type, field, message, row: rowIndex });
+
+  validateRequired(row, ASSIGNMENT_REQUIRED_FIELDS, addError);
+
+  if (row.employeeId && knownEmployeeIds && !knownEmployeeIds.has(String(row.employeeId))) {
+    addError('unknown_employee', 'employeeId', `Employee ${row.employeeId} does not exist`);
+  }
+
+  if (row.project && knownProjects && !knownProjects.has(String(row.project).toLowerCase())) {
+    addError('unknown_project', 'project', `Project "${row.project}" does not exist`);
+  }
+
+  if (row.allocationPercentage !== null && row.allocationPercentage !== undefined) {
+    if (row.allocationPercentage <= 0 || row.allocationPercentage > 100) {
+      addError('out_of_range', 'allocationPercentage', 'Allocation must be between 1 and 100 percent');
+    }
+  }
+
+  const { startDate, endDate } = validateDateRange(row, addError);
+
+  return { errors, warnings, isValid: errors.length === 0, startDate, endDate };
+}
+
+// Build a project record from a validated row
+function createProjectRecord(row, validation, rowIndex) {
+  const today = new Date().toISOString().split('T')[0];
+  let status = PROJECT_STATUS_MAP[String(row.status || '').toLowerCase()];
+  if (!status) {
+    if (validation.endDate && validation.endDate < today) status = 'completed';
+    else if (validation.startDate && validation.startDate > today) status = 'planned';
+    else status = 'active';
+  }
+
+  return {
+    name: String(row.name),
+    client: row.client || '',
+    description: row.description || '',
+    department: row.department || '',
+    status,
+    startDate: validation.startDate,
+    endDate: validation.endDate,
+    budget: row.budget,
+    importMetadata: {
+      importDate: new Date().toISOString(),
+      sourceRow: rowIndex,
+    },
+  };
+}
+
+// Build an assignment record from a validated row - the project is resolved by the import context
+function createAssignmentRecord(row, validation, rowIndex) {
+  return {
+    employeeId: String(row.employeeId),
+    project: String(row.project),
+    allocationPercentage: row.allocationPercentage,
+    startDate: validation.startDate,
+    endDate: validation.endDate,
+    notes: row.notes || '',
+    importMetadata: {
+      importDate: new Date().toISOString(),
+      sourceRow: rowIndex,
+    },
+  };
+}
+
+// Import targets other than the HR export - each row becomes one record of the target store
+const RECORD_TARGETS = {
+  reductionPrograms: {
+    resultKey: 'programs',
+    transformRules: PROGRAM_TRANSFORM_RULES,
+    validate: validateProgramRow,
+    createRecord: createProgramRecord,
+    // An employee may appear once per program start date
+    duplicateKey: (row, validation) => (row.employeeId && validation.startDate
+      ? `${row.employeeId}|${validation.startDate}`
+      : null),
+    duplicateError: (row, validation) => ({
+      type: 'duplicate_program',
+      field: 'employeeId',
+      message: `Duplicate program for employee ${row.employeeId} starting ${validation.startDate}`,
+    }),
+  },
+  projects: {
+    resultKey: 'projects',
+    transformRules: PROJECT_TRANSFORM_RULES,
+    validate: validateProjectRow,
+    createRecord: createProjectRecord,
+    duplicateKey: (row) => (row.name ? String(row.name).toLowerCase() : null),
+    duplicateError: (row) => ({
+      type: 'duplicate_project',
+      field: 'name',
+      message: `Duplicate project: ${row.name}`,
+    }),
+  },
+  assignments: {
+    resultKey: 'assignments',
+    transformRules: ASSIGNMENT_TRANSFORM_RULES,
+    validate: validateAssignmentRow,
+    createRecord: createAssignmentRecord,
+    // One assignment per employee and project, matching the database constraint
+    duplicateKey: (row) => (row.employeeId && row.project
+      ? `${row.employeeId}|${String(row.project).toLowerCase()}`
+      : null),
+    duplicateError: (row) => ({
+      type: 'duplicate_assignment',
+      field: 'employeeId',
+      message: `Duplicate assignment of employee ${row.employeeId} to ${row.project}`,
+    }),
+  },
+};
+
+// Rule engine of an employee import; reference rules see every row of the file before the first check
+async function prepareRuleEngine(rows, columnMapping, transformOptions, validationRules, post, phase) {
+  const ruleEngine = createRuleEngine(validationRules);
+  if (!ruleEngine.needsIndex) return ruleEngine;
+
+  for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+    const end = Math.min(i + CHUNK_SIZE, rows.length);
+    for (let j = i; j < end; j++) {
+      ruleEngine.indexRow(transformRow(rows[j], columnMapping, transformOptions, j + 2), j + 2);
+    }
+    post({
+      type: 'PROGRESS',
+      phase,
+      progress: 0,
+      message: `Indexed ${end} of ${rows.length} rows for reference checks`,
+    });
+    await yieldToEventLoop();
+  }
+  return ruleEngine;
+}
+
+// Lookup sets sent along by the import context
+function buildValidationContext(data) {
+  return {
+    knownEmployeeIds: data.knownEmployeeIds ? new Set(data.knownEmployeeIds.map(String)) : null,
+    knownProjects: data.knownProjects ? new Set(data.knownProjects.map(key => String(key).toLowerCase())) : null,
+  };
+}
+
+// Set by a CANCEL message, checked between parse batches
+let cancelRequested = false;
+
+// Let queued messages (e.g. CANCEL) run between batches
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+class ParseCancelledError extends Error {}
+
+// After each slice of a parse: let a queued CANCEL arrive, then stop if it did
+const checkCancelled = async () => {
+  await yieldToEventLoop();
+  if (cancelRequested) throw new ParseCancelledError();
+};
+
+/**
+ * Rows of the last parsed file - they stay in the worker, the main thread only gets a sample
+ * VALIDATE_DATA, REVALIDATE_ROWS and PROCESS_IMPORT use them unless a message sends its own rows;
+ * GET_ROWS and GET_COLUMN_VALUES hand out the parts Step 2 and Step 3 show
+ */
+let fileRows = [];
+
+function postParseProgress(post, rowCount, fraction) {
+  post({
+    type: 'PROGRESS',
+    phase: 'parsing',
+    progress: Math.min(99, Math.floor(fraction * 100)),
+    message: `Parsed ${rowCount.toLocaleString()} rows...`,
+    processedCount: rowCount,
+  });
+}
+
+// CSV via PapaParse chunk mode - a File is read incrementally, a string is split into chunks
+function parseCsv(fileData, rows, post) {
+  const totalSize = typeof fileData === 'string' ? fileData.length : fileData.size;
+
+  return new Promise((resolve, reject) => {
+    let headers = [];
+
+    Papa.parse(fileData, {
+      header: true,
+      skipEmptyLines: true,
+      dynamicTyping: false, // Keep all as strings for consistent handling
+      chunkSize: CSV_CHUNK_BYTES,
+      chunk: (results, parser) => {
+        headers = results.meta.fields || headers;
+        results.data.forEach(row => rows.push(row));
+        postParseProgress(post, rows.length, totalSize ? results.meta.cursor / totalSize : 0);
+
+        parser.pause();
+        setTimeout(() => (cancelRequested ? parser.abort() : parser.resume()), 0);
+      },
+      complete: () => {
+        if (cancelRequested) {
+          reject(new ParseCancelledError());
+        } else {
+          resolve(headers);
+        }
+      },
+      error: (error) => reject(error),
+    });
+  });
+}
+
+// Workbook opened by LIST_SHEETS, kept until the chosen sheets have been parsed
+let cachedWorkbook = null;
+
+const fileKey = ({ fileData, fileName }) => `${fileName}|${fileData.size ?? fileData.length}|${fileData.lastModified ?? ''}`;
+
+// Header row and row-range reader of a SheetJS worksheet
+function openSheet(worksheet) {
+  if (!worksheet || !worksheet['!ref']) {
+    return { headers: [], dataRowCount: 0, firstDataRow: 1, lastRow: 0, readRows: () => [] };
+  }
+
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  const readRows = (fromRow, toRow) => XLSX.utils.sheet_to_json(worksheet, {
+    header: 1,
+    defval: '',
+    raw: false, // Convert dates to strings
+    range: { s: { r: fromRow, c: range.s.c }, e: { r: toRow, c: range.e.c } },
+  });
+
+  return {
+    headers: readRows(range.s.r, range.s.r)[0] || [],
+    dataRowCount: range.e.r - range.s.r,
+    firstDataRow: range.s.r + 1,
+    lastRow: range.e.r,
+    readRows,
+  };
+}
+
+// Convert array format to object format
+function toRowObject(headers, row) {
+  const obj = {};
+  headers.forEach((header, index) => {
+    obj[header] = row[index] || '';
+  });
+  return obj;
+}
+
+/**
+ * Formats other than .xlsx/.xlsm (.xls, .xlsb, .ods) are read whole by SheetJS
+ * Dense mode keeps the workbook as small as SheetJS allows; rows are converted CHUNK_SIZE at a time
+ */
+async function readSheetJsWorkbook(fileData) {
+  const buffer = fileData instanceof Uint8Array ? fileData : new Uint8Array(await fileData.arrayBuffer());
+  const workbook = XLSX.read(buffer, { type: 'array', dense: true });
+
+  return {
+    sheetNames: workbook.SheetNames,
+    async forEachRow(sheetName, { onRow, onSlice, maxRows = Infinity } = {}) {
+      const sheet = openSheet(workbook.Sheets[sheetName]);
+      const lastRow = Math.min(sheet.lastRow, sheet.firstDataRow + maxRows - 1);
+      for (let r = sheet.firstDataRow; r <= lastRow; r += CHUNK_SIZE) {
+        const end = Math.min(r + CHUNK_SIZE - 1, lastRow);
+        sheet.readRows(r, end).forEach(row => onRow(toRowObject(sheet.headers, row)));
+        if (onSlice) await onSlice((end - sheet.firstDataRow + 1) / sheet.dataRowCount);
+      }
+      return { headers: sheet.headers, rowCount: sheet.dataRowCount };
+    },
+  };
+}
+
+/**
+ * Open an Excel file as { sheetNames, forEachRow(sheetName, { onRow, onSlice, maxRows }) }
+ * .xlsx/.xlsm sheets are streamed from the file (see xlsxStreamReader.js), so a large export
+ * is never held in memory as a whole workbook
+ */
+async function openWorkbook(data) {
+  const key = fileKey(data);
+  if (cachedWorkbook && cachedWorkbook.key === key) {
+    return cachedWorkbook.workbook;
+  }
+  const workbook = await openXlsxWorkbook(data.fileData) || await readSheetJsWorkbook(data.fileData);
+  cachedWorkbook = { key, workbook };
+  return workbook;
+}
+
+/**
+ * Rows of the secondary sheet by key, plus the names its columns get in the joined rows
+ * Columns that also exist on the primary sheet are suffixed with the sheet name
+ */
+async function buildJoinLookup(workbook, join, primaryHeaders) {
+  const lookup = new Map();
+  let duplicateKeys = 0;
+  const { headers } = await workbook.forEachRow(join.secondarySheet, {
+    onRow: (row) => {
+      const key = String(row[join.secondaryKey] ?? '').trim();
+      if (!key) return;
+      if (lookup.has(key)) {
+        duplicateKeys++;
+        return;
+      }
+      lookup.set(key, row);
+    },
+    onSlice: checkCancelled,
+  });
+
+  const primaryColumns = new Set(primaryHeaders);
+  const columns = headers
+    .filter(header => header !== join.secondaryKey)
+    .map(header => [header, primaryColumns.has(header) ? `${header} (${join.secondarySheet})` : header]);
+
+  return { lookup, columns, duplicateKeys };
+}
+
+/**
+ * Excel - rows are read a slice at a time, yielding so CANCEL can arrive in between
+ * Reads data.sheetName (default: first sheet) or left-joins data.join.secondarySheet onto data.join.primarySheet
+ */
+async function parseExcel(data, rows, post) {
+  const workbook = await openWorkbook(data);
+  const { join } = data;
+  const sheetName = join?.primarySheet || data.sheetName || workbook.sheetNames[0];
+  const onSlice = async (fraction) => {
+    postParseProgress(post, rows.length, fraction);
+    await checkCancelled();
+  };
+
+  if (!join) {
+    const { headers } = await workbook.forEachRow(sheetName, { onRow: row => rows.push(row), onSlice });
+    return { headers, sheetName };
+  }
+
+  // The header row is enough to name the joined columns
+  const { headers } = await workbook.forEachRow(sheetName, { onRow: () => {}, maxRows: 0 });
+  const { lookup, columns, duplicateKeys } = await buildJoinLookup(workbook, join, headers);
+  const joinStats = { matched: 0, unmatched: 0, duplicateKeys };
+
+  await workbook.forEachRow(sheetName, {
+    onRow: (row) => {
+      const match = lookup.get(String(row[join.primaryKey] ?? '').trim());
+      columns.forEach(([header, name]) => {
+        row[name] = match ? match[header] : '';
+      });
+      joinStats[match ? 'matched' : 'unmatched']++;
+      rows.push(row);
+    },
+    onSlice,
+  });
+
+  return { headers: [...headers, ...columns.map(([, name]) => name)], sheetName, joinStats };
+}
+
+// List the sheets of a workbook with row counts and a preview, so the user can pick or join them
+async function listSheets(data, post) {
+  post({
+    type: 'PROGRESS',
+    phase: 'reading',
+    progress: 0,
+    message: 'Reading workbook...',
+  });
+
+  const workbook = await openWorkbook(data);
+
+  const sheets = [];
+  for (const name of workbook.sheetNames) {
+    const preview = [];
+    const { headers, rowCount } = await workbook.forEachRow(name, {
+      onRow: row => preview.push(row),
+      maxRows: SHEET_PREVIEW_ROWS,
+    });
+    sheets.push({ name, rowCount, headers, preview });
+  }
+
+  post({ type: 'SHEETS_LISTED', sheets });
+}
+
+/**
+ * Parse file (Excel or CSV)
+ * The rows stay in the worker (fileRows); PARSE_COMPLETE carries headers, count and the first SAMPLE_ROWS rows
+ */
+async function parseFile(data, post) {
+  const { fileData, fileType } = data;
+  cancelRequested = false;
+  // Let go of the previous file before reading the next one
+  fileRows = [];
+
+  post({
+    type: 'PROGRESS',
+    phase: 'reading',
+    progress: 0,
+    message: 'Reading file...',
+  });
+
+  const rows = [];
+  let parsed;
+
+  try {
+    parsed = fileType === 'csv'
+      ? { headers: await parseCsv(fileData, rows, post) }
+      : await parseExcel(data, rows, post);
+  } catch (error) {
+    if (error instanceof ParseCancelledError) {
+      post({ type: 'PARSE_CANCELLED', processedCount: rows.length });
+      return;
+    }
+    throw error;
+  } finally {
+    cachedWorkbook = null;
+  }
+
+  fileRows = rows;
+
+  post({
+    type: 'PROGRESS',
+    phase: 'parsing',
+    progress: 100,
+    message: `Parsed ${rows.length.toLocaleString()} rows`,
+    processedCount: rows.length,
+  });
+
+  post({
+    type: 'PARSE_COMPLETE',
+    headers: parsed.headers,
+    totalRows: rows.length,
+    sampleData: rows.slice(0, SAMPLE_ROWS),
+    sheetName: parsed.sheetName,
+    joinStats: parsed.joinStats,
+  });
+}
+
+// File rows by row number (2 = first row below the header), for the correction grid and row exports
+function getRows(data, post) {
+  const rows = {};
+  for (const rowNumber of data.rowNumbers) {
+    const row = fileRows[rowNumber - 2];
+    if (row) rows[rowNumber] = row;
+  }
+  post({ type: 'ROWS', requestId: data.requestId, rows });
+}
+
+// Distinct non-empty values of a column, in file order, skipping those in exclude (case-insensitive)
+function getColumnValues(data, post) {
+  const { requestId, column, exclude = [], limit = Infinity } = data;
+  const known = new Set(exclude.map(value => String(value).trim().toLowerCase()));
+  const values = [];
+  for (const row of fileRows) {
+    if (values.length >= limit) break;
+    const value = String(row[column] ?? '').trim();
+    if (!value || known.has(value.toLowerCase())) continue;
+    known.add(value.toLowerCase());
+    values.push(value);
+  }
+  post({ type: 'COLUMN_VALUES', requestId, values });
+}
+
+// Validate data sample
+async function validateData(data, post) {
+  const {
+    rows = fileRows,
+    columnMapping,
+    locale,
+    customAttributes = [],
+    validationRules = DEFAULT_VALIDATION_RULES,
+    target = 'employees',
+  } = data;
+  const recordTarget = RECORD_TARGETS[target];
+  const context = buildValidationContext(data);
+  const transformOptions = {
+    transformRules: recordTarget
+      ? recordTarget.transformRules
+      : { ...EMPLOYEE_TRANSFORM_RULES, ...getCustomAttributeRules(customAttributes) },
+    locale,
+    fieldRules: compileFieldRules(data.fieldRules),
+    corrections: data.corrections,
+  };
+
+  post({
+    type: 'PROGRESS',
+    phase: 'validating',
+    progress: 0,
+    message: 'Starting validation...',
+  });
+
+  const ruleEngine = recordTarget
+    ? null
+    : await prepareRuleEngine(rows, columnMapping, transformOptions, validationRules, post, 'validating');
+
+  const validationResults = {
+    totalRows: rows.length,
+    validRows: 0,
+    rowsWithWarnings: 0,
+    rowsWithErrors: 0,
+    errors: [],
+    warnings: [],
+    duplicateIds: new Set(),
+    // Valid records of a record target, e.g. for the allocation check of assignments
+    records: [],
+  };
+
+  const seenIds = new Map();
+
+  // Validate in chunks
+  const chunkSize = 1000;
+  for (let i = 0; i < rows.length; i += chunkSize) {
+    const chunk = rows.slice(i, Math.min(i + chunkSize, rows.length));
+
+    for (let j = 0; j < chunk.length; j++) {
+      const rowIndex = i + j;
+      const row = chunk[j];
+
+      // Transform row
+      const transformedRow = transformRow(row, columnMapping, transformOptions, rowIndex + 2);
+
+      // Validate row
+      const validation = recordTarget
+        ? recordTarget.validate(transformedRow, rowIndex + 2, context)
+        : validateRow(transformedRow, rowIndex + 2, { ruleEngine, customAttributes }); // +2 for header and 0-index
+
+      if (validation.isValid) {
+        validationResults.validRows++;
+      }
+
+      if (validation.errors.length > 0) {
+        validationResults.rowsWithErrors++;
+        validationResults.errors.push(...validation.errors);
+      }
+
+      if (validation.warnings.length > 0) {
+        validationResults.rowsWithWarnings++;
+        validationResults.warnings.push(...validation.warnings);
+      }
+
+      if (recordTarget) {
+        const key = recordTarget.duplicateKey(transformedRow, validation);
+        if (key && seenIds.has(key)) {
+          validationResults.errors.push({
+            ...recordTarget.duplicateError(transformedRow, validation),
+            row: rowIndex + 2,
+          });
+          validationResults.rowsWithErrors++;
+          if (validation.isValid) validationResults.validRows--;
+        } else {
+          if (key) seenIds.set(key, rowIndex);
+          if (validation.isValid) {
+            validationResults.records.push(recordTarget.createRecord(transformedRow, validation, rowIndex + 2));
+          }
+        }
+      } else if (transformedRow.employeeId) {
+        // Check for duplicate IDs
+        if (seenIds.has(transformedRow.employeeId)) {
+          validationResults.duplicateIds.add(transformedRow.employeeId);
+          validationResults.errors.push({
+            type: 'duplicate_id',
+            field: 'employeeId',
+            message: `Duplicate employee ID: ${transformedRow.employeeId}`,
+            row: rowIndex + 2,
+          });
+          validationResults.rowsWithErrors++;
+        } else {
+          seenIds.set(transformedRow.employeeId, rowIndex);
+        }
+      }
+    }
+
+    // Update progress
+    const progress = Math.floor((i + chunk.length) / rows.length * 100);
+    post({
+      type: 'PROGRESS',
+      phase: 'validating',
+      progress,
+      message: `Validated ${i + chunk.length} of ${rows.length} rows`,
+    });
+  }
+
+  post({
+    type: 'VALIDATION_COMPLETE',
+    results: {
+      ...validationResults,
+      duplicateIds: Array.from(validationResults.duplicateIds),
+    },
+  });
+}
+
+/**
+ * Re-validate the rows corrected in Step 3 (employee imports)
+ * Every row is transformed once more so unique, reference and duplicate ID checks see the whole
+ * corrected file, but only the rows in rowNumbers are checked and reported
+ */
+async function revalidateRows(data, post) {
+  const {
+    rows = fileRows,
+    rowNumbers,
+    columnMapping,
+    locale,
+    customAttributes = [],
+    validationRules = DEFAULT_VALIDATION_RULES,
+  } = data;
+  const transformOptions = {
+    transformRules: { ...EMPLOYEE_TRANSFORM_RULES, ...getCustomAttributeRules(customAttributes) },
+    locale,
+    fieldRules: compileFieldRules(data.fieldRules),
+    corrections: data.corrections,
+  };
+
+  const ruleEngine = createRuleEngine(validationRules);
+  const firstRowById = new Map();
+  const checked = new Map(rowNumbers.map(rowNumber => [rowNumber, null]));
+
+  for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+    const end = Math.min(i + CHUNK_SIZE, rows.length);
+    for (let rowIndex = i; rowIndex < end; rowIndex++) {
+      const transformedRow = transformRow(rows[rowIndex], columnMapping, transformOptions, rowIndex + 2);
+      ruleEngine.indexRow(transformedRow, rowIndex + 2);
+      if (transformedRow.employeeId && !firstRowById.has(transformedRow.employeeId)) {
+        firstRowById.set(transformedRow.employeeId, rowIndex + 2);
+      }
+      if (checked.has(rowIndex + 2)) checked.set(rowIndex + 2, transformedRow);
+    }
+    post({
+      type: 'PROGRESS',
+      phase: 'validating',
+      progress: Math.floor(end / rows.length * 100),
+      message: `Re-validating ${rowNumbers.length} corrected rows`,
+    });
+    await yieldToEventLoop();
+  }
+
+  const results = [];
+  for (const [rowNumber, transformedRow] of checked) {
+    if (!transformedRow) continue;
+    const { errors, warnings } = validateRow(transformedRow, rowNumber, { ruleEngine, customAttributes });
+    if (transformedRow.employeeId && firstRowById.get(transformedRow.employeeId) < rowNumber) {
+      errors.push({
+        type: 'duplicate_id',
+        field: 'employeeId',
+        message: `Duplicate employee ID: ${transformedRow.employeeId}`,
+        row: rowNumber,
+      });
+    }
+    results.push({ row: rowNumber, errors, warnings });
+  }
+
+  post({
+    type: 'REVALIDATION_COMPLETE',
+    rows: results,
+  });
+}
+
+// Process import with real-time progress
+async function processImport(data, post) {
+  const {
+    rows = fileRows,
+    columnMapping,
+    transformRules = EMPLOYEE_TRANSFORM_RULES,
+    locale,
+    skipInvalidRows,
+    customAttributes = [],
+    validationRules = DEFAULT_VALIDATION_RULES,
+    target = 'employees',
+  } = data;
+
+  if (RECORD_TARGETS[target]) {
+    return processRecordImport({ ...data, rows }, RECORD_TARGETS[target], post);
+  }
+
+  const transformOptions = {
+    transformRules: { ...transformRules, ...getCustomAttributeRules(customAttributes) },
+    locale,
+    fieldRules: compileFieldRules(data.fieldRules),
+    corrections: data.corrections,
+  };
+
+  const results = {
+    totalRows: rows.length,
+    processedRows: 0,
+    successfulRows: 0,
+    skippedRows: 0,
+    failedRows: 0,
+    employees: [],
+    errors: [],
+    // Fields this file carries; a delta merge only updates these (db.js planMerge)
+    mappedFields: [...new Set([
+      ...Object.keys(columnMapping).filter(field => columnMapping[field]),
+      ...Object.keys(transformOptions.fieldRules),
+    ])],
+  };
+
+  const ruleEngine = await prepareRuleEngine(rows, columnMapping, transformOptions, validationRules, post, 'importing');
+  const seenIds = new Set();
+
+  // Process in chunks for better performance
+  for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+    const chunk = rows.slice(i, Math.min(i + CHUNK_SIZE, rows.length));
+
+    post({
+      type: 'PROGRESS',
+      phase: 'importing',
+      progress: Math.floor((i / rows.length) * 100),
+      message: `Processing chunk ${Math.floor(i / CHUNK_SIZE) + 1} of ${Math.ceil(rows.length / CHUNK_SIZE)}`,
+      processedCount: i,
+      totalCount: rows.length,
+      speed: i > 0 ? Math.floor(i / ((Date.now() - results.startTime) / 1000)) : 0,
+    });
+
+    for (let j = 0; j < chunk.length; j++) {
+      const rowIndex = i + j;
+      const row = chunk[j];
+
+      try {
+        // Transform row
+        const transformedRow = transformRow(row, columnMapping, transformOptions, rowIndex + 2);
+
+        // Validate row
+        const validation = validateRow(transformedRow, rowIndex + 2, { ruleEngine, customAttributes });
+
+        if (!validation.isValid && skipInvalidRows) {
+          results.skippedRows++;
+          results.errors.push(...validation.errors);
+          continue;
+        }
+
+        // Check for duplicates
+        if (seenIds.has(transformedRow.employeeId)) {
+          if (skipInvalidRows) {
+            results.skippedRows++;
+            continue;
+          }
+        } else {
+          seenIds.add(transformedRow.employeeId);
+        }
+
+        // Create employee record
+        const employee = {
+          employeeId: transformedRow.employeeId || `EMP${Date.now()}${rowIndex}`,
+          name: transformedRow.name || 'Unknown',
+          email: transformedRow.email || '',
+          role: transformedRow.role || transformedRow.jobTitle || '',
+          department: transformedRow.department || '',
+          status: transformedRow.status || 'active',
+          fte: transformedRow.fte || 100,
+          startDate: transformedRow.startDate || new Date().toISOString().split('T')[0],
+          birthdate: transformedRow.birthdate || null,
+          skills: [],
+          availability: transformedRow.status === 'active' ? 'available' : 'inactive',
+          photo: null,
+          hourlyRate: transformedRow.hourlyRate || transformedRow.baseSalary || 0,
+          baseSalary: transformedRow.baseSalary || 0,
+          payScale: transformedRow.payScale || '',
+          reductionProgram: null,
+          customAttributes: collectCustomAttributes(transformedRow, customAttributes),
+          importMetadata: {
+            importDate: new Date().toISOString(),
+            sourceRow: rowIndex + 2,
+            rawData: transformedRow,
+          },
+          organizationalData: {
+            company: transformedRow.company || '',
+            country: transformedRow.country || '',
+            plant: transformedRow.plant || '',
+            division: transformedRow.division || '',
+            costCenter: transformedRow.costCenter || '',
+            managementLevel: transformedRow.managementLevel || '',
+            reportingManager: transformedRow.reportingManager || '',
+          },
+        };
+
+        results.employees.push(employee);
+        results.successfulRows++;
+      } catch (error) {
+        results.failedRows++;
+        results.errors.push({
+          type: 'processing_error',
+          message: error.message,
+          row: rowIndex + 2,
+        });
+      }
+
+      results.processedRows++;
+    }
+  }
+
+  post({
+    type: 'IMPORT_COMPLETE',
+    results,
+  });
+}
+
+// Record target import - invalid rows are never written, they would reference unknown employees or projects
+async function processRecordImport(data, recordTarget, post) {
+  const { rows, columnMapping, locale } = data;
+  const context = buildValidationContext(data);
+  const transformOptions = {
+    transformRules: recordTarget.transformRules,
+    locale,
+    fieldRules: compileFieldRules(data.fieldRules),
+    corrections: data.corrections,
+  };
+  const records = [];
+
+  const results = {
+    totalRows: rows.length,
+    processedRows: 0,
+    successfulRows: 0,
+    skippedRows: 0,
+    failedRows: 0,
+    [recordTarget.resultKey]: records,
+    employees: [],
+    errors: [],
+  };
+  const seenKeys = new Set();
+  const startTime = Date.now();
+
+  for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+    const chunk = rows.slice(i, Math.min(i + CHUNK_SIZE, rows.length));
+
+    post({
+      type: 'PROGRESS',
+      phase: 'importing',
+      progress: Math.floor((i / rows.length) * 100),
+      message: `Processing chunk ${Math.floor(i / CHUNK_SIZE) + 1} of ${Math.ceil(rows.length / CHUNK_SIZE)}`,
+      processedCount: i,
+      totalCount: rows.length,
+      speed: i > 0 ? Math.floor(i / ((Date.now() - startTime) / 1000)) : 0,
+    });
+
+    for (let j = 0; j < chunk.length; j++) {
+      const rowIndex = i + j + 2;
+
+      try {
+        const transformedRow = transformRow(chunk[j], columnMapping, transformOptions, rowIndex);
+        const validation = recordTarget.validate(transformedRow, rowIndex, context);
+        const key = recordTarget.duplicateKey(transformedRow, validation);
+
+        if (!validation.isValid) {
+          results.skippedRows++;
+          results.errors.push(...validation.errors);
+          continue;
+        }
+        if (key && seenKeys.has(key)) {
+          results.skippedRows++;
+          results.errors.push({ ...recordTarget.duplicateError(transformedRow, validation), row: rowIndex });
+          continue;
+        }
+        if (key) seenKeys.add(key);
+
+        records.push(recordTarget.createRecord(transformedRow, validation, rowIndex));
+        results.successfulRows++;
+      } catch (error) {
+        results.failedRows++;
+        results.errors.push({
+          type: 'processing_error',
+          message: error.message,
+          row: rowIndex,
+        });
+      }
+
+      results.processedRows++;
+    }
+  }
+
+  post({
+    type: 'IMPORT_COMPLETE',
+    results,
+  });
+}
+
+/**
+ * Handle one LIST_SHEETS / PARSE_FILE / VALIDATE_DATA / REVALIDATE_ROWS / PROCESS_IMPORT / GET_ROWS / GET_COLUMN_VALUES / CANCEL message
+ * @param {{ type: string, data: object }} message - Message sent by ImportContext
+ * @param {(message: object) => void} post - Receives PROGRESS, SHEETS_LISTED, *_COMPLETE, ROWS, COLUMN_VALUES, PARSE_CANCELLED and ERROR messages
+ */
+export async function handleImportMessage({ type, data }, post) {
+  try {
+    switch (type) {
+      case 'LIST_SHEETS':
+        await listSheets(data, post);
+        break;
+
+      case 'PARSE_FILE':
+        await parseFile(data, post);
+        break;
+
+      case 'VALIDATE_DATA':
+        await validateData(data, post);
+        break;
+
+      case 'REVALIDATE_ROWS':
+        await revalidateRows(data, post);
+        break;
+
+      case 'PROCESS_IMPORT':
+        await processImport(data, post);
+        break;
+
+      case 'GET_ROWS':
+        getRows(data, post);
+        break;
+
+      case 'GET_COLUMN_VALUES':
+        getColumnValues(data, post);
+        break;
+
+      // Aborts a running PARSE_FILE after the current batch
+      case 'CANCEL':
+        cancelRequested = true;
+        break;
+
+      default:
+        post({
+          type: 'ERROR',
+          error: `Unknown message type: ${type}`,
+        });
+    }
+  } catch (error) {
+    post({
+      type: 'ERROR',
+      error: error.message,
+      stack: error.stack,
+    });
+  }
+}
@@ -0,0 +1,442 @@
+/**
+ * Streaming XLSX Reader
+ * Reads worksheet rows straight from the zip container of an .xlsx/.xlsm file, a slice at a time:
+ * the sheet XML is inflated with fflate and cut into <row> elements as it arrives, so memory holds
+ * the shared strings and the current slice instead of the whole workbook. Cell text is formatted
+ * with the cell's number format, as SheetJS' sheet_to_json(raw: false) does.
+ *
+ * Other spreadsheet formats (.xls, .xlsb, .ods) are not zipped XML workbooks; openXlsxWorkbook
+ * returns null for them and the caller reads them with SheetJS.
+ */
+
+import * as XLSX from 'xlsx';
+import { Inflate } from 'fflate';
+
+// Compressed bytes read per slice; XML inflates to roughly ten times as much text
+const READ_CHUNK_BYTES = 256 * 1024;
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_DIRECTORY_SIGNATURE = 0x06054b50;
+
+// Number formats that are dates without a date-like format code
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+// Days between the 1900 and 1904 date systems
+const DATE_1904_OFFSET = 1462;
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const uint16 = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+const uint32 = (bytes, offset) => (
+  (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0
+);
+
+// Byte ranges of a File/Blob (sliced on demand) or of a Uint8Array
+function byteSource(fileData) {
+  if (fileData instanceof Uint8Array) {
+    return { size: fileData.length, read: async (start, end) => fileData.subarray(start, end) };
+  }
+  return {
+    size: fileData.size,
+    read: async (start, end) => new Uint8Array(await fileData.slice(start, end).arrayBuffer()),
+  };
+}
+
+function unescapeXml(text) {
+  if (!text) return '';
+  return text
+    .replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+      if (entity[0] !== '#') return XML_ENTITIES[entity.toLowerCase()] ?? match;
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    })
+    // Characters XML cannot hold are written as _xHHHH_
+    .replace(/_x([0-9a-f]{4})_/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+const attributePatterns = new Map();
+
+// Value of an attribute in the attribute text of a tag
+function attribute(attributes, name) {
+  let pattern = attributePatterns.get(name);
+  if (!pattern) {
+    pattern = new RegExp(`(?:^|\\s)${name}=(?:"([^"]*)"|'([^']*)')`);
+    attributePatterns.set(name, pattern);
+  }
+  const match = attributes.match(pattern);
+  return match ? unescapeXml(match[1] ?? match[2]) : undefined;
+}
+
+// Relationship id of a <sheet>, whatever prefix the relationships namespace has
+const relationshipId = (attributes) => attributes.match(/\s[\w-]+:id=(?:"([^"]*)"|'([^']*)')/)?.slice(1).find(v => v !== undefined);
+
+// Text of a shared or inline string: its <t> runs without phonetic guides
+const stringText = (xml) => {
+  let text = '';
+  for (const match of xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+    text += match[1];
+  }
+  return unescapeXml(text);
+};
+
+// 0-based column of a cell reference such as "AB12"
+function columnIndex(reference) {
+  let column = 0;
+  for (let i = 0; i < reference.length; i++) {
+    const code = reference.charCodeAt(i);
+    if (code < 65 || code > 90) break;
+    column = column * 26 + code - 64;
+  }
+  return column - 1;
+}
+
+// { s: { r, c }, e: { r, c } } of a <dimension ref="A1:H100"/>, 0-based
+function parseDimension(xml) {
+  const ref = xml.match(/<dimension\b([^>]*)>/)?.[1];
+  const range = ref && attribute(ref, 'ref');
+  if (!range) return null;
+  const [start, end = start] = range.split(':');
+  const cell = (reference) => ({ r: parseInt(reference.replace(/^[A-Z]+/, ''), 10) - 1, c: columnIndex(reference) });
+  const dimension = { s: cell(start), e: cell(end) };
+  return Number.isNaN(dimension.s.r) || Number.isNaN(dimension.e.r) ? null : dimension;
+}
+
+// Whether a number format code shows a date or time
+function isDateFormat(format) {
+  if (typeof format === 'number') return BUILTIN_DATE_FORMATS.has(format);
+  const code = String(format)
+    .replace(/"[^"]*"/g, '')
+    .replace(/\[[^\]]*\]/g, '')
+    .replace(/\\./g, '')
+    .replace(/_.|\*./g, '');
+  return /[dmyhs]/i.test(code) && !/^general$/i.test(code);
+}
+
+// Number format of every cell style (cellXfs), as a format code or a built-in id
+function parseStyles(xml) {
+  const customFormats = new Map();
+  for (const [, attributes] of xml.matchAll(/<numFmt\b([^>]*)>/g)) {
+    customFormats.set(Number(attribute(attributes, 'numFmtId')), attribute(attributes, 'formatCode'));
+  }
+  const cellXfs = xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/)?.[1] || '';
+  return [...cellXfs.matchAll(/<xf\b([^>]*)>/g)].map(([, attributes]) => {
+    const id = Number(attribute(attributes, 'numFmtId') || 0);
+    return customFormats.get(id) ?? id;
+  });
+}
+
+function parseRelationships(xml) {
+  return [...xml.matchAll(/<Relationship\b([^>]*)>/g)].map(([, attributes]) => ({
+    id: attribute(attributes, 'Id'),
+    type: attribute(attributes, 'Type') || '',
+    target: attribute(attributes, 'Target') || '',
+  }));
+}
+
+// Zip path of a relationship target, relative to the part that refers to it
+function resolvePath(part, target) {
+  if (target.startsWith('/')) return target.slice(1);
+  const parts = part.split('/').slice(0, -1);
+  for (const segment of target.split('/')) {
+    if (segment === '..') parts.pop();
+    else if (segment !== '.' && segment !== '') parts.push(segment);
+  }
+  return parts.join('/');
+}
+
+const relationshipsPath = (part) => {
+  const slash = part.lastIndexOf('/');
+  return `${part.slice(0, slash + 1)}_rels/${part.slice(slash + 1)}.rels`;
+};
+
+// Entries of the zip's central directory by lower-cased path; null if the file is no zip
+async function readZipEntries(source) {
+  const tailSize = Math.min(source.size, 22 + 0xffff);
+  const tail = await source.read(source.size - tailSize, source.size);
+  let end = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (uint32(tail, i) === END_OF_DIRECTORY_SIGNATURE) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) return null;
+
+  const count = uint16(tail, end + 10);
+  const directorySize = uint32(tail, end + 12);
+  const directoryOffset = uint32(tail, end + 16);
+  if (directoryOffset === 0xffffffff) {
+    throw new Error('Workbooks larger than 4 GB are not supported');
+  }
+
+  const directory = await source.read(directoryOffset, directoryOffset + directorySize);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  let offset = 0;
+  for (let i = 0; i < count && uint32(directory, offset) === CENTRAL_HEADER_SIGNATURE; i++) {
+    const nameLength = uint16(directory, offset + 28);
+    const name = decoder.decode(directory.subarray(offset + 46, offset + 46 + nameLength));
+    entries.set(name.replace(/\\/g, '/').toLowerCase(), {
+      method: uint16(directory, offset + 10),
+      compressedSize: uint32(directory, offset + 20),
+      headerOffset: uint32(directory, offset + 42),
+    });
+    offset += 46 + nameLength + uint16(directory, offset + 30) + uint16(directory, offset + 32);
+  }
+  return entries;
+}
+
+// Text of a zip entry, read, inflated and decoded one slice at a time; progress.fraction follows the bytes read
+async function* entryText(source, entry, progress = {}) {
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw new Error(`Unsupported compression in workbook (method ${entry.method})`);
+  }
+
+  const header = await source.read(entry.headerOffset, entry.headerOffset + 30);
+  const start = entry.headerOffset + 30 + uint16(header, 26) + uint16(header, 28);
+  const end = start + entry.compressedSize;
+  const decoder = new TextDecoder();
+  let inflated = [];
+  const inflater = entry.method === 8 ? new Inflate((chunk) => inflated.push(chunk)) : null;
+
+  for (let offset = start; offset < end; offset += READ_CHUNK_BYTES) {
+    const sliceEnd = Math.min(offset + READ_CHUNK_BYTES, end);
+    const bytes = await source.read(offset, sliceEnd);
+    if (inflater) inflater.push(bytes, sliceEnd === end);
+    else inflated.push(bytes);
+
+    let text = '';
+    for (const chunk of inflated) text += decoder.decode(chunk, { stream: true });
+    inflated = [];
+    progress.fraction = (sliceEnd - start) / (end - start);
+    if (text) yield text;
+  }
+}
+
+/**
+ * Complete <tag> elements at the start of a streamed XML buffer
+ * Returns the elements and the offset up to which the buffer has been consumed
+ */
+function takeElements(buffer, tag) {
+  const elements = [];
+  const open = `<${tag}`;
+  const close = `</${tag}>`;
+  let position = 0;
+
+  for (;;) {
+    let start = buffer.indexOf(open, position);
+    // Skip longer tag names with the same prefix, e.g. <rowBreaks> for <row>
+    while (start >= 0 && /[\w:-]/.test(buffer[start + open.length] || '')) {
+      start = buffer.indexOf(open, start + open.length);
+    }
+    if (start < 0 || start + open.length >= buffer.length) {
+      // Keep a partial opening tag at the end for the next slice
+      return { elements, consumed: Math.max(position, buffer.length - open.length) };
+    }
+
+    const tagEnd = buffer.indexOf('>', start);
+    if (tagEnd < 0) return { elements, consumed: start };
+
+    if (buffer[tagEnd - 1] === '/') {
+      elements.push(buffer.slice(start, tagEnd + 1));
+      position = tagEnd + 1;
+      continue;
+    }
+
+    const end = buffer.indexOf(close, tagEnd);
+    if (end < 0) return { elements, consumed: start };
+    elements.push(buffer.slice(start, end + close.length));
+    position = end + close.length;
+  }
+}
+
+/**
+ * Open an .xlsx/.xlsm File or Uint8Array for streaming
+ * Returns null for anything that is not a zipped XML workbook
+ */
+export async function openXlsxWorkbook(fileData) {
+  if (!fileData || typeof fileData === 'string') return null;
+
+  const source = byteSource(fileData);
+  if (source.size < 22 || uint32(await source.read(0, 4), 0) !== LOCAL_HEADER_SIGNATURE) return null;
+
+  const entries = await readZipEntries(source);
+  if (!entries) return null;
+
+  const readText = async (path) => {
+    const entry = entries.get(path.toLowerCase());
+    if (!entry) return '';
+    let text = '';
+    for await (const chunk of entryText(source, entry)) text += chunk;
+    return text;
+  };
+
+  const workbookPath = parseRelationships(await readText('_rels/.rels'))
+    .filter(rel => rel.type.endsWith('/officeDocument'))
+    .map(rel => resolvePath('', rel.target))
+    .find(path => entries.has(path.toLowerCase()));
+  if (!workbookPath || !workbookPath.toLowerCase().endsWith('.xml')) return null;
+
+  const workbookXml = await readText(workbookPath);
+  const relationships = parseRelationships(await readText(relationshipsPath(workbookPath)));
+  const targetOf = (rel) => (rel ? resolvePath(workbookPath, rel.target) : null);
+
+  const sheetPaths = new Map();
+  for (const [, attributes] of workbookXml.matchAll(/<sheet\b([^>]*)>/g)) {
+    const id = relationshipId(attributes);
+    sheetPaths.set(attribute(attributes, 'name'), targetOf(relationships.find(rel => rel.id === id)));
+  }
+
+  const date1904 = /<workbookPr\b[^>]*\sdate1904=["'](1|true)["']/i.test(workbookXml);
+  const sharedStringsPath = targetOf(relationships.find(rel => rel.type.endsWith('/sharedStrings')));
+  const stylesPath = targetOf(relationships.find(rel => rel.type.endsWith('/styles')));
+
+  // Shared strings and styles are read once, on the first sheet read
+  let lookups = null;
+  const loadLookups = () => {
+    lookups = lookups || (async () => {
+      const sharedStrings = [];
+      const entry = sharedStringsPath && entries.get(sharedStringsPath.toLowerCase());
+      if (entry) {
+        let buffer = '';
+        for await (const chunk of entryText(source, entry)) {
+          buffer += chunk;
+          const { elements, consumed } = takeElements(buffer, 'si');
+          elements.forEach(element => sharedStrings.push(stringText(element)));
+          buffer = buffer.slice(consumed);
+        }
+      }
+      const styles = stylesPath ? parseStyles(await readText(stylesPath)) : [];
+      return { sharedStrings, styles };
+    })();
+    return lookups;
+  };
+
+  // Text of one <c> element
+  const cellText = (attributes, content, { sharedStrings, styles }) => {
+    const type = attribute(attributes, 't') || 'n';
+    if (type === 'inlineStr') return stringText(content.match(/<is>([\s\S]*?)<\/is>/)?.[1] || '');
+
+    const raw = content.match(/<v(?:\s[^>]*)?>([\s\S]*?)<\/v>/)?.[1];
+    if (raw === undefined) return '';
+    switch (type) {
+      case 's':
+        return sharedStrings[Number(raw)] ?? '';
+      case 'b':
+        return raw === '1' ? 'TRUE' : 'FALSE';
+      case 'str':
+      case 'e':
+      case 'd':
+        return unescapeXml(raw);
+      default: {
+        const value = Number(raw);
+        if (Number.isNaN(value)) return raw;
+        const format = styles[Number(attribute(attributes, 's') || 0)] ?? 0;
+        const serial = date1904 && isDateFormat(format) ? value + DATE_1904_OFFSET : value;
+        return XLSX.utils.format_cell({ t: 'n', v: serial, z: format });
+      }
+    }
+  };
+
+  // [column, text] of the non-empty cells of one <row> element
+  const rowCells = (element, currentLookups) => {
+    const cells = [];
+    let nextColumn = 0;
+    for (const [, attributes, , content = ''] of element.matchAll(/<c\b([^>]*?)(\/>|>([\s\S]*?)<\/c>)/g)) {
+      const reference = attribute(attributes, 'r');
+      const column = reference ? columnIndex(reference) : nextColumn;
+      nextColumn = column + 1;
+      const text = cellText(attributes, content, currentLookups);
+      if (text !== '') cells.push([column, text]);
+    }
+    return cells;
+  };
+
+  return {
+    sheetNames: [...sheetPaths.keys()],
+
+    /**
+     * Visit the data rows of a sheet as objects keyed by the header row
+     * Blank rows inside the data keep their place, so row numbers match the sheet.
+     * onSlice runs after every slice read (and may throw to stop); maxRows stops early.
+     * Resolves with the headers and the data row count, from <dimension> when stopped early
+     */
+    async forEachRow(sheetName, { onRow, onSlice, maxRows = Infinity } = {}) {
+      const path = sheetPaths.get(sheetName);
+      const entry = path && entries.get(path.toLowerCase());
+      if (!entry) return { headers: [], rowCount: 0 };
+
+      const currentLookups = await loadLookups();
+      const progress = { fraction: 0 };
+      let buffer = '';
+      let dimension;
+      let headers = null;
+      let startColumn = 0;
+      let headerRow = 0;
+      let lastRow = 0;
+      let count = 0;
+
+      const emit = (cells) => {
+        const row = {};
+        headers.forEach((header) => {
+          row[header] = '';
+        });
+        for (const [column, text] of cells) {
+          const header = headers[column - startColumn];
+          if (header !== undefined) row[header] = text;
+        }
+        if (onRow) onRow(row);
+        count++;
+      };
+
+      reading: for await (const chunk of entryText(source, entry, progress)) {
+        buffer += chunk;
+        if (dimension === undefined && buffer.includes('<sheetData')) {
+          dimension = parseDimension(buffer.slice(0, buffer.indexOf('<sheetData')));
+        }
+
+        const { elements, consumed } = takeElements(buffer, 'row');
+        buffer = buffer.slice(consumed);
+
+        for (const element of elements) {
+          const rowAttributes = element.slice(0, element.indexOf('>'));
+          const rowNumber = Number(attribute(rowAttributes, 'r')) || lastRow + 1;
+          const cells = rowCells(element, currentLookups);
+
+          if (!headers) {
+            if (cells.length === 0) continue;
+            const columns = cells.map(([column]) => column);
+            startColumn = Math.min(dimension ? dimension.s.c : Infinity, ...columns);
+            const endColumn = Math.max(dimension ? dimension.e.c : 0, ...columns);
+            headers = new Array(endColumn - startColumn + 1).fill('');
+            cells.forEach(([column, text]) => {
+              headers[column - startColumn] = text;
+            });
+            headerRow = rowNumber;
+            lastRow = rowNumber;
+            if (maxRows === 0) break reading;
+            continue;
+          }
+
+          while (lastRow + 1 < rowNumber && count < maxRows) {
+            emit([]);
+            lastRow++;
+          }
+          if (count >= maxRows) break reading;
+          emit(cells);
+          lastRow = rowNumber;
+          if (count >= maxRows) break reading;
+        }
+
+        if (onSlice) await onSlice(progress.fraction);
+      }
+
+      const finished = progress.fraction >= 1 && count < maxRows;
+      return {
+        headers: headers || [],
+        rowCount: finished || !dimension ? count : Math.max(count, dimension.e.r + 1 - (headerRow || dimension.s.r + 1)),
+      };
+    },
+  };
+}
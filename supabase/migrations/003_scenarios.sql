@@ -0,0 +1,58 @@
+-- ============================================================================
+-- Workforce Tracker - Saved Scenarios
+-- ============================================================================
+-- Run this migration in your Supabase SQL Editor (Dashboard > SQL Editor)
+-- Stores what-if simulations from Scenario Simulation so they survive reloads
+-- and can be shared, compared and archived
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS scenarios (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  author TEXT,
+  created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  reductions JSONB NOT NULL DEFAULT '{}',   -- department -> reduction percentage
+  based_on JSONB,                           -- import snapshot the scenario was built against
+  archived BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scenarios_created_by ON scenarios(created_by);
+CREATE INDEX IF NOT EXISTS idx_scenarios_archived ON scenarios(archived);
+
+DROP TRIGGER IF EXISTS update_scenarios_updated_at ON scenarios;
+CREATE TRIGGER update_scenarios_updated_at
+  BEFORE UPDATE ON scenarios
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+ALTER TABLE scenarios ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- SCENARIOS POLICIES
+-- ============================================================================
+-- Scenarios contain aggregated figures only, so every user may read them.
+-- Only the author or an admin may change or delete a scenario.
+
+DROP POLICY IF EXISTS "Authenticated users can view scenarios" ON scenarios;
+DROP POLICY IF EXISTS "Authenticated users can create scenarios" ON scenarios;
+DROP POLICY IF EXISTS "Authors can update own scenarios" ON scenarios;
+DROP POLICY IF EXISTS "Authors can delete own scenarios" ON scenarios;
+
+CREATE POLICY "Authenticated users can view scenarios"
+  ON scenarios FOR SELECT
+  USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Authenticated users can create scenarios"
+  ON scenarios FOR INSERT
+  WITH CHECK (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Authors can update own scenarios"
+  ON scenarios FOR UPDATE
+  USING (auth.uid() = created_by OR is_admin());
+
+CREATE POLICY "Authors can delete own scenarios"
+  ON scenarios FOR DELETE
+  USING (auth.uid() = created_by OR is_admin());
+
+GRANT ALL ON scenarios TO authenticated;
@@ -0,0 +1,10 @@
+-- ============================================================================
+-- Workforce Tracker - Scenario Levers
+-- ============================================================================
+-- Run this migration in your Supabase SQL Editor (Dashboard > SQL Editor)
+-- Adds multi-dimensional levers (hiring freeze, FTE reduction, early
+-- retirement, salary increase) to saved scenarios
+-- ============================================================================
+
+ALTER TABLE scenarios
+  ADD COLUMN IF NOT EXISTS levers JSONB NOT NULL DEFAULT '[]';  -- [{type, dimension, value, amount, minAge, maxAge}]
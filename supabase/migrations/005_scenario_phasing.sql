@@ -0,0 +1,10 @@
+-- ============================================================================
+-- Workforce Tracker - Time-Phased Scenarios
+-- ============================================================================
+-- Run this migration in your Supabase SQL Editor (Dashboard > SQL Editor)
+-- Stores the effective month and one-off cost model of the department
+-- reductions; levers carry their own effectiveDate and oneOffCost in JSONB
+-- ============================================================================
+
+ALTER TABLE scenarios
+  ADD COLUMN IF NOT EXISTS reduction_phasing JSONB;  -- {effectiveDate: 'YYYY-MM', oneOffCost: {type, months}}
@@ -0,0 +1,49 @@
+-- ============================================================================
+-- Workforce Tracker - Custom Employee Attributes
+-- ============================================================================
+-- Run this migration in your Supabase SQL Editor (Dashboard > SQL Editor)
+-- Admin-defined employee fields beyond the fixed columns. Definitions live in
+-- custom_attributes, the values per employee in employees.custom_attributes
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS custom_attributes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  key TEXT NOT NULL UNIQUE,                 -- storage key in employees.custom_attributes
+  label TEXT NOT NULL,
+  type TEXT NOT NULL DEFAULT 'text' CHECK (type IN ('text', 'number', 'date', 'select')),
+  allowed_values JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_custom_attributes_updated_at ON custom_attributes;
+CREATE TRIGGER update_custom_attributes_updated_at
+  BEFORE UPDATE ON custom_attributes
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+ALTER TABLE employees
+  ADD COLUMN IF NOT EXISTS custom_attributes JSONB NOT NULL DEFAULT '{}';  -- attribute key -> value
+
+CREATE INDEX IF NOT EXISTS idx_employees_custom_attributes ON employees USING GIN (custom_attributes);
+
+ALTER TABLE custom_attributes ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- CUSTOM ATTRIBUTES POLICIES
+-- ============================================================================
+-- Every user needs the definitions to map, filter and group, only admins
+-- may define attributes.
+
+DROP POLICY IF EXISTS "Authenticated users can view custom attributes" ON custom_attributes;
+DROP POLICY IF EXISTS "Admins can manage custom attributes" ON custom_attributes;
+
+CREATE POLICY "Authenticated users can view custom attributes"
+  ON custom_attributes FOR SELECT
+  USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Admins can manage custom attributes"
+  ON custom_attributes FOR ALL
+  USING (is_admin())
+  WITH CHECK (is_admin());
+
+GRANT ALL ON custom_attributes TO authenticated;
@@ -0,0 +1,45 @@
+-- ============================================================================
+-- Workforce Tracker - Import Validation Rules
+-- ============================================================================
+-- Run this migration in your Supabase SQL Editor (Dashboard > SQL Editor)
+-- Admin-edited checks of employee imports. A row with the key of a built-in
+-- rule overrides it (e.g. its severity), other keys are additional rules
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS validation_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  key TEXT NOT NULL UNIQUE,                 -- built-in rule key or generated key of an own rule
+  name TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('required', 'regex', 'range', 'enum', 'compare', 'unique', 'reference')),
+  field TEXT NOT NULL,                      -- import field, e.g. 'email' or 'custom.region'
+  severity TEXT NOT NULL DEFAULT 'error' CHECK (severity IN ('error', 'warning', 'ignore')),
+  params JSONB NOT NULL DEFAULT '{}',       -- pattern, min/max, values, operator/otherField, referenceField, message
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_validation_rules_updated_at ON validation_rules;
+CREATE TRIGGER update_validation_rules_updated_at
+  BEFORE UPDATE ON validation_rules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+ALTER TABLE validation_rules ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- VALIDATION RULES POLICIES
+-- ============================================================================
+-- Every user who imports needs the rules, only admins may change them.
+
+DROP POLICY IF EXISTS "Authenticated users can view validation rules" ON validation_rules;
+DROP POLICY IF EXISTS "Admins can manage validation rules" ON validation_rules;
+
+CREATE POLICY "Authenticated users can view validation rules"
+  ON validation_rules FOR SELECT
+  USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "Admins can manage validation rules"
+  ON validation_rules FOR ALL
+  USING (is_admin())
+  WITH CHECK (is_admin());
+
+GRANT ALL ON validation_rules TO authenticated;
@@ -0,0 +1,52 @@
+-- ============================================================================
+-- Workforce Tracker - Employee Snapshots
+-- ============================================================================
+-- Run this migration in your Supabase SQL Editor (Dashboard > SQL Editor)
+-- The employee rows an upload replaced, so an upload can be rolled back by
+-- restoring them. The app keeps a configurable number of the newest snapshots
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS employee_snapshots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  upload_id UUID NOT NULL UNIQUE REFERENCES uploads(id) ON DELETE CASCADE,  -- the upload that replaced these rows
+  employee_count INTEGER NOT NULL DEFAULT 0,
+  employees JSONB NOT NULL DEFAULT '[]',    -- employee rows without id, upload_id and timestamps
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_employee_snapshots_created_at ON employee_snapshots(created_at);
+
+ALTER TABLE employee_snapshots ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- EMPLOYEE SNAPSHOTS POLICIES
+-- ============================================================================
+-- Whoever may see an upload may keep its snapshot; restoring and pruning is
+-- done from the admin-only upload management.
+
+DROP POLICY IF EXISTS "Users can manage snapshots of own uploads" ON employee_snapshots;
+DROP POLICY IF EXISTS "Admins can manage employee snapshots" ON employee_snapshots;
+
+CREATE POLICY "Users can manage snapshots of own uploads"
+  ON employee_snapshots FOR ALL
+  USING (
+    EXISTS (
+      SELECT 1 FROM uploads u
+      WHERE u.id = upload_id
+      AND u.user_id = auth.uid()
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM uploads u
+      WHERE u.id = upload_id
+      AND u.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Admins can manage employee snapshots"
+  ON employee_snapshots FOR ALL
+  USING (is_admin())
+  WITH CHECK (is_admin());
+
+GRANT ALL ON employee_snapshots TO authenticated;
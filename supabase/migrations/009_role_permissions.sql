@@ -0,0 +1,246 @@
+-- ============================================================================
+-- Workforce Tracker - Role Permissions
+-- ============================================================================
+-- Run this migration in your Supabase SQL Editor (Dashboard > SQL Editor)
+-- Roles beyond admin/user and the capabilities of each role, edited in User
+-- Management. Policies below check has_capability() instead of is_admin();
+-- admins keep every capability. Capability keys match src/utils/permissions.js
+-- ============================================================================
+
+-- New roles. An added enum value cannot be used in the transaction that adds it,
+-- so below the roles only appear as text
+ALTER TYPE user_role ADD VALUE IF NOT EXISTS 'hr_controller';
+ALTER TYPE user_role ADD VALUE IF NOT EXISTS 'line_manager';
+ALTER TYPE user_role ADD VALUE IF NOT EXISTS 'works_council';
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role TEXT PRIMARY KEY CHECK (role <> 'admin'),   -- admins always have every capability
+  capabilities TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_role_permissions_updated_at ON role_permissions;
+CREATE TRIGGER update_role_permissions_updated_at
+  BEFORE UPDATE ON role_permissions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- Defaults; the plain user keeps what it could do before there were more roles
+INSERT INTO role_permissions (role, capabilities) VALUES
+  ('hr_controller', ARRAY['employees.view', 'salaries.view', 'employees.edit', 'imports.run', 'scenarios.edit']),
+  ('line_manager', ARRAY['employees.view', 'scenarios.edit']),
+  ('works_council', ARRAY[]::TEXT[]),
+  ('user', ARRAY['employees.view', 'salaries.view', 'employees.edit', 'imports.run', 'scenarios.edit'])
+ON CONFLICT (role) DO NOTHING;
+
+-- ============================================================================
+-- HELPER FUNCTIONS
+-- ============================================================================
+
+-- Whether the current user's role has a capability
+CREATE OR REPLACE FUNCTION has_capability(capability TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+  RETURN is_admin() OR EXISTS (
+    SELECT 1 FROM profiles p
+    JOIN role_permissions rp ON rp.role = p.role::TEXT
+    WHERE p.id = auth.uid()
+    AND p.is_active = TRUE
+    AND capability = ANY(rp.capabilities)
+  );
+EXCEPTION
+  WHEN OTHERS THEN
+    RETURN FALSE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- Users may edit their own profile, but not their role, departments or active flag;
+-- only user managers may, and only admins may hand out the admin role
+CREATE OR REPLACE FUNCTION protect_profile_access()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (NEW.role, NEW.departments, NEW.is_active) IS DISTINCT FROM (OLD.role, OLD.departments, OLD.is_active)
+     AND NOT has_capability('users.manage') THEN
+    RAISE EXCEPTION 'Only user managers can change roles, departments or the active flag';
+  END IF;
+  IF NEW.role = 'admin' AND OLD.role IS DISTINCT FROM NEW.role AND NOT is_admin() THEN
+    RAISE EXCEPTION 'Only admins can grant the admin role';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS protect_profile_access ON profiles;
+CREATE TRIGGER protect_profile_access
+  BEFORE UPDATE ON profiles
+  FOR EACH ROW EXECUTE FUNCTION protect_profile_access();
+
+ALTER TABLE role_permissions ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- ROLE PERMISSIONS POLICIES
+-- ============================================================================
+-- Everyone needs the matrix to know what they may do, user managers edit it.
+
+DROP POLICY IF EXISTS "Authenticated users can view role permissions" ON role_permissions;
+DROP POLICY IF EXISTS "User managers can manage role permissions" ON role_permissions;
+
+CREATE POLICY "Authenticated users can view role permissions"
+  ON role_permissions FOR SELECT
+  USING (auth.uid() IS NOT NULL);
+
+CREATE POLICY "User managers can manage role permissions"
+  ON role_permissions FOR ALL
+  USING (has_capability('users.manage'))
+  WITH CHECK (has_capability('users.manage'));
+
+GRANT ALL ON role_permissions TO authenticated;
+
+-- ============================================================================
+-- PROFILES
+-- ============================================================================
+
+DROP POLICY IF EXISTS "Admins can manage all profiles" ON profiles;
+DROP POLICY IF EXISTS "User managers can manage profiles" ON profiles;
+
+CREATE POLICY "User managers can manage profiles"
+  ON profiles FOR ALL
+  USING (has_capability('users.manage'))
+  WITH CHECK (has_capability('users.manage'));
+
+-- ============================================================================
+-- UPLOADS
+-- ============================================================================
+
+DROP POLICY IF EXISTS "Authenticated users can create uploads" ON uploads;
+DROP POLICY IF EXISTS "Users can update own uploads" ON uploads;
+DROP POLICY IF EXISTS "Users can delete own uploads" ON uploads;
+DROP POLICY IF EXISTS "Importers can create uploads" ON uploads;
+DROP POLICY IF EXISTS "Importers can update own uploads" ON uploads;
+DROP POLICY IF EXISTS "Upload managers can delete uploads" ON uploads;
+
+CREATE POLICY "Importers can create uploads"
+  ON uploads FOR INSERT
+  WITH CHECK (has_capability('imports.run'));
+
+CREATE POLICY "Importers can update own uploads"
+  ON uploads FOR UPDATE
+  USING ((auth.uid() = user_id AND has_capability('imports.run')) OR has_capability('uploads.manage'));
+
+CREATE POLICY "Upload managers can delete uploads"
+  ON uploads FOR DELETE
+  USING (has_capability('uploads.manage'));
+
+-- ============================================================================
+-- EMPLOYEES
+-- ============================================================================
+
+DROP POLICY IF EXISTS "Users can insert employees for own uploads" ON employees;
+DROP POLICY IF EXISTS "Users can update own upload employees" ON employees;
+DROP POLICY IF EXISTS "Users can delete own upload employees" ON employees;
+DROP POLICY IF EXISTS "Importers can insert employees for own uploads" ON employees;
+DROP POLICY IF EXISTS "Editors can update accessible employees" ON employees;
+DROP POLICY IF EXISTS "Editors can delete accessible employees" ON employees;
+
+CREATE POLICY "Importers can insert employees for own uploads"
+  ON employees FOR INSERT
+  WITH CHECK (
+    has_capability('imports.run')
+    AND EXISTS (
+      SELECT 1 FROM uploads u
+      WHERE u.id = upload_id
+      AND (u.user_id = auth.uid() OR is_admin())
+    )
+  );
+
+CREATE POLICY "Editors can update accessible employees"
+  ON employees FOR UPDATE
+  USING (has_capability('employees.edit') AND (is_admin() OR has_department_access(department)));
+
+CREATE POLICY "Editors can delete accessible employees"
+  ON employees FOR DELETE
+  USING (
+    (has_capability('employees.edit') AND (is_admin() OR has_department_access(department)))
+    OR has_capability('uploads.manage')
+  );
+
+-- ============================================================================
+-- REDUCTION PROGRAMS
+-- ============================================================================
+
+DROP POLICY IF EXISTS "Admins can manage reduction programs" ON reduction_programs;
+DROP POLICY IF EXISTS "Editors can manage accessible reduction programs" ON reduction_programs;
+
+CREATE POLICY "Editors can manage accessible reduction programs"
+  ON reduction_programs FOR ALL
+  USING (
+    (has_capability('employees.edit') OR has_capability('imports.run'))
+    AND EXISTS (
+      SELECT 1 FROM employees e
+      WHERE e.id = reduction_programs.employee_id
+      AND (is_admin() OR has_department_access(e.department))
+    )
+  )
+  WITH CHECK (
+    (has_capability('employees.edit') OR has_capability('imports.run'))
+    AND EXISTS (
+      SELECT 1 FROM employees e
+      WHERE e.id = reduction_programs.employee_id
+      AND (is_admin() OR has_department_access(e.department))
+    )
+  );
+
+-- ============================================================================
+-- SCENARIOS
+-- ============================================================================
+
+DROP POLICY IF EXISTS "Authenticated users can create scenarios" ON scenarios;
+DROP POLICY IF EXISTS "Authors can update own scenarios" ON scenarios;
+DROP POLICY IF EXISTS "Authors can delete own scenarios" ON scenarios;
+DROP POLICY IF EXISTS "Scenario editors can create scenarios" ON scenarios;
+DROP POLICY IF EXISTS "Scenario editors can update own scenarios" ON scenarios;
+DROP POLICY IF EXISTS "Scenario editors can delete own scenarios" ON scenarios;
+
+CREATE POLICY "Scenario editors can create scenarios"
+  ON scenarios FOR INSERT
+  WITH CHECK (has_capability('scenarios.edit'));
+
+CREATE POLICY "Scenario editors can update own scenarios"
+  ON scenarios FOR UPDATE
+  USING (has_capability('scenarios.edit') AND (auth.uid() = created_by OR is_admin()));
+
+CREATE POLICY "Scenario editors can delete own scenarios"
+  ON scenarios FOR DELETE
+  USING (has_capability('scenarios.edit') AND (auth.uid() = created_by OR is_admin()));
+
+-- ============================================================================
+-- SETTINGS: CUSTOM ATTRIBUTES AND VALIDATION RULES
+-- ============================================================================
+
+DROP POLICY IF EXISTS "Admins can manage custom attributes" ON custom_attributes;
+DROP POLICY IF EXISTS "Settings managers can manage custom attributes" ON custom_attributes;
+
+CREATE POLICY "Settings managers can manage custom attributes"
+  ON custom_attributes FOR ALL
+  USING (has_capability('settings.manage'))
+  WITH CHECK (has_capability('settings.manage'));
+
+DROP POLICY IF EXISTS "Admins can manage validation rules" ON validation_rules;
+DROP POLICY IF EXISTS "Settings managers can manage validation rules" ON validation_rules;
+
+CREATE POLICY "Settings managers can manage validation rules"
+  ON validation_rules FOR ALL
+  USING (has_capability('settings.manage'))
+  WITH CHECK (has_capability('settings.manage'));
+
+-- ============================================================================
+-- EMPLOYEE SNAPSHOTS
+-- ============================================================================
+-- Restoring and pruning is done from the upload management.
+
+DROP POLICY IF EXISTS "Admins can manage employee snapshots" ON employee_snapshots;
+DROP POLICY IF EXISTS "Upload managers can manage employee snapshots" ON employee_snapshots;
+
+CREATE POLICY "Upload managers can manage employee snapshots"
+  ON employee_snapshots FOR ALL
+  USING (has_capability('uploads.manage'))
+  WITH CHECK (has_capability('uploads.manage'));
@@ -0,0 +1,14 @@
+-- ============================================================================
+-- Workforce Tracker - Personal Data Permission
+-- ============================================================================
+-- Run this migration in your Supabase SQL Editor (Dashboard > SQL Editor)
+-- Birth dates get a capability of their own, personal.view. Salary fields stay
+-- with salaries.view. The app leaves both out of employee reads, statistics and
+-- exports of users without them (src/utils/permissions.js, SENSITIVE_FIELDS)
+-- ============================================================================
+
+-- Roles that see salaries keep seeing birth dates, as the defaults of 009 did
+UPDATE role_permissions
+SET capabilities = array_append(capabilities, 'personal.view')
+WHERE 'salaries.view' = ANY(capabilities)
+AND NOT ('personal.view' = ANY(capabilities));
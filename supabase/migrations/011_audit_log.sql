@@ -0,0 +1,59 @@
+-- ============================================================================
+-- Workforce Tracker - Audit Log
+-- ============================================================================
+-- Run this migration in your Supabase SQL Editor (Dashboard > SQL Editor)
+-- Who imported, changed, deleted, restored or exported data, with the values
+-- before and after a change. Entries are written by the app for the signed-in
+-- user and can't be changed or deleted; audit.view is needed to read them
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  actor_id UUID DEFAULT auth.uid(),   -- no foreign key: removing a user must not touch the log
+  actor_name TEXT,                -- kept so entries stay readable after the user is removed
+  action TEXT NOT NULL,           -- create, update, delete, bulk_create, bulk_delete, import, restore, clear, export
+  entity_type TEXT NOT NULL,      -- employee, project, assignment, reductionProgram, upload, system, report
+  entity_id TEXT,
+  before JSONB,
+  after JSONB,
+  details JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity_type ON audit_log(entity_type);
+
+-- Append-only, also for the service role and the table owner
+CREATE OR REPLACE FUNCTION prevent_audit_log_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'The audit log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_audit_log_change ON audit_log;
+CREATE TRIGGER prevent_audit_log_change
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_change();
+
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- AUDIT LOG POLICIES
+-- ============================================================================
+-- Everyone signed in writes entries for themselves; there are no update or
+-- delete policies.
+
+DROP POLICY IF EXISTS "Users can write own audit entries" ON audit_log;
+DROP POLICY IF EXISTS "Auditors can view audit log" ON audit_log;
+
+CREATE POLICY "Users can write own audit entries"
+  ON audit_log FOR INSERT
+  WITH CHECK (auth.uid() IS NOT NULL AND actor_id = auth.uid());
+
+CREATE POLICY "Auditors can view audit log"
+  ON audit_log FOR SELECT
+  USING (has_capability('audit.view'));
+
+GRANT SELECT, INSERT ON audit_log TO authenticated;
@@ -0,0 +1,140 @@
+-- ============================================================================
+-- Workforce Tracker - Employee Column Access
+-- ============================================================================
+-- Run this migration in your Supabase SQL Editor (Dashboard > SQL Editor)
+-- Employee rows need employees.view. Salary columns need salaries.view and the
+-- birth date personal.view: signed-in users can't select them from employees
+-- directly, the app reads employee_records, which leaves them out per role.
+-- Headcount (headcount.view, new here) and full rows for import snapshots come
+-- from the functions at the end
+-- ============================================================================
+
+-- Every role keeps the Dashboard, Analytics, Kapazität and AI Assistant it had
+UPDATE role_permissions
+SET capabilities = array_prepend('headcount.view', capabilities)
+WHERE NOT ('headcount.view' = ANY(capabilities));
+
+-- ============================================================================
+-- HELPER FUNCTIONS
+-- ============================================================================
+
+-- Rows a user may see: own uploads, own departments, or all as admin
+CREATE OR REPLACE FUNCTION can_access_employee(emp_upload_id UUID, emp_department TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+  RETURN is_admin()
+    OR has_department_access(emp_department)
+    OR EXISTS (
+      SELECT 1 FROM uploads u
+      WHERE u.id = emp_upload_id
+      AND u.user_id = auth.uid()
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- ============================================================================
+-- EMPLOYEES
+-- ============================================================================
+
+DROP POLICY IF EXISTS "Users can view own upload employees" ON employees;
+DROP POLICY IF EXISTS "Users can view department employees" ON employees;
+DROP POLICY IF EXISTS "Viewers can view accessible employees" ON employees;
+
+CREATE POLICY "Viewers can view accessible employees"
+  ON employees FOR SELECT
+  USING (has_capability('employees.view') AND can_access_employee(upload_id, department));
+
+-- Everything but base_salary, hourly_rate, date_of_birth and raw_data, which
+-- holds the source row with the same values
+REVOKE SELECT ON employees FROM anon, authenticated;
+GRANT SELECT (
+  id, upload_id, employee_id, name, email, phone,
+  department, division, company, country, role, status, fte,
+  start_date, end_date, pay_scale, cost_center, manager_id,
+  location, building, floor, desk,
+  reduction_percentage, reduction_start_date, reduction_end_date, reduction_status,
+  custom_attributes, created_at, updated_at
+) ON employees TO authenticated;
+
+-- Employee rows as the current user may see them. Runs with the rights of its
+-- owner, so it repeats the row check of the policy above. Hidden values are
+-- NULL, and their keys are left out of raw_data; field names as in
+-- SENSITIVE_FIELDS of src/utils/permissions.js
+CREATE OR REPLACE VIEW employee_records AS
+SELECT
+  e.id, e.upload_id, e.employee_id, e.name, e.email, e.phone,
+  e.department, e.division, e.company, e.country, e.role, e.status, e.fte,
+  e.start_date, e.end_date,
+  CASE WHEN has_capability('personal.view') THEN e.date_of_birth END AS date_of_birth,
+  CASE WHEN has_capability('salaries.view') THEN e.base_salary END AS base_salary,
+  e.pay_scale,
+  CASE WHEN has_capability('salaries.view') THEN e.hourly_rate END AS hourly_rate,
+  e.cost_center, e.manager_id, e.location, e.building, e.floor, e.desk,
+  e.reduction_percentage, e.reduction_start_date, e.reduction_end_date, e.reduction_status,
+  e.raw_data
+    - CASE WHEN has_capability('salaries.view') THEN ARRAY[]::TEXT[]
+        ELSE ARRAY['baseSalary', 'salary', 'base_salary', 'hourlyRate', 'hourly_rate'] END
+    - CASE WHEN has_capability('personal.view') THEN ARRAY[]::TEXT[]
+        ELSE ARRAY['birthdate', 'dateOfBirth', 'date_of_birth'] END
+    AS raw_data,
+  e.custom_attributes, e.created_at, e.updated_at
+FROM employees e
+WHERE has_capability('employees.view')
+AND can_access_employee(e.upload_id, e.department);
+
+-- Read only: the view would otherwise pass writes on without the policies
+REVOKE ALL ON employee_records FROM anon, authenticated;
+GRANT SELECT ON employee_records TO authenticated;
+
+-- ============================================================================
+-- FUNCTIONS
+-- ============================================================================
+
+-- Rows behind the dashboard headcount, for headcount.view or employees.view
+-- within the user's departments: no names or ids, salaries only with
+-- salaries.view, reduction programs inline. One JSONB value, so the API row
+-- limit can't cut it short
+CREATE OR REPLACE FUNCTION employee_headcount_rows(p_upload_id UUID DEFAULT NULL)
+RETURNS JSONB AS $$
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+    'department', e.department,
+    'status', e.status,
+    'role', e.role,
+    'fte', e.fte,
+    'base_salary', CASE WHEN caps.salaries THEN e.base_salary END,
+    'custom_attributes', e.custom_attributes,
+    'reduction_percentage', e.reduction_percentage,
+    'reduction_start_date', e.reduction_start_date,
+    'reduction_end_date', e.reduction_end_date,
+    'reduction_status', e.reduction_status,
+    'programs', (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object(
+        'reduction_percentage', rp.reduction_percentage,
+        'start_date', rp.start_date,
+        'end_date', rp.end_date,
+        'status', rp.status
+      )), '[]'::JSONB)
+      FROM reduction_programs rp
+      WHERE rp.employee_id = e.id
+    )
+  )), '[]'::JSONB)
+  FROM employees e
+  CROSS JOIN (SELECT has_capability('salaries.view') AS salaries) caps
+  WHERE (has_capability('headcount.view') OR has_capability('employees.view'))
+  AND (p_upload_id IS NULL OR e.upload_id = p_upload_id)
+  AND can_access_employee(e.upload_id, e.department);
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+-- Complete employee rows, kept as the snapshot of an import or restore so it
+-- can bring every value back; for users who may run imports or manage uploads
+CREATE OR REPLACE FUNCTION employee_snapshot_rows()
+RETURNS SETOF employees AS $$
+  SELECT e.* FROM employees e
+  WHERE (has_capability('imports.run') OR has_capability('uploads.manage'))
+  AND can_access_employee(e.upload_id, e.department);
+$$ LANGUAGE sql SECURITY DEFINER STABLE;
+
+REVOKE EXECUTE ON FUNCTION employee_headcount_rows(UUID) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION employee_snapshot_rows() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION employee_headcount_rows(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION employee_snapshot_rows() TO authenticated;
@@ -7,6 +7,10 @@ export default defineConfig({
     port: 3007,
     open: true,
   },
+  worker: {
+    // The import worker is an ES module that pulls in xlsx and papaparse
+    format: 'es',
+  },
   build: {
     rollupOptions: {
       output: {